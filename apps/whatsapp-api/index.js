@@ -12,9 +12,11 @@ const PORT = process.env.PORT || 3000;
 
 // Import Routes
 const whatsappRoutes = require('./src/routes/whatsapp');
+const mediaRoutes = require('./src/routes/media');
 
 // Import Middleware
 const apiKeyAuth = require('./src/middleware/apiKeyAuth');
+const clusterProxy = require('./src/middleware/clusterProxy');
 
 // Import WebSocket Manager
 const wsManager = require('./src/services/websocket/WebSocketManager');
@@ -28,11 +30,12 @@ wsManager.initialize(server, {
 
 // Middleware
 app.use(cors());
-app.use(express.json());
+// Large enough for base64 data-URI media (bigger files: use multipart upload)
+app.use(express.json({ limit: process.env.JSON_BODY_LIMIT || '25mb' }));
 app.use(express.urlencoded({ extended: true }));
 
-// Serve static files from public folder (for media access)
-app.use('/media', express.static(path.join(__dirname, 'public', 'media')));
+// Media of messages through signed URLs (mediaUrl), served by the worker owning the session
+app.use('/media', clusterProxy, mediaRoutes);
 
 // Serve Dashboard
 app.get('/dashboard', (req, res) => {
@@ -102,7 +105,7 @@ app.get('/api/websocket/stats', (req, res) => {
 });
 
 // WhatsApp Routes (with API Key Authentication)
-app.use('/api/whatsapp', apiKeyAuth, whatsappRoutes);
+app.use('/api/whatsapp', apiKeyAuth, clusterProxy, whatsappRoutes);
 
 // 404 Handler
 app.use((req, res) => {
@@ -114,6 +117,13 @@ app.use((req, res) => {
 
 // Error Handler
 app.use((err, req, res, next) => {
+    if (err.type === 'entity.too.large') {
+        return res.status(413).json({
+            success: false,
+            message: `Request body too large (limit ${err.limit} bytes). Use multipart/form-data upload for large files.`
+        });
+    }
+
     console.error(err.stack);
     res.status(500).json({
         success: false,
@@ -127,3 +137,17 @@ server.listen(PORT, () => {
     console.log(`WebSocket server running on ws://localhost:${PORT}`);
     console.log(`API Documentation: http://localhost:${PORT}`);
 });
+
+// Graceful shutdown: hand sessions over to other workers in cluster mode
+const clusterCoordinator = require('./src/services/cluster');
+const shutdown = async (signal) => {
+    console.log(`${signal} received, shutting down...`);
+    try {
+        await clusterCoordinator.stop();
+    } catch (error) {
+        console.error('Error during shutdown:', error.message);
+    }
+    process.exit(0);
+};
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
@@ -62,6 +62,8 @@ All API endpoints require \`X-Api-Key\` header (if API_KEY is configured in .env
             { name: 'Messaging', description: 'Send messages (text, image, document, etc.)' },
             { name: 'Chat History', description: 'Get chats, messages, contacts' },
             { name: 'Groups', description: 'Group management operations' },
+            { name: 'Status', description: 'Post status updates (stories) and see who viewed them' },
+            { name: 'Queue', description: 'Outbound message queue jobs' },
             { name: 'WebSocket', description: 'WebSocket connection info' }
         ],
         components: {
@@ -73,6 +75,24 @@ All API endpoints require \`X-Api-Key\` header (if API_KEY is configured in .env
                     description: 'API Key for authentication (configured in .env)'
                 }
             },
+            parameters: {
+                IdempotencyKey: {
+                    name: 'Idempotency-Key',
+                    in: 'header',
+                    required: false,
+                    schema: { type: 'string', maxLength: 255 },
+                    example: 'order-1042-shipped',
+                    description: 'Replays the first successful response for this key (same session and route) for IDEMPOTENCY_TTL instead of sending again. 409 while the first request is still running, 422 when reused with a different body'
+                },
+                SessionIdHeader: {
+                    name: 'X-Session-Id',
+                    in: 'header',
+                    required: false,
+                    schema: { type: 'string' },
+                    example: 'mysession',
+                    description: 'Session of a multipart request (or ?sessionId=). Required in cluster mode: form fields are only read after the request is routed to the worker owning the session. Used when the form has no sessionId, must match it otherwise'
+                }
+            },
             schemas: {
                 SuccessResponse: {
                     type: 'object',
@@ -149,6 +169,48 @@ All API endpoints require \`X-Api-Key\` header (if API_KEY is configured in .env
                             example: ['message', 'connection.update']
                         }
                     }
+                },
+                ReconnectPolicy: {
+                    type: 'object',
+                    description: 'Per-session reconnect policy (only the fields you set are overridden)',
+                    properties: {
+                        enabled: { type: 'boolean', example: true },
+                        baseDelay: { type: 'integer', description: 'First retry delay (ms)', example: 2000 },
+                        maxDelay: { type: 'integer', description: 'Maximum retry delay (ms)', example: 300000 },
+                        factor: { type: 'number', description: 'Backoff multiplier', example: 2 },
+                        jitter: { type: 'number', description: 'Random spread 0-1 applied to each delay', example: 0.3 },
+                        maxAttempts: { type: 'integer', description: '0 = unlimited', example: 10 },
+                        actions: {
+                            type: 'object',
+                            description: 'Action per DisconnectReason: retry, restart, reset, logout, stop',
+                            additionalProperties: { type: 'string', enum: ['retry', 'restart', 'reset', 'logout', 'stop'] },
+                            example: { connectionReplaced: 'retry', forbidden: 'stop' }
+                        }
+                    }
+                },
+                RetentionPolicy: {
+                    type: 'object',
+                    description: 'Per-session message / media retention (only the fields you set are overridden, 0 = keep all)',
+                    properties: {
+                        messages: {
+                            type: 'object',
+                            properties: {
+                                days: { type: 'number', description: 'Delete messages older than this many days', example: 365 },
+                                maxPerChat: { type: 'integer', description: 'Keep only the newest messages of every chat', example: 0 }
+                            }
+                        },
+                        media: {
+                            type: 'object',
+                            description: 'Delete saved media files only, the messages stay',
+                            properties: {
+                                days: { type: 'number', example: 30 },
+                                maxPerChat: { type: 'integer', example: 0 }
+                            }
+                        },
+                        keepStarred: { type: 'boolean', description: 'Never delete starred messages or their media', example: true },
+                        excludeChats: { type: 'array', items: { type: 'string' }, description: 'Chat IDs or phone numbers that are never cleaned', example: ['628123456789'] },
+                        excludeLabels: { type: 'array', items: { type: 'string' }, description: 'Label IDs (business accounts), chats with one of them are never cleaned', example: ['5'] }
+                    }
                 }
             }
         },
@@ -0,0 +1,128 @@
+/**
+ * Cluster Proxy Middleware
+ *
+ * In cluster mode (CLUSTER_MODE=true) every session is owned by one worker.
+ * Requests for a session owned by another worker are proxied to it
+ * (or redirected with 307 when CLUSTER_ROUTING=redirect).
+ *
+ * The session is taken from the path (/sessions/:sessionId, /ai/.../:sessionId,
+ * /media/:sessionId/...), then from body.sessionId, query.sessionId or the
+ * X-Session-Id header. Multipart bodies are only parsed by the route, so
+ * multipart requests must pass the session in the query string or header.
+ */
+
+const http = require('http');
+const https = require('https');
+const clusterCoordinator = require('../services/cluster');
+
+const FORWARDED_HEADER = 'x-chatery-forwarded';
+
+// Hop-by-hop headers must not be forwarded
+const HOP_BY_HOP_HEADERS = ['connection', 'keep-alive', 'transfer-encoding', 'upgrade', 'host', 'content-length'];
+
+const extractSessionId = (req) => {
+    // Signed media URLs: /media/:sessionId/:messageId
+    if (req.baseUrl === '/media') {
+        const [, sessionId] = req.path.split('/');
+        return sessionId ? decodeURIComponent(sessionId) : null;
+    }
+
+    const match = req.path.match(/^\/(?:sessions|ai\/(?:enable|disable|config))\/([^/]+)/);
+    if (match && match[1] !== 'import') {
+        return decodeURIComponent(match[1]);
+    }
+    return req.body?.sessionId || req.query?.sessionId || req.get('X-Session-Id') || null;
+};
+
+const forwardRequest = (req, res, targetUrl) => {
+    const target = new URL(req.originalUrl, targetUrl);
+    const client = target.protocol === 'https:' ? https : http;
+
+    const headers = { ...req.headers };
+    HOP_BY_HOP_HEADERS.forEach(header => delete headers[header]);
+    headers[FORWARDED_HEADER] = clusterCoordinator.workerId;
+
+    // Body already parsed by express.json/urlencoded: send it again as JSON,
+    // otherwise (multipart, raw) stream the untouched request
+    let body = null;
+    if (req._body) {
+        body = Buffer.from(JSON.stringify(req.body || {}));
+        headers['content-type'] = 'application/json';
+        headers['content-length'] = body.length;
+    } else if (req.headers['content-length']) {
+        headers['content-length'] = req.headers['content-length'];
+    } else if (req.headers['transfer-encoding']) {
+        headers['transfer-encoding'] = req.headers['transfer-encoding'];
+    }
+
+    const proxyReq = client.request(target, { method: req.method, headers }, (proxyRes) => {
+        res.status(proxyRes.statusCode);
+        Object.entries(proxyRes.headers).forEach(([key, value]) => {
+            if (!HOP_BY_HOP_HEADERS.includes(key)) res.setHeader(key, value);
+        });
+        proxyRes.pipe(res);
+    });
+
+    proxyReq.on('error', (error) => {
+        if (res.headersSent) return res.end();
+        res.status(502).json({
+            success: false,
+            message: `Session worker unreachable: ${error.message}`
+        });
+    });
+
+    if (body) {
+        proxyReq.end(body);
+    } else {
+        req.pipe(proxyReq);
+    }
+};
+
+const clusterProxy = async (req, res, next) => {
+    if (!clusterCoordinator.enabled || req.headers[FORWARDED_HEADER]) {
+        return next();
+    }
+
+    const sessionId = extractSessionId(req);
+    if (!sessionId) {
+        // The sessionId form field is not parsed yet, the request would end up on a random worker
+        if (req.is('multipart/form-data')) {
+            return res.status(400).json({
+                success: false,
+                message: 'Multipart requests need the sessionId in the query string (?sessionId=) or the X-Session-Id header in cluster mode'
+            });
+        }
+        return next();
+    }
+
+    try {
+        const owner = await clusterCoordinator.getOwner(sessionId);
+
+        // Unowned sessions and our own sessions are handled here
+        if (!owner || owner.local) {
+            return next();
+        }
+
+        if (!owner.url) {
+            return res.status(503).json({
+                success: false,
+                message: `Session ${sessionId} is owned by worker ${owner.workerId} which is not reachable`
+            });
+        }
+
+        res.setHeader('X-Chatery-Worker', owner.workerId);
+
+        if (clusterCoordinator.routing === 'redirect') {
+            return res.redirect(307, new URL(req.originalUrl, owner.url).toString());
+        }
+
+        forwardRequest(req, res, owner.url);
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+};
+
+module.exports = clusterProxy;
@@ -0,0 +1,152 @@
+/**
+ * Idempotency Middleware
+ *
+ * Send routes accept an optional `Idempotency-Key` header. The first successful (2xx)
+ * response for a key is stored and replayed for every later request with the same key,
+ * session and route, with the header `Idempotent-Replayed: true`, instead of sending again.
+ *
+ * - same key while the first request is still running: 409
+ * - same key with a different body: 422
+ * - failed requests (non 2xx or `success: false`) free the key, so the client can retry them
+ * - still queued (202): the job ID is stored with the response, a replay answers with the
+ *   current job status. Once the job is done its final response is stored instead (the key
+ *   is freed when the job failed). A job that can not be found keeps the key: the first
+ *   response is replayed, since the message may have been sent
+ *
+ * Must run after the body is parsed (after mediaUpload on media routes).
+ */
+
+const crypto = require('crypto');
+const idempotencyService = require('../services/idempotency');
+const messageQueue = require('../services/queue');
+
+const MAX_KEY_LENGTH = 255;
+
+// Hash of the request body (and uploaded / data URI media)
+const fingerprintRequest = (req) => {
+    const hash = crypto.createHash('sha256').update(JSON.stringify(req.body || {}));
+    if (Buffer.isBuffer(req.media?.source)) {
+        hash.update(req.media.source);
+    }
+    return hash.digest('hex');
+};
+
+const sentResponse = (job) => ({
+    statusCode: 200,
+    body: { success: true, message: 'Message sent', data: { ...job.result, jobId: job.jobId } }
+});
+
+// Response for a replay of a request that answered 202: the job as it is now
+// (null when the job failed, the request can run again)
+const replayJob = (response) => {
+    const job = messageQueue.getJob(response.jobId).data;
+
+    // Pruned, or the session moved before the job was done: it may have been sent, keep the first response
+    if (!job) {
+        return {
+            statusCode: 202,
+            body: response.body || { success: true, message: 'Message is queued, check the job status later', data: { jobId: response.jobId } }
+        };
+    }
+    if (job.status === 'failed') return null;
+
+    if (messageQueue.isPending(job)) {
+        return {
+            statusCode: 202,
+            body: { success: true, message: 'Message is still queued, check the job status later', data: job }
+        };
+    }
+    return sentResponse(job);
+};
+
+// Replace the stored 202 with the final response once the job is done,
+// so replays no longer need the job (pruned after QUEUE_RETENTION)
+const completeWhenFinished = async (scope, key, fingerprint, jobId) => {
+    if (messageQueue.isPending(messageQueue.getJob(jobId).data)) {
+        await messageQueue.waitFor(jobId);
+    }
+
+    const job = messageQueue.getJob(jobId).data;
+    if (job?.status === 'sent') {
+        await idempotencyService.complete(scope, key, fingerprint, sentResponse(job));
+    } else if (job?.status === 'failed') {
+        await idempotencyService.release(scope, key);
+    }
+};
+
+const idempotency = async (req, res, next) => {
+    const key = req.get('Idempotency-Key');
+    if (key === undefined) return next();
+
+    if (!key.trim() || key.length > MAX_KEY_LENGTH) {
+        return res.status(400).json({
+            success: false,
+            message: `Idempotency-Key must be 1-${MAX_KEY_LENGTH} characters`
+        });
+    }
+
+    const scope = `${req.body.sessionId}:${req.path}`;
+    const fingerprint = fingerprintRequest(req);
+    let existing = await idempotencyService.begin(scope, key, fingerprint);
+
+    if (existing.state === 'completed' && existing.response.jobId) {
+        const replay = replayJob(existing.response);
+        if (replay) {
+            existing = { state: 'completed', response: replay };
+        } else {
+            await idempotencyService.release(scope, key);
+            existing = await idempotencyService.begin(scope, key, fingerprint);
+        }
+    }
+
+    if (existing.state === 'completed') {
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(existing.response.statusCode).json(existing.response.body);
+    }
+
+    if (existing.state === 'processing') {
+        return res.status(409).json({
+            success: false,
+            message: 'A request with this Idempotency-Key is still being processed'
+        });
+    }
+
+    if (existing.state === 'mismatch') {
+        return res.status(422).json({
+            success: false,
+            message: 'Idempotency-Key was already used with a different request body'
+        });
+    }
+
+    let settled = false;
+    const json = res.json.bind(res);
+
+    res.json = (body) => {
+        if (!settled) {
+            settled = true;
+            if (res.statusCode === 202 && body?.data?.jobId) {
+                // Job status in the body goes stale, keep the job to look it up on replay
+                const { jobId } = body.data;
+                idempotencyService.complete(scope, key, fingerprint, { statusCode: 202, jobId, body })
+                    .then(() => completeWhenFinished(scope, key, fingerprint, jobId));
+            } else if (res.statusCode >= 200 && res.statusCode < 300 && body?.success !== false) {
+                idempotencyService.complete(scope, key, fingerprint, { statusCode: res.statusCode, body });
+            } else {
+                idempotencyService.release(scope, key);
+            }
+        }
+        return json(body);
+    };
+
+    // Connection closed before a response was produced
+    res.on('close', () => {
+        if (!settled) {
+            settled = true;
+            idempotencyService.release(scope, key);
+        }
+    });
+
+    next();
+};
+
+module.exports = idempotency;
@@ -0,0 +1,154 @@
+/**
+ * Media Upload Middleware
+ *
+ * Media routes accept the file in three ways:
+ * - multipart/form-data upload in the `file` field
+ * - base64 data URI in the URL field (data:image/png;base64,...)
+ * - plain URL in the URL field (fetched by Baileys, as before)
+ *
+ * Uploads and data URIs are validated against WhatsApp limits per media kind.
+ * The result is stored in req.media = { source, mimetype, filename, size }
+ * where source is a Buffer (upload / data URI) or the URL string,
+ * or req.media = null when no media was given.
+ */
+
+const multer = require('multer');
+
+const MB = 1024 * 1024;
+
+// WhatsApp limits per media kind (MEDIA_MAX_*_MB to override)
+const MEDIA_RULES = {
+    image: {
+        maxSize: (parseInt(process.env.MEDIA_MAX_IMAGE_MB) || 16) * MB,
+        mimetypes: ['image/jpeg', 'image/png', 'image/webp']
+    },
+    video: {
+        maxSize: (parseInt(process.env.MEDIA_MAX_VIDEO_MB) || 16) * MB,
+        mimetypes: ['video/mp4', 'video/3gpp']
+    },
+    audio: {
+        maxSize: (parseInt(process.env.MEDIA_MAX_AUDIO_MB) || 16) * MB,
+        mimetypes: ['audio/aac', 'audio/mp4', 'audio/mpeg', 'audio/amr', 'audio/ogg']
+    },
+    // Voice notes are converted to Opus/OGG, so any audio format works
+    voice: {
+        maxSize: (parseInt(process.env.MEDIA_MAX_AUDIO_MB) || 16) * MB,
+        mimetypes: ['audio/*']
+    },
+    document: {
+        maxSize: (parseInt(process.env.MEDIA_MAX_DOCUMENT_MB) || 100) * MB,
+        mimetypes: ['*/*']
+    }
+};
+
+const DATA_URI_REGEX = /^data:([^;,]*)((?:;[^;,]*)*?);base64,/;
+
+const isAllowedMimetype = (mimetype, allowed) => {
+    const baseType = (mimetype || '').split(';')[0].trim().toLowerCase();
+    return allowed.some(rule => {
+        if (rule === '*/*') return true;
+        if (rule.endsWith('/*')) return baseType.startsWith(rule.slice(0, -1));
+        return baseType === rule;
+    });
+};
+
+/**
+ * Parse a base64 data URI
+ * @param {string} value
+ * @returns {Object|null} { buffer, mimetype } or null when value is not a data URI
+ */
+const parseDataUri = (value) => {
+    if (typeof value !== 'string') return null;
+
+    const match = value.match(DATA_URI_REGEX);
+    if (!match) return null;
+
+    return {
+        mimetype: match[1] || 'application/octet-stream',
+        buffer: Buffer.from(value.slice(match[0].length), 'base64')
+    };
+};
+
+// Multipart fields are always strings: restore booleans and numbers
+const normalizeFormFields = (body) => {
+    for (const [key, value] of Object.entries(body)) {
+        if (value === 'true' || value === 'false') {
+            body[key] = value === 'true';
+        } else if (key === 'typingTime' && value !== '') {
+            body[key] = Number(value);
+        }
+    }
+};
+
+/**
+ * Create media middleware for a route
+ * @param {string} kind - 'image' | 'video' | 'audio' | 'voice' | 'document'
+ * @param {string} urlField - Body field holding the URL or data URI (e.g. 'imageUrl')
+ * @returns {Function} Express middleware
+ */
+const mediaUpload = (kind, urlField) => {
+    const rule = MEDIA_RULES[kind];
+    const upload = multer({
+        storage: multer.memoryStorage(),
+        limits: { fileSize: rule.maxSize, files: 1 }
+    }).single('file');
+
+    const reject = (res, message) => res.status(400).json({ success: false, message });
+    const maxSizeText = `${Math.round(rule.maxSize / MB)}MB`;
+
+    return (req, res, next) => {
+        upload(req, res, (error) => {
+            if (error) {
+                return reject(res, error.code === 'LIMIT_FILE_SIZE'
+                    ? `File too large. Maximum ${kind} size is ${maxSizeText}`
+                    : error.message);
+            }
+
+            req.body = req.body || {};
+            // Also without a file, e.g. a URL with gifPlayback=false
+            if (req.is('multipart/form-data')) {
+                normalizeFormFields(req.body);
+            }
+
+            let media = null;
+            const dataUri = parseDataUri(req.body[urlField]);
+
+            if (req.file) {
+                media = {
+                    source: req.file.buffer,
+                    mimetype: req.file.mimetype,
+                    filename: req.file.originalname,
+                    size: req.file.size
+                };
+            } else if (dataUri) {
+                media = {
+                    source: dataUri.buffer,
+                    mimetype: dataUri.mimetype,
+                    filename: null,
+                    size: dataUri.buffer.length
+                };
+            } else if (req.body[urlField]) {
+                // URL mode: size and type are only known by the remote server
+                req.media = { source: req.body[urlField], mimetype: null, filename: null, size: null };
+                return next();
+            }
+
+            if (media) {
+                if (media.size === 0) {
+                    return reject(res, 'Media file is empty');
+                }
+                if (media.size > rule.maxSize) {
+                    return reject(res, `File too large. Maximum ${kind} size is ${maxSizeText}`);
+                }
+                if (!isAllowedMimetype(media.mimetype, rule.mimetypes)) {
+                    return reject(res, `Unsupported ${kind} type: ${media.mimetype}. Allowed: ${rule.mimetypes.join(', ')}`);
+                }
+            }
+
+            req.media = media;
+            next();
+        });
+    };
+};
+
+module.exports = mediaUpload;
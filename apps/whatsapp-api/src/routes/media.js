@@ -0,0 +1,61 @@
+const express = require('express');
+const router = express.Router();
+const whatsappManager = require('../services/whatsapp');
+const MediaUrlSigner = require('../services/mediastorage/MediaUrlSigner');
+
+/**
+ * Media Routes
+ * File media pesan lewat URL bertanda tangan (mediaUrl), tanpa API key
+ */
+
+// Get media of a message: /media/:sessionId/:messageId?expires=&signature=
+router.get('/:sessionId/:messageId', async (req, res) => {
+    try {
+        const { sessionId, messageId } = req.params;
+        const { expires, signature } = req.query;
+
+        if (!MediaUrlSigner.verify(sessionId, messageId, expires, signature)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Invalid or expired media URL'
+            });
+        }
+
+        const session = whatsappManager.getSession(sessionId);
+        if (!session) {
+            return res.status(404).json({
+                success: false,
+                message: 'Session not found'
+            });
+        }
+
+        const media = await session.openMedia(messageId);
+        if (!media) {
+            return res.status(404).json({
+                success: false,
+                message: 'Media not found'
+            });
+        }
+
+        res.setHeader('Content-Type', media.mimetype);
+        if (media.size) {
+            res.setHeader('Content-Length', media.size);
+        }
+        res.setHeader('Content-Disposition', `inline; filename*=UTF-8''${encodeURIComponent(media.filename)}`);
+        // Cacheable until the URL expires
+        res.setHeader('Cache-Control', `private, max-age=${Math.max(Number(expires) - Math.floor(Date.now() / 1000), 0)}`);
+
+        media.stream.on('error', (error) => {
+            console.error(`[${sessionId}] Media stream error:`, error.message);
+            res.destroy(error);
+        });
+        media.stream.pipe(res);
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+module.exports = router;
@@ -1,20 +1,43 @@
 const express = require('express');
+const { Readable, pipeline } = require('stream');
+const multer = require('multer');
 const router = express.Router();
 const whatsappManager = require('../services/whatsapp');
+const ReconnectPolicy = require('../services/whatsapp/ReconnectPolicy');
+const RetentionPolicy = require('../services/whatsapp/RetentionPolicy');
+const ProxyAgent = require('../services/whatsapp/ProxyAgent');
+const InteractiveMessage = require('../services/whatsapp/InteractiveMessage');
 const schedulerService = require('../services/scheduler');
 const autoReplyService = require('../services/autoreply');
 const broadcastService = require('../services/broadcast');
 const aiService = require('../services/ai');
+const sessionBundleService = require('../services/bundle');
+const clusterCoordinator = require('../services/cluster');
+const messageQueue = require('../services/queue');
+const mediaUpload = require('../middleware/mediaUpload');
+const idempotency = require('../middleware/idempotency');
 
 // Initialize services with WhatsApp manager
 schedulerService.setWhatsAppManager(whatsappManager);
 autoReplyService.setWhatsAppManager(whatsappManager);
 broadcastService.setWhatsAppManager(whatsappManager);
 aiService.setWhatsAppManager(whatsappManager);
+sessionBundleService.setWhatsAppManager(whatsappManager);
+messageQueue.setWhatsAppManager(whatsappManager);
 
 // Get all sessions
-router.get('/sessions', (req, res) => {
+router.get('/sessions', async (req, res) => {
     try {
+        // Cluster mode: sessions of all workers (from their heartbeat)
+        if (clusterCoordinator.enabled) {
+            const workers = await clusterCoordinator.getWorkers();
+            return res.json({
+                success: true,
+                message: 'Sessions retrieved',
+                data: workers.flatMap(w => w.sessions.map(s => ({ ...s, workerId: w.workerId })))
+            });
+        }
+
         const sessions = whatsappManager.getAllSessions();
         res.json({
             success: true,
@@ -35,15 +58,53 @@ router.get('/sessions', (req, res) => {
     }
 });
 
+// Cluster status (workers, leases)
+router.get('/cluster/status', async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            message: 'Cluster status retrieved',
+            data: await clusterCoordinator.getStatus()
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
 // Create/Connect a session
 router.post('/sessions/:sessionId/connect', async (req, res) => {
     try {
         const { sessionId } = req.params;
-        const { metadata, webhooks } = req.body;
+        const { metadata, webhooks, reconnect, proxy } = req.body;
+        
+        if (proxy) {
+            const error = ProxyAgent.validate(proxy);
+            if (error) {
+                return res.status(400).json({
+                    success: false,
+                    message: error
+                });
+            }
+        }
+        
+        if (reconnect !== undefined) {
+            const error = ReconnectPolicy.validate(reconnect);
+            if (error) {
+                return res.status(400).json({
+                    success: false,
+                    message: error
+                });
+            }
+        }
         
         const options = {};
         if (metadata) options.metadata = metadata;
         if (webhooks) options.webhooks = webhooks;
+        if (reconnect) options.reconnect = reconnect;
+        if (proxy) options.proxy = proxy;
         
         const result = await whatsappManager.createSession(sessionId, options);
         
@@ -83,6 +144,8 @@ router.get('/sessions/:sessionId/status', (req, res) => {
                 isConnected: info.isConnected,
                 phoneNumber: info.phoneNumber,
                 name: info.name,
+                reconnect: info.reconnect,
+                proxy: info.proxy,
                 metadata: info.metadata,
                 webhooks: info.webhooks
             }
@@ -95,11 +158,59 @@ router.get('/sessions/:sessionId/status', (req, res) => {
     }
 });
 
-// Update session config (metadata, webhooks)
+// Get session health (watchdog)
+router.get('/sessions/:sessionId/health', (req, res) => {
+    try {
+        const { sessionId } = req.params;
+        const health = whatsappManager.getSessionHealth(sessionId);
+        
+        if (!health) {
+            return res.status(404).json({
+                success: false,
+                message: 'Session not found'
+            });
+        }
+        
+        res.json({
+            success: true,
+            message: health.healthy ? 'Session is healthy' : 'Session is unhealthy',
+            data: health
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// Get poll results (vote tally per option)
+router.get('/sessions/:sessionId/polls/:pollId', (req, res) => {
+    try {
+        const session = whatsappManager.getSession(req.params.sessionId);
+        
+        if (!session) {
+            return res.status(404).json({
+                success: false,
+                message: 'Session not found'
+            });
+        }
+
+        const result = session.getPollResults(req.params.pollId, req.query.chatId || null);
+        res.status(result.success ? 200 : 404).json(result);
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// Update session config (metadata, webhooks, reconnect policy, outbound queue, retention)
 router.patch('/sessions/:sessionId/config', (req, res) => {
     try {
         const { sessionId } = req.params;
-        const { metadata, webhooks } = req.body;
+        const { metadata, webhooks, reconnect, proxy, queue, retention } = req.body;
         
         const session = whatsappManager.getSession(sessionId);
         
@@ -110,9 +221,54 @@ router.patch('/sessions/:sessionId/config', (req, res) => {
             });
         }
         
+        // proxy: null disables the proxy
+        if (proxy !== undefined && proxy !== null) {
+            const error = ProxyAgent.validate(proxy);
+            if (error) {
+                return res.status(400).json({
+                    success: false,
+                    message: error
+                });
+            }
+        }
+        
+        if (reconnect !== undefined) {
+            const error = ReconnectPolicy.validate(reconnect);
+            if (error) {
+                return res.status(400).json({
+                    success: false,
+                    message: error
+                });
+            }
+        }
+        
+        if (queue !== undefined) {
+            const error = messageQueue.validateConfig(queue);
+            if (error) {
+                return res.status(400).json({
+                    success: false,
+                    message: error
+                });
+            }
+        }
+        
+        if (retention !== undefined) {
+            const error = RetentionPolicy.validate(retention);
+            if (error) {
+                return res.status(400).json({
+                    success: false,
+                    message: error
+                });
+            }
+        }
+        
         const options = {};
         if (metadata !== undefined) options.metadata = metadata;
         if (webhooks !== undefined) options.webhooks = webhooks;
+        if (reconnect !== undefined) options.reconnect = reconnect;
+        if (proxy !== undefined) options.proxy = proxy;
+        if (queue !== undefined) options.queue = queue;
+        if (retention !== undefined) options.retention = retention;
         
         const updatedInfo = session.updateConfig(options);
         
@@ -122,7 +278,11 @@ router.patch('/sessions/:sessionId/config', (req, res) => {
             data: {
                 sessionId: updatedInfo.sessionId,
                 metadata: updatedInfo.metadata,
-                webhooks: updatedInfo.webhooks
+                webhooks: updatedInfo.webhooks,
+                proxy: updatedInfo.proxy,
+                reconnect: session.reconnectPolicy.getConfig(),
+                queue: messageQueue.getConfig(sessionId),
+                retention: session.retentionPolicy.getConfig()
             }
         });
     } catch (error) {
@@ -133,6 +293,41 @@ router.patch('/sessions/:sessionId/config', (req, res) => {
     }
 });
 
+// Preview the retention policy: what would be deleted now (nothing is deleted)
+// Body: { retention? } - policy changes to preview, not saved
+router.post('/sessions/:sessionId/retention/dry-run', (req, res) => {
+    try {
+        const { retention } = req.body;
+        
+        const session = whatsappManager.getSession(req.params.sessionId);
+        
+        if (!session) {
+            return res.status(404).json({
+                success: false,
+                message: 'Session not found'
+            });
+        }
+        
+        if (retention !== undefined && retention !== null) {
+            const error = RetentionPolicy.validate(retention);
+            if (error) {
+                return res.status(400).json({
+                    success: false,
+                    message: error
+                });
+            }
+        }
+        
+        const result = session.getRetentionReport(retention || null);
+        res.status(result.success ? 200 : 400).json(result);
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
 // Add a webhook to session
 router.post('/sessions/:sessionId/webhooks', (req, res) => {
     try {
@@ -284,6 +479,141 @@ router.get('/sessions/:sessionId/qr/image', (req, res) => {
     }
 });
 
+// Request pairing code (link with phone number instead of QR)
+router.post('/sessions/:sessionId/pair', async (req, res) => {
+    try {
+        const { sessionId } = req.params;
+        const { phoneNumber, metadata, webhooks } = req.body;
+        
+        if (!phoneNumber) {
+            return res.status(400).json({
+                success: false,
+                message: 'Missing required field: phoneNumber'
+            });
+        }
+        
+        const options = {};
+        if (metadata) options.metadata = metadata;
+        if (webhooks) options.webhooks = webhooks;
+        
+        const result = await whatsappManager.requestPairingCode(sessionId, phoneNumber, options);
+        
+        res.json({
+            success: result.success,
+            message: result.message,
+            data: result.data
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// Get current pairing code and its remaining validity
+router.get('/sessions/:sessionId/pair', (req, res) => {
+    try {
+        const { sessionId } = req.params;
+        const session = whatsappManager.getSession(sessionId);
+        
+        if (!session) {
+            return res.status(404).json({
+                success: false,
+                message: 'Session not found. Please request a pairing code first.'
+            });
+        }
+
+        if (session.connectionStatus === 'connected') {
+            return res.json({
+                success: true,
+                message: 'Already connected to WhatsApp',
+                data: { 
+                    sessionId,
+                    status: 'connected', 
+                    pairingCode: null 
+                }
+            });
+        }
+
+        const pairingInfo = session.getPairingInfo();
+        if (!pairingInfo.pairingCode) {
+            return res.status(404).json({
+                success: false,
+                message: 'Pairing code not available yet. Please wait...',
+                data: { status: pairingInfo.status }
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Pairing code ready',
+            data: pairingInfo
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// Export session as encrypted bundle (auth, config, store, AI config, rules)
+router.post('/sessions/:sessionId/export', async (req, res) => {
+    try {
+        const { sessionId } = req.params;
+        const { passphrase } = req.body;
+        
+        const result = await sessionBundleService.exportSession(sessionId, passphrase);
+        
+        if (!result.success) {
+            return res.status(result.message === 'Session not found' ? 404 : 400).json(result);
+        }
+        
+        res.setHeader('Content-Type', 'application/octet-stream');
+        res.setHeader('Content-Disposition', `attachment; filename="${result.data.filename}"`);
+        res.send(result.data.buffer);
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// Import session bundle and resume it without scanning
+// Body: raw bundle (application/octet-stream) + X-Bundle-Passphrase header,
+// or JSON { bundle: base64, passphrase }
+router.post('/sessions/import', express.raw({
+    type: 'application/octet-stream',
+    limit: process.env.SESSION_BUNDLE_MAX_SIZE || '100mb'
+}), async (req, res) => {
+    try {
+        const isRaw = Buffer.isBuffer(req.body);
+        const bundle = isRaw ? req.body : (req.body?.bundle ? Buffer.from(req.body.bundle, 'base64') : null);
+        const passphrase = isRaw ? req.get('X-Bundle-Passphrase') : req.body?.passphrase;
+        
+        if (!bundle || bundle.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Missing required field: bundle'
+            });
+        }
+        
+        const result = await sessionBundleService.importSession(bundle, passphrase, {
+            sessionId: req.query.sessionId || req.body?.sessionId,
+            overwrite: req.query.overwrite === 'true' || req.body?.overwrite === true
+        });
+        
+        res.status(result.success ? 200 : 400).json(result);
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
 // Delete/Logout a session
 router.delete('/sessions/:sessionId', async (req, res) => {
     try {
@@ -313,7 +643,16 @@ const checkSession = (req, res, next) => {
         });
     }
     
-    const { sessionId } = req.body;
+    // Multipart requests may pass it in the query string or header (needed for routing in cluster mode)
+    const routedSessionId = req.query.sessionId || req.get('X-Session-Id');
+    if (routedSessionId && req.body.sessionId && routedSessionId !== req.body.sessionId) {
+        return res.status(400).json({
+            success: false,
+            message: 'sessionId in the body does not match the query string / X-Session-Id header'
+        });
+    }
+
+    const sessionId = req.body.sessionId || routedSessionId;
     
     if (!sessionId) {
         return res.status(400).json({
@@ -321,6 +660,7 @@ const checkSession = (req, res, next) => {
             message: 'Missing required field: sessionId'
         });
     }
+    req.body.sessionId = sessionId;
     
     const session = whatsappManager.getSession(sessionId);
     
@@ -342,20 +682,630 @@ const checkSession = (req, res, next) => {
     next();
 };
 
-// Send text message
-router.post('/chats/send-text', checkSession, async (req, res) => {
+// Reply/mention options of send routes
+// (multipart forms send mentions as a comma separated string)
+const getReplyOptions = (body) => {
+    let { quotedMessageId, mentions } = body;
+    if (typeof mentions === 'string') {
+        mentions = mentions.split(',').map(m => m.trim()).filter(Boolean);
+    }
+    return { quotedMessageId, mentions };
+};
+
+// Send through the outbound queue of the session (rate limit, retries)
+// `async: true` answers 202 with the job ID right away, otherwise the send result is returned
+// (202 with the job as well when it is still queued after QUEUE_WAIT_TIMEOUT)
+const sendQueued = async (req, res, method, args) => {
+    const result = await messageQueue.send(req.session.sessionId, method, args, {
+        async: req.body.async === true
+    });
+    res.status(messageQueue.isPending(result.data) ? 202 : 200).json(result);
+};
+
+// Send text message
+router.post('/chats/send-text', checkSession, idempotency, async (req, res) => {
+    try {
+        const { chatId, message, typingTime = 0, linkPreview = false } = req.body;
+        
+        if (!chatId || !message) {
+            return res.status(400).json({
+                success: false,
+                message: 'Missing required fields: chatId, message'
+            });
+        }
+
+        await sendQueued(req, res, 'sendTextMessage', [chatId, message, typingTime, { ...getReplyOptions(req.body), linkPreview }]);
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// Send image
+router.post('/chats/send-image', mediaUpload('image', 'imageUrl'), checkSession, idempotency, async (req, res) => {
+    try {
+        const { chatId, caption, typingTime = 0 } = req.body;
+        
+        if (!chatId || !req.media) {
+            return res.status(400).json({
+                success: false,
+                message: 'Missing required fields: chatId, imageUrl (or file upload)'
+            });
+        }
+
+        await sendQueued(req, res, 'sendImage', [chatId, req.media.source, caption || '', typingTime, getReplyOptions(req.body)]);
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// Send document
+router.post('/chats/send-document', mediaUpload('document', 'documentUrl'), checkSession, idempotency, async (req, res) => {
+    try {
+        const { chatId, mimetype, typingTime = 0 } = req.body;
+        const filename = req.body.filename || req.media?.filename;
+        
+        if (!chatId || !req.media || !filename) {
+            return res.status(400).json({
+                success: false,
+                message: 'Missing required fields: chatId, documentUrl (or file upload), filename'
+            });
+        }
+
+        await sendQueued(req, res, 'sendDocument', [chatId, req.media.source, filename, mimetype || req.media.mimetype || undefined, typingTime, getReplyOptions(req.body)]);
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// Send video
+router.post('/chats/send-video', mediaUpload('video', 'videoUrl'), checkSession, idempotency, async (req, res) => {
+    try {
+        const { chatId, caption, gifPlayback = false, typingTime = 0 } = req.body;
+        
+        if (!chatId || !req.media) {
+            return res.status(400).json({
+                success: false,
+                message: 'Missing required fields: chatId, videoUrl (or file upload)'
+            });
+        }
+
+        await sendQueued(req, res, 'sendVideo', [chatId, req.media.source, caption || '', gifPlayback, typingTime, getReplyOptions(req.body)]);
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// Send audio
+router.post('/chats/send-audio', mediaUpload('audio', 'audioUrl'), checkSession, idempotency, async (req, res) => {
+    try {
+        const { chatId, mimetype, ptt = false, typingTime = 0 } = req.body;
+        
+        if (!chatId || !req.media) {
+            return res.status(400).json({
+                success: false,
+                message: 'Missing required fields: chatId, audioUrl (or file upload)'
+            });
+        }
+
+        await sendQueued(req, res, 'sendAudio', [chatId, req.media.source, mimetype || req.media.mimetype || 'audio/mpeg', ptt, typingTime, getReplyOptions(req.body)]);
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// Send voice note (PTT)
+router.post('/chats/send-voice-note', mediaUpload('voice', 'audioUrl'), checkSession, idempotency, async (req, res) => {
+    try {
+        const { chatId, typingTime = 0 } = req.body;
+        
+        if (!chatId || !req.media) {
+            return res.status(400).json({
+                success: false,
+                message: 'Missing required fields: chatId, audioUrl (or file upload)'
+            });
+        }
+
+        await sendQueued(req, res, 'sendVoiceNote', [chatId, req.media.source, typingTime, getReplyOptions(req.body)]);
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// Send location
+router.post('/chats/send-location', checkSession, idempotency, async (req, res) => {
+    try {
+        const { chatId, latitude, longitude, name, typingTime = 0 } = req.body;
+        
+        if (!chatId || latitude === undefined || longitude === undefined) {
+            return res.status(400).json({
+                success: false,
+                message: 'Missing required fields: chatId, latitude, longitude'
+            });
+        }
+
+        await sendQueued(req, res, 'sendLocation', [chatId, latitude, longitude, name || '', typingTime, getReplyOptions(req.body)]);
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// Send contact
+router.post('/chats/send-contact', checkSession, idempotency, async (req, res) => {
+    try {
+        const { chatId, contactName, contactPhone, typingTime = 0 } = req.body;
+        
+        if (!chatId || !contactName || !contactPhone) {
+            return res.status(400).json({
+                success: false,
+                message: 'Missing required fields: chatId, contactName, contactPhone'
+            });
+        }
+
+        await sendQueued(req, res, 'sendContact', [chatId, contactName, contactPhone, typingTime, getReplyOptions(req.body)]);
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// Send button message
+router.post('/chats/send-button', checkSession, idempotency, async (req, res) => {
+    try {
+        const { chatId, text, footer, buttons, typingTime = 0 } = req.body;
+        
+        if (!chatId || !text || !buttons || !Array.isArray(buttons)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Missing required fields: chatId, text, buttons (array)'
+            });
+        }
+
+        await sendQueued(req, res, 'sendButton', [chatId, text, footer || '', buttons, typingTime, getReplyOptions(req.body)]);
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+const INTERACTIVE_FALLBACKS = ['auto', 'text', 'none'];
+
+// Send list message
+router.post('/chats/send-list', checkSession, idempotency, async (req, res) => {
+    try {
+        const { chatId, text, title, footer, buttonText = 'Menu', sections, fallback, typingTime = 0 } = req.body;
+        
+        if (!chatId || !text || !Array.isArray(sections)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Missing required fields: chatId, text, sections (array)'
+            });
+        }
+        if (fallback && !INTERACTIVE_FALLBACKS.includes(fallback)) {
+            return res.status(400).json({
+                success: false,
+                message: `fallback must be one of: ${INTERACTIVE_FALLBACKS.join(', ')}`
+            });
+        }
+
+        const normalized = InteractiveMessage.normalizeSections(sections);
+        if (normalized.error) {
+            return res.status(400).json({
+                success: false,
+                message: normalized.error
+            });
+        }
+
+        await sendQueued(req, res, 'sendList', [chatId, {
+            text,
+            title: title || '',
+            footer: footer || '',
+            buttonText,
+            sections: normalized.sections
+        }, typingTime, { ...getReplyOptions(req.body), fallback }]);
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// Send template message (quick reply, URL and call buttons)
+router.post('/chats/send-template', checkSession, idempotency, async (req, res) => {
+    try {
+        const { chatId, text, title, footer, buttons, fallback, typingTime = 0 } = req.body;
+        
+        if (!chatId || !text || !Array.isArray(buttons)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Missing required fields: chatId, text, buttons (array)'
+            });
+        }
+        if (fallback && !INTERACTIVE_FALLBACKS.includes(fallback)) {
+            return res.status(400).json({
+                success: false,
+                message: `fallback must be one of: ${INTERACTIVE_FALLBACKS.join(', ')}`
+            });
+        }
+
+        const normalized = InteractiveMessage.normalizeButtons(buttons);
+        if (normalized.error) {
+            return res.status(400).json({
+                success: false,
+                message: normalized.error
+            });
+        }
+
+        await sendQueued(req, res, 'sendTemplate', [chatId, {
+            text,
+            title: title || '',
+            footer: footer || '',
+            buttons: normalized.buttons
+        }, typingTime, { ...getReplyOptions(req.body), fallback }]);
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// Send poll
+router.post('/chats/send-poll', checkSession, idempotency, async (req, res) => {
+    try {
+        const { chatId, question, options, multiSelect = false, typingTime = 0 } = req.body;
+        
+        if (!chatId || !question || !Array.isArray(options)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Missing required fields: chatId, question, options (array)'
+            });
+        }
+
+        const pollOptions = options.map(o => String(o).trim()).filter(Boolean);
+        if (pollOptions.length < 2 || pollOptions.length > 12) {
+            return res.status(400).json({
+                success: false,
+                message: 'Poll must have between 2 and 12 options'
+            });
+        }
+        if (new Set(pollOptions).size !== pollOptions.length) {
+            return res.status(400).json({
+                success: false,
+                message: 'Poll options must be unique'
+            });
+        }
+
+        await sendQueued(req, res, 'sendPoll', [chatId, question, pollOptions, multiSelect, typingTime, getReplyOptions(req.body)]);
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// Forward a stored message
+router.post('/chats/forward', checkSession, async (req, res) => {
+    try {
+        const { messageId, fromChatId, to, typingTime = 0 } = req.body;
+        const targets = Array.isArray(to) ? to : (to ? [to] : []);
+        
+        if (!messageId || targets.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Missing required fields: messageId, to (chat ID or array of chat IDs)'
+            });
+        }
+
+        await sendQueued(req, res, 'forwardMessage', [messageId, targets, fromChatId || null, typingTime]);
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// React to a message
+router.post('/chats/messages/react', checkSession, async (req, res) => {
+    try {
+        const { messageId, emoji, chatId } = req.body;
+        
+        if (!messageId || !emoji) {
+            return res.status(400).json({
+                success: false,
+                message: 'Missing required fields: messageId, emoji'
+            });
+        }
+
+        const result = await req.session.reactToMessage(messageId, emoji, chatId || null);
+        res.json(result);
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// Remove reaction from a message
+router.post('/chats/messages/unreact', checkSession, async (req, res) => {
+    try {
+        const { messageId, chatId } = req.body;
+        
+        if (!messageId) {
+            return res.status(400).json({
+                success: false,
+                message: 'Missing required field: messageId'
+            });
+        }
+
+        const result = await req.session.removeReaction(messageId, chatId || null);
+        res.json(result);
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// Edit a sent text message
+router.post('/chats/messages/edit', checkSession, async (req, res) => {
+    try {
+        const { messageId, message, chatId } = req.body;
+        
+        if (!messageId || !message) {
+            return res.status(400).json({
+                success: false,
+                message: 'Missing required fields: messageId, message'
+            });
+        }
+
+        const result = await req.session.editMessage(messageId, message, chatId || null);
+        res.json(result);
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// Delete a sent message for everyone
+router.post('/chats/messages/revoke', checkSession, async (req, res) => {
+    try {
+        const { messageId, chatId } = req.body;
+        
+        if (!messageId) {
+            return res.status(400).json({
+                success: false,
+                message: 'Missing required field: messageId'
+            });
+        }
+
+        const result = await req.session.revokeMessage(messageId, chatId || null);
+        res.json(result);
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// Delivery / read status history of a sent message (per participant in groups)
+// Query: sessionId, chatId (optional)
+router.get('/chats/messages/:messageId/status', (req, res) => {
+    try {
+        const { sessionId, chatId } = req.query;
+
+        if (!sessionId) {
+            return res.status(400).json({
+                success: false,
+                message: 'Missing required query parameter: sessionId'
+            });
+        }
+
+        const session = whatsappManager.getSession(sessionId);
+
+        if (!session) {
+            return res.status(404).json({
+                success: false,
+                message: 'Session not found'
+            });
+        }
+
+        const result = session.getMessageStatus(req.params.messageId, chatId || null);
+        res.status(result.success ? 200 : 404).json(result);
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// Send presence update (typing indicator)
+router.post('/chats/presence', checkSession, async (req, res) => {
+    try {
+        const { chatId, presence = 'composing' } = req.body;
+        
+        if (!chatId) {
+            return res.status(400).json({
+                success: false,
+                message: 'Missing required field: chatId'
+            });
+        }
+        
+        const validPresences = ['composing', 'recording', 'paused', 'available', 'unavailable'];
+        if (!validPresences.includes(presence)) {
+            return res.status(400).json({
+                success: false,
+                message: `Invalid presence. Must be one of: ${validPresences.join(', ')}`
+            });
+        }
+        
+        const result = await req.session.sendPresenceUpdate(chatId, presence);
+        res.json(result);
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// Check if number is registered on WhatsApp
+router.post('/chats/check-number', checkSession, async (req, res) => {
+    try {
+        const { phone } = req.body;
+        
+        if (!phone) {
+            return res.status(400).json({
+                success: false,
+                message: 'Missing required field: phone'
+            });
+        }
+        
+        const result = await req.session.isRegistered(phone);
+        res.json(result);
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// Get profile picture
+router.post('/chats/profile-picture', checkSession, async (req, res) => {
+    try {
+        const { phone } = req.body;
+        
+        if (!phone) {
+            return res.status(400).json({
+                success: false,
+                message: 'Missing required field: phone'
+            });
+        }
+        
+        const result = await req.session.getProfilePicture(phone);
+        res.json(result);
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// ==================== CHAT HISTORY API ====================
+
+/**
+ * Get chats overview - hanya chat yang punya pesan
+ * Body: { sessionId, limit?, offset?, type? }
+ * type: 'all' | 'personal' | 'group'
+ */
+router.post('/chats/overview', checkSession, async (req, res) => {
+    try {
+        const { limit = 50, offset = 0, type = 'all' } = req.body;
+        const result = await req.session.getChatsOverview(limit, offset, type);
+        res.json(result);
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+/**
+ * Get contacts list - semua kontak yang tersimpan
+ * Body: { sessionId, limit?, offset?, search? }
+ */
+router.post('/contacts', checkSession, async (req, res) => {
+    try {
+        const { limit = 100, offset = 0, search = '' } = req.body;
+        const result = await req.session.getContacts(limit, offset, search);
+        res.json(result);
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+/**
+ * Get messages from any chat (personal or group)
+ * Body: { sessionId, chatId, limit?, cursor? }
+ * chatId: phone number (628xxx) or group id (xxx@g.us)
+ */
+router.post('/chats/messages', checkSession, async (req, res) => {
+    try {
+        const { chatId, limit = 50, cursor = null } = req.body;
+        
+        if (!chatId) {
+            return res.status(400).json({
+                success: false,
+                message: 'Missing required field: chatId'
+            });
+        }
+        
+        const result = await req.session.getChatMessages(chatId, limit, cursor);
+        res.json(result);
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+/**
+ * Search messages (text, captions, document filenames)
+ * Body: { sessionId, query, chatId?, sender?, fromMe?, type?, from?, to?, limit?, cursor? }
+ */
+router.post('/chats/search', checkSession, async (req, res) => {
     try {
-        const { chatId, message, typingTime = 0 } = req.body;
-        
-        if (!chatId || !message) {
+        const { query, chatId, sender, fromMe, type, from, to, limit = 20, cursor = null } = req.body;
+
+        if (!query || typeof query !== 'string') {
             return res.status(400).json({
                 success: false,
-                message: 'Missing required fields: chatId, message'
+                message: 'Missing required field: query'
             });
         }
 
-        const result = await req.session.sendTextMessage(chatId, message, typingTime);
-        res.json(result);
+        const result = await req.session.searchMessages(query, { chatId, sender, fromMe, type, from, to, limit, cursor });
+        res.status(result.success ? 200 : 400).json(result);
     } catch (error) {
         res.status(500).json({
             success: false,
@@ -364,20 +1314,41 @@ router.post('/chats/send-text', checkSession, async (req, res) => {
     }
 });
 
-// Send image
-router.post('/chats/send-image', checkSession, async (req, res) => {
+/**
+ * Export chat history as a download
+ * Body: { sessionId, chatId, format?: json|csv|html|txt, from?, to?, timeZone? }
+ */
+router.post('/chats/export', checkSession, async (req, res) => {
     try {
-        const { chatId, imageUrl, caption, typingTime = 0 } = req.body;
-        
-        if (!chatId || !imageUrl) {
+        const { chatId, format = 'json', from, to, timeZone } = req.body;
+
+        if (!chatId) {
             return res.status(400).json({
                 success: false,
-                message: 'Missing required fields: chatId, imageUrl'
+                message: 'Missing required field: chatId'
             });
         }
 
-        const result = await req.session.sendImage(chatId, imageUrl, caption || '', typingTime);
-        res.json(result);
+        const result = req.session.exportChat(chatId, {
+            format,
+            from,
+            to,
+            timeZone,
+            baseUrl: `${req.protocol}://${req.get('host')}`
+        });
+
+        if (!result.success) {
+            return res.status(400).json(result);
+        }
+
+        res.setHeader('Content-Type', result.data.contentType);
+        res.setHeader('Content-Disposition', `attachment; filename="${result.data.filename}"`);
+
+        pipeline(Readable.from(result.data.stream), res, (error) => {
+            if (error && error.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+                console.error(`[${req.body.sessionId}] Chat export error:`, error.message);
+            }
+        });
     } catch (error) {
         res.status(500).json({
             success: false,
@@ -386,20 +1357,57 @@ router.post('/chats/send-image', checkSession, async (req, res) => {
     }
 });
 
-// Send document
-router.post('/chats/send-document', checkSession, async (req, res) => {
+/**
+ * Import a chat exported by the WhatsApp app into the message store
+ * multipart/form-data: file (.zip or .txt), sessionId, chatId,
+ * senders? (JSON { "Name": "phone" }), me? (name), dateOrder?, timeZone?
+ */
+const chatArchiveUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: (parseInt(process.env.CHAT_IMPORT_MAX_MB) || 200) * 1024 * 1024, files: 1 }
+}).single('file');
+
+router.post('/chats/import', (req, res, next) => {
+    chatArchiveUpload(req, res, (error) => {
+        if (error) {
+            return res.status(error.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({
+                success: false,
+                message: error.code === 'LIMIT_FILE_SIZE' ? 'Chat export too large (CHAT_IMPORT_MAX_MB)' : error.message
+            });
+        }
+        next();
+    });
+}, checkSession, async (req, res) => {
     try {
-        const { chatId, documentUrl, filename, mimetype, typingTime = 0 } = req.body;
-        
-        if (!chatId || !documentUrl || !filename) {
+        const { chatId, me, dateOrder, timeZone } = req.body;
+
+        if (!chatId || !req.file) {
             return res.status(400).json({
                 success: false,
-                message: 'Missing required fields: chatId, documentUrl, filename'
+                message: 'Missing required fields: chatId, file'
             });
         }
 
-        const result = await req.session.sendDocument(chatId, documentUrl, filename, mimetype, typingTime);
-        res.json(result);
+        let senders = req.body.senders || {};
+        if (typeof senders === 'string') {
+            try {
+                senders = JSON.parse(senders);
+            } catch (e) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'senders must be a JSON object: { "Name in export": "phone or JID" }'
+                });
+            }
+        }
+
+        const result = await req.session.importChat(chatId, req.file.buffer, {
+            filename: req.file.originalname,
+            senders,
+            me,
+            dateOrder: dateOrder ? String(dateOrder).toUpperCase() : null,
+            timeZone
+        });
+        res.status(result.success ? 200 : 400).json(result);
     } catch (error) {
         res.status(500).json({
             success: false,
@@ -408,19 +1416,22 @@ router.post('/chats/send-document', checkSession, async (req, res) => {
     }
 });
 
-// Send location
-router.post('/chats/send-location', checkSession, async (req, res) => {
+/**
+ * Get chat info/detail (personal or group)
+ * Body: { sessionId, chatId }
+ */
+router.post('/chats/info', checkSession, async (req, res) => {
     try {
-        const { chatId, latitude, longitude, name, typingTime = 0 } = req.body;
+        const { chatId } = req.body;
         
-        if (!chatId || latitude === undefined || longitude === undefined) {
+        if (!chatId) {
             return res.status(400).json({
                 success: false,
-                message: 'Missing required fields: chatId, latitude, longitude'
+                message: 'Missing required field: chatId'
             });
         }
-
-        const result = await req.session.sendLocation(chatId, latitude, longitude, name || '', typingTime);
+        
+        const result = await req.session.getChatInfo(chatId);
         res.json(result);
     } catch (error) {
         res.status(500).json({
@@ -430,19 +1441,22 @@ router.post('/chats/send-location', checkSession, async (req, res) => {
     }
 });
 
-// Send contact
-router.post('/chats/send-contact', checkSession, async (req, res) => {
+/**
+ * Mark a chat as read
+ * Body: { sessionId, chatId, messageId? }
+ */
+router.post('/chats/mark-read', checkSession, async (req, res) => {
     try {
-        const { chatId, contactName, contactPhone, typingTime = 0 } = req.body;
+        const { chatId, messageId } = req.body;
         
-        if (!chatId || !contactName || !contactPhone) {
+        if (!chatId) {
             return res.status(400).json({
                 success: false,
-                message: 'Missing required fields: chatId, contactName, contactPhone'
+                message: 'Missing required field: chatId'
             });
         }
-
-        const result = await req.session.sendContact(chatId, contactName, contactPhone, typingTime);
+        
+        const result = await req.session.markChatRead(chatId, messageId);
         res.json(result);
     } catch (error) {
         res.status(500).json({
@@ -452,20 +1466,23 @@ router.post('/chats/send-contact', checkSession, async (req, res) => {
     }
 });
 
-// Send button message
-router.post('/chats/send-button', checkSession, async (req, res) => {
+/**
+ * Archive or unarchive a chat
+ * Body: { sessionId, chatId, archive? = true }
+ */
+router.post('/chats/archive', checkSession, async (req, res) => {
     try {
-        const { chatId, text, footer, buttons, typingTime = 0 } = req.body;
-        
-        if (!chatId || !text || !buttons || !Array.isArray(buttons)) {
+        const { chatId, archive } = req.body;
+
+        if (!chatId) {
             return res.status(400).json({
                 success: false,
-                message: 'Missing required fields: chatId, text, buttons (array)'
+                message: 'Missing required field: chatId'
             });
         }
 
-        const result = await req.session.sendButton(chatId, text, footer || '', buttons, typingTime);
-        res.json(result);
+        const result = await req.session.archiveChat(chatId, archive !== false);
+        res.status(result.success ? 200 : 400).json(result);
     } catch (error) {
         res.status(500).json({
             success: false,
@@ -474,28 +1491,48 @@ router.post('/chats/send-button', checkSession, async (req, res) => {
     }
 });
 
-// Send presence update (typing indicator)
-router.post('/chats/presence', checkSession, async (req, res) => {
+/**
+ * Pin or unpin a chat
+ * Body: { sessionId, chatId, pin? = true }
+ */
+router.post('/chats/pin', checkSession, async (req, res) => {
     try {
-        const { chatId, presence = 'composing' } = req.body;
-        
+        const { chatId, pin } = req.body;
+
         if (!chatId) {
             return res.status(400).json({
                 success: false,
                 message: 'Missing required field: chatId'
             });
         }
-        
-        const validPresences = ['composing', 'recording', 'paused', 'available', 'unavailable'];
-        if (!validPresences.includes(presence)) {
+
+        const result = await req.session.pinChat(chatId, pin !== false);
+        res.status(result.success ? 200 : 400).json(result);
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+/**
+ * Mute a chat for a duration, or unmute it
+ * Body: { sessionId, chatId, duration: seconds | 'forever' | null }
+ */
+router.post('/chats/mute', checkSession, async (req, res) => {
+    try {
+        const { chatId, duration } = req.body;
+
+        if (!chatId) {
             return res.status(400).json({
                 success: false,
-                message: `Invalid presence. Must be one of: ${validPresences.join(', ')}`
+                message: 'Missing required field: chatId'
             });
         }
-        
-        const result = await req.session.sendPresenceUpdate(chatId, presence);
-        res.json(result);
+
+        const result = await req.session.muteChat(chatId, duration ?? null);
+        res.status(result.success ? 200 : 400).json(result);
     } catch (error) {
         res.status(500).json({
             success: false,
@@ -504,20 +1541,23 @@ router.post('/chats/presence', checkSession, async (req, res) => {
     }
 });
 
-// Check if number is registered on WhatsApp
-router.post('/chats/check-number', checkSession, async (req, res) => {
+/**
+ * Mark a chat as unread
+ * Body: { sessionId, chatId }
+ */
+router.post('/chats/mark-unread', checkSession, async (req, res) => {
     try {
-        const { phone } = req.body;
-        
-        if (!phone) {
+        const { chatId } = req.body;
+
+        if (!chatId) {
             return res.status(400).json({
                 success: false,
-                message: 'Missing required field: phone'
+                message: 'Missing required field: chatId'
             });
         }
-        
-        const result = await req.session.isRegistered(phone);
-        res.json(result);
+
+        const result = await req.session.markChatUnread(chatId);
+        res.status(result.success ? 200 : 400).json(result);
     } catch (error) {
         res.status(500).json({
             success: false,
@@ -526,20 +1566,23 @@ router.post('/chats/check-number', checkSession, async (req, res) => {
     }
 });
 
-// Get profile picture
-router.post('/chats/profile-picture', checkSession, async (req, res) => {
+/**
+ * Clear all messages of a chat
+ * Body: { sessionId, chatId }
+ */
+router.post('/chats/clear', checkSession, async (req, res) => {
     try {
-        const { phone } = req.body;
-        
-        if (!phone) {
+        const { chatId } = req.body;
+
+        if (!chatId) {
             return res.status(400).json({
                 success: false,
-                message: 'Missing required field: phone'
+                message: 'Missing required field: chatId'
             });
         }
-        
-        const result = await req.session.getProfilePicture(phone);
-        res.json(result);
+
+        const result = await req.session.clearChat(chatId);
+        res.status(result.success ? 200 : 400).json(result);
     } catch (error) {
         res.status(500).json({
             success: false,
@@ -548,18 +1591,23 @@ router.post('/chats/profile-picture', checkSession, async (req, res) => {
     }
 });
 
-// ==================== CHAT HISTORY API ====================
-
 /**
- * Get chats overview - hanya chat yang punya pesan
- * Body: { sessionId, limit?, offset?, type? }
- * type: 'all' | 'personal' | 'group'
+ * Delete a chat
+ * Body: { sessionId, chatId }
  */
-router.post('/chats/overview', checkSession, async (req, res) => {
+router.post('/chats/delete', checkSession, async (req, res) => {
     try {
-        const { limit = 50, offset = 0, type = 'all' } = req.body;
-        const result = await req.session.getChatsOverview(limit, offset, type);
-        res.json(result);
+        const { chatId } = req.body;
+
+        if (!chatId) {
+            return res.status(400).json({
+                success: false,
+                message: 'Missing required field: chatId'
+            });
+        }
+
+        const result = await req.session.deleteChat(chatId);
+        res.status(result.success ? 200 : 400).json(result);
     } catch (error) {
         res.status(500).json({
             success: false,
@@ -568,15 +1616,44 @@ router.post('/chats/overview', checkSession, async (req, res) => {
     }
 });
 
+// ==================== STATUS API ====================
+
+// Audience: 'contacts' (default), array of numbers / group IDs, or a comma separated string (multipart)
+const getStatusAudience = (body) => {
+    const { audience } = body;
+    if (Array.isArray(audience)) return audience;
+    if (typeof audience === 'string' && audience && audience !== 'contacts') {
+        return audience.split(',').map(a => a.trim()).filter(Boolean);
+    }
+    return 'contacts';
+};
+
 /**
- * Get contacts list - semua kontak yang tersimpan
- * Body: { sessionId, limit?, offset?, search? }
+ * Post text status
+ * Body: { sessionId, text, backgroundColor?, font?, audience? }
  */
-router.post('/contacts', checkSession, async (req, res) => {
+router.post('/status/send-text', checkSession, async (req, res) => {
     try {
-        const { limit = 100, offset = 0, search = '' } = req.body;
-        const result = await req.session.getContacts(limit, offset, search);
-        res.json(result);
+        const { text, backgroundColor, font } = req.body;
+        
+        if (!text) {
+            return res.status(400).json({
+                success: false,
+                message: 'Missing required fields: text'
+            });
+        }
+        if (backgroundColor && !/^#?([0-9a-f]{2})?[0-9a-f]{6}$/i.test(backgroundColor)) {
+            return res.status(400).json({
+                success: false,
+                message: 'backgroundColor must be a hex color (#RRGGBB or #AARRGGBB)'
+            });
+        }
+        
+        await sendQueued(req, res, 'postTextStatus', [text, {
+            backgroundColor,
+            font: font !== undefined ? Number(font) : undefined,
+            audience: getStatusAudience(req.body)
+        }]);
     } catch (error) {
         res.status(500).json({
             success: false,
@@ -586,23 +1663,19 @@ router.post('/contacts', checkSession, async (req, res) => {
 });
 
 /**
- * Get messages from any chat (personal or group)
- * Body: { sessionId, chatId, limit?, cursor? }
- * chatId: phone number (628xxx) or group id (xxx@g.us)
+ * Post image status
+ * Body: { sessionId, imageUrl (or file upload), caption?, audience? }
  */
-router.post('/chats/messages', checkSession, async (req, res) => {
+router.post('/status/send-image', mediaUpload('image', 'imageUrl'), checkSession, async (req, res) => {
     try {
-        const { chatId, limit = 50, cursor = null } = req.body;
-        
-        if (!chatId) {
+        if (!req.media) {
             return res.status(400).json({
                 success: false,
-                message: 'Missing required field: chatId'
+                message: 'Missing required fields: imageUrl (or file upload)'
             });
         }
         
-        const result = await req.session.getChatMessages(chatId, limit, cursor);
-        res.json(result);
+        await sendQueued(req, res, 'postImageStatus', [req.media.source, req.body.caption || '', getStatusAudience(req.body)]);
     } catch (error) {
         res.status(500).json({
             success: false,
@@ -612,21 +1685,34 @@ router.post('/chats/messages', checkSession, async (req, res) => {
 });
 
 /**
- * Get chat info/detail (personal or group)
- * Body: { sessionId, chatId }
+ * Post video status
+ * Body: { sessionId, videoUrl (or file upload), caption?, audience? }
  */
-router.post('/chats/info', checkSession, async (req, res) => {
+router.post('/status/send-video', mediaUpload('video', 'videoUrl'), checkSession, async (req, res) => {
     try {
-        const { chatId } = req.body;
-        
-        if (!chatId) {
+        if (!req.media) {
             return res.status(400).json({
                 success: false,
-                message: 'Missing required field: chatId'
+                message: 'Missing required fields: videoUrl (or file upload)'
             });
         }
         
-        const result = await req.session.getChatInfo(chatId);
+        await sendQueued(req, res, 'postVideoStatus', [req.media.source, req.body.caption || '', getStatusAudience(req.body)]);
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+/**
+ * Get our status updates of the last 24 hours with viewers
+ * Body: { sessionId }
+ */
+router.post('/status/list', checkSession, async (req, res) => {
+    try {
+        const result = req.session.getMyStatuses();
         res.json(result);
     } catch (error) {
         res.status(500).json({
@@ -637,22 +1723,22 @@ router.post('/chats/info', checkSession, async (req, res) => {
 });
 
 /**
- * Mark a chat as read
- * Body: { sessionId, chatId, messageId? }
+ * Get viewers of one of our status updates
+ * Body: { sessionId, statusId }
  */
-router.post('/chats/mark-read', checkSession, async (req, res) => {
+router.post('/status/viewers', checkSession, async (req, res) => {
     try {
-        const { chatId, messageId } = req.body;
+        const { statusId } = req.body;
         
-        if (!chatId) {
+        if (!statusId) {
             return res.status(400).json({
                 success: false,
-                message: 'Missing required field: chatId'
+                message: 'Missing required fields: statusId'
             });
         }
         
-        const result = await req.session.markChatRead(chatId, messageId);
-        res.json(result);
+        const result = req.session.getStatusViewers(statusId);
+        res.status(result.success ? 200 : 404).json(result);
     } catch (error) {
         res.status(500).json({
             success: false,
@@ -906,20 +1992,20 @@ router.post('/groups/settings', checkSession, async (req, res) => {
 
 /**
  * Update group profile picture
- * Body: { sessionId, groupId, imageUrl }
+ * Body: { sessionId, groupId, imageUrl } or multipart/form-data with `file`
  */
-router.post('/groups/picture', checkSession, async (req, res) => {
+router.post('/groups/picture', mediaUpload('image', 'imageUrl'), checkSession, async (req, res) => {
     try {
-        const { groupId, imageUrl } = req.body;
+        const { groupId } = req.body;
         
-        if (!groupId || !imageUrl) {
+        if (!groupId || !req.media) {
             return res.status(400).json({
                 success: false,
-                message: 'Missing required fields: groupId, imageUrl'
+                message: 'Missing required fields: groupId, imageUrl (or file upload)'
             });
         }
         
-        const result = await req.session.groupUpdateProfilePicture(groupId, imageUrl);
+        const result = await req.session.groupUpdateProfilePicture(groupId, req.media.source);
         res.json(result);
     } catch (error) {
         res.status(500).json({
@@ -1029,6 +2115,47 @@ router.post('/groups/revoke-invite', checkSession, async (req, res) => {
     }
 });
 
+// ==================== MESSAGE QUEUE API ====================
+
+/**
+ * Get outbound queue stats
+ * Query: sessionId (optional)
+ */
+router.get('/queue/stats', (req, res) => {
+    try {
+        res.json({
+            success: true,
+            data: messageQueue.getStats(req.query.sessionId || null)
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+/**
+ * Get a queued message job (status, attempts, last error, messageId once sent)
+ * Query: sessionId (optional, routes the request to the owning worker in cluster mode)
+ */
+router.get('/queue/:jobId', (req, res) => {
+    try {
+        const result = messageQueue.getJob(req.params.jobId);
+        
+        if (!result.success) {
+            return res.status(404).json(result);
+        }
+        
+        res.json(result);
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
 // ==================== SCHEDULER API ====================
 
 /**
@@ -1094,11 +2221,11 @@ router.get('/schedules/:id', (req, res) => {
 
 /**
  * Create a new scheduled message
- * Body: { sessionId, chatId, message, scheduledAt, repeat?, name?, typingTime?, timezone? }
+ * Body: { sessionId, chatId, message, scheduledAt, repeat?, name?, typingTime?, timezone?, linkPreview? }
  */
 router.post('/schedules', (req, res) => {
     try {
-        const { sessionId, chatId, message, scheduledAt, repeat, name, typingTime, timezone } = req.body;
+        const { sessionId, chatId, message, scheduledAt, repeat, name, typingTime, timezone, linkPreview } = req.body;
         
         // Validate session exists
         const session = whatsappManager.getSession(sessionId);
@@ -1117,7 +2244,8 @@ router.post('/schedules', (req, res) => {
             repeat: repeat || 'once',
             name,
             typingTime: typingTime || 0,
-            timezone: timezone || 'Asia/Jakarta'
+            timezone: timezone || 'Asia/Jakarta',
+            linkPreview: linkPreview === true
         });
         
         if (!result.success) {
@@ -1135,7 +2263,7 @@ router.post('/schedules', (req, res) => {
 
 /**
  * Update a scheduled message
- * Body: { name?, chatId?, message?, scheduledAt?, repeat?, typingTime?, timezone?, enabled? }
+ * Body: { name?, chatId?, message?, scheduledAt?, repeat?, typingTime?, timezone?, enabled?, linkPreview? }
  */
 router.patch('/schedules/:id', (req, res) => {
     try {
@@ -1407,7 +2535,7 @@ router.get('/broadcasts/:id', (req, res) => {
  */
 router.post('/broadcasts', (req, res) => {
     try {
-        const { name, sessionId, recipients, message, mediaUrl, mediaType, caption, scheduledAt } = req.body;
+        const { name, sessionId, recipients, message, mediaUrl, mediaType, caption, scheduledAt, linkPreview } = req.body;
         
         // Validate session exists
         const session = whatsappManager.getSession(sessionId);
@@ -1423,7 +2551,8 @@ router.post('/broadcasts', (req, res) => {
             mediaUrl,
             mediaType,
             caption,
-            scheduledAt
+            scheduledAt,
+            linkPreview
         });
         
         if (!result.success) return res.status(400).json(result);
@@ -87,6 +87,21 @@ class AIService {
         return { success: true, message: 'Config updated', data: newConfig };
     }
 
+    /**
+     * Get stored config for a session (null if never configured)
+     */
+    exportConfig(sessionId) {
+        return this.sessionConfigs.get(sessionId) || null;
+    }
+
+    /**
+     * Replace config for a session (from a session bundle)
+     */
+    importConfig(sessionId, config) {
+        this.sessionConfigs.set(sessionId, { ...this.defaultConfig, ...config });
+        this._saveConfig();
+    }
+
     /**
      * Enable AI for a session
      */
@@ -0,0 +1,105 @@
+const { useMultiFileAuthState } = require('@whiskeysockets/baileys');
+const path = require('path');
+const fs = require('fs');
+
+// Files in the session folder that are not part of the auth state
+const NON_AUTH_FILES = ['config.json', 'store.json'];
+
+// Same escaping useMultiFileAuthState applies to key names
+const fixFileName = (file) => file.replace(/\//g, '__').replace(/:/g, '-');
+
+/**
+ * File Auth State Store
+ * Default backend: sessions/<sessionId>/ with creds, keys, config.json and store.json
+ */
+class FileAuthStateStore {
+    constructor(options = {}) {
+        this.type = 'file';
+        this.baseFolder = options.folder || path.join(process.cwd(), 'sessions');
+    }
+
+    _sessionFolder(sessionId) {
+        return path.join(this.baseFolder, sessionId);
+    }
+
+    _ensureFolder(folder) {
+        if (!fs.existsSync(folder)) {
+            fs.mkdirSync(folder, { recursive: true });
+        }
+    }
+
+    async useAuthState(sessionId) {
+        return useMultiFileAuthState(this._sessionFolder(sessionId));
+    }
+
+    async listSessions() {
+        this._ensureFolder(this.baseFolder);
+
+        return fs.readdirSync(this.baseFolder).filter(name => 
+            fs.statSync(path.join(this.baseFolder, name)).isDirectory()
+        );
+    }
+
+    async removeSession(sessionId) {
+        const folder = this._sessionFolder(sessionId);
+        if (fs.existsSync(folder)) {
+            fs.rmSync(folder, { recursive: true, force: true });
+        }
+    }
+
+    /**
+     * Export creds and signal keys as { key: json } (keys are file names without .json)
+     */
+    async exportAuthState(sessionId) {
+        const folder = this._sessionFolder(sessionId);
+        const entries = {};
+        if (!fs.existsSync(folder)) return entries;
+
+        for (const file of fs.readdirSync(folder)) {
+            if (!file.endsWith('.json') || NON_AUTH_FILES.includes(file)) continue;
+            entries[file.slice(0, -5)] = fs.readFileSync(path.join(folder, file), 'utf8');
+        }
+        return entries;
+    }
+
+    /**
+     * Replace creds and signal keys with exported entries
+     */
+    async importAuthState(sessionId, entries) {
+        const folder = this._sessionFolder(sessionId);
+        this._ensureFolder(folder);
+
+        for (const file of fs.readdirSync(folder)) {
+            if (file.endsWith('.json') && !NON_AUTH_FILES.includes(file)) {
+                fs.unlinkSync(path.join(folder, file));
+            }
+        }
+        for (const [key, value] of Object.entries(entries)) {
+            fs.writeFileSync(path.join(folder, `${fixFileName(key)}.json`), value);
+        }
+    }
+
+    async readConfig(sessionId) {
+        const configFile = path.join(this._sessionFolder(sessionId), 'config.json');
+        if (!fs.existsSync(configFile)) return null;
+        return JSON.parse(fs.readFileSync(configFile, 'utf8'));
+    }
+
+    async writeConfig(sessionId, config) {
+        const folder = this._sessionFolder(sessionId);
+        this._ensureFolder(folder);
+        fs.writeFileSync(path.join(folder, 'config.json'), JSON.stringify(config, null, 2));
+    }
+
+    async loadStore(sessionId, store) {
+        const storeFile = path.join(this._sessionFolder(sessionId), 'store.json');
+        if (!fs.existsSync(storeFile)) return false;
+        return store.readFromFile(storeFile);
+    }
+
+    async saveStore(sessionId, store) {
+        return store.writeToFile(path.join(this._sessionFolder(sessionId), 'store.json'));
+    }
+}
+
+module.exports = FileAuthStateStore;
@@ -0,0 +1,156 @@
+const { Pool } = require('pg');
+const makeKeyValueAuthState = require('./makeKeyValueAuthState');
+
+/**
+ * PostgreSQL Auth State Store
+ * 
+ * Tables (created on first use):
+ * - whatsapp_sessions   one row per session: config + store snapshot
+ * - whatsapp_auth_keys  creds and signal keys per session
+ */
+class PostgresAuthStateStore {
+    constructor(options = {}) {
+        this.type = 'postgres';
+        this.pool = options.pool || new Pool({
+            connectionString: options.connectionString || process.env.AUTH_STATE_DATABASE_URL || process.env.DATABASE_URL
+        });
+        this.ready = null;
+    }
+
+    /**
+     * Create tables if they don't exist (runs once)
+     */
+    _init() {
+        if (!this.ready) {
+            this.ready = this.pool.query(`
+                CREATE TABLE IF NOT EXISTS whatsapp_sessions (
+                    session_id TEXT PRIMARY KEY,
+                    config JSONB,
+                    store TEXT,
+                    created_at TIMESTAMPTZ DEFAULT NOW(),
+                    updated_at TIMESTAMPTZ DEFAULT NOW()
+                );
+                CREATE TABLE IF NOT EXISTS whatsapp_auth_keys (
+                    session_id TEXT NOT NULL REFERENCES whatsapp_sessions(session_id) ON DELETE CASCADE,
+                    key TEXT NOT NULL,
+                    value TEXT NOT NULL,
+                    PRIMARY KEY (session_id, key)
+                );
+            `).catch((error) => {
+                this.ready = null;
+                throw error;
+            });
+        }
+        return this.ready;
+    }
+
+    async _ensureSession(sessionId) {
+        await this._init();
+        await this.pool.query(
+            'INSERT INTO whatsapp_sessions (session_id) VALUES ($1) ON CONFLICT (session_id) DO NOTHING',
+            [sessionId]
+        );
+    }
+
+    async useAuthState(sessionId) {
+        await this._ensureSession(sessionId);
+
+        return makeKeyValueAuthState({
+            read: async (key) => {
+                const { rows } = await this.pool.query(
+                    'SELECT value FROM whatsapp_auth_keys WHERE session_id = $1 AND key = $2',
+                    [sessionId, key]
+                );
+                return rows[0]?.value || null;
+            },
+            write: (key, value) => this.pool.query(
+                `INSERT INTO whatsapp_auth_keys (session_id, key, value) VALUES ($1, $2, $3)
+                 ON CONFLICT (session_id, key) DO UPDATE SET value = EXCLUDED.value`,
+                [sessionId, key, value]
+            ),
+            remove: (key) => this.pool.query(
+                'DELETE FROM whatsapp_auth_keys WHERE session_id = $1 AND key = $2',
+                [sessionId, key]
+            )
+        });
+    }
+
+    async listSessions() {
+        await this._init();
+        const { rows } = await this.pool.query('SELECT session_id FROM whatsapp_sessions ORDER BY created_at');
+        return rows.map(row => row.session_id);
+    }
+
+    async removeSession(sessionId) {
+        await this._init();
+        await this.pool.query('DELETE FROM whatsapp_sessions WHERE session_id = $1', [sessionId]);
+    }
+
+    async exportAuthState(sessionId) {
+        await this._init();
+        const { rows } = await this.pool.query(
+            'SELECT key, value FROM whatsapp_auth_keys WHERE session_id = $1',
+            [sessionId]
+        );
+        return Object.fromEntries(rows.map(row => [row.key, row.value]));
+    }
+
+    async importAuthState(sessionId, entries) {
+        await this._ensureSession(sessionId);
+        const client = await this.pool.connect();
+        try {
+            await client.query('BEGIN');
+            await client.query('DELETE FROM whatsapp_auth_keys WHERE session_id = $1', [sessionId]);
+            for (const [key, value] of Object.entries(entries)) {
+                await client.query(
+                    'INSERT INTO whatsapp_auth_keys (session_id, key, value) VALUES ($1, $2, $3)',
+                    [sessionId, key, value]
+                );
+            }
+            await client.query('COMMIT');
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    async readConfig(sessionId) {
+        await this._init();
+        const { rows } = await this.pool.query(
+            'SELECT config FROM whatsapp_sessions WHERE session_id = $1',
+            [sessionId]
+        );
+        return rows[0]?.config || null;
+    }
+
+    async writeConfig(sessionId, config) {
+        await this._ensureSession(sessionId);
+        await this.pool.query(
+            'UPDATE whatsapp_sessions SET config = $2, updated_at = NOW() WHERE session_id = $1',
+            [sessionId, JSON.stringify(config)]
+        );
+    }
+
+    async loadStore(sessionId, store) {
+        await this._init();
+        const { rows } = await this.pool.query(
+            'SELECT store FROM whatsapp_sessions WHERE session_id = $1',
+            [sessionId]
+        );
+        if (!rows[0]?.store) return false;
+        return store.deserialize(rows[0].store);
+    }
+
+    async saveStore(sessionId, store) {
+        await this._ensureSession(sessionId);
+        await this.pool.query(
+            'UPDATE whatsapp_sessions SET store = $2, updated_at = NOW() WHERE session_id = $1',
+            [sessionId, store.serialize()]
+        );
+        return true;
+    }
+}
+
+module.exports = PostgresAuthStateStore;
@@ -0,0 +1,83 @@
+const { createRedisClient } = require('@chatery/shared');
+const makeKeyValueAuthState = require('./makeKeyValueAuthState');
+
+/**
+ * Redis Auth State Store
+ * 
+ * Keys:
+ * - {prefix}:sessions               SET of session IDs
+ * - {prefix}:session:{id}:auth      HASH of creds and signal keys
+ * - {prefix}:session:{id}:config    session config (JSON)
+ * - {prefix}:session:{id}:store     BaileysStore snapshot (JSON)
+ */
+class RedisAuthStateStore {
+    constructor(options = {}) {
+        this.type = 'redis';
+        this.prefix = options.prefix || process.env.AUTH_STATE_REDIS_PREFIX || 'chatery:wa';
+        this.redis = options.client || createRedisClient();
+    }
+
+    _key(sessionId, name) {
+        return `${this.prefix}:session:${sessionId}:${name}`;
+    }
+
+    async useAuthState(sessionId) {
+        const authKey = this._key(sessionId, 'auth');
+        await this.redis.sadd(`${this.prefix}:sessions`, sessionId);
+
+        return makeKeyValueAuthState({
+            read: (key) => this.redis.hget(authKey, key),
+            write: (key, value) => this.redis.hset(authKey, key, value),
+            remove: (key) => this.redis.hdel(authKey, key)
+        });
+    }
+
+    async listSessions() {
+        return this.redis.smembers(`${this.prefix}:sessions`);
+    }
+
+    async removeSession(sessionId) {
+        await this.redis.del(
+            this._key(sessionId, 'auth'),
+            this._key(sessionId, 'config'),
+            this._key(sessionId, 'store')
+        );
+        await this.redis.srem(`${this.prefix}:sessions`, sessionId);
+    }
+
+    async exportAuthState(sessionId) {
+        return this.redis.hgetall(this._key(sessionId, 'auth'));
+    }
+
+    async importAuthState(sessionId, entries) {
+        const authKey = this._key(sessionId, 'auth');
+        await this.redis.del(authKey);
+        if (Object.keys(entries).length > 0) {
+            await this.redis.hset(authKey, entries);
+        }
+        await this.redis.sadd(`${this.prefix}:sessions`, sessionId);
+    }
+
+    async readConfig(sessionId) {
+        const raw = await this.redis.get(this._key(sessionId, 'config'));
+        return raw ? JSON.parse(raw) : null;
+    }
+
+    async writeConfig(sessionId, config) {
+        await this.redis.sadd(`${this.prefix}:sessions`, sessionId);
+        await this.redis.set(this._key(sessionId, 'config'), JSON.stringify(config));
+    }
+
+    async loadStore(sessionId, store) {
+        const raw = await this.redis.get(this._key(sessionId, 'store'));
+        if (!raw) return false;
+        return store.deserialize(raw);
+    }
+
+    async saveStore(sessionId, store) {
+        await this.redis.set(this._key(sessionId, 'store'), store.serialize());
+        return true;
+    }
+}
+
+module.exports = RedisAuthStateStore;
@@ -0,0 +1,41 @@
+/**
+ * Auth State Store Module
+ * 
+ * Menyimpan credentials, config dan store snapshot setiap sesi.
+ * Backend dipilih lewat env AUTH_STATE_STORE:
+ * - file     : sessions/<sessionId>/ (default)
+ * - redis    : Redis (REDIS_HOST, REDIS_PORT, AUTH_STATE_REDIS_PREFIX)
+ * - postgres : PostgreSQL (AUTH_STATE_DATABASE_URL atau DATABASE_URL)
+ * 
+ * Setiap backend menyediakan:
+ * - useAuthState(sessionId)         -> { state, saveCreds } untuk makeWASocket
+ * - listSessions()                  -> daftar session ID yang tersimpan
+ * - removeSession(sessionId)        -> hapus semua data sesi
+ * - exportAuthState / importAuthState -> creds & signal keys sebagai { key: json }
+ * - readConfig / writeConfig        -> metadata & webhooks sesi
+ * - loadStore / saveStore           -> snapshot BaileysStore
+ */
+
+const createAuthStateStore = (type = process.env.AUTH_STATE_STORE || 'file') => {
+    switch (type) {
+        case 'redis': {
+            const RedisAuthStateStore = require('./RedisAuthStateStore');
+            return new RedisAuthStateStore();
+        }
+        case 'postgres': {
+            const PostgresAuthStateStore = require('./PostgresAuthStateStore');
+            return new PostgresAuthStateStore();
+        }
+        case 'file': {
+            const FileAuthStateStore = require('./FileAuthStateStore');
+            return new FileAuthStateStore();
+        }
+        default:
+            throw new Error(`Unknown AUTH_STATE_STORE "${type}". Use: file, redis, postgres`);
+    }
+};
+
+// Singleton instance
+const authStateStore = createAuthStateStore();
+
+module.exports = authStateStore;
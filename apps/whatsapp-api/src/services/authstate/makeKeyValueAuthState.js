@@ -0,0 +1,57 @@
+const { initAuthCreds, BufferJSON, proto } = require('@whiskeysockets/baileys');
+
+/**
+ * Build a Baileys auth state on top of a simple key-value backend
+ * Same layout as useMultiFileAuthState: one entry for creds, one per signal key
+ * 
+ * @param {Object} backend
+ * @param {Function} backend.read - async (key) => string|null (null when missing, rejects on backend errors)
+ * @param {Function} backend.write - async (key, value: string) => void
+ * @param {Function} backend.remove - async (key) => void
+ * @returns {Promise<{ state: Object, saveCreds: Function }>}
+ */
+const makeKeyValueAuthState = async ({ read, write, remove }) => {
+    // null only for missing keys: backend errors must fail the connect (and be retried),
+    // fresh creds saved over the registered ones would unlink the number
+    const readData = async (key) => {
+        const raw = await read(key);
+        return raw ? JSON.parse(raw, BufferJSON.reviver) : null;
+    };
+
+    const writeData = (key, data) => write(key, JSON.stringify(data, BufferJSON.replacer));
+
+    const creds = (await readData('creds')) || initAuthCreds();
+
+    return {
+        state: {
+            creds,
+            keys: {
+                get: async (type, ids) => {
+                    const data = {};
+                    await Promise.all(ids.map(async (id) => {
+                        let value = await readData(`${type}-${id}`);
+                        if (type === 'app-state-sync-key' && value) {
+                            value = proto.Message.AppStateSyncKeyData.fromObject(value);
+                        }
+                        data[id] = value;
+                    }));
+                    return data;
+                },
+                set: async (data) => {
+                    const tasks = [];
+                    for (const category in data) {
+                        for (const id in data[category]) {
+                            const value = data[category][id];
+                            const key = `${category}-${id}`;
+                            tasks.push(value ? writeData(key, value) : remove(key));
+                        }
+                    }
+                    await Promise.all(tasks);
+                }
+            }
+        },
+        saveCreds: () => writeData('creds', creds)
+    };
+};
+
+module.exports = makeKeyValueAuthState;
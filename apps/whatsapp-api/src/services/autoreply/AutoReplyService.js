@@ -441,6 +441,36 @@ class AutoReplyService {
         };
     }
 
+    /**
+     * Get rules scoped to one session (global '*' rules are not included)
+     * @param {string} sessionId
+     * @returns {Array}
+     */
+    exportRules(sessionId) {
+        return Array.from(this.rules.values()).filter(r => r.sessionId === sessionId);
+    }
+
+    /**
+     * Import rules for a session (from a session bundle)
+     * Re-importing into the same session replaces its rules with the same ID,
+     * rules from another session get new IDs (the source session keeps its own)
+     * @param {string} sessionId - Target session
+     * @param {Array} rules
+     * @returns {number} Number of imported rules
+     */
+    importRules(sessionId, rules = []) {
+        for (const rule of rules) {
+            const existing = rule.id && this.rules.get(rule.id);
+            const keepId = rule.id && rule.sessionId === sessionId && (!existing || existing.sessionId === sessionId);
+            const id = keepId ? rule.id : uuidv4();
+            this.rules.set(id, { ...rule, id, sessionId });
+        }
+        if (rules.length > 0) {
+            this._saveRules();
+        }
+        return rules.length;
+    }
+
     /**
      * Get rule stats
      * @returns {Object}
@@ -2,6 +2,9 @@ const { v4: uuidv4 } = require('uuid');
 const fs = require('fs');
 const path = require('path');
 const wsManager = require('../websocket');
+const messageQueue = require('../queue');
+
+const MEDIA_TYPES = ['image', 'document', 'video', 'audio', 'voice'];
 
 /**
  * Broadcast Service
@@ -74,9 +77,10 @@ class BroadcastService {
             recipients, // Array of phone numbers or chat IDs
             message,
             mediaUrl,
-            mediaType, // 'image', 'document', 'video'
+            mediaType, // 'image', 'document', 'video', 'audio', 'voice'
             caption,
-            scheduledAt
+            scheduledAt,
+            linkPreview // Attach OpenGraph preview of the first URL (text broadcasts)
         } = options;
 
         // Validation
@@ -88,6 +92,10 @@ class BroadcastService {
             return { success: false, message: 'Recipients must be a non-empty array' };
         }
 
+        if (mediaUrl && !MEDIA_TYPES.includes(mediaType)) {
+            return { success: false, message: `mediaType must be one of: ${MEDIA_TYPES.join(', ')}` };
+        }
+
         const id = uuidv4();
         const broadcast = {
             id,
@@ -97,6 +105,7 @@ class BroadcastService {
             mediaUrl: mediaUrl || null,
             mediaType: mediaType || null,
             caption: caption || null,
+            linkPreview: linkPreview === true,
             scheduledAt: scheduledAt ? new Date(scheduledAt).toISOString() : null,
             recipients: recipients.map(r => ({
                 chatId: r,
@@ -205,15 +214,31 @@ class BroadcastService {
             }
 
             try {
-                // Send message
-                let result;
+                // Send message (through the outbound queue: session rate limit and retries)
+                let method, args;
                 if (broadcast.mediaUrl && broadcast.mediaType === 'image') {
-                    result = await session.sendImage(recipient.chatId, broadcast.mediaUrl, broadcast.caption || broadcast.message, 1000);
+                    method = 'sendImage';
+                    args = [recipient.chatId, broadcast.mediaUrl, broadcast.caption || broadcast.message, 1000];
                 } else if (broadcast.mediaUrl && broadcast.mediaType === 'document') {
-                    result = await session.sendDocument(recipient.chatId, broadcast.mediaUrl, 'document', 'application/octet-stream', 1000);
+                    method = 'sendDocument';
+                    args = [recipient.chatId, broadcast.mediaUrl, 'document', 'application/octet-stream', 1000];
+                } else if (broadcast.mediaUrl && broadcast.mediaType === 'video') {
+                    method = 'sendVideo';
+                    args = [recipient.chatId, broadcast.mediaUrl, broadcast.caption || broadcast.message, false, 1000];
+                } else if (broadcast.mediaUrl && broadcast.mediaType === 'audio') {
+                    method = 'sendAudio';
+                    args = [recipient.chatId, broadcast.mediaUrl, 'audio/mpeg', false, 1000];
+                } else if (broadcast.mediaUrl && broadcast.mediaType === 'voice') {
+                    method = 'sendVoiceNote';
+                    args = [recipient.chatId, broadcast.mediaUrl, 1000];
                 } else {
-                    result = await session.sendTextMessage(recipient.chatId, broadcast.message, 1000);
+                    method = 'sendTextMessage';
+                    args = [recipient.chatId, broadcast.message, 1000, { linkPreview: broadcast.linkPreview }];
                 }
+                const result = await messageQueue.send(broadcast.sessionId, method, args, {
+                    source: 'broadcast',
+                    timeout: 0
+                });
 
                 if (result.success) {
                     recipient.status = 'sent';
@@ -0,0 +1,270 @@
+const crypto = require('crypto');
+const zlib = require('zlib');
+
+const authStateStore = require('../authstate');
+const aiService = require('../ai');
+const autoReplyService = require('../autoreply');
+const BaileysStore = require('../whatsapp/BaileysStore');
+const SqliteBaileysStore = require('../whatsapp/SqliteBaileysStore');
+
+// Bundle layout: MAGIC | salt | iv | authTag | AES-256-GCM(gzip(JSON))
+const MAGIC = Buffer.from('CHATERY1');
+const SALT_LENGTH = 16;
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+const BUNDLE_VERSION = 1;
+const MIN_PASSPHRASE_LENGTH = 8;
+const MESSAGE_STORE = process.env.MESSAGE_STORE || 'json';
+
+/**
+ * Session Bundle Service
+ * Export/import satu sesi (auth, config, store, AI config, rules) sebagai arsip terenkripsi
+ * untuk memindahkan nomor antar server tanpa scan ulang
+ */
+class SessionBundleService {
+    constructor() {
+        this.whatsappManager = null;
+    }
+
+    /**
+     * Set WhatsApp Manager reference
+     * @param {WhatsAppManager} manager
+     */
+    setWhatsAppManager(manager) {
+        this.whatsappManager = manager;
+    }
+
+    /**
+     * Validate passphrase
+     * @param {string} passphrase
+     * @returns {string|null} Error message or null when valid
+     */
+    _validatePassphrase(passphrase) {
+        if (!passphrase || typeof passphrase !== 'string') {
+            return 'Missing required field: passphrase';
+        }
+        if (passphrase.length < MIN_PASSPHRASE_LENGTH) {
+            return `Passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters`;
+        }
+        return null;
+    }
+
+    _deriveKey(passphrase, salt) {
+        return crypto.scryptSync(passphrase, salt, 32);
+    }
+
+    /**
+     * Encrypt bundle content
+     * @param {Object} content
+     * @param {string} passphrase
+     * @returns {Buffer}
+     */
+    _encrypt(content, passphrase) {
+        const salt = crypto.randomBytes(SALT_LENGTH);
+        const iv = crypto.randomBytes(IV_LENGTH);
+        const cipher = crypto.createCipheriv('aes-256-gcm', this._deriveKey(passphrase, salt), iv);
+
+        const compressed = zlib.gzipSync(JSON.stringify(content));
+        const encrypted = Buffer.concat([cipher.update(compressed), cipher.final()]);
+
+        return Buffer.concat([MAGIC, salt, iv, cipher.getAuthTag(), encrypted]);
+    }
+
+    /**
+     * Decrypt bundle content
+     * @param {Buffer} buffer
+     * @param {string} passphrase
+     * @returns {Object}
+     */
+    _decrypt(buffer, passphrase) {
+        const headerLength = MAGIC.length + SALT_LENGTH + IV_LENGTH + TAG_LENGTH;
+        if (!Buffer.isBuffer(buffer) || buffer.length <= headerLength || !buffer.subarray(0, MAGIC.length).equals(MAGIC)) {
+            throw new Error('Invalid session bundle');
+        }
+
+        let offset = MAGIC.length;
+        const salt = buffer.subarray(offset, offset += SALT_LENGTH);
+        const iv = buffer.subarray(offset, offset += IV_LENGTH);
+        const authTag = buffer.subarray(offset, offset += TAG_LENGTH);
+        const encrypted = buffer.subarray(offset);
+
+        let compressed;
+        try {
+            const decipher = crypto.createDecipheriv('aes-256-gcm', this._deriveKey(passphrase, salt), iv);
+            decipher.setAuthTag(authTag);
+            compressed = Buffer.concat([decipher.update(encrypted), decipher.final()]);
+        } catch (error) {
+            throw new Error('Wrong passphrase or corrupted bundle');
+        }
+
+        return JSON.parse(zlib.gunzipSync(compressed).toString('utf8'));
+    }
+
+    /**
+     * Export a session as an encrypted bundle
+     * @param {string} sessionId
+     * @param {string} passphrase
+     * @returns {Object} { success, message, data: { filename, buffer } }
+     */
+    async exportSession(sessionId, passphrase) {
+        try {
+            const passphraseError = this._validatePassphrase(passphrase);
+            if (passphraseError) {
+                return { success: false, message: passphraseError };
+            }
+
+            const session = this.whatsappManager?.getSession(sessionId);
+            if (!session) {
+                return { success: false, message: 'Session not found' };
+            }
+
+            // Flush latest store snapshot before reading it
+            await session._persistStore();
+
+            const auth = await authStateStore.exportAuthState(sessionId);
+            if (!auth || !auth.creds) {
+                return { success: false, message: 'Session has no stored credentials. Connect it first.' };
+            }
+
+            const content = {
+                version: BUNDLE_VERSION,
+                sessionId,
+                exportedAt: new Date().toISOString(),
+                account: {
+                    phoneNumber: session.phoneNumber,
+                    name: session.name
+                },
+                auth,
+                config: {
+                    metadata: session.metadata,
+                    webhooks: session.webhooks,
+                    proxy: session.proxy,
+                    reconnect: session.reconnectPolicy.getConfig()
+                },
+                store: session.store ? session.store.serialize() : null,
+                // MESSAGE_STORE=sqlite: the whole history (the snapshot above is the in-memory window)
+                storeDatabase: session.store instanceof SqliteBaileysStore
+                    ? session.store.exportDatabase().toString('base64')
+                    : null,
+                ai: aiService.exportConfig(sessionId),
+                rules: autoReplyService.exportRules(sessionId)
+            };
+
+            console.log(`📦 [${sessionId}] Session bundle exported`);
+
+            return {
+                success: true,
+                message: 'Session exported',
+                data: {
+                    filename: `${sessionId}-${Date.now()}.chatery`,
+                    buffer: this._encrypt(content, passphrase)
+                }
+            };
+        } catch (error) {
+            return { success: false, message: error.message };
+        }
+    }
+
+    /**
+     * Import an encrypted bundle and resume the session
+     * @param {Buffer} buffer - Bundle file content
+     * @param {string} passphrase
+     * @param {Object} options
+     * @param {string} options.sessionId - Import under a different session ID
+     * @param {boolean} options.overwrite - Replace stored data of a session that is not running
+     * @returns {Object}
+     */
+    async importSession(buffer, passphrase, options = {}) {
+        try {
+            const passphraseError = this._validatePassphrase(passphrase);
+            if (passphraseError) {
+                return { success: false, message: passphraseError };
+            }
+
+            let bundle;
+            try {
+                bundle = this._decrypt(buffer, passphrase);
+            } catch (error) {
+                return { success: false, message: error.message };
+            }
+
+            if (bundle.version !== BUNDLE_VERSION || !bundle.auth?.creds) {
+                return { success: false, message: 'Unsupported session bundle' };
+            }
+
+            const sessionId = options.sessionId || bundle.sessionId;
+            if (!this.whatsappManager.isValidSessionId(sessionId)) {
+                return {
+                    success: false,
+                    message: 'Invalid session ID. Use only letters, numbers, underscore, and dash.'
+                };
+            }
+
+            if (this.whatsappManager.getSession(sessionId)) {
+                return {
+                    success: false,
+                    message: `Session ${sessionId} is already running. Delete it first or import with another sessionId.`
+                };
+            }
+
+            const storedSessions = await authStateStore.listSessions();
+            if (storedSessions.includes(sessionId) || SqliteBaileysStore.exists(sessionId)) {
+                if (!options.overwrite) {
+                    return {
+                        success: false,
+                        message: `Session ${sessionId} already has stored data. Use overwrite=true to replace it.`
+                    };
+                }
+                await authStateStore.removeSession(sessionId);
+                SqliteBaileysStore.remove(sessionId);
+            }
+
+            await authStateStore.importAuthState(sessionId, bundle.auth);
+            await authStateStore.writeConfig(sessionId, bundle.config || {});
+
+            // MESSAGE_STORE=sqlite: bundles of SQLite sessions carry the database, the snapshot
+            // of others is migrated into a fresh database on connect
+            if (bundle.storeDatabase && MESSAGE_STORE === 'sqlite') {
+                SqliteBaileysStore.importDatabase(sessionId, Buffer.from(bundle.storeDatabase, 'base64'));
+            }
+
+            if (bundle.store) {
+                const store = new BaileysStore(sessionId);
+                if (store.deserialize(bundle.store)) {
+                    await authStateStore.saveStore(sessionId, store);
+                }
+            }
+
+            if (bundle.ai) {
+                aiService.importConfig(sessionId, bundle.ai);
+            }
+            const importedRules = autoReplyService.importRules(sessionId, bundle.rules || []);
+
+            console.log(`📦 [${sessionId}] Session bundle imported (from ${bundle.sessionId}, exported ${bundle.exportedAt})`);
+
+            // Resume with the imported credentials (no QR scan needed)
+            const result = await this.whatsappManager.createSession(sessionId);
+
+            return {
+                success: result.success,
+                message: result.success ? 'Session imported' : result.message,
+                data: {
+                    sessionId,
+                    sourceSessionId: bundle.sessionId,
+                    exportedAt: bundle.exportedAt,
+                    account: bundle.account || null,
+                    aiConfig: !!bundle.ai,
+                    rules: importedRules,
+                    session: result.data || null
+                }
+            };
+        } catch (error) {
+            return { success: false, message: error.message };
+        }
+    }
+}
+
+// Singleton instance
+const sessionBundleService = new SessionBundleService();
+
+module.exports = sessionBundleService;
@@ -0,0 +1,3 @@
+const sessionBundleService = require('./SessionBundleService');
+
+module.exports = sessionBundleService;
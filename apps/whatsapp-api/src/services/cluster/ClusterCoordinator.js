@@ -0,0 +1,257 @@
+const os = require('os');
+const { createRedisClient } = require('@chatery/shared');
+const authStateStore = require('../authstate');
+
+// Renew lease only if this worker still owns it
+const RENEW_SCRIPT = `
+if redis.call('GET', KEYS[1]) == ARGV[1] then
+    return redis.call('PEXPIRE', KEYS[1], ARGV[2])
+end
+return 0`;
+
+// Release lease only if this worker still owns it
+const RELEASE_SCRIPT = `
+if redis.call('GET', KEYS[1]) == ARGV[1] then
+    return redis.call('DEL', KEYS[1])
+end
+return 0`;
+
+/**
+ * Cluster Coordinator (Singleton)
+ * Membagi sesi ke beberapa worker whatsapp-api lewat lease di Redis.
+ * Setiap sesi dimiliki tepat satu worker; sesi milik worker yang mati
+ * diambil alih worker lain setelah lease-nya expired.
+ *
+ * Keys:
+ * - {prefix}:lease:{sessionId}   workerId pemilik sesi (PX = SESSION_LEASE_TTL)
+ * - {prefix}:worker:{workerId}   info worker + ringkasan sesi (PX = SESSION_LEASE_TTL)
+ * - {prefix}:workers             SET of worker IDs
+ */
+class ClusterCoordinator {
+    constructor() {
+        this.enabled = process.env.CLUSTER_MODE === 'true';
+        // Every worker must see the auth state of every session
+        if (this.enabled && !['redis', 'postgres'].includes(authStateStore.type)) {
+            throw new Error(`CLUSTER_MODE=true needs AUTH_STATE_STORE=redis or postgres (got "${authStateStore.type}")`);
+        }
+        // SQLite files live on the disk of one worker (and are unsafe on shared network volumes)
+        if (this.enabled && process.env.MESSAGE_STORE === 'sqlite') {
+            throw new Error('CLUSTER_MODE=true does not support MESSAGE_STORE=sqlite, use MESSAGE_STORE=json');
+        }
+        this.workerId = process.env.WORKER_ID || `${os.hostname()}-${process.pid}`;
+        this.workerUrl = process.env.WORKER_URL || `http://${os.hostname()}:${process.env.PORT || 3000}`;
+        this.prefix = process.env.CLUSTER_REDIS_PREFIX || 'chatery:cluster';
+        this.leaseTtl = parseInt(process.env.SESSION_LEASE_TTL) || 30_000;
+        this.maxSessions = parseInt(process.env.CLUSTER_MAX_SESSIONS) || 0; // 0 = unlimited
+        this.claimBatch = parseInt(process.env.CLUSTER_CLAIM_BATCH) || 5;
+        this.routing = process.env.CLUSTER_ROUTING === 'redirect' ? 'redirect' : 'proxy';
+        this.startedAt = new Date().toISOString();
+        this.redis = null;
+        this.whatsappManager = null;
+        this.heartbeatTimer = null;
+        this.ticking = false;
+    }
+
+    _leaseKey(sessionId) {
+        return `${this.prefix}:lease:${sessionId}`;
+    }
+
+    _workerKey(workerId) {
+        return `${this.prefix}:worker:${workerId}`;
+    }
+
+    /**
+     * Start heartbeat and claim unowned sessions
+     * @param {WhatsAppManager} manager
+     */
+    async start(manager) {
+        this.whatsappManager = manager;
+        this.redis = createRedisClient();
+
+        console.log(`🧩 Cluster mode: worker ${this.workerId} (${this.workerUrl}), lease ${this.leaseTtl}ms`);
+
+        await this._tick();
+        this.heartbeatTimer = setInterval(() => this._tick(), Math.max(1_000, Math.floor(this.leaseTtl / 3)));
+    }
+
+    /**
+     * Stop heartbeat, close local sessions and release their leases
+     */
+    async stop() {
+        if (!this.enabled || !this.redis) return;
+
+        if (this.heartbeatTimer) {
+            clearInterval(this.heartbeatTimer);
+            this.heartbeatTimer = null;
+        }
+
+        for (const sessionId of Array.from(this.whatsappManager.sessions.keys())) {
+            await this.whatsappManager.closeSession(sessionId);
+            await this.release(sessionId);
+        }
+
+        await this.redis.del(this._workerKey(this.workerId));
+        await this.redis.srem(`${this.prefix}:workers`, this.workerId);
+        console.log(`🧩 Worker ${this.workerId} left the cluster`);
+    }
+
+    /**
+     * Heartbeat: renew own leases, publish worker info, take over free sessions
+     */
+    async _tick() {
+        if (this.ticking) return;
+        this.ticking = true;
+
+        try {
+            await this._renewLeases();
+            await this._publishWorker();
+            await this._claimSessions();
+        } catch (error) {
+            console.error('🧩 Cluster heartbeat error:', error.message);
+        } finally {
+            this.ticking = false;
+        }
+    }
+
+    async _renewLeases() {
+        for (const sessionId of Array.from(this.whatsappManager.sessions.keys())) {
+            const renewed = await this.redis.eval(RENEW_SCRIPT, 1, this._leaseKey(sessionId), this.workerId, this.leaseTtl);
+            if (renewed) continue;
+
+            // Lease expired (e.g. long pause) and may now belong to another worker
+            const acquired = await this.acquire(sessionId);
+            if (!acquired) {
+                console.log(`🧩 [${sessionId}] Lease lost to another worker, closing local session`);
+                await this.whatsappManager.closeSession(sessionId);
+            }
+        }
+    }
+
+    async _publishWorker() {
+        const info = {
+            workerId: this.workerId,
+            url: this.workerUrl,
+            startedAt: this.startedAt,
+            heartbeatAt: new Date().toISOString(),
+            sessions: this.whatsappManager.getAllSessions().map(s => ({
+                sessionId: s.sessionId,
+                status: s.status,
+                isConnected: s.isConnected,
+                phoneNumber: s.phoneNumber,
+                name: s.name
+            }))
+        };
+
+        await this.redis.set(this._workerKey(this.workerId), JSON.stringify(info), 'PX', this.leaseTtl);
+        await this.redis.sadd(`${this.prefix}:workers`, this.workerId);
+    }
+
+    async _claimSessions() {
+        const storedSessions = await authStateStore.listSessions();
+        const candidates = storedSessions
+            .filter(sessionId => this.whatsappManager.isValidSessionId(sessionId))
+            .filter(sessionId => !this.whatsappManager.sessions.has(sessionId))
+            .sort(() => Math.random() - 0.5); // Spread claims between workers
+
+        let claimed = 0;
+        for (const sessionId of candidates) {
+            if (claimed >= this.claimBatch) break;
+            if (this.maxSessions > 0 && this.whatsappManager.sessions.size >= this.maxSessions) break;
+
+            if (await this.acquire(sessionId) && !this.whatsappManager.sessions.has(sessionId)) {
+                claimed++;
+                console.log(`🧩 [${sessionId}] Lease acquired by ${this.workerId}`);
+                await this.whatsappManager.restoreSession(sessionId);
+            }
+        }
+    }
+
+    /**
+     * Try to take ownership of a session
+     * @param {string} sessionId
+     * @returns {Promise<boolean>}
+     */
+    async acquire(sessionId) {
+        if (!this.enabled) return true;
+
+        const result = await this.redis.set(this._leaseKey(sessionId), this.workerId, 'PX', this.leaseTtl, 'NX');
+        if (result === 'OK') return true;
+
+        return (await this.redis.get(this._leaseKey(sessionId))) === this.workerId;
+    }
+
+    /**
+     * Give up ownership of a session
+     * @param {string} sessionId
+     */
+    async release(sessionId) {
+        if (!this.enabled || !this.redis) return;
+        await this.redis.eval(RELEASE_SCRIPT, 1, this._leaseKey(sessionId), this.workerId);
+    }
+
+    /**
+     * Find the worker that owns a session
+     * @param {string} sessionId
+     * @returns {Promise<Object|null>} { workerId, url, local } or null when unowned
+     */
+    async getOwner(sessionId) {
+        if (!this.enabled || !this.redis) return null;
+
+        const workerId = await this.redis.get(this._leaseKey(sessionId));
+        if (!workerId) return null;
+        if (workerId === this.workerId) {
+            return { workerId, url: this.workerUrl, local: true };
+        }
+
+        const raw = await this.redis.get(this._workerKey(workerId));
+        const worker = raw ? JSON.parse(raw) : null;
+        return { workerId, url: worker?.url || null, local: false };
+    }
+
+    /**
+     * Get all live workers with their sessions
+     * @returns {Promise<Array>}
+     */
+    async getWorkers() {
+        if (!this.enabled || !this.redis) return [];
+
+        const workerIds = await this.redis.smembers(`${this.prefix}:workers`);
+        const workers = [];
+        for (const workerId of workerIds) {
+            const raw = await this.redis.get(this._workerKey(workerId));
+            if (raw) {
+                workers.push(JSON.parse(raw));
+            } else {
+                // Heartbeat expired: worker is gone
+                await this.redis.srem(`${this.prefix}:workers`, workerId);
+            }
+        }
+        return workers;
+    }
+
+    /**
+     * Cluster overview for GET /cluster/status
+     */
+    async getStatus() {
+        const workers = await this.getWorkers();
+        return {
+            enabled: this.enabled,
+            workerId: this.workerId,
+            routing: this.routing,
+            leaseTtl: this.leaseTtl,
+            workers: workers.map(w => ({
+                workerId: w.workerId,
+                url: w.url,
+                startedAt: w.startedAt,
+                heartbeatAt: w.heartbeatAt,
+                sessions: w.sessions.map(s => s.sessionId)
+            })),
+            totalSessions: workers.reduce((sum, w) => sum + w.sessions.length, 0)
+        };
+    }
+}
+
+// Singleton instance
+const clusterCoordinator = new ClusterCoordinator();
+
+module.exports = clusterCoordinator;
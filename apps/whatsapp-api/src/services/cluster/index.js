@@ -0,0 +1,3 @@
+const clusterCoordinator = require('./ClusterCoordinator');
+
+module.exports = clusterCoordinator;
@@ -0,0 +1,145 @@
+const crypto = require('crypto');
+
+// How long the first response of a key is replayed
+const IDEMPOTENCY_TTL = parseInt(process.env.IDEMPOTENCY_TTL) || 24 * 60 * 60_000;
+// A request still running after this long is considered dead and its key can be used again
+// (longer than a synchronous send may wait for its queue job)
+const PROCESSING_TTL = (parseInt(process.env.QUEUE_WAIT_TIMEOUT) || 60_000) + 60_000;
+const SWEEP_INTERVAL = 60_000;
+
+/**
+ * Idempotency Service (Singleton)
+ * Menyimpan response pertama dari request dengan header Idempotency-Key,
+ * supaya request ulang (retry karena timeout) tidak mengirim pesan dua kali.
+ *
+ * Store dipilih lewat env IDEMPOTENCY_STORE:
+ * - memory : Map di proses ini (default)
+ * - redis  : Redis (REDIS_HOST, REDIS_PORT, IDEMPOTENCY_REDIS_PREFIX), dipakai bersama semua worker
+ *
+ * Record: { status: 'processing' | 'completed', fingerprint, response: { statusCode, body, jobId? } }
+ */
+class IdempotencyService {
+    constructor() {
+        this.type = process.env.IDEMPOTENCY_STORE || 'memory';
+        this.prefix = process.env.IDEMPOTENCY_REDIS_PREFIX || 'chatery:idempotency';
+        this.ttl = IDEMPOTENCY_TTL;
+        this.redis = null;
+        this.records = new Map(); // memory store: storeKey -> { record, expiresAt }
+        this.sweepTimer = null;
+
+        if (this.type === 'redis') {
+            const { createRedisClient } = require('@chatery/shared');
+            this.redis = createRedisClient();
+        } else if (this.type === 'memory') {
+            this.sweepTimer = setInterval(() => this._sweep(), SWEEP_INTERVAL);
+            this.sweepTimer.unref();
+        } else {
+            throw new Error(`Unknown IDEMPOTENCY_STORE "${this.type}". Use: memory, redis`);
+        }
+    }
+
+    _storeKey(scope, key) {
+        const hash = crypto.createHash('sha256').update(`${scope}\n${key}`).digest('hex');
+        return `${this.prefix}:${hash}`;
+    }
+
+    /**
+     * Reserve a key for a new request, or return what is known about it
+     * @param {string} scope - Session and route the key belongs to
+     * @param {string} key - Idempotency-Key header
+     * @param {string} fingerprint - Hash of the request body
+     * @returns {Promise<Object>} { state: 'new' | 'processing' | 'mismatch' | 'completed', response }
+     */
+    async begin(scope, key, fingerprint) {
+        const storeKey = this._storeKey(scope, key);
+        const processing = { status: 'processing', fingerprint };
+
+        try {
+            let existing = await this._reserve(storeKey, processing);
+            // Expired between the reserve and the read: try once more
+            if (existing === undefined) {
+                existing = await this._reserve(storeKey, processing);
+            }
+
+            if (!existing) return { state: 'new' };
+            if (existing.fingerprint !== fingerprint) return { state: 'mismatch' };
+            if (existing.status === 'processing') return { state: 'processing' };
+            return { state: 'completed', response: existing.response };
+        } catch (error) {
+            // Fail open: sending without the duplicate check beats not sending at all
+            console.error('[Idempotency] Begin error:', error.message);
+            return { state: 'new' };
+        }
+    }
+
+    /**
+     * Store the response of a request so duplicates replay it
+     * @param {Object} response - { statusCode, body }, with the jobId for a job still queued (202)
+     */
+    async complete(scope, key, fingerprint, response) {
+        const storeKey = this._storeKey(scope, key);
+        const record = { status: 'completed', fingerprint, response };
+
+        try {
+            if (this.redis) {
+                await this.redis.set(storeKey, JSON.stringify(record), 'PX', this.ttl);
+            } else {
+                this.records.set(storeKey, { record, expiresAt: Date.now() + this.ttl });
+            }
+        } catch (error) {
+            console.error('[Idempotency] Complete error:', error.message);
+        }
+    }
+
+    /**
+     * Free a key whose request did not succeed, so the client can retry it
+     */
+    async release(scope, key) {
+        const storeKey = this._storeKey(scope, key);
+
+        try {
+            if (this.redis) {
+                await this.redis.del(storeKey);
+            } else {
+                this.records.delete(storeKey);
+            }
+        } catch (error) {
+            console.error('[Idempotency] Release error:', error.message);
+        }
+    }
+
+    /**
+     * Store the processing record unless the key exists
+     * @returns {Promise<Object|null|undefined>} null when reserved, the existing record,
+     * or undefined when the existing record vanished before it could be read
+     */
+    async _reserve(storeKey, record) {
+        if (this.redis) {
+            const reserved = await this.redis.set(storeKey, JSON.stringify(record), 'PX', PROCESSING_TTL, 'NX');
+            if (reserved) return null;
+
+            const data = await this.redis.get(storeKey);
+            return data ? JSON.parse(data) : undefined;
+        }
+
+        const entry = this.records.get(storeKey);
+        if (entry && entry.expiresAt > Date.now()) {
+            return entry.record;
+        }
+
+        this.records.set(storeKey, { record, expiresAt: Date.now() + PROCESSING_TTL });
+        return null;
+    }
+
+    _sweep() {
+        const now = Date.now();
+        for (const [storeKey, entry] of this.records) {
+            if (entry.expiresAt <= now) this.records.delete(storeKey);
+        }
+    }
+}
+
+// Singleton instance
+const idempotencyService = new IdempotencyService();
+
+module.exports = idempotencyService;
@@ -0,0 +1,3 @@
+const idempotencyService = require('./IdempotencyService');
+
+module.exports = idempotencyService;
@@ -0,0 +1,67 @@
+const path = require('path');
+const fs = require('fs');
+
+/**
+ * Local Media Storage
+ * Default backend: files under MEDIA_DIR (public/media), served only through signed URLs
+ */
+class LocalMediaStorage {
+    constructor(options = {}) {
+        this.type = 'local';
+        this.baseFolder = path.resolve(options.folder || process.env.MEDIA_DIR || path.join(process.cwd(), 'public', 'media'));
+    }
+
+    /**
+     * Path of a key inside the base folder
+     * Absolute paths of files saved before media storage keys existed are accepted as well
+     */
+    _filePath(key) {
+        const filePath = path.resolve(this.baseFolder, key);
+        if (!filePath.startsWith(this.baseFolder + path.sep)) {
+            throw new Error(`Invalid media key: ${key}`);
+        }
+        return filePath;
+    }
+
+    async put(key, buffer) {
+        const filePath = this._filePath(key);
+        if (fs.existsSync(filePath)) return false;
+
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+        // Write to temp file first, then rename (a reader never sees half a file)
+        const tempPath = `${filePath}.${process.pid}.tmp`;
+        await fs.promises.writeFile(tempPath, buffer);
+        await fs.promises.rename(tempPath, filePath);
+        return true;
+    }
+
+    async exists(key) {
+        return fs.existsSync(this._filePath(key));
+    }
+
+    async read(key) {
+        return fs.promises.readFile(this._filePath(key));
+    }
+
+    async createReadStream(key) {
+        const filePath = this._filePath(key);
+        try {
+            const stat = await fs.promises.stat(filePath);
+            return { stream: fs.createReadStream(filePath), size: stat.size, contentType: null };
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    async remove(key) {
+        await fs.promises.rm(this._filePath(key), { force: true });
+    }
+
+    async removePrefix(prefix) {
+        await fs.promises.rm(this._filePath(prefix), { recursive: true, force: true });
+    }
+}
+
+module.exports = LocalMediaStorage;
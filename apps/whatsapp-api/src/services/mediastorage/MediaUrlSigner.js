@@ -0,0 +1,76 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const SECRET_FILE = path.join(process.cwd(), 'data', 'media-url-secret');
+
+/**
+ * Key generated on first start when MEDIA_URL_SECRET is not set, kept in data/
+ * so media URLs stay valid after a restart. Workers of a cluster cannot share it.
+ */
+const loadGeneratedSecret = () => {
+    if (process.env.CLUSTER_MODE === 'true') {
+        throw new Error('MEDIA_URL_SECRET is required with CLUSTER_MODE=true (every worker must sign media URLs with the same key)');
+    }
+
+    console.log(`⚠️ MEDIA_URL_SECRET not set, signing media URLs with the generated key in ${SECRET_FILE}`);
+    if (fs.existsSync(SECRET_FILE)) {
+        return fs.readFileSync(SECRET_FILE, 'utf8').trim();
+    }
+
+    const secret = crypto.randomBytes(32).toString('hex');
+    fs.mkdirSync(path.dirname(SECRET_FILE), { recursive: true });
+    fs.writeFileSync(SECRET_FILE, secret, { mode: 0o600 });
+    return secret;
+};
+
+// Key for the signatures, has to be the same on every worker
+const MEDIA_URL_SECRET = process.env.MEDIA_URL_SECRET || loadGeneratedSecret();
+// Validity of media URLs in API responses, webhooks and WebSocket events (seconds)
+const MEDIA_URL_TTL = parseInt(process.env.MEDIA_URL_TTL) || 3600;
+
+/**
+ * Media URL Signer
+ * URL media bertanda tangan dengan masa berlaku: /media/{sessionId}/{messageId}?expires=&signature=
+ */
+class MediaUrlSigner {
+    static get ttl() {
+        return MEDIA_URL_TTL;
+    }
+
+    /**
+     * Signed URL (relative to the server) for the media of a message
+     * @param {string} sessionId
+     * @param {string} messageId
+     * @param {number} ttl - Seconds
+     * @returns {string}
+     */
+    static sign(sessionId, messageId, ttl = MEDIA_URL_TTL) {
+        const expires = Math.floor(Date.now() / 1000) + ttl;
+        const signature = MediaUrlSigner._signature(sessionId, messageId, expires);
+        return `/media/${encodeURIComponent(sessionId)}/${encodeURIComponent(messageId)}?expires=${expires}&signature=${signature}`;
+    }
+
+    /**
+     * Check the signature and expiry of a media URL
+     * @returns {boolean}
+     */
+    static verify(sessionId, messageId, expires, signature) {
+        const expiresAt = Number(expires);
+        if (!Number.isInteger(expiresAt) || expiresAt < Date.now() / 1000 || typeof signature !== 'string') {
+            return false;
+        }
+
+        const expected = Buffer.from(MediaUrlSigner._signature(sessionId, messageId, expiresAt));
+        const given = Buffer.from(signature);
+        return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+    }
+
+    static _signature(sessionId, messageId, expires) {
+        return crypto.createHmac('sha256', MEDIA_URL_SECRET)
+            .update(`${sessionId}\n${messageId}\n${expires}`)
+            .digest('base64url');
+    }
+}
+
+module.exports = MediaUrlSigner;
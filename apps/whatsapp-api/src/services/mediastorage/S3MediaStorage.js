@@ -0,0 +1,110 @@
+const {
+    S3Client,
+    PutObjectCommand,
+    HeadObjectCommand,
+    GetObjectCommand,
+    DeleteObjectCommand,
+    DeleteObjectsCommand,
+    ListObjectsV2Command
+} = require('@aws-sdk/client-s3');
+
+const isNotFound = (error) => error.name === 'NotFound' || error.name === 'NoSuchKey' || error.$metadata?.httpStatusCode === 404;
+
+/**
+ * S3 Media Storage
+ * AWS S3 or an S3-compatible server (MinIO, Cloudflare R2, ...) through MEDIA_S3_ENDPOINT
+ *
+ * Objects: {MEDIA_S3_PREFIX}/{sessionId}/{sha256}.{ext}
+ */
+class S3MediaStorage {
+    constructor(options = {}) {
+        this.type = 's3';
+        this.bucket = options.bucket || process.env.MEDIA_S3_BUCKET;
+        if (!this.bucket) {
+            throw new Error('MEDIA_S3_BUCKET is required for MEDIA_STORAGE=s3');
+        }
+        this.prefix = (options.prefix ?? process.env.MEDIA_S3_PREFIX ?? '').replace(/^\/+|\/+$/g, '');
+
+        const endpoint = options.endpoint || process.env.MEDIA_S3_ENDPOINT || undefined;
+        const accessKeyId = process.env.MEDIA_S3_ACCESS_KEY_ID;
+
+        this.client = options.client || new S3Client({
+            region: process.env.MEDIA_S3_REGION || 'us-east-1',
+            endpoint,
+            // MinIO and most self-hosted servers only support path-style URLs
+            forcePathStyle: process.env.MEDIA_S3_FORCE_PATH_STYLE
+                ? process.env.MEDIA_S3_FORCE_PATH_STYLE === 'true'
+                : !!endpoint,
+            // Default AWS credential chain (env, profile, instance role) when not set
+            ...(accessKeyId && {
+                credentials: { accessKeyId, secretAccessKey: process.env.MEDIA_S3_SECRET_ACCESS_KEY }
+            })
+        });
+    }
+
+    _objectKey(key) {
+        return this.prefix ? `${this.prefix}/${key}` : key;
+    }
+
+    async put(key, buffer, contentType) {
+        if (await this.exists(key)) return false;
+
+        await this.client.send(new PutObjectCommand({
+            Bucket: this.bucket,
+            Key: this._objectKey(key),
+            Body: buffer,
+            ContentType: contentType || 'application/octet-stream'
+        }));
+        return true;
+    }
+
+    async exists(key) {
+        try {
+            await this.client.send(new HeadObjectCommand({ Bucket: this.bucket, Key: this._objectKey(key) }));
+            return true;
+        } catch (error) {
+            if (isNotFound(error)) return false;
+            throw error;
+        }
+    }
+
+    async read(key) {
+        const { Body } = await this.client.send(new GetObjectCommand({ Bucket: this.bucket, Key: this._objectKey(key) }));
+        return Buffer.from(await Body.transformToByteArray());
+    }
+
+    async createReadStream(key) {
+        try {
+            const object = await this.client.send(new GetObjectCommand({ Bucket: this.bucket, Key: this._objectKey(key) }));
+            return { stream: object.Body, size: object.ContentLength, contentType: object.ContentType || null };
+        } catch (error) {
+            if (isNotFound(error)) return null;
+            throw error;
+        }
+    }
+
+    async remove(key) {
+        await this.client.send(new DeleteObjectCommand({ Bucket: this.bucket, Key: this._objectKey(key) }));
+    }
+
+    async removePrefix(prefix) {
+        let token;
+        do {
+            const list = await this.client.send(new ListObjectsV2Command({
+                Bucket: this.bucket,
+                Prefix: this._objectKey(prefix),
+                ContinuationToken: token
+            }));
+
+            if (list.Contents?.length) {
+                await this.client.send(new DeleteObjectsCommand({
+                    Bucket: this.bucket,
+                    Delete: { Objects: list.Contents.map(object => ({ Key: object.Key })), Quiet: true }
+                }));
+            }
+            token = list.IsTruncated ? list.NextContinuationToken : undefined;
+        } while (token);
+    }
+}
+
+module.exports = S3MediaStorage;
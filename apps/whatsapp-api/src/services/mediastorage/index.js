@@ -0,0 +1,37 @@
+/**
+ * Media Storage Module
+ *
+ * Menyimpan file media sesi (auto-saved, diunduh saat diminta, hasil import chat).
+ * Backend dipilih lewat env MEDIA_STORAGE:
+ * - local : MEDIA_DIR (default public/media)
+ * - s3    : bucket S3-compatible seperti AWS S3, MinIO, R2 (MEDIA_S3_*)
+ *
+ * File disimpan per konten: "<sessionId>/<sha256>.<ext>", file yang sama cukup satu kali.
+ * Setiap backend menyediakan:
+ * - put(key, buffer, contentType)  -> simpan file, false kalau sudah ada
+ * - exists(key)                    -> apakah file ada
+ * - read(key)                      -> isi file (Buffer)
+ * - createReadStream(key)          -> { stream, size, contentType } atau null kalau tidak ada
+ * - remove(key)                    -> hapus file
+ * - removePrefix(prefix)           -> hapus semua file sesi ("<sessionId>/")
+ */
+
+const createMediaStorage = (type = process.env.MEDIA_STORAGE || 'local') => {
+    switch (type) {
+        case 's3': {
+            const S3MediaStorage = require('./S3MediaStorage');
+            return new S3MediaStorage();
+        }
+        case 'local': {
+            const LocalMediaStorage = require('./LocalMediaStorage');
+            return new LocalMediaStorage();
+        }
+        default:
+            throw new Error(`Unknown MEDIA_STORAGE "${type}". Use: local, s3`);
+    }
+};
+
+// Singleton instance
+const mediaStorage = createMediaStorage();
+
+module.exports = mediaStorage;
@@ -0,0 +1,658 @@
+const { v4: uuidv4 } = require('uuid');
+const fs = require('fs');
+const path = require('path');
+const wsManager = require('../websocket');
+
+// Default messages per minute per session (0 = unlimited), sessions can override it in their config
+const QUEUE_RATE_LIMIT = parseInt(process.env.QUEUE_RATE_LIMIT) || 0;
+const QUEUE_MAX_ATTEMPTS = parseInt(process.env.QUEUE_MAX_ATTEMPTS) || 5;
+const QUEUE_RETRY_DELAY = parseInt(process.env.QUEUE_RETRY_DELAY) || 5_000;
+const QUEUE_RETRY_MAX_DELAY = parseInt(process.env.QUEUE_RETRY_MAX_DELAY) || 5 * 60_000;
+// How long a synchronous send waits for its job before answering 202 with the job ID
+const QUEUE_WAIT_TIMEOUT = parseInt(process.env.QUEUE_WAIT_TIMEOUT) || 60_000;
+// Finished jobs stay available for GET /queue/:jobId this long
+const QUEUE_JOB_RETENTION = parseInt(process.env.QUEUE_JOB_RETENTION) || 24 * 60 * 60_000;
+// Send jobs interrupted while sending (restart, crash) again instead of failing them,
+// WhatsApp may already have the message
+const QUEUE_RESEND_INTERRUPTED = process.env.QUEUE_RESEND_INTERRUPTED === 'true';
+const SAVE_DELAY = 1_000;
+const RATE_WINDOW = 60_000;
+
+// Session methods that can be queued, with the job type and the argument holding the chat
+const QUEUE_METHODS = {
+    sendTextMessage: { type: 'text', chatArg: 0 },
+    sendImage: { type: 'image', chatArg: 0 },
+    sendDocument: { type: 'document', chatArg: 0 },
+    sendVideo: { type: 'video', chatArg: 0 },
+    sendAudio: { type: 'audio', chatArg: 0 },
+    sendVoiceNote: { type: 'voice', chatArg: 0 },
+    sendLocation: { type: 'location', chatArg: 0 },
+    sendContact: { type: 'contact', chatArg: 0 },
+    sendButton: { type: 'button', chatArg: 0 },
+    sendList: { type: 'list', chatArg: 0 },
+    sendTemplate: { type: 'template', chatArg: 0 },
+    sendPoll: { type: 'poll', chatArg: 0 },
+    forwardMessage: { type: 'forward', chatArg: 1 },
+    postTextStatus: { type: 'status', chatArg: null },
+    postImageStatus: { type: 'status', chatArg: null },
+    postVideoStatus: { type: 'status', chatArg: null }
+};
+
+// Errors worth another attempt (connection drops, timeouts, WhatsApp rate limits)
+const TRANSIENT_ERROR_REGEX = /not connected|connection (closed|lost|terminated)|timed? ?out|ETIMEDOUT|ECONNRESET|ECONNREFUSED|EAI_AGAIN|socket hang up|stream errored|rate-overlimit|too many requests|\b(429|5\d\d)\b/i;
+
+const PENDING_STATUSES = ['queued', 'sending'];
+
+/**
+ * Message Queue Service
+ * Antrian pesan keluar per sesi: rate limit per menit, retry dengan backoff,
+ * disimpan ke file supaya job yang belum terkirim lanjut setelah restart.
+ *
+ * Jobs of a session are sent one at a time in creation order. While the session
+ * is not connected its queue is paused, it resumes when the session connects.
+ * Uploaded media buffers are kept next to the queue file until the job is done.
+ */
+class MessageQueueService {
+    constructor() {
+        this.jobs = new Map(); // jobId -> job
+        this.dataDir = path.join(process.cwd(), 'data', 'queue'); // {sessionId}.json per session
+        this.mediaDir = path.join(this.dataDir, 'media');
+        this.whatsappManager = null;
+        this.workers = new Set(); // sessionIds being processed
+        this.timers = new Map(); // sessionId -> wake up timer (retry backoff / rate limit)
+        this.sendTimes = new Map(); // sessionId -> attempt timestamps of the last minute
+        this.waiters = new Map(); // jobId -> Set of resolve callbacks (synchronous sends)
+        this.ownedSessions = new Set(); // sessions whose queue file this process writes
+        this.dirtySessions = new Set();
+        this.saveTimer = null;
+
+        this._loadJobs();
+    }
+
+    setWhatsAppManager(manager) {
+        this.whatsappManager = manager;
+        // Sessions connected before the manager was set
+        for (const sessionId of this._sessionsWithPendingJobs()) {
+            this.resume(sessionId);
+        }
+    }
+
+    _loadJobs() {
+        try {
+            if (!fs.existsSync(this.dataDir)) return;
+
+            let total = 0;
+            let pending = 0;
+            for (const file of fs.readdirSync(this.dataDir)) {
+                if (!file.endsWith('.json')) continue;
+                try {
+                    const jobs = this._loadSession(path.basename(file, '.json'));
+                    total += jobs.length;
+                    pending += jobs.filter(j => j.status === 'queued').length;
+                } catch (error) {
+                    console.error(`Error loading message queue ${file}:`, error.message);
+                }
+            }
+            if (total > 0) {
+                console.log(`📬 Loaded ${total} queued message jobs (${pending} pending)`);
+            }
+        } catch (error) {
+            console.error('Error loading message queue:', error);
+        }
+    }
+
+    /**
+     * (Re)load the queue file of a session
+     * @returns {Array} Jobs of the session
+     */
+    _loadSession(sessionId) {
+        for (const [id, job] of this.jobs) {
+            if (job.sessionId === sessionId) this.jobs.delete(id);
+        }
+
+        const file = path.join(this.dataDir, `${sessionId}.json`);
+        if (!fs.existsSync(file)) return [];
+
+        const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+        const jobs = Array.isArray(data.jobs) ? data.jobs : [];
+        const interrupted = [];
+        jobs.forEach(job => {
+            if (job.status === 'sending' && !QUEUE_RESEND_INTERRUPTED) {
+                // WhatsApp may or may not have it: fail instead of risking a duplicate
+                (job.args || []).forEach(arg => {
+                    if (arg && arg.$media) {
+                        fs.rm(path.join(this.mediaDir, arg.$media), { force: true }, () => {});
+                    }
+                });
+                job.status = 'failed';
+                job.lastError = 'Interrupted while sending, the message may or may not have been sent';
+                job.args = null;
+                job.failedAt = job.updatedAt = new Date().toISOString();
+                interrupted.push(job);
+            } else if (PENDING_STATUSES.includes(job.status)) {
+                try {
+                    job.args = this._restoreArgs(job.args);
+                    job.status = 'queued';
+                } catch (error) {
+                    job.status = 'failed';
+                    job.lastError = `Queued media lost: ${error.message}`;
+                    job.args = null;
+                    job.failedAt = job.updatedAt = new Date().toISOString();
+                }
+            }
+            this.jobs.set(job.id, job);
+        });
+
+        if (interrupted.length > 0) {
+            console.log(`⚠️ [${sessionId}] ${interrupted.length} job(s) interrupted while sending marked as failed (QUEUE_RESEND_INTERRUPTED=true sends them again)`);
+            interrupted.forEach(job => this._emit(job, 'message.failed'));
+            this._scheduleSave(sessionId);
+        }
+        return jobs;
+    }
+
+    _saveJobs(sessionIds = [...this.dirtySessions]) {
+        for (const sessionId of sessionIds) {
+            this.dirtySessions.delete(sessionId);
+            try {
+                this._pruneJobs(sessionId);
+                const jobs = Array.from(this.jobs.values())
+                    .filter(job => job.sessionId === sessionId)
+                    .map(job => ({ ...job, args: job.args ? this._serializeArgs(job) : null }));
+                const file = path.join(this.dataDir, `${sessionId}.json`);
+
+                if (jobs.length === 0) {
+                    fs.rmSync(file, { force: true });
+                    continue;
+                }
+                fs.mkdirSync(this.dataDir, { recursive: true });
+                // Write to a temp file first, then rename (a crash never leaves half a file)
+                const tempPath = `${file}.${process.pid}.tmp`;
+                fs.writeFileSync(tempPath, JSON.stringify({ jobs }, null, 2));
+                fs.renameSync(tempPath, file);
+            } catch (error) {
+                console.error(`Error saving message queue of ${sessionId}:`, error);
+            }
+        }
+    }
+
+    /**
+     * Save soon: a burst of jobs changes the queue many times per second
+     * (only the files of changed sessions are written)
+     */
+    _scheduleSave(sessionId) {
+        this.ownedSessions.add(sessionId);
+        this.dirtySessions.add(sessionId);
+        if (this.saveTimer) return;
+        this.saveTimer = setTimeout(() => {
+            this.saveTimer = null;
+            this._saveJobs();
+        }, SAVE_DELAY);
+    }
+
+    /**
+     * Write the queue file of a session right away
+     * Used around a send attempt: after a crash the file must not say `queued`
+     * for a job that was being sent or was already sent
+     */
+    _saveNow(sessionId) {
+        this.ownedSessions.add(sessionId);
+        this._saveJobs([sessionId]);
+    }
+
+    /**
+     * Drop finished jobs older than the retention
+     */
+    _pruneJobs(sessionId) {
+        const cutoff = Date.now() - QUEUE_JOB_RETENTION;
+        for (const [id, job] of this.jobs) {
+            if (job.sessionId === sessionId && !PENDING_STATUSES.includes(job.status) && Date.parse(job.updatedAt) < cutoff) {
+                this.jobs.delete(id);
+            }
+        }
+    }
+
+    /**
+     * Buffers (uploaded media) are written to files, the queue file only references them
+     */
+    _serializeArgs(job) {
+        return job.args.map((arg, idx) => Buffer.isBuffer(arg) ? { $media: `${job.id}-${idx}` } : arg);
+    }
+
+    _restoreArgs(args) {
+        return (args || []).map(arg => {
+            if (arg && arg.$media) {
+                return fs.readFileSync(path.join(this.mediaDir, arg.$media));
+            }
+            // JSON turned undefined arguments into null, restore them so defaults apply
+            return arg === null ? undefined : arg;
+        });
+    }
+
+    _writeMedia(job) {
+        job.args.forEach((arg, idx) => {
+            if (Buffer.isBuffer(arg)) {
+                fs.mkdirSync(this.mediaDir, { recursive: true });
+                fs.writeFileSync(path.join(this.mediaDir, `${job.id}-${idx}`), arg);
+            }
+        });
+    }
+
+    _deleteMedia(job) {
+        (job.args || []).forEach((arg, idx) => {
+            if (Buffer.isBuffer(arg)) {
+                fs.rm(path.join(this.mediaDir, `${job.id}-${idx}`), { force: true }, () => {});
+            }
+        });
+    }
+
+    /**
+     * Validate per-session queue config from the API
+     * @param {Object} config - { rateLimit, maxAttempts }
+     * @returns {string|null} Error message or null when valid
+     */
+    validateConfig(config) {
+        if (config === null || typeof config !== 'object' || Array.isArray(config)) {
+            return 'queue must be an object';
+        }
+        if (config.rateLimit !== undefined && (!Number.isInteger(config.rateLimit) || config.rateLimit < 0)) {
+            return 'queue.rateLimit must be a non-negative integer (messages per minute, 0 = unlimited)';
+        }
+        if (config.maxAttempts !== undefined && (!Number.isInteger(config.maxAttempts) || config.maxAttempts < 1)) {
+            return 'queue.maxAttempts must be a positive integer';
+        }
+        return null;
+    }
+
+    /**
+     * Effective queue config of a session
+     * @param {string} sessionId
+     * @returns {Object} { rateLimit, maxAttempts }
+     */
+    getConfig(sessionId) {
+        const overrides = this.whatsappManager?.getSession(sessionId)?.queueConfig || {};
+        return {
+            rateLimit: overrides.rateLimit ?? QUEUE_RATE_LIMIT,
+            maxAttempts: overrides.maxAttempts ?? QUEUE_MAX_ATTEMPTS
+        };
+    }
+
+    /**
+     * Add a send to the queue of a session
+     * @param {string} sessionId
+     * @param {string} method - WhatsAppSession send method (see QUEUE_METHODS)
+     * @param {Array} args - Arguments of the method
+     * @param {string} source - Who queued it: 'api' | 'scheduler' | 'broadcast' | 'auto-reply' | 'ai'
+     * @returns {Object} Job
+     */
+    enqueue(sessionId, method, args, source = 'api') {
+        const definition = QUEUE_METHODS[method];
+        if (!definition) {
+            throw new Error(`Method ${method} cannot be queued`);
+        }
+
+        const now = new Date().toISOString();
+        const job = {
+            id: uuidv4(),
+            sessionId,
+            method,
+            type: definition.type,
+            chatId: definition.chatArg !== null ? args[definition.chatArg] : null,
+            source,
+            args,
+            status: 'queued',
+            attempts: 0,
+            maxAttempts: this.getConfig(sessionId).maxAttempts,
+            nextAttemptAt: now,
+            lastError: null,
+            messageId: null,
+            result: null,
+            createdAt: now,
+            updatedAt: now,
+            sentAt: null,
+            failedAt: null
+        };
+
+        this._writeMedia(job);
+        this.jobs.set(job.id, job);
+        this._scheduleSave(job.sessionId);
+
+        this._emit(job, 'message.queued');
+        this.resume(sessionId);
+
+        return job;
+    }
+
+    /**
+     * Queue a send and wait for the result
+     * @param {string} sessionId
+     * @param {string} method - WhatsAppSession send method
+     * @param {Array} args - Arguments of the method
+     * @param {Object} options
+     * @param {boolean} options.async - Return the job right away instead of waiting
+     * @param {string} options.source - See enqueue()
+     * @param {number} options.timeout - Max wait (ms), 0 = until the job is finished
+     * @returns {Promise<Object>} Result of the session method (with data.jobId),
+     *          or the job itself (data.status 'queued' / 'sending') when not finished yet
+     */
+    async send(sessionId, method, args, options = {}) {
+        const { async = false, source = 'api', timeout = QUEUE_WAIT_TIMEOUT } = options;
+        const job = this.enqueue(sessionId, method, args, source);
+
+        if (!async) {
+            const result = await this.waitFor(job.id, timeout);
+            if (result) return result;
+        }
+
+        return {
+            success: true,
+            message: async ? 'Message queued' : 'Message is still queued, check the job status later',
+            data: this._formatJob(this.jobs.get(job.id) || job)
+        };
+    }
+
+    /**
+     * Wait until a job is finished (sent or failed)
+     * @param {string} jobId
+     * @param {number} timeout - Max wait (ms), 0 = until the job is finished
+     * @returns {Promise<Object|null>} Result of the job, or null after the timeout
+     */
+    waitFor(jobId, timeout = 0) {
+        return new Promise((resolve) => {
+            if (!this.waiters.has(jobId)) {
+                this.waiters.set(jobId, new Set());
+            }
+            const waiters = this.waiters.get(jobId);
+
+            let timer = null;
+            const done = (result) => {
+                clearTimeout(timer);
+                resolve(result);
+            };
+            waiters.add(done);
+
+            if (timeout > 0) {
+                timer = setTimeout(() => {
+                    waiters.delete(done);
+                    resolve(null);
+                }, timeout);
+            }
+        });
+    }
+
+    /**
+     * Whether a send result is a job that has not finished yet
+     * @param {Object} data - `data` of a send() result
+     * @returns {boolean}
+     */
+    isPending(data) {
+        return !!data?.jobId && PENDING_STATUSES.includes(data.status);
+    }
+
+    /**
+     * Session connected in this process: take over its queue and continue sending
+     * (in cluster mode the file may have been written by the worker that had the session before)
+     * @param {string} sessionId
+     */
+    attach(sessionId) {
+        if (!this.ownedSessions.has(sessionId)) {
+            try {
+                this._loadSession(sessionId);
+            } catch (error) {
+                console.error(`Error loading message queue of ${sessionId}:`, error);
+            }
+            this.ownedSessions.add(sessionId);
+        }
+        this.resume(sessionId);
+    }
+
+    /**
+     * Start (or continue) sending the queue of a session
+     * Called when a job is added, when a retry / rate limit wait is over and on connect
+     * @param {string} sessionId
+     */
+    resume(sessionId) {
+        if (this.timers.has(sessionId)) {
+            clearTimeout(this.timers.get(sessionId));
+            this.timers.delete(sessionId);
+        }
+        this._process(sessionId).catch(error => {
+            console.error(`❌ [${sessionId}] Message queue error:`, error.message);
+        });
+    }
+
+    _wakeAt(sessionId, time) {
+        clearTimeout(this.timers.get(sessionId));
+        this.timers.set(sessionId, setTimeout(() => {
+            this.timers.delete(sessionId);
+            this.resume(sessionId);
+        }, Math.max(time - Date.now(), 0)));
+    }
+
+    /**
+     * Send the due jobs of a session one by one
+     */
+    async _process(sessionId) {
+        if (this.workers.has(sessionId) || !this.whatsappManager) return;
+        this.workers.add(sessionId);
+
+        try {
+            while (true) {
+                // Paused until the session connects again
+                const session = this.whatsappManager.getSession(sessionId);
+                if (!session || session.connectionStatus !== 'connected') break;
+
+                const pending = this._pendingJobs(sessionId);
+                if (pending.length === 0) break;
+
+                const now = Date.now();
+                const job = pending.find(j => Date.parse(j.nextAttemptAt) <= now);
+                if (!job) {
+                    this._wakeAt(sessionId, Math.min(...pending.map(j => Date.parse(j.nextAttemptAt))));
+                    break;
+                }
+
+                const rateLimitedUntil = this._rateLimitedUntil(sessionId);
+                if (rateLimitedUntil) {
+                    this._wakeAt(sessionId, rateLimitedUntil);
+                    break;
+                }
+
+                await this._execute(job, session);
+            }
+        } finally {
+            this.workers.delete(sessionId);
+        }
+    }
+
+    _pendingJobs(sessionId) {
+        const pending = [];
+        for (const job of this.jobs.values()) {
+            if (job.sessionId === sessionId && job.status === 'queued') {
+                pending.push(job);
+            }
+        }
+        return pending;
+    }
+
+    _sessionsWithPendingJobs() {
+        const sessionIds = new Set();
+        for (const job of this.jobs.values()) {
+            if (job.status === 'queued') sessionIds.add(job.sessionId);
+        }
+        return sessionIds;
+    }
+
+    /**
+     * @returns {number|null} Time the next message may be sent, null when within the limit
+     */
+    _rateLimitedUntil(sessionId) {
+        const { rateLimit } = this.getConfig(sessionId);
+        if (!rateLimit) return null;
+
+        const windowStart = Date.now() - RATE_WINDOW;
+        const times = (this.sendTimes.get(sessionId) || []).filter(t => t > windowStart);
+        this.sendTimes.set(sessionId, times);
+
+        return times.length >= rateLimit ? times[times.length - rateLimit] + RATE_WINDOW : null;
+    }
+
+    /**
+     * Backoff before the next attempt (exponential with jitter)
+     */
+    _retryDelay(attempts) {
+        const delay = Math.min(QUEUE_RETRY_DELAY * 2 ** (attempts - 1), QUEUE_RETRY_MAX_DELAY);
+        return Math.round(delay * (0.8 + Math.random() * 0.4));
+    }
+
+    async _execute(job, session) {
+        job.status = 'sending';
+        job.attempts++;
+        job.updatedAt = new Date().toISOString();
+        this._saveNow(job.sessionId);
+
+        const times = this.sendTimes.get(job.sessionId) || [];
+        times.push(Date.now());
+        this.sendTimes.set(job.sessionId, times);
+
+        let result;
+        try {
+            result = await session[job.method](...job.args);
+        } catch (error) {
+            result = { success: false, message: error.message };
+        }
+
+        const now = new Date().toISOString();
+        job.updatedAt = now;
+
+        if (result?.success) {
+            job.status = 'sent';
+            job.sentAt = now;
+            job.lastError = null;
+            job.messageId = result.data?.messageId || null;
+            job.result = result.data || null;
+            this._finish(job, { ...result, data: { ...result.data, jobId: job.id } });
+            this._saveNow(job.sessionId);
+            this._emit(job, 'message.sent');
+            return;
+        }
+
+        job.lastError = result?.message || 'Unknown error';
+
+        if (TRANSIENT_ERROR_REGEX.test(job.lastError) && job.attempts < job.maxAttempts) {
+            const delay = this._retryDelay(job.attempts);
+            job.status = 'queued';
+            job.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+            console.log(`🔁 [${job.sessionId}] Job ${job.id} attempt ${job.attempts}/${job.maxAttempts} failed (${job.lastError}), retrying in ${Math.round(delay / 1000)}s`);
+            this._saveNow(job.sessionId);
+            return;
+        }
+
+        job.status = 'failed';
+        job.failedAt = now;
+        console.log(`❌ [${job.sessionId}] Job ${job.id} failed after ${job.attempts} attempt(s): ${job.lastError}`);
+        this._finish(job, {
+            success: false,
+            message: job.lastError,
+            data: { jobId: job.id, attempts: job.attempts }
+        });
+        this._saveNow(job.sessionId);
+        this._emit(job, 'message.failed');
+    }
+
+    /**
+     * Job is done: answer waiting requests and free its media
+     */
+    _finish(job, result) {
+        this._deleteMedia(job);
+        job.args = null;
+        this._scheduleSave(job.sessionId);
+
+        const waiters = this.waiters.get(job.id);
+        if (waiters) {
+            this.waiters.delete(job.id);
+            waiters.forEach(done => done(result));
+        }
+    }
+
+    _emit(job, event) {
+        const data = this._formatJob(job);
+        wsManager.emitQueueJob(job.sessionId, event, data);
+        this.whatsappManager?.getSession(job.sessionId)?._sendWebhook(event, data);
+    }
+
+    _formatJob(job) {
+        return {
+            jobId: job.id,
+            sessionId: job.sessionId,
+            type: job.type,
+            chatId: job.chatId,
+            source: job.source,
+            status: job.status,
+            attempts: job.attempts,
+            maxAttempts: job.maxAttempts,
+            nextAttemptAt: job.status === 'queued' ? job.nextAttemptAt : null,
+            lastError: job.lastError,
+            messageId: job.messageId,
+            result: job.result,
+            createdAt: job.createdAt,
+            updatedAt: job.updatedAt,
+            sentAt: job.sentAt,
+            failedAt: job.failedAt
+        };
+    }
+
+    /**
+     * Get a job by ID
+     * @param {string} jobId
+     * @returns {Object}
+     */
+    getJob(jobId) {
+        const job = this.jobs.get(jobId);
+        if (!job) {
+            return { success: false, message: 'Job not found' };
+        }
+        return { success: true, data: this._formatJob(job) };
+    }
+
+    /**
+     * Fail the pending jobs of a deleted session
+     * @param {string} sessionId
+     */
+    clear(sessionId) {
+        for (const job of this._pendingJobs(sessionId)) {
+            job.status = 'failed';
+            job.lastError = 'Session deleted';
+            job.failedAt = job.updatedAt = new Date().toISOString();
+            this._finish(job, {
+                success: false,
+                message: job.lastError,
+                data: { jobId: job.id, attempts: job.attempts }
+            });
+        }
+        clearTimeout(this.timers.get(sessionId));
+        this.timers.delete(sessionId);
+        this.sendTimes.delete(sessionId);
+    }
+
+    /**
+     * Get queue stats (optionally for one session)
+     * @param {string} sessionId
+     * @returns {Object}
+     */
+    getStats(sessionId = null) {
+        const jobs = Array.from(this.jobs.values()).filter(j => !sessionId || j.sessionId === sessionId);
+        return {
+            total: jobs.length,
+            queued: jobs.filter(j => j.status === 'queued').length,
+            sending: jobs.filter(j => j.status === 'sending').length,
+            sent: jobs.filter(j => j.status === 'sent').length,
+            failed: jobs.filter(j => j.status === 'failed').length
+        };
+    }
+}
+
+// Singleton instance
+const messageQueueService = new MessageQueueService();
+
+module.exports = messageQueueService;
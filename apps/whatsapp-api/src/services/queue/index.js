@@ -0,0 +1,3 @@
+const messageQueueService = require('./MessageQueueService');
+
+module.exports = messageQueueService;
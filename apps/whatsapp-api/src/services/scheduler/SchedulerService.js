@@ -2,6 +2,7 @@ const cron = require('node-cron');
 const { v4: uuidv4 } = require('uuid');
 const fs = require('fs');
 const path = require('path');
+const messageQueue = require('../queue');
 
 /**
  * Scheduler Service
@@ -148,16 +149,17 @@ class SchedulerService {
                 throw new Error(`Session ${schedule.sessionId} not found`);
             }
 
-            if (session.connectionStatus !== 'connected') {
-                throw new Error(`Session ${schedule.sessionId} is not connected`);
-            }
-
-            // Send the message
-            const result = await session.sendTextMessage(
+            // Send the message (the outbound queue holds it while the session is disconnected)
+            const result = await messageQueue.send(schedule.sessionId, 'sendTextMessage', [
                 schedule.chatId, 
                 schedule.message, 
-                schedule.typingTime || 0
-            );
+                schedule.typingTime || 0,
+                { linkPreview: schedule.linkPreview === true }
+            ], { source: 'scheduler', timeout: 0 });
+
+            if (!result.success) {
+                throw new Error(result.message);
+            }
 
             // Update schedule status
             const updatedSchedule = this.schedules.get(schedule.id);
@@ -205,7 +207,7 @@ class SchedulerService {
      * @returns {Object}
      */
     create(options) {
-        const { sessionId, chatId, message, scheduledAt, repeat = 'once', name, typingTime = 0, timezone = 'Asia/Jakarta' } = options;
+        const { sessionId, chatId, message, scheduledAt, repeat = 'once', name, typingTime = 0, timezone = 'Asia/Jakarta', linkPreview = false } = options;
 
         // Validation
         if (!sessionId || !chatId || !message || !scheduledAt) {
@@ -233,6 +235,7 @@ class SchedulerService {
             repeat,
             typingTime,
             timezone,
+            linkPreview,
             enabled: true,
             status: 'pending',
             createdAt: new Date().toISOString(),
@@ -321,7 +324,7 @@ class SchedulerService {
         }
 
         // Apply updates
-        const allowedFields = ['name', 'chatId', 'message', 'scheduledAt', 'repeat', 'typingTime', 'timezone', 'enabled'];
+        const allowedFields = ['name', 'chatId', 'message', 'scheduledAt', 'repeat', 'typingTime', 'timezone', 'enabled', 'linkPreview'];
         for (const field of allowedFields) {
             if (updates[field] !== undefined) {
                 schedule[field] = updates[field];
@@ -27,6 +27,15 @@ class WebSocketManager {
             ...options
         });
 
+        // Cluster mode: share rooms between workers so events reach clients
+        // connected to any worker, not only the one that owns the session
+        if (process.env.CLUSTER_MODE === 'true') {
+            const { createAdapter } = require('@socket.io/redis-adapter');
+            const { createRedisClient } = require('@chatery/shared');
+            const pubClient = createRedisClient();
+            this.io.adapter(createAdapter(pubClient, pubClient.duplicate()));
+        }
+
         this._setupConnectionHandlers();
         console.log('🔌 WebSocket server initialized');
         return this.io;
@@ -146,6 +155,16 @@ class WebSocketManager {
         this.emitToSession(sessionId, 'qr', { qrCode });
     }
 
+    /**
+     * Emit pairing code event (login without QR scan)
+     */
+    emitPairingCode(sessionId, pairingCode, details = {}) {
+        this.emitToSession(sessionId, 'pairing.code', { 
+            pairingCode,
+            ...details
+        });
+    }
+
     /**
      * Emit connection status change
      */
@@ -171,12 +190,54 @@ class WebSocketManager {
     }
 
     /**
-     * Emit message status update (read, delivered, etc)
+     * Emit outbound queue job change (message.queued, message.sent, message.failed)
+     */
+    emitQueueJob(sessionId, event, job) {
+        this.emitToSession(sessionId, event, { job });
+    }
+
+    /**
+     * Emit message update as received from WhatsApp (status, edits, ...)
      */
-    emitMessageStatus(sessionId, update) {
+    emitMessageUpdate(sessionId, update) {
         this.emitToSession(sessionId, 'message.update', { update });
     }
 
+    /**
+     * Emit normalized message status (sent, delivered, read, played, error)
+     */
+    emitMessageStatus(sessionId, status) {
+        this.emitToSession(sessionId, 'message.status', status);
+    }
+
+    /**
+     * Emit poll vote with the updated tally
+     */
+    emitPollVote(sessionId, vote) {
+        this.emitToSession(sessionId, 'poll.vote', vote);
+    }
+
+    /**
+     * Emit status update (story) posted by a contact
+     */
+    emitStatusReceived(sessionId, status) {
+        this.emitToSession(sessionId, 'status.received', status);
+    }
+
+    /**
+     * Emit status update deleted by its poster
+     */
+    emitStatusDeleted(sessionId, status) {
+        this.emitToSession(sessionId, 'status.deleted', status);
+    }
+
+    /**
+     * Emit first view of one of our status updates
+     */
+    emitStatusViewed(sessionId, view) {
+        this.emitToSession(sessionId, 'status.viewed', view);
+    }
+
     /**
      * Emit message deleted/revoked
      */
@@ -256,6 +317,20 @@ class WebSocketManager {
         });
     }
 
+    /**
+     * Emit session health problem detected by the watchdog
+     */
+    emitSessionUnhealthy(sessionId, health) {
+        this.emitToSession(sessionId, 'session.unhealthy', { health });
+    }
+
+    /**
+     * Emit session healthy again
+     */
+    emitSessionRecovered(sessionId, health) {
+        this.emitToSession(sessionId, 'session.recovered', { health });
+    }
+
     /**
      * Get connection stats
      */
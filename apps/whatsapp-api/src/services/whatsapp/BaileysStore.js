@@ -1,3 +1,10 @@
+const MessageReceipts = require('./MessageReceipts');
+const MessageSearch = require('./MessageSearch');
+const mediaStorage = require('../mediastorage');
+
+// Messages per chat the in-memory store keeps (retention trims every chat to this)
+const MAX_MESSAGES_PER_CHAT = 100;
+
 /**
  * Custom in-memory store for Baileys
  * Optimized version with pre-computed caches for fast queries
@@ -17,13 +24,17 @@ class BaileysStore {
     this.profilePictures = new Map(); // Cached profile pictures
     this.contactsCache = new Map(); // Cached contacts with profile pics
     
-    // Media files tracking: messageId -> filePath
+    // Media files tracking: messageId -> media storage key
     this.mediaFiles = new Map();
     
     // Cache timestamps
     this.lastOverviewUpdate = 0;
     this.lastContactsUpdate = 0;
     this.cacheTimeout = 30000; // 30 seconds cache validity
+
+    // Retention runs on every save (in memory, cheap)
+    this.retentionInterval = 0;
+    this.lastRetentionRun = 0;
   }
 
   /**
@@ -106,6 +117,14 @@ class BaileysStore {
         if (!this.messages.has(chatId)) {
           this.messages.set(chatId, new Map());
         }
+        // Keep the status history when an outbound message is upserted again
+        const existing = this.messages.get(chatId).get(msg.key.id);
+        if (existing?._statusHistory) {
+          msg._statusHistory = existing._statusHistory;
+          msg._receipts = existing._receipts;
+        } else if (msg.key.fromMe && msg.status !== undefined && msg.status !== null) {
+          MessageReceipts.recordStatus(msg, msg.status);
+        }
         this.messages.get(chatId).set(msg.key.id, msg);
         this._updateSingleChatOverview(chatId, msg);
       }
@@ -128,14 +147,29 @@ class BaileysStore {
         for (const key of item.keys) {
           const chatMessages = this.messages.get(key.remoteJid);
           if (chatMessages) {
+            const msg = chatMessages.get(key.id);
             chatMessages.delete(key.id);
             // Also delete associated media file
-            this._deleteMediaFile(key.id);
+            this._deleteMediaFile(key.id, msg ? this._mediaKeyOf(msg) : undefined);
           }
         }
       }
     });
 
+    // Chat labels (business accounts), used by retention exclusions
+    ev.on('labels.association', ({ association, type }) => {
+      if (!association?.chatId || association.messageId) return;
+
+      const chat = this.chats.get(association.chatId) || { id: association.chatId };
+      const labels = new Set(chat.labels || []);
+      if (type === 'remove') {
+        labels.delete(association.labelId);
+      } else {
+        labels.add(association.labelId);
+      }
+      this.chats.set(chat.id, { ...chat, labels: Array.from(labels) });
+    });
+
     // Handle group metadata
     ev.on('groups.upsert', (groups) => {
       for (const group of groups) {
@@ -169,7 +203,7 @@ class BaileysStore {
     let latestMessage = newMessage;
     if (!latestMessage) {
       const messagesArray = Array.from(chatMessages.values());
-      messagesArray.sort((a, b) => (b.messageTimestamp || 0) - (a.messageTimestamp || 0));
+      messagesArray.sort((a, b) => this._timestampOf(b) - this._timestampOf(a));
       latestMessage = messagesArray[0];
     }
 
@@ -181,7 +215,7 @@ class BaileysStore {
       id: chatId,
       name: groupMeta?.subject || contact?.name || contact?.notify || chat?.name || chatId.replace('@s.whatsapp.net', '').replace('@g.us', ''),
       isGroup,
-      unreadCount: chat?.unreadCount || 0,
+      ...this.getChatState(chatId),
       lastMessage: {
         id: latestMessage?.key?.id,
         timestamp: latestMessage?.messageTimestamp,
@@ -193,6 +227,34 @@ class BaileysStore {
     });
   }
 
+  /**
+   * Archive, pin, mute and unread state of a chat
+   * unreadCount -1 = marked as unread, muteEndTime is ms (-1 = muted until unmuted)
+   */
+  getChatState(chatId) {
+    const chat = this.chats.get(chatId);
+    const value = chat?.muteEndTime;
+    const muteEnd = typeof value === 'object' && value !== null ? value.low : Number(value) || 0;
+
+    return {
+      unreadCount: Math.max(chat?.unreadCount || 0, 0),
+      markedUnread: chat?.unreadCount === -1 || !!chat?.markedAsUnread,
+      archived: !!chat?.archived,
+      pinned: !!chat?.pinned,
+      muted: muteEnd === -1 || muteEnd > Date.now(),
+      mutedUntil: muteEnd > Date.now() ? new Date(muteEnd).toISOString() : null
+    };
+  }
+
+  /**
+   * Message timestamp in seconds (number or Long, also after a JSON round trip)
+   */
+  _timestampOf(msg) {
+    const timestamp = msg?.messageTimestamp;
+    if (typeof timestamp === 'object' && timestamp !== null) return timestamp.low || 0;
+    return Number(timestamp) || 0;
+  }
+
   /**
    * Extract message preview text
    */
@@ -213,6 +275,15 @@ class BaileysStore {
     if (msg.buttonsMessage) return msg.buttonsMessage.contentText || 'Buttons';
     if (msg.templateMessage) return 'Template Message';
     if (msg.listMessage) return msg.listMessage.title || 'List';
+    if (msg.viewOnceMessage?.message?.interactiveMessage) {
+      return (msg.viewOnceMessage.message.interactiveMessage.body?.text || 'Interactive').substring(0, 100);
+    }
+    if (msg.listResponseMessage) return msg.listResponseMessage.title || 'List reply';
+    if (msg.buttonsResponseMessage) return msg.buttonsResponseMessage.selectedDisplayText || 'Button reply';
+    if (msg.interactiveResponseMessage) return msg.interactiveResponseMessage.body?.text || 'Button reply';
+    if (msg.pollCreationMessage || msg.pollCreationMessageV2 || msg.pollCreationMessageV3) {
+      return `📊 ${(msg.pollCreationMessage || msg.pollCreationMessageV2 || msg.pollCreationMessageV3).name}`;
+    }
     
     return 'Message';
   }
@@ -364,6 +435,183 @@ class BaileysStore {
     return messages.slice(0, limit);
   }
 
+  /**
+   * Get a stored message by chat and message ID
+   */
+  loadMessage(chatId, messageId) {
+    return this.messages.get(chatId)?.get(messageId) || null;
+  }
+
+  /**
+   * Find a stored message by ID in any chat
+   */
+  findMessage(messageId) {
+    for (const chatMessages of this.messages.values()) {
+      const msg = chatMessages.get(messageId);
+      if (msg) return msg;
+    }
+    return null;
+  }
+
+  /**
+   * Search text, captions and document filenames (newest first)
+   * @param {Array<string>} terms - From MessageSearch.parseTerms()
+   * @param {Object} filters - { chatId, senders, fromMe, types, from, to } (from/to: unix seconds)
+   * @param {Object} options - { limit, before } (`before` = message ID cursor, as in getMessages)
+   * @returns {Object} { messages, hasMore }
+   */
+  searchMessages(terms, filters = {}, options = {}) {
+    const { limit = 20, before = null } = options;
+    const chats = filters.chatId
+      ? [this.messages.get(filters.chatId)].filter(Boolean)
+      : Array.from(this.messages.values());
+
+    const cursor = before ? this._searchPosition(before, filters.chatId) : null;
+    const matches = [];
+
+    for (const chatMessages of chats) {
+      for (const msg of chatMessages.values()) {
+        if (!msg?.key || !msg.messageTimestamp) continue;
+
+        const timestamp = this._timestampOf(msg);
+        if (cursor && (timestamp > cursor.timestamp || (timestamp === cursor.timestamp && msg.key.id >= cursor.id))) {
+          continue;
+        }
+        if (MessageSearch.matches(msg, terms, filters, timestamp)) {
+          matches.push(msg);
+        }
+      }
+    }
+
+    matches.sort((a, b) => (this._timestampOf(b) - this._timestampOf(a)) || (a.key.id < b.key.id ? 1 : -1));
+
+    return {
+      messages: matches.slice(0, limit),
+      hasMore: matches.length > limit
+    };
+  }
+
+  /**
+   * Iterate the messages of a chat, oldest first
+   * @param {string} chatId
+   * @param {Object} range - { from, to } (unix seconds)
+   */
+  *iterateMessages(chatId, range = {}) {
+    const chatMessages = this.messages.get(chatId);
+    if (!chatMessages) return;
+
+    const messages = Array.from(chatMessages.values())
+      .filter(msg => {
+        if (!msg?.key || !msg.messageTimestamp) return false;
+        const timestamp = this._timestampOf(msg);
+        return (!range.from || timestamp >= range.from) && (!range.to || timestamp <= range.to);
+      })
+      .sort((a, b) => (this._timestampOf(a) - this._timestampOf(b)) || (a.key.id < b.key.id ? -1 : 1));
+
+    yield* messages;
+  }
+
+  /**
+   * Add messages that did not come from the socket (e.g. an imported chat archive)
+   * Messages that are already stored are skipped.
+   * @param {string} chatId
+   * @param {Array<Object>} messages - WAMessage-like objects of that chat
+   * @returns {number} Added messages
+   */
+  importMessages(chatId, messages) {
+    if (!this.chats.has(chatId)) {
+      this.chats.set(chatId, { id: chatId });
+    }
+    if (!this.messages.has(chatId)) {
+      this.messages.set(chatId, new Map());
+    }
+
+    let added = 0;
+    for (const msg of messages) {
+      if (this.loadMessage(chatId, msg.key.id)) continue;
+      this.messages.get(chatId).set(msg.key.id, msg);
+      added++;
+    }
+
+    this._updateSingleChatOverview(chatId);
+    return added;
+  }
+
+  /**
+   * Apply a chat change made through the API (archive, pin, mute, unread)
+   * @returns {Object} Updated chat
+   */
+  updateChat(chatId, update) {
+    this.chats.set(chatId, { ...this.chats.get(chatId), ...update, id: chatId });
+    this._updateSingleChatOverview(chatId);
+    return this.chats.get(chatId);
+  }
+
+  /**
+   * Delete all messages of a chat and their media files, the chat itself is kept
+   * @returns {number} Deleted messages
+   */
+  clearChatMessages(chatId) {
+    const chatMessages = this.messages.get(chatId);
+    const count = chatMessages?.size || 0;
+
+    this.messages.delete(chatId);
+    this.chatsOverview.delete(chatId);
+    for (const msg of chatMessages?.values() || []) {
+      this._deleteMediaFile(msg.key.id, this._mediaKeyOf(msg));
+    }
+
+    return count;
+  }
+
+  /**
+   * Remove a chat deleted through the API (messages are removed by clearChatMessages)
+   */
+  deleteChat(chatId) {
+    this.chats.delete(chatId);
+    this.chatsOverview.delete(chatId);
+    this.messages.delete(chatId);
+  }
+
+  // Sort position of a cursor message: { timestamp, id }
+  _searchPosition(messageId, chatId = null) {
+    const msg = chatId ? this.loadMessage(chatId, messageId) : this.findMessage(messageId);
+    return msg ? { timestamp: this._timestampOf(msg), id: msg.key.id } : null;
+  }
+
+  /**
+   * Add a status (WAMessageStatus) to the history of a stored outbound message
+   * @returns {Object|null} The message when the status is new, otherwise null
+   */
+  recordMessageStatus(key, status) {
+    const msg = this.loadMessage(key.remoteJid, key.id);
+    if (!msg || !msg.key.fromMe) return null;
+
+    if (!MessageReceipts.recordStatus(msg, status)) return null;
+    this.touchMessage(msg);
+    return msg;
+  }
+
+  /**
+   * Record a participant receipt of a stored outbound message
+   * @returns {Object|null} { message, reached: [{ status, at }] } when the receipt is new, otherwise null
+   */
+  recordReceipt(key, receipt) {
+    const msg = this.loadMessage(key.remoteJid, key.id);
+    if (!msg || !msg.key.fromMe) return null;
+
+    const reached = MessageReceipts.recordReceipt(msg, receipt);
+    if (reached.length === 0) return null;
+    this.touchMessage(msg);
+    return { message: msg, reached };
+  }
+
+  /**
+   * Mark a stored message as changed outside of socket events
+   * (the in-memory store saves everything in its snapshot, SqliteBaileysStore writes it on flush)
+   */
+  touchMessage(msg) {}
+
   /**
    * Get a specific contact
    */
@@ -417,6 +665,66 @@ class BaileysStore {
     }, 2);
   }
 
+  /**
+   * Serialize store to JSON string (for persistence backends)
+   */
+  serialize() {
+    // Convert Maps to arrays for serialization
+    const data = {
+      chats: Array.from(this.chats.entries()),
+      contacts: Array.from(this.contacts.entries()),
+      // Trimmed by the retention policy before every save
+      messages: Array.from(this.messages.entries()).map(([chatId, msgs]) => [chatId, Array.from(msgs.entries())]),
+      groupMetadata: Array.from(this.groupMetadata.entries()),
+      profilePictures: Array.from(this.profilePictures.entries())
+    };
+    
+    // Use safe serialization to avoid .enc or corrupted files
+    return this._safeSerialize(data);
+  }
+
+  /**
+   * Restore store from JSON string produced by serialize()
+   */
+  deserialize(content) {
+    try {
+      // Validate JSON before parsing
+      if (!content || content.trim() === '') {
+        console.warn('Store data is empty');
+        return false;
+      }
+      
+      const data = JSON.parse(content);
+      
+      // Restore Maps
+      if (data.chats) {
+        this.chats = new Map(data.chats);
+      }
+      if (data.contacts) {
+        this.contacts = new Map(data.contacts);
+      }
+      if (data.messages) {
+        this.messages = new Map(
+          data.messages.map(([chatId, msgs]) => [chatId, new Map(msgs)])
+        );
+      }
+      if (data.groupMetadata) {
+        this.groupMetadata = new Map(data.groupMetadata);
+      }
+      if (data.profilePictures) {
+        this.profilePictures = new Map(data.profilePictures);
+      }
+      
+      // Rebuild overview cache after restore
+      this._rebuildOverviewCache();
+      
+      return true;
+    } catch (error) {
+      console.error('Error restoring store data:', error.message);
+      return false;
+    }
+  }
+
   /**
    * Write store to file (for persistence) - FIXED JSON serialization
    */
@@ -431,20 +739,7 @@ class BaileysStore {
         fs.mkdirSync(dir, { recursive: true });
       }
       
-      // Convert Maps to arrays for serialization
-      const data = {
-        chats: Array.from(this.chats.entries()),
-        contacts: Array.from(this.contacts.entries()),
-        messages: Array.from(this.messages.entries()).map(([chatId, msgs]) => [
-          chatId,
-          Array.from(msgs.entries()).slice(-100) // Keep only last 100 messages per chat
-        ]),
-        groupMetadata: Array.from(this.groupMetadata.entries()),
-        profilePictures: Array.from(this.profilePictures.entries())
-      };
-      
-      // Use safe serialization to avoid .enc or corrupted files
-      const jsonContent = this._safeSerialize(data);
+      const jsonContent = this.serialize();
       
       // Write to temp file first, then rename (atomic write)
       const tempPath = filePath + '.tmp';
@@ -476,45 +771,15 @@ class BaileysStore {
       
       const content = fs.readFileSync(filePath, 'utf8');
       
-      // Validate JSON before parsing
-      if (!content || content.trim() === '') {
-        console.warn('Store file is empty');
-        return false;
-      }
-      
       // Check if file is corrupted (e.g., .enc issue)
-      if (!content.startsWith('{')) {
+      if (content && content.trim() !== '' && !content.startsWith('{')) {
         console.warn('Store file appears corrupted, skipping restore');
         // Delete corrupted file
         fs.unlinkSync(filePath);
         return false;
       }
       
-      const data = JSON.parse(content);
-      
-      // Restore Maps
-      if (data.chats) {
-        this.chats = new Map(data.chats);
-      }
-      if (data.contacts) {
-        this.contacts = new Map(data.contacts);
-      }
-      if (data.messages) {
-        this.messages = new Map(
-          data.messages.map(([chatId, msgs]) => [chatId, new Map(msgs)])
-        );
-      }
-      if (data.groupMetadata) {
-        this.groupMetadata = new Map(data.groupMetadata);
-      }
-      if (data.profilePictures) {
-        this.profilePictures = new Map(data.profilePictures);
-      }
-      
-      // Rebuild overview cache after restore
-      this._rebuildOverviewCache();
-      
-      return true;
+      return this.deserialize(content);
     } catch (error) {
       console.error('Error reading store from file:', error.message);
       return false;
@@ -538,6 +803,11 @@ class BaileysStore {
     this.mediaFiles.clear();
   }
 
+  /**
+   * Release resources held by the store (nothing to do for the in-memory store)
+   */
+  close() {}
+
   /**
    * Get store statistics
    */
@@ -558,86 +828,144 @@ class BaileysStore {
 
   /**
    * Register a media file for a message
+   * @param {string} messageId
+   * @param {string} key - Media storage key
    */
-  registerMediaFile(messageId, filePath) {
-    this.mediaFiles.set(messageId, filePath);
+  registerMediaFile(messageId, key) {
+    this.mediaFiles.set(messageId, key);
   }
 
   /**
-   * Delete media file for a message
+   * Media storage key of a message (legacy: absolute path of a file in the media folder)
    */
-  _deleteMediaFile(messageId) {
-    const fs = require('fs');
-    const filePath = this.mediaFiles.get(messageId);
-    if (filePath) {
-      try {
-        if (fs.existsSync(filePath)) {
-          fs.unlinkSync(filePath);
-          console.log(`🗑️ [${this.sessionId}] Media deleted: ${filePath}`);
-        }
-      } catch (e) {
+  _mediaKeyOf(msg) {
+    return this.mediaFiles.get(msg.key.id) || msg._mediaKey || msg._mediaLocalPath || null;
+  }
+
+  /**
+   * Delete media file for a message, kept while another message still uses it
+   * (identical files are stored once)
+   */
+  _deleteMediaFile(messageId, key = this.mediaFiles.get(messageId)) {
+    this.mediaFiles.delete(messageId);
+    if (!key || this._isMediaShared(key, messageId)) return;
+
+    mediaStorage.remove(key)
+      .then(() => console.log(`🗑️ [${this.sessionId}] Media deleted: ${key}`))
+      .catch(() => {
         // Silent fail
+      });
+  }
+
+  /**
+   * Whether another stored message refers to a media file
+   */
+  _isMediaShared(key, messageId) {
+    for (const chatMessages of this.messages.values()) {
+      for (const msg of chatMessages.values()) {
+        if (msg?.key?.id !== messageId && (msg?._mediaKey || msg?._mediaLocalPath) === key) return true;
       }
-      this.mediaFiles.delete(messageId);
     }
+    return false;
   }
 
   /**
    * Cleanup all media files
    */
   _cleanupAllMedia() {
-    const fs = require('fs');
-    for (const [messageId, filePath] of this.mediaFiles) {
-      try {
-        if (fs.existsSync(filePath)) {
-          fs.unlinkSync(filePath);
-        }
-      } catch (e) {
+    for (const key of new Set(this.mediaFiles.values())) {
+      mediaStorage.remove(key).catch(() => {
         // Silent fail
-      }
+      });
     }
     this.mediaFiles.clear();
   }
 
   /**
-   * Cleanup old media files (keep only last N messages per chat)
+   * Apply a retention policy: delete expired messages and the saved media files of expired media.
+   * Every chat keeps at most MAX_MESSAGES_PER_CHAT messages (starred ones excepted when protected).
+   * @param {RetentionPolicy} policy
+   * @param {Object} options - { dryRun }
+   * @returns {Object} Report (see RetentionPolicy.report)
    */
-  cleanupOldMedia(maxMessagesPerChat = 100) {
-    const fs = require('fs');
-    const messagesToKeep = new Set();
-    
-    // Collect message IDs that should be kept
+  applyRetention(policy, { dryRun = false } = {}) {
+    const now = Date.now();
+    const expired = [];
+    let protectedCount = 0;
+    let excludedChats = 0;
+
     for (const [chatId, chatMessages] of this.messages) {
-      const msgs = Array.from(chatMessages.values())
-        .filter(m => m && m.messageTimestamp)
-        .sort((a, b) => {
-          const timeA = typeof a.messageTimestamp === 'object' ? (a.messageTimestamp.low || 0) : (a.messageTimestamp || 0);
-          const timeB = typeof b.messageTimestamp === 'object' ? (b.messageTimestamp.low || 0) : (b.messageTimestamp || 0);
-          return timeB - timeA;
-        })
-        .slice(0, maxMessagesPerChat);
-      
-      for (const msg of msgs) {
-        if (msg.key?.id) {
-          messagesToKeep.add(msg.key.id);
+      if (policy.isExcluded(this.chats.get(chatId) || { id: chatId })) {
+        excludedChats++;
+        continue;
+      }
+
+      const sorted = Array.from(chatMessages.values())
+        .filter(msg => msg?.key?.id)
+        .sort((a, b) => this._timestampOf(b) - this._timestampOf(a) || (b.key.id < a.key.id ? -1 : 1));
+
+      sorted.forEach((msg, position) => {
+        const mediaKey = this._mediaKeyOf(msg);
+        const action = policy.evaluate({
+          timestamp: this._timestampOf(msg),
+          position,
+          starred: !!msg.starred,
+          hasMedia: !!mediaKey
+        }, now, MAX_MESSAGES_PER_CHAT);
+
+        if (action === 'protected') {
+          protectedCount++;
+        } else if (action) {
+          expired.push({ chatId, id: msg.key.id, action, mediaKey, mediaSize: msg._mediaSize });
         }
-      }
+      });
     }
-    
-    // Delete media files for messages that will be removed
-    for (const [messageId, filePath] of this.mediaFiles) {
-      if (!messagesToKeep.has(messageId)) {
-        try {
-          if (fs.existsSync(filePath)) {
-            fs.unlinkSync(filePath);
-            console.log(`🗑️ [${this.sessionId}] Old media cleaned: ${filePath}`);
-          }
-        } catch (e) {
-          // Silent fail
+
+    const report = policy.report(expired, { dryRun, protected: protectedCount, excludedChats });
+    if (!dryRun) {
+      this._removeExpired(expired);
+    }
+    return report;
+  }
+
+  /**
+   * Delete messages / media files selected by applyRetention()
+   * @param {Array<Object>} expired - [{ chatId, id, action, mediaKey }]
+   */
+  _removeExpired(expired) {
+    const chats = new Set();
+
+    for (const { chatId, id, action, mediaKey } of expired) {
+      if (mediaKey) {
+        this._deleteMediaFile(id, mediaKey);
+      }
+
+      if (action === 'message') {
+        this.messages.get(chatId)?.delete(id);
+        chats.add(chatId);
+      } else {
+        const msg = this.loadMessage(chatId, id);
+        if (msg) {
+          delete msg._mediaPath;
+          delete msg._mediaLocalPath;
+          delete msg._mediaKey;
+          delete msg._mediaSize;
+          // Not downloaded again on request (MEDIA_DOWNLOAD=lazy)
+          msg._mediaExpired = true;
+          this.touchMessage(msg);
         }
-        this.mediaFiles.delete(messageId);
       }
     }
+
+    for (const chatId of chats) {
+      this._updateSingleChatOverview(chatId);
+    }
+
+    if (expired.length > 0) {
+      const messages = expired.filter(entry => entry.action === 'message').length;
+      const files = new Set(expired.map(entry => entry.mediaKey).filter(Boolean)).size;
+      console.log(`🧹 [${this.sessionId}] Retention: ${messages} messages, ${files} media files deleted`);
+    }
   }
 }
 
@@ -0,0 +1,294 @@
+const path = require('path');
+const zlib = require('zlib');
+
+// Uncompressed size limit of an archive (zip bomb guard)
+const CHAT_IMPORT_MAX_UNCOMPRESSED_MB = parseInt(process.env.CHAT_IMPORT_MAX_UNCOMPRESSED_MB) || 400;
+const MAX_UNCOMPRESSED = CHAT_IMPORT_MAX_UNCOMPRESSED_MB * 1024 * 1024;
+
+// Android: "15/01/2026, 08:00 - John: Hello" / "1/15/26, 8:00 AM - John: Hello" / "15.01.26, 08:00 - ..."
+const ANDROID_LINE = /^(\d{1,4})[/.-](\d{1,2})[/.-](\d{1,4})\.?,?\s+(?:\S+\s+)?(\d{1,2})[:.](\d{2})(?:[:.](\d{2}))?\s*([ap]\.?\s?m\.?)?\s+[-–]\s(.*)$/i;
+// iOS: "[15/01/2026, 08:00:00] John: Hello" / "[1/15/26, 8:00:00 AM] John: Hello"
+const IOS_LINE = /^\[(\d{1,4})[/.-](\d{1,2})[/.-](\d{1,4})\.?,?\s+(\d{1,2})[:.](\d{2})(?:[:.](\d{2}))?\s*([ap]\.?\s?m\.?)?\]\s(.*)$/i;
+
+// Attachment markers: iOS "<attached: 00000012-PHOTO-....jpg>" (localized word),
+// Android "IMG-20260115-WA0001.jpg (file attached)" (localized text in the parentheses)
+const IOS_ATTACHMENT = /^<[^<>:]+:\s*([^<>]+?)>$/;
+const ANDROID_ATTACHMENT = /^(.+?\.[A-Za-z0-9]{1,5}) \([^()]+\)$/;
+// Media left out of the export ("Without media")
+const MEDIA_OMITTED = /^<(media omitted|media tidak disertakan|medien ausgeschlossen|multimedia omitido|médias omis|mídia oculta)>$/i;
+
+// Extension -> { type, mimetype }
+const MEDIA_TYPES = {
+    jpg: { type: 'image', mimetype: 'image/jpeg' },
+    jpeg: { type: 'image', mimetype: 'image/jpeg' },
+    png: { type: 'image', mimetype: 'image/png' },
+    webp: { type: 'sticker', mimetype: 'image/webp' },
+    gif: { type: 'image', mimetype: 'image/gif' },
+    mp4: { type: 'video', mimetype: 'video/mp4' },
+    '3gp': { type: 'video', mimetype: 'video/3gpp' },
+    mov: { type: 'video', mimetype: 'video/quicktime' },
+    opus: { type: 'ptt', mimetype: 'audio/ogg; codecs=opus' },
+    ogg: { type: 'audio', mimetype: 'audio/ogg' },
+    m4a: { type: 'audio', mimetype: 'audio/mp4' },
+    mp3: { type: 'audio', mimetype: 'audio/mpeg' },
+    aac: { type: 'audio', mimetype: 'audio/aac' },
+    amr: { type: 'audio', mimetype: 'audio/amr' },
+    vcf: { type: 'contact', mimetype: 'text/vcard' },
+    pdf: { type: 'document', mimetype: 'application/pdf' }
+};
+
+/**
+ * Chat Archive Utility
+ * Membaca arsip "Export chat" dari aplikasi WhatsApp (zip berisi .txt + media, atau .txt saja).
+ *
+ * Format baris Android dan iOS dengan berbagai format tanggal locale didukung; urutan
+ * hari/bulan/tahun ditebak dari semua tanggal di file (atau diberikan lewat `dateOrder`).
+ */
+class ChatArchive {
+    /**
+     * Read an uploaded archive
+     * @param {Buffer} buffer - .zip or .txt file
+     * @param {string} filename - Original filename
+     * @returns {Object} { text, media: Map<filename, { size, read() }> }
+     * Media files are inflated one at a time by read(), everything inflated counts
+     * against CHAT_IMPORT_MAX_UNCOMPRESSED_MB
+     */
+    static read(buffer, filename = '') {
+        const isZip = buffer.length >= 4 && buffer.readUInt32LE(0) === 0x04034b50;
+
+        if (!isZip) {
+            if (filename && !/\.txt$/i.test(filename)) {
+                throw new Error('Upload the .zip or .txt file created by "Export chat"');
+            }
+            return { text: ChatArchive._decode(buffer), media: new Map() };
+        }
+
+        const AdmZip = require('adm-zip');
+        const entries = new AdmZip(buffer).getEntries().filter(entry => !entry.isDirectory);
+
+        // Sizes in the headers come from whoever made the zip: early reject only,
+        // the limit is enforced on the inflated bytes
+        const totalSize = entries.reduce((sum, entry) => sum + entry.header.size, 0);
+        if (totalSize > MAX_UNCOMPRESSED) {
+            throw ChatArchive._tooLarge();
+        }
+
+        let inflated = 0;
+        const inflate = (entry) => {
+            const data = ChatArchive._inflate(entry, MAX_UNCOMPRESSED - inflated);
+            inflated += data.length;
+            return data;
+        };
+
+        const texts = entries.filter(entry => /\.txt$/i.test(entry.entryName));
+        const chatEntry = texts.find(entry => path.basename(entry.entryName) === '_chat.txt')
+            || texts.find(entry => /^whatsapp/i.test(path.basename(entry.entryName)))
+            || (texts.length === 1 ? texts[0] : null);
+
+        if (!chatEntry) {
+            throw new Error('Chat .txt file not found in the archive');
+        }
+
+        const media = new Map();
+        for (const entry of entries) {
+            if (entry === chatEntry) continue;
+            media.set(path.basename(entry.entryName), { size: entry.header.size, read: () => inflate(entry) });
+        }
+
+        return { text: ChatArchive._decode(inflate(chatEntry)), media };
+    }
+
+    /**
+     * Inflate an entry, stopping as soon as the output gets larger than maxLength
+     */
+    static _inflate(entry, maxLength) {
+        if (entry.header.encrypted) {
+            throw new Error(`Encrypted archive entries are not supported: ${entry.entryName}`);
+        }
+
+        const compressed = entry.getCompressedData();
+        let data;
+        switch (entry.header.method) {
+            case 0: // stored
+                data = compressed;
+                break;
+            case 8: // deflated
+                try {
+                    data = zlib.inflateRawSync(compressed, { maxOutputLength: Math.max(maxLength, 1) });
+                } catch (error) {
+                    if (error.code === 'ERR_BUFFER_TOO_LARGE') throw ChatArchive._tooLarge();
+                    throw error;
+                }
+                break;
+            default:
+                throw new Error(`Unsupported compression method in archive entry: ${entry.entryName}`);
+        }
+
+        if (data.length > maxLength) {
+            throw ChatArchive._tooLarge();
+        }
+        return data;
+    }
+
+    static _tooLarge() {
+        return new Error(`Archive is larger than ${CHAT_IMPORT_MAX_UNCOMPRESSED_MB} MB uncompressed`);
+    }
+
+    static _decode(buffer) {
+        return buffer.toString('utf8').replace(/^\uFEFF/, '');
+    }
+
+    /**
+     * Parse the exported chat text
+     * @param {string} text
+     * @param {Object} options - { dateOrder: 'DMY' | 'MDY' | 'YMD', mediaNames: Set<string> }
+     * @returns {Object} { entries: [{ date, sender, text, attachment, mediaOmitted }], skipped, dateOrder }
+     * date = { year, month, day, hour, minute, second } (local time of the exporting phone),
+     * sender = null for system messages
+     */
+    static parse(text, options = {}) {
+        const mediaNames = options.mediaNames || new Set();
+        const lines = text.split(/\r?\n/).map(ChatArchive._cleanLine);
+
+        const parsed = [];
+        for (const line of lines) {
+            const match = line.match(IOS_LINE) || line.match(ANDROID_LINE);
+
+            if (match) {
+                parsed.push({ parts: match.slice(1, 4).map(Number), time: match.slice(4, 8), body: match[8] });
+            } else if (parsed.length > 0) {
+                // Continuation of a multi-line message
+                parsed[parsed.length - 1].body += `\n${line}`;
+            }
+        }
+
+        const dateOrder = options.dateOrder || ChatArchive.detectDateOrder(parsed.map(p => p.parts));
+        const entries = [];
+        let skipped = 0;
+
+        for (const { parts, time, body } of parsed) {
+            const date = ChatArchive._toDate(parts, time, dateOrder);
+            if (!date) {
+                skipped++;
+                continue;
+            }
+
+            // "Sender: text", lines without a sender are system messages (encryption notice, joins, ...)
+            const separator = body.indexOf(': ');
+            if (separator < 1) {
+                entries.push({ date, sender: null, text: body, attachment: null, mediaOmitted: false });
+                continue;
+            }
+
+            const content = body.slice(separator + 2).trimEnd();
+            const [firstLine, ...rest] = content.split('\n');
+            const attachment = ChatArchive._attachmentOf(firstLine.trim(), mediaNames);
+
+            // An attachment line is followed by the caption, omitted media stays as text
+            entries.push({
+                date,
+                sender: body.slice(0, separator).trim(),
+                text: attachment ? rest.join('\n').trim() : content,
+                attachment,
+                mediaOmitted: !attachment && MEDIA_OMITTED.test(firstLine.trim())
+            });
+        }
+
+        return { entries, skipped, dateOrder };
+    }
+
+    // Strip direction marks and normalize the narrow spaces some locales put before AM/PM
+    static _cleanLine(line) {
+        return line.replace(/[\u200E\u200F\u202A-\u202E]/g, '').replace(/[\u202F\u00A0]/g, ' ');
+    }
+
+    /**
+     * Guess the order of day, month and year from all dates of a chat
+     * @param {Array<Array<number>>} dates - The three numbers of each date in file order
+     * @returns {string} DMY | MDY | YMD
+     */
+    static detectDateOrder(dates) {
+        if (dates.some(([first]) => first > 31)) return 'YMD';
+        if (dates.some(([first]) => first > 12)) return 'DMY';
+        if (dates.some(([, second]) => second > 12)) return 'MDY';
+        return 'DMY';
+    }
+
+    static _toDate(parts, [hour, minute, second, meridiem], dateOrder) {
+        const positions = { DMY: [2, 1, 0], MDY: [2, 0, 1], YMD: [0, 1, 2] }[dateOrder];
+        if (!positions) throw new Error(`Invalid dateOrder "${dateOrder}". Use: DMY, MDY, YMD`);
+
+        let [year, month, day] = positions.map(i => parts[i]);
+        if (year < 100) year += 2000;
+
+        let h = Number(hour);
+        if (meridiem) {
+            const pm = /^p/i.test(meridiem);
+            if (h === 12) h = pm ? 12 : 0;
+            else if (pm) h += 12;
+        }
+
+        if (month < 1 || month > 12 || day < 1 || day > 31 || h > 23) return null;
+        return { year, month, day, hour: h, minute: Number(minute), second: Number(second) || 0 };
+    }
+
+    // Attached file name of a message line, only when the file is in the archive
+    static _attachmentOf(line, mediaNames) {
+        const match = line.match(IOS_ATTACHMENT) || line.match(ANDROID_ATTACHMENT);
+        if (!match) return null;
+
+        const name = match[1].trim();
+        return mediaNames.has(name) ? name : null;
+    }
+
+    /**
+     * Message type and mimetype of an attached file
+     * WhatsApp names stickers STK-*.webp and voice notes PTT-*.opus / *-AUDIO-*.opus
+     * @param {string} filename
+     * @returns {Object} { type, mimetype }
+     */
+    static mediaTypeOf(filename) {
+        const ext = path.extname(filename).slice(1).toLowerCase();
+        const info = MEDIA_TYPES[ext] || { type: 'document', mimetype: 'application/octet-stream' };
+
+        if (info.type === 'sticker' && !/^STK-|STICKER/i.test(filename)) {
+            return { type: 'image', mimetype: info.mimetype };
+        }
+        return info;
+    }
+
+    /**
+     * Unix time of a local date in a time zone (server time zone when not given)
+     * @param {Object} date - From parse()
+     * @param {string|null} timeZone - IANA time zone
+     * @returns {number} Unix seconds
+     */
+    static toUnixTime(date, timeZone = null) {
+        const { year, month, day, hour, minute, second } = date;
+
+        if (!timeZone) {
+            return Math.floor(new Date(year, month - 1, day, hour, minute, second).getTime() / 1000);
+        }
+
+        const utc = Date.UTC(year, month - 1, day, hour, minute, second);
+        // Offset of the zone at that moment, corrected once for DST transitions
+        let time = utc - ChatArchive._zoneOffset(utc, timeZone);
+        time = utc - ChatArchive._zoneOffset(time, timeZone);
+        return Math.floor(time / 1000);
+    }
+
+    static _zoneOffset(time, timeZone) {
+        const parts = Object.fromEntries(
+            new Intl.DateTimeFormat('en-US', {
+                timeZone,
+                hourCycle: 'h23',
+                year: 'numeric', month: '2-digit', day: '2-digit',
+                hour: '2-digit', minute: '2-digit', second: '2-digit'
+            }).formatToParts(new Date(time)).map(part => [part.type, Number(part.value)])
+        );
+        const local = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+        return local - Math.floor(time / 1000) * 1000;
+    }
+}
+
+module.exports = ChatArchive;
@@ -0,0 +1,262 @@
+const MessageFormatter = require('./MessageFormatter');
+
+const FORMATS = {
+    json: { extension: 'json', contentType: 'application/json; charset=utf-8' },
+    csv: { extension: 'csv', contentType: 'text/csv; charset=utf-8' },
+    html: { extension: 'html', contentType: 'text/html; charset=utf-8' },
+    txt: { extension: 'txt', contentType: 'text/plain; charset=utf-8' }
+};
+
+const CSV_COLUMNS = ['id', 'timestamp', 'fromMe', 'sender', 'senderName', 'type', 'text', 'caption', 'filename', 'mimetype', 'mediaUrl', 'quotedMessageId'];
+
+// Message types without a line in a transcript (like the WhatsApp app export)
+const SKIPPED_TYPES = ['reaction', 'poll_vote', 'protocol'];
+// Message types that have no media
+const TEXT_TYPES = ['text', 'location', 'contact', 'contacts', 'poll', 'interactive'];
+
+const escapeHTML = (text) => String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+// Quote a CSV cell, cells starting like a formula are prefixed with ' so spreadsheets show them as text
+const csvCell = (value) => {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Chat Exporter Utility
+ * Transkrip satu chat dari message store sebagai JSON, CSV, HTML (siap cetak)
+ * atau TXT dengan format yang sama seperti fitur "Export chat" di aplikasi WhatsApp.
+ *
+ * Output dibuat per pesan (async generator), sehingga bisa di-stream langsung ke response.
+ */
+class ChatExporter {
+    /**
+     * Supported formats
+     * @returns {Array<string>}
+     */
+    static get formats() {
+        return Object.keys(FORMATS);
+    }
+
+    /**
+     * File extension and Content-Type of a format
+     * @param {string} format
+     * @returns {Object|null} { extension, contentType }
+     */
+    static formatInfo(format) {
+        return FORMATS[format] || null;
+    }
+
+    /**
+     * Export a chat
+     * @param {Iterable<Object>} messages - Stored messages, oldest first
+     * @param {string} format - json | csv | html | txt
+     * @param {Object} context - { chatId, chatName, isGroup, from, to, baseUrl, timeZone, senderName(msg), mediaUrl(msg) }
+     * @returns {AsyncGenerator<string>}
+     */
+    static async *export(messages, format, context) {
+        const writer = {
+            json: ChatExporter._json,
+            csv: ChatExporter._csv,
+            html: ChatExporter._html,
+            txt: ChatExporter._txt
+        }[format];
+
+        if (!writer) {
+            throw new Error(`Unknown export format "${format}". Use: ${ChatExporter.formats.join(', ')}`);
+        }
+
+        yield* writer(ChatExporter._entries(messages, context), context);
+    }
+
+    /**
+     * Formatted messages with the fields every format needs
+     */
+    static *_entries(messages, context) {
+        for (const msg of messages) {
+            const formatted = MessageFormatter.formatMessage(msg, { mediaUrl: context.mediaUrl });
+            if (!formatted) continue;
+
+            yield {
+                ...formatted,
+                senderName: context.senderName(msg),
+                date: new Date(formatted.timestamp * 1000),
+                text: ChatExporter._textOf(formatted),
+                mediaUrl: formatted.mediaUrl ? ChatExporter._absoluteUrl(formatted.mediaUrl, context.baseUrl) : null,
+                mediaName: msg._mediaName || formatted.filename || `${formatted.id}.${formatted.type}`
+            };
+        }
+    }
+
+    static _absoluteUrl(url, baseUrl) {
+        if (!baseUrl || /^https?:\/\//.test(url)) return url;
+        return baseUrl.replace(/\/$/, '') + url;
+    }
+
+    /**
+     * Readable text of a message (content of text, location, contact, poll and interactive messages)
+     */
+    static _textOf(formatted) {
+        const { type, content } = formatted;
+
+        if (typeof content === 'string') return type === 'text' ? content : null;
+        if (!content) return null;
+
+        switch (type) {
+            case 'location':
+                return [content.name, content.address, `https://maps.google.com/?q=${content.latitude},${content.longitude}`]
+                    .filter(Boolean).join('\n');
+            case 'contact':
+                return `${content.displayName} (contact)`;
+            case 'contacts':
+                return content.map(contact => `${contact.displayName} (contact)`).join('\n');
+            case 'poll':
+                return ['POLL:', content.question, ...content.options.map(option => `OPTION: ${option}`)].join('\n');
+            case 'interactive':
+                return [content.title, content.text, content.footer].filter(Boolean).join('\n');
+            case 'reaction':
+                return content.emoji || null;
+            default:
+                // List / template selections
+                return content.title || content.id || null;
+        }
+    }
+
+    // ==================== FORMATS ====================
+
+    static async *_json(entries, context) {
+        yield '{\n';
+        yield `  "chatId": ${JSON.stringify(context.chatId)},\n`;
+        yield `  "chatName": ${JSON.stringify(context.chatName)},\n`;
+        yield `  "isGroup": ${context.isGroup},\n`;
+        yield `  "from": ${JSON.stringify(context.from ? new Date(context.from * 1000).toISOString() : null)},\n`;
+        yield `  "to": ${JSON.stringify(context.to ? new Date(context.to * 1000).toISOString() : null)},\n`;
+        yield `  "exportedAt": ${JSON.stringify(new Date().toISOString())},\n`;
+        yield '  "messages": [';
+
+        let count = 0;
+        for (const entry of entries) {
+            const { date, text, mediaName, ...message } = entry;
+            yield `${count++ === 0 ? '\n' : ',\n'}    ${JSON.stringify({ ...message, datetime: date.toISOString() })}`;
+        }
+
+        yield `${count > 0 ? '\n  ' : ''}],\n  "total": ${count}\n}\n`;
+    }
+
+    static async *_csv(entries) {
+        // BOM so spreadsheet apps read the file as UTF-8
+        yield '\uFEFF' + CSV_COLUMNS.join(',') + '\r\n';
+
+        for (const entry of entries) {
+            const row = {
+                ...entry,
+                timestamp: entry.date.toISOString(),
+                quotedMessageId: entry.quotedMessage?.id || null
+            };
+            yield CSV_COLUMNS.map(column => csvCell(row[column])).join(',') + '\r\n';
+        }
+    }
+
+    static async *_txt(entries, context) {
+        const formatDate = ChatExporter._dateFormatter(context.timeZone);
+
+        for (const entry of entries) {
+            if (SKIPPED_TYPES.includes(entry.type)) continue;
+
+            const lines = [];
+            if (entry.mediaUrl) {
+                lines.push(`${entry.mediaName} (file attached)`);
+            } else if (!entry.text && !TEXT_TYPES.includes(entry.type)) {
+                lines.push('<Media omitted>');
+            }
+            if (entry.caption) lines.push(entry.caption);
+            if (entry.text) lines.push(entry.text);
+
+            yield `${formatDate(entry.date)} - ${entry.senderName}: ${lines.join('\n')}\n`;
+        }
+    }
+
+    static async *_html(entries, context) {
+        const formatDate = ChatExporter._dateFormatter(context.timeZone);
+        const period = [context.from, context.to]
+            .map(time => time ? formatDate(new Date(time * 1000)) : '…')
+            .join(' – ');
+
+        yield `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Chat with ${escapeHTML(context.chatName)}</title>
+<style>
+  body { font-family: -apple-system, "Segoe UI", Roboto, sans-serif; max-width: 820px; margin: 24px auto; color: #111b21; }
+  header { border-bottom: 2px solid #25d366; margin-bottom: 16px; }
+  header p { color: #667781; margin: 4px 0 12px; }
+  .message { padding: 8px 12px; margin: 6px 0; border-radius: 8px; background: #f0f2f5; max-width: 75%; page-break-inside: avoid; }
+  .message.me { background: #d9fdd3; margin-left: auto; }
+  .meta { font-size: 12px; color: #667781; margin-bottom: 2px; }
+  .text { white-space: pre-wrap; word-wrap: break-word; }
+  .media img { max-width: 100%; max-height: 320px; border-radius: 4px; }
+  .media a { word-break: break-all; }
+</style>
+</head>
+<body>
+<header>
+<h1>Chat with ${escapeHTML(context.chatName)}</h1>
+<p>${escapeHTML(context.chatId)} · ${escapeHTML(period)} · exported ${escapeHTML(formatDate(new Date()))}</p>
+</header>
+`;
+
+        let count = 0;
+        for (const entry of entries) {
+            if (SKIPPED_TYPES.includes(entry.type)) continue;
+            count++;
+
+            let media = '';
+            if (entry.mediaUrl) {
+                const url = escapeHTML(entry.mediaUrl);
+                media = entry.type === 'image' || entry.type === 'sticker'
+                    ? `<div class="media"><a href="${url}"><img src="${url}" alt="${escapeHTML(entry.type)}"></a></div>`
+                    : `<div class="media">📎 <a href="${url}">${escapeHTML(entry.filename || entry.mediaName)}</a></div>`;
+            } else if (!entry.text && !TEXT_TYPES.includes(entry.type)) {
+                media = `<div class="media"><em>📎 ${escapeHTML(entry.filename || entry.type)} (not saved)</em></div>`;
+            }
+
+            const text = [entry.caption, entry.text].filter(Boolean).join('\n');
+
+            yield `<div class="message${entry.fromMe ? ' me' : ''}">` +
+                `<div class="meta">${escapeHTML(entry.senderName)} · ${escapeHTML(formatDate(entry.date))}</div>` +
+                media +
+                (text ? `<div class="text">${escapeHTML(text)}</div>` : '') +
+                '</div>\n';
+        }
+
+        yield `<footer><p>${count} messages</p></footer>\n</body>\n</html>\n`;
+    }
+
+    /**
+     * "dd/mm/yyyy, hh:mm" in the given time zone (format of the WhatsApp app export)
+     */
+    static _dateFormatter(timeZone) {
+        const formatter = new Intl.DateTimeFormat('en-GB', {
+            timeZone: timeZone || undefined,
+            day: '2-digit',
+            month: '2-digit',
+            year: 'numeric',
+            hour: '2-digit',
+            minute: '2-digit',
+            hourCycle: 'h23'
+        });
+
+        return (date) => {
+            const parts = Object.fromEntries(formatter.formatToParts(date).map(part => [part.type, part.value]));
+            return `${parts.day}/${parts.month}/${parts.year}, ${parts.hour}:${parts.minute}`;
+        };
+    }
+}
+
+module.exports = ChatExporter;
@@ -0,0 +1,363 @@
+/**
+ * Interactive Message Utility
+ * Membangun pesan list / template (native flow), fallback teks bernomor,
+ * dan parsing balasan pilihan (button.reply / list.reply).
+ *
+ * Lists and templates are sent as native flow interactive messages, the format
+ * current clients render. Clients that cannot show them get a numbered text menu
+ * instead; a numbered reply to that menu is parsed like a real selection.
+ */
+
+const MAX_LIST_ROWS = 10;
+const MAX_LIST_SECTIONS = 10;
+const MAX_TEMPLATE_BUTTONS = 3;
+const BUTTON_TYPES = ['reply', 'url', 'call'];
+
+// Native flow button names per template button type
+const NATIVE_FLOW_NAMES = {
+    reply: 'quick_reply',
+    url: 'cta_url',
+    call: 'cta_call'
+};
+
+// Numbered reply to a fallback menu: "2", "2.", "2)"
+const NUMBERED_REPLY_REGEX = /^\s*(\d{1,2})\s*[.)]?\s*$/;
+
+class InteractiveMessage {
+    /**
+     * Validate and normalize list sections (row IDs are generated when missing)
+     * @param {Array} sections - [{ title, rows: [{ id?, title, description? }] }]
+     * @returns {Object} { error } or { sections }
+     */
+    static normalizeSections(sections) {
+        if (!Array.isArray(sections) || sections.length === 0) {
+            return { error: 'sections must be a non-empty array' };
+        }
+        if (sections.length > MAX_LIST_SECTIONS) {
+            return { error: `A list can have at most ${MAX_LIST_SECTIONS} sections` };
+        }
+
+        let rowCount = 0;
+        const normalized = [];
+
+        for (const section of sections) {
+            if (!Array.isArray(section?.rows) || section.rows.length === 0) {
+                return { error: 'Every section must have a non-empty rows array' };
+            }
+
+            const rows = [];
+            for (const row of section.rows) {
+                const title = String(row?.title || '').trim();
+                if (!title) {
+                    return { error: 'Every row must have a title' };
+                }
+                rowCount++;
+                rows.push({
+                    id: String(row.id || `row_${rowCount}`),
+                    title,
+                    description: row.description ? String(row.description) : ''
+                });
+            }
+            normalized.push({ title: section.title ? String(section.title) : '', rows });
+        }
+
+        if (rowCount > MAX_LIST_ROWS) {
+            return { error: `A list can have at most ${MAX_LIST_ROWS} rows in total` };
+        }
+
+        const ids = normalized.flatMap(s => s.rows.map(r => r.id));
+        if (new Set(ids).size !== ids.length) {
+            return { error: 'Row IDs must be unique' };
+        }
+
+        return { sections: normalized };
+    }
+
+    /**
+     * Validate and normalize template buttons (quick reply IDs are generated when missing)
+     * @param {Array} buttons - [{ type: 'reply', text, id? } | { type: 'url', text, url } | { type: 'call', text, phoneNumber }]
+     * @returns {Object} { error } or { buttons }
+     */
+    static normalizeButtons(buttons) {
+        if (!Array.isArray(buttons) || buttons.length === 0) {
+            return { error: 'buttons must be a non-empty array' };
+        }
+        if (buttons.length > MAX_TEMPLATE_BUTTONS) {
+            return { error: `A template can have at most ${MAX_TEMPLATE_BUTTONS} buttons` };
+        }
+
+        const normalized = [];
+
+        for (const [idx, button] of buttons.entries()) {
+            const type = button?.type || 'reply';
+            const text = String(button?.text || '').trim();
+
+            if (!BUTTON_TYPES.includes(type)) {
+                return { error: `Invalid button type: ${type}. Allowed: ${BUTTON_TYPES.join(', ')}` };
+            }
+            if (!text) {
+                return { error: 'Every button must have a text' };
+            }
+
+            if (type === 'url') {
+                if (!/^https?:\/\//i.test(button.url || '')) {
+                    return { error: `Button "${text}" needs an http(s) url` };
+                }
+                normalized.push({ type, text, url: button.url });
+            } else if (type === 'call') {
+                const phoneNumber = String(button.phoneNumber || '').replace(/[^\d+]/g, '');
+                if (!phoneNumber) {
+                    return { error: `Button "${text}" needs a phoneNumber` };
+                }
+                normalized.push({ type, text, phoneNumber });
+            } else {
+                normalized.push({ type, text, id: String(button.id || `btn_${idx}`) });
+            }
+        }
+
+        const ids = normalized.filter(b => b.type === 'reply').map(b => b.id);
+        if (new Set(ids).size !== ids.length) {
+            return { error: 'Button IDs must be unique' };
+        }
+
+        return { buttons: normalized };
+    }
+
+    /**
+     * Build a native flow interactive message (viewOnce wrapper is required by the clients)
+     * @param {Object} params - { text, title, footer, buttons: [{ name, buttonParamsJson }] }
+     * @param {Object} contextInfo - Quote / mentions
+     * @returns {Object} Message content for generateWAMessageFromContent
+     */
+    static _nativeFlow({ text, title, footer }, buttons, contextInfo) {
+        return {
+            viewOnceMessage: {
+                message: {
+                    messageContextInfo: {
+                        deviceListMetadata: {},
+                        deviceListMetadataVersion: 2
+                    },
+                    interactiveMessage: {
+                        header: title ? { title, hasMediaAttachment: false } : undefined,
+                        body: { text },
+                        footer: footer ? { text: footer } : undefined,
+                        nativeFlowMessage: { buttons, messageParamsJson: '' },
+                        contextInfo
+                    }
+                }
+            }
+        };
+    }
+
+    /**
+     * Build a list message
+     * @param {Object} list - { text, title, footer, buttonText, sections (normalized) }
+     * @param {Object} contextInfo
+     * @returns {Object}
+     */
+    static buildList(list, contextInfo) {
+        return InteractiveMessage._nativeFlow(list, [{
+            name: 'single_select',
+            buttonParamsJson: JSON.stringify({
+                title: list.buttonText,
+                sections: list.sections.map(section => ({
+                    title: section.title,
+                    rows: section.rows.map(row => ({
+                        header: '',
+                        title: row.title,
+                        description: row.description,
+                        id: row.id
+                    }))
+                }))
+            })
+        }], contextInfo);
+    }
+
+    /**
+     * Build a template message with quick reply / URL / call buttons
+     * @param {Object} template - { text, title, footer, buttons (normalized) }
+     * @param {Object} contextInfo
+     * @returns {Object}
+     */
+    static buildTemplate(template, contextInfo) {
+        const buttons = template.buttons.map(button => {
+            let params;
+            if (button.type === 'url') {
+                params = { display_text: button.text, url: button.url, merchant_url: button.url };
+            } else if (button.type === 'call') {
+                params = { display_text: button.text, phone_number: button.phoneNumber };
+            } else {
+                params = { display_text: button.text, id: button.id };
+            }
+            return { name: NATIVE_FLOW_NAMES[button.type], buttonParamsJson: JSON.stringify(params) };
+        });
+
+        return InteractiveMessage._nativeFlow(template, buttons, contextInfo);
+    }
+
+    /**
+     * Extra stanza nodes that mark the message as interactive
+     * @returns {Array}
+     */
+    static additionalNodes() {
+        return [{
+            tag: 'biz',
+            attrs: {},
+            content: [{
+                tag: 'interactive',
+                attrs: { type: 'native_flow', v: '1' },
+                content: [{ tag: 'native_flow', attrs: { v: '9', name: 'mixed' } }]
+            }]
+        }];
+    }
+
+    /**
+     * Selectable choices of a list / template, in fallback numbering order
+     * @param {string} kind - 'list' | 'template'
+     * @param {Object} payload - Normalized list or template
+     * @returns {Array} [{ id, title, description }]
+     */
+    static getChoices(kind, payload) {
+        if (kind === 'list') {
+            return payload.sections.flatMap(section => section.rows.map(row => ({
+                id: row.id,
+                title: row.title,
+                description: row.description || null
+            })));
+        }
+        return payload.buttons
+            .filter(button => button.type === 'reply')
+            .map(button => ({ id: button.id, title: button.text, description: null }));
+    }
+
+    /**
+     * Render a list / template as numbered text for clients without interactive support
+     * @param {string} kind - 'list' | 'template'
+     * @param {Object} payload - Normalized list or template
+     * @returns {string}
+     */
+    static toText(kind, payload) {
+        const lines = [];
+        if (payload.title) lines.push(`*${payload.title}*`);
+        lines.push(payload.text);
+
+        let number = 0;
+        if (kind === 'list') {
+            for (const section of payload.sections) {
+                lines.push('');
+                if (section.title) lines.push(`*${section.title}*`);
+                for (const row of section.rows) {
+                    number++;
+                    lines.push(`${number}. ${row.title}${row.description ? ` - ${row.description}` : ''}`);
+                }
+            }
+        } else {
+            lines.push('');
+            for (const button of payload.buttons) {
+                if (button.type === 'url') {
+                    lines.push(`🔗 ${button.text}: ${button.url}`);
+                } else if (button.type === 'call') {
+                    lines.push(`📞 ${button.text}: ${button.phoneNumber}`);
+                } else {
+                    number++;
+                    lines.push(`${number}. ${button.text}`);
+                }
+            }
+        }
+
+        if (payload.footer) {
+            lines.push('', `_${payload.footer}_`);
+        }
+        if (number > 0) {
+            lines.push('', '_Reply with the number of your choice_');
+        }
+
+        return lines.join('\n');
+    }
+
+    /**
+     * Parse an incoming selection on a list / template message
+     * @param {Object} content - Message content (msg.message)
+     * @returns {Object|null} { type: 'button.reply' | 'list.reply', id, title, description, messageId }
+     */
+    static parseResponse(content) {
+        if (!content) return null;
+
+        if (content.listResponseMessage) {
+            const reply = content.listResponseMessage;
+            return {
+                type: 'list.reply',
+                id: reply.singleSelectReply?.selectedRowId || null,
+                title: reply.title || null,
+                description: reply.description || null,
+                messageId: reply.contextInfo?.stanzaId || null
+            };
+        }
+
+        if (content.buttonsResponseMessage) {
+            const reply = content.buttonsResponseMessage;
+            return {
+                type: 'button.reply',
+                id: reply.selectedButtonId || null,
+                title: reply.selectedDisplayText || null,
+                description: null,
+                messageId: reply.contextInfo?.stanzaId || null
+            };
+        }
+
+        if (content.templateButtonReplyMessage) {
+            const reply = content.templateButtonReplyMessage;
+            return {
+                type: 'button.reply',
+                id: reply.selectedId || null,
+                title: reply.selectedDisplayText || null,
+                description: null,
+                messageId: reply.contextInfo?.stanzaId || null
+            };
+        }
+
+        const nativeFlow = content.interactiveResponseMessage?.nativeFlowResponseMessage;
+        if (nativeFlow) {
+            let params = {};
+            try {
+                params = JSON.parse(nativeFlow.paramsJson || '{}');
+            } catch (e) {
+                // Keep the raw response
+            }
+            return {
+                type: nativeFlow.name === 'single_select' ? 'list.reply' : 'button.reply',
+                id: params.id || null,
+                title: content.interactiveResponseMessage.body?.text || params.title || null,
+                description: params.description || null,
+                messageId: content.interactiveResponseMessage.contextInfo?.stanzaId || null
+            };
+        }
+
+        return null;
+    }
+
+    /**
+     * Match a numbered text reply against a fallback menu
+     * @param {string} text - Incoming text
+     * @param {Object} menu - { kind, messageId, choices }
+     * @returns {Object|null} Selection in the same shape as parseResponse
+     */
+    static parseNumberedReply(text, menu) {
+        const match = typeof text === 'string' && text.match(NUMBERED_REPLY_REGEX);
+        if (!match || !menu) return null;
+
+        const choice = menu.choices[parseInt(match[1]) - 1];
+        if (!choice) return null;
+
+        return {
+            type: menu.kind === 'list' ? 'list.reply' : 'button.reply',
+            id: choice.id,
+            title: choice.title,
+            description: choice.description,
+            messageId: menu.messageId,
+            fallback: true
+        };
+    }
+}
+
+module.exports = InteractiveMessage;
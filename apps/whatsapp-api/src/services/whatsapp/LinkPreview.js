@@ -0,0 +1,299 @@
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const { getHttpStream, extractImageThumb, toBuffer } = require('@whiskeysockets/baileys');
+
+// Max time a send waits for the preview; slower pages are sent without one (the fetch still fills the cache)
+const LINK_PREVIEW_TIMEOUT = parseInt(process.env.LINK_PREVIEW_TIMEOUT) || 3_000;
+const LINK_PREVIEW_CACHE_TTL = parseInt(process.env.LINK_PREVIEW_CACHE_TTL) || 60 * 60_000;
+const LINK_PREVIEW_CACHE_SIZE = parseInt(process.env.LINK_PREVIEW_CACHE_SIZE) || 500;
+// Pages without OpenGraph data (or unreachable) are retried after this
+const FAILED_PREVIEW_TTL = 5 * 60_000;
+// Only the <head> is needed, stop reading large pages early
+const MAX_HTML_BYTES = 512 * 1024;
+// Background fetches that keep trickling data are aborted after this
+const MAX_FETCH_TIME = 15_000;
+const THUMBNAIL_WIDTH = 192;
+// Previews of pages in private networks (intranet); off by default, the fetch runs from this server
+const LINK_PREVIEW_ALLOW_PRIVATE = process.env.LINK_PREVIEW_ALLOW_PRIVATE === 'true';
+
+// Loopback, private, link-local (cloud metadata), CGNAT, multicast and reserved ranges
+// (separate lists: a BlockList matches IPv4 addresses against IPv4-mapped IPv6 rules)
+const PRIVATE_IPV4 = new net.BlockList();
+[['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]]
+    .forEach(([network, prefix]) => PRIVATE_IPV4.addSubnet(network, prefix, 'ipv4'));
+// IPv4-compatible / -mapped (::1 and :: included), unique local, link-local, multicast
+const PRIVATE_IPV6 = new net.BlockList();
+[['::', 96], ['::ffff:0:0', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]
+    .forEach(([network, prefix]) => PRIVATE_IPV6.addSubnet(network, prefix, 'ipv6'));
+
+const isPrivateAddress = (address) => net.isIPv6(address)
+    ? PRIVATE_IPV6.check(address, 'ipv6')
+    : PRIVATE_IPV4.check(address, 'ipv4');
+
+const privateAddressError = (host) => new Error(`Link preview of private address refused: ${host}`);
+
+// Resolve like dns.lookup, but fail when the host points to a private address
+// (checked on connect, so redirects and DNS rebinding are covered)
+const publicLookup = (hostname, options, callback) => {
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+        if (error) return callback(error);
+        if (addresses.some(({ address }) => isPrivateAddress(address))) {
+            return callback(privateAddressError(hostname));
+        }
+        if (options.all) return callback(null, addresses);
+        callback(null, addresses[0].address, addresses[0].family);
+    });
+};
+
+const publicHttpAgent = new http.Agent({ lookup: publicLookup });
+const publicHttpsAgent = new https.Agent({ lookup: publicLookup });
+
+const URL_REGEX = /https?:\/\/[^\s<>"']+/i;
+
+const HTML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+const previewCache = new Map(); // url -> { preview, expiresAt }
+const pendingPreviews = new Map(); // url -> Promise (one fetch per URL at a time)
+
+/**
+ * Link Preview Utility
+ * Ambil OpenGraph (judul, deskripsi, thumbnail) dari URL pertama di teks
+ * untuk ditampilkan sebagai rich link preview, dengan cache dan timeout.
+ */
+class LinkPreview {
+    /**
+     * First http(s) URL in a text
+     * @param {string} text
+     * @returns {string|null}
+     */
+    static extractUrl(text) {
+        const match = typeof text === 'string' && text.match(URL_REGEX);
+        // Trailing punctuation is usually part of the sentence, not the URL
+        return match ? match[0].replace(/[.,;:!?)\]]+$/, '') : null;
+    }
+
+    /**
+     * Preview for the first URL in a text, in the format of Baileys' `linkPreview` content field
+     * @param {string} text
+     * @param {Object} requestOptions - Axios options (proxy agent of the session)
+     * @returns {Promise<Object|null>} null when there is no URL, no OpenGraph data or the page is too slow
+     */
+    static async forText(text, requestOptions = {}) {
+        const url = LinkPreview.extractUrl(text);
+        if (!url) return null;
+
+        const cached = previewCache.get(url);
+        if (cached && cached.expiresAt > Date.now()) {
+            return LinkPreview._toUrlInfo(url, cached.preview);
+        }
+
+        if (!pendingPreviews.has(url)) {
+            const job = LinkPreview._generate(url, requestOptions)
+                .catch(() => null)
+                .then((preview) => {
+                    LinkPreview._remember(url, preview);
+                    pendingPreviews.delete(url);
+                    return preview;
+                });
+            pendingPreviews.set(url, job);
+        }
+
+        let timer;
+        const timeout = new Promise((resolve) => {
+            timer = setTimeout(() => resolve(null), LINK_PREVIEW_TIMEOUT);
+        });
+
+        const preview = await Promise.race([pendingPreviews.get(url), timeout]);
+        clearTimeout(timer);
+
+        return LinkPreview._toUrlInfo(url, preview);
+    }
+
+    /**
+     * Fetch the page and its thumbnail
+     * @returns {Promise<Object|null>} { title, description, canonicalUrl, thumbnail }
+     */
+    static async _generate(url, sessionRequestOptions) {
+        const requestOptions = LinkPreview._requestOptions(sessionRequestOptions);
+        await LinkPreview._checkTarget(url);
+        const html = await LinkPreview._fetchHead(url, requestOptions);
+        const meta = LinkPreview.parseMeta(html);
+        if (!meta.title) return null;
+
+        let thumbnail = null;
+        if (meta.image) {
+            try {
+                const imageUrl = new URL(meta.image, url).toString();
+                await LinkPreview._checkTarget(imageUrl);
+                const stream = await getHttpStream(imageUrl, {
+                    ...requestOptions,
+                    timeout: LINK_PREVIEW_TIMEOUT,
+                    maxContentLength: 5 * 1024 * 1024
+                });
+                const { buffer } = await extractImageThumb(await toBuffer(stream), THUMBNAIL_WIDTH);
+                thumbnail = buffer;
+            } catch (e) {
+                // Preview without thumbnail
+            }
+        }
+
+        return {
+            title: meta.title,
+            description: meta.description,
+            canonicalUrl: meta.url ? new URL(meta.url, url).toString() : url,
+            thumbnail
+        };
+    }
+
+    /**
+     * Refuse URLs whose host is or resolves to a private address (unless LINK_PREVIEW_ALLOW_PRIVATE)
+     * Checked up front as well: with a session proxy the proxy resolves the host
+     */
+    static async _checkTarget(url) {
+        if (LINK_PREVIEW_ALLOW_PRIVATE) return;
+
+        const { protocol, hostname } = new URL(url);
+        if (protocol !== 'http:' && protocol !== 'https:') {
+            throw new Error(`Unsupported link preview URL: ${url}`);
+        }
+
+        const host = hostname.replace(/^\[|\]$/g, '');
+        const addresses = net.isIP(host) ? [{ address: host }] : await dns.promises.lookup(host, { all: true });
+        if (addresses.some(({ address }) => isPrivateAddress(address))) {
+            throw privateAddressError(host);
+        }
+    }
+
+    /**
+     * Axios options of the fetches: connections only to public addresses (also after redirects)
+     * @param {Object} requestOptions - Options of the session (proxy agent)
+     */
+    static _requestOptions(requestOptions) {
+        if (LINK_PREVIEW_ALLOW_PRIVATE) return requestOptions;
+
+        return {
+            httpAgent: publicHttpAgent,
+            httpsAgent: publicHttpsAgent,
+            ...requestOptions,
+            // IP hosts are not resolved, so the agents do not see them
+            beforeRedirect: (options) => {
+                const host = (options.hostname || '').replace(/^\[|\]$/g, '');
+                if (net.isIP(host) && isPrivateAddress(host)) {
+                    throw privateAddressError(host);
+                }
+            }
+        };
+    }
+
+    /**
+     * Read the start of an HTML page
+     * @returns {Promise<string>}
+     */
+    static async _fetchHead(url, requestOptions) {
+        const stream = await getHttpStream(url, {
+            ...requestOptions,
+            timeout: LINK_PREVIEW_TIMEOUT,
+            maxRedirects: 5,
+            headers: {
+                'User-Agent': 'Mozilla/5.0 (compatible; WhatsApp link preview)',
+                'Accept': 'text/html,application/xhtml+xml'
+            }
+        });
+
+        return new Promise((resolve, reject) => {
+            const chunks = [];
+            let size = 0;
+
+            const timer = setTimeout(() => {
+                stream.destroy();
+                reject(new Error(`Page not loaded after ${MAX_FETCH_TIME}ms`));
+            }, MAX_FETCH_TIME);
+
+            const done = () => {
+                clearTimeout(timer);
+                resolve(Buffer.concat(chunks).toString('utf8'));
+            };
+
+            stream.on('data', (chunk) => {
+                chunks.push(chunk);
+                size += chunk.length;
+                if (size >= MAX_HTML_BYTES || chunk.includes('</head>')) {
+                    stream.destroy();
+                    done();
+                }
+            });
+            stream.on('end', done);
+            stream.on('error', (error) => {
+                clearTimeout(timer);
+                reject(error);
+            });
+        });
+    }
+
+    /**
+     * Parse OpenGraph / Twitter card / HTML meta tags
+     * @param {string} html
+     * @returns {Object} { title, description, image, url }
+     */
+    static parseMeta(html) {
+        const tags = {};
+
+        for (const [tag] of html.matchAll(/<meta\s[^>]*>/gi)) {
+            const key = tag.match(/(?:property|name)\s*=\s*["']([^"']+)["']/i)?.[1]?.toLowerCase();
+            const content = tag.match(/content\s*=\s*(?:"([^"]*)"|'([^']*)')/i);
+            if (key && content && !(key in tags)) {
+                tags[key] = LinkPreview._decode(content[1] ?? content[2]);
+            }
+        }
+
+        const htmlTitle = html.match(/<title[^>]*>([^<]*)<\/title>/i)?.[1];
+
+        return {
+            title: tags['og:title'] || tags['twitter:title'] || (htmlTitle ? LinkPreview._decode(htmlTitle) : null),
+            description: tags['og:description'] || tags['twitter:description'] || tags['description'] || null,
+            image: tags['og:image'] || tags['og:image:url'] || tags['twitter:image'] || null,
+            url: tags['og:url'] || null
+        };
+    }
+
+    static _decode(text) {
+        return text
+            .replace(/&(#x?[0-9a-f]+|[a-z]+);/gi, (entity, code) => {
+                if (code[0] === '#') {
+                    const num = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+                    return Number.isNaN(num) || num > 0x10FFFF ? entity : String.fromCodePoint(num);
+                }
+                return HTML_ENTITIES[code.toLowerCase()] ?? entity;
+            })
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    static _remember(url, preview) {
+        previewCache.delete(url);
+        // Drop the oldest entries first (Map keeps insertion order)
+        while (previewCache.size >= LINK_PREVIEW_CACHE_SIZE) {
+            previewCache.delete(previewCache.keys().next().value);
+        }
+        previewCache.set(url, {
+            preview,
+            expiresAt: Date.now() + (preview ? LINK_PREVIEW_CACHE_TTL : FAILED_PREVIEW_TTL)
+        });
+    }
+
+    static _toUrlInfo(url, preview) {
+        if (!preview) return null;
+        return {
+            'canonical-url': preview.canonicalUrl,
+            'matched-text': url,
+            title: preview.title,
+            description: preview.description || undefined,
+            jpegThumbnail: preview.thumbnail || undefined
+        };
+    }
+}
+
+module.exports = LinkPreview;
@@ -0,0 +1,72 @@
+const { spawn } = require('child_process');
+
+const FFMPEG_PATH = process.env.FFMPEG_PATH || 'ffmpeg';
+const FFMPEG_TIMEOUT = parseInt(process.env.FFMPEG_TIMEOUT) || 60_000;
+
+/**
+ * Media Converter Utility
+ * Konversi media lewat ffmpeg (mis. audio apapun -> Opus/OGG untuk voice note)
+ */
+class MediaConverter {
+    /**
+     * Run ffmpeg with stdin/stdout pipes
+     * @param {Buffer} input
+     * @param {Array<string>} args - Output arguments (input is always pipe:0)
+     * @returns {Promise<Buffer>}
+     */
+    static run(input, args) {
+        return new Promise((resolve, reject) => {
+            const ffmpeg = spawn(FFMPEG_PATH, ['-hide_banner', '-loglevel', 'error', '-i', 'pipe:0', ...args, 'pipe:1']);
+            const chunks = [];
+            let stderr = '';
+
+            const timer = setTimeout(() => {
+                ffmpeg.kill('SIGKILL');
+                reject(new Error(`ffmpeg timed out after ${FFMPEG_TIMEOUT}ms`));
+            }, FFMPEG_TIMEOUT);
+
+            ffmpeg.stdout.on('data', chunk => chunks.push(chunk));
+            ffmpeg.stderr.on('data', chunk => { stderr += chunk.toString(); });
+
+            ffmpeg.on('error', (error) => {
+                clearTimeout(timer);
+                reject(error.code === 'ENOENT'
+                    ? new Error(`ffmpeg not found (${FFMPEG_PATH}). Install ffmpeg or set FFMPEG_PATH.`)
+                    : error);
+            });
+
+            ffmpeg.on('close', (code) => {
+                clearTimeout(timer);
+                if (code === 0) {
+                    resolve(Buffer.concat(chunks));
+                } else {
+                    reject(new Error(`ffmpeg failed: ${stderr.trim().split('\n').pop() || `exit code ${code}`}`));
+                }
+            });
+
+            // ffmpeg may exit before reading all input (invalid file)
+            ffmpeg.stdin.on('error', () => {});
+            ffmpeg.stdin.end(input);
+        });
+    }
+
+    /**
+     * Convert audio to Opus in an OGG container (format of WhatsApp voice notes)
+     * @param {Buffer} input - Audio in any format ffmpeg understands (mp3, m4a, wav, ...)
+     * @returns {Promise<Buffer>}
+     */
+    static toOpus(input) {
+        return MediaConverter.run(input, [
+            '-vn',
+            '-map_metadata', '-1',
+            '-c:a', 'libopus',
+            '-b:a', '64k',
+            '-ac', '1',
+            '-ar', '48000',
+            '-application', 'voip',
+            '-f', 'ogg'
+        ]);
+    }
+}
+
+module.exports = MediaConverter;
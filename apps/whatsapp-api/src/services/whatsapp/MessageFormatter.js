@@ -1,3 +1,5 @@
+const InteractiveMessage = require('./InteractiveMessage');
+
 /**
  * Message Formatter Utility
  * Format pesan WhatsApp untuk response API
@@ -6,9 +8,10 @@ class MessageFormatter {
     /**
      * Format message untuk response
      * @param {Object} msg - Raw message object dari Baileys
+     * @param {Object} options - { mediaUrl(msg) } signed URL of the media (mediaUrl is null without it)
      * @returns {Object|null}
      */
-    static formatMessage(msg) {
+    static formatMessage(msg, options = {}) {
         if (!msg || !msg.message) return null;
 
         const messageContent = msg.message;
@@ -18,7 +21,19 @@ class MessageFormatter {
         let mimetype = null;
         let filename = null;
 
-        if (messageContent?.conversation) {
+        // Selection on a list / template (or a numbered reply to its text fallback)
+        const selection = msg._selection || InteractiveMessage.parseResponse(messageContent);
+
+        if (selection) {
+            type = selection.type;
+            content = {
+                id: selection.id,
+                title: selection.title,
+                description: selection.description,
+                messageId: selection.messageId,
+                fallback: selection.fallback || false
+            };
+        } else if (messageContent?.conversation) {
             type = 'text';
             content = messageContent.conversation;
         } else if (messageContent?.extendedTextMessage) {
@@ -68,6 +83,29 @@ class MessageFormatter {
                 emoji: messageContent.reactionMessage.text,
                 targetMessageId: messageContent.reactionMessage.key?.id
             };
+        } else if (messageContent?.pollCreationMessage || messageContent?.pollCreationMessageV2 || messageContent?.pollCreationMessageV3) {
+            const poll = messageContent.pollCreationMessage || messageContent.pollCreationMessageV2 || messageContent.pollCreationMessageV3;
+            type = 'poll';
+            content = {
+                question: poll.name,
+                options: (poll.options || []).map(o => o.optionName),
+                multiSelect: poll.selectableOptionsCount !== 1
+            };
+        } else if (messageContent?.pollUpdateMessage) {
+            // Vote is encrypted, decrypted votes are sent with the poll.vote event
+            type = 'poll_vote';
+            content = {
+                pollId: messageContent.pollUpdateMessage.pollCreationMessageKey?.id
+            };
+        } else if (messageContent?.viewOnceMessage?.message?.interactiveMessage) {
+            const interactive = messageContent.viewOnceMessage.message.interactiveMessage;
+            type = 'interactive';
+            content = {
+                title: interactive.header?.title || null,
+                text: interactive.body?.text || null,
+                footer: interactive.footer?.text || null,
+                buttons: (interactive.nativeFlowMessage?.buttons || []).map(b => b.name)
+            };
         } else if (messageContent?.protocolMessage) {
             type = 'protocol';
             content = messageContent.protocolMessage.type;
@@ -88,7 +126,8 @@ class MessageFormatter {
             caption: caption,
             mimetype: mimetype,
             filename: filename,
-            mediaUrl: msg._mediaPath || null,  // URL to access saved media
+            mediaUrl: options.mediaUrl?.(msg) || null,  // Signed URL to access the media
+            imported: !!msg._imported,  // From an imported chat export
             isGroup: msg.key.remoteJid?.includes('@g.us') || false,
             quotedMessage: msg.message?.extendedTextMessage?.contextInfo?.quotedMessage ? {
                 id: msg.message.extendedTextMessage.contextInfo.stanzaId,
@@ -109,7 +148,12 @@ class MessageFormatter {
         let type = 'unknown';
         let text = null;
 
-        if (content.conversation) {
+        const selection = msg._selection || InteractiveMessage.parseResponse(content);
+
+        if (selection) {
+            type = selection.type;
+            text = selection.title || selection.id;
+        } else if (content.conversation) {
             type = 'text';
             text = content.conversation;
         } else if (content.extendedTextMessage?.text) {
@@ -139,6 +183,12 @@ class MessageFormatter {
         } else if (content.reactionMessage) {
             type = 'reaction';
             text = content.reactionMessage.text || '👍';
+        } else if (content.pollCreationMessage || content.pollCreationMessageV2 || content.pollCreationMessageV3) {
+            type = 'poll';
+            text = `📊 ${(content.pollCreationMessage || content.pollCreationMessageV2 || content.pollCreationMessageV3).name}`;
+        } else if (content.viewOnceMessage?.message?.interactiveMessage) {
+            type = 'interactive';
+            text = content.viewOnceMessage.message.interactiveMessage.body?.text || '📋 Menu';
         }
 
         return {
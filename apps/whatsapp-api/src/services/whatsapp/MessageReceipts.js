@@ -0,0 +1,145 @@
+/**
+ * Message Receipts Utility
+ * Riwayat status pesan keluar (server ack, delivered, read, played)
+ * dan receipt per peserta untuk pesan grup.
+ *
+ * Kept on the stored message so it is persisted with the store:
+ * - `_statusHistory`: [{ status, at }] in the order the statuses were reached
+ * - `_receipts`: { [participantJid]: { deliveredAt, readAt, playedAt } } (groups)
+ * Times are in ms.
+ */
+
+// WAMessageStatus value -> status name
+const STATUS_NAMES = ['error', 'pending', 'sent', 'delivered', 'read', 'played'];
+const STATUS_ERROR = 0;
+
+// Receipt timestamp field -> status name / stored field
+const RECEIPT_FIELDS = [
+    { field: 'receiptTimestamp', status: 'delivered', key: 'deliveredAt' },
+    { field: 'readTimestamp', status: 'read', key: 'readAt' },
+    { field: 'playedTimestamp', status: 'played', key: 'playedAt' }
+];
+
+const toMs = (timestamp) => timestamp ? Number(timestamp) * 1000 : null;
+const toISO = (time) => time ? new Date(time).toISOString() : null;
+
+class MessageReceipts {
+    /**
+     * Name of a WAMessageStatus value
+     * @param {number} status
+     * @returns {string|null}
+     */
+    static statusName(status) {
+        return STATUS_NAMES[status] || null;
+    }
+
+    /**
+     * Add a status to the history of an outbound message
+     * Statuses only move forward (a late "delivered" after "read" is ignored), errors are always kept.
+     * @param {Object} msg - Stored message
+     * @param {number} status - WAMessageStatus
+     * @param {number} at - Time (ms)
+     * @returns {boolean} Whether the status was new
+     */
+    static recordStatus(msg, status, at = Date.now()) {
+        const name = MessageReceipts.statusName(status);
+        if (!name) return false;
+
+        msg._statusHistory = msg._statusHistory || [];
+        const last = msg._statusHistory[msg._statusHistory.length - 1];
+        if (status !== STATUS_ERROR && last && STATUS_NAMES.indexOf(last.status) >= status) {
+            return false;
+        }
+
+        msg._statusHistory.push({ status: name, at });
+        return true;
+    }
+
+    /**
+     * Record a receipt of a group participant
+     * @param {Object} msg - Stored message
+     * @param {Object} receipt - { userJid, receiptTimestamp?, readTimestamp?, playedTimestamp? }
+     * @returns {Array<Object>} New statuses of the participant: [{ status, at }]
+     */
+    static recordReceipt(msg, receipt) {
+        if (!receipt?.userJid) return [];
+
+        msg._receipts = msg._receipts || {};
+        const entry = msg._receipts[receipt.userJid] || { deliveredAt: null, readAt: null, playedAt: null };
+        const reached = [];
+
+        for (const { field, status, key } of RECEIPT_FIELDS) {
+            const at = toMs(receipt[field]);
+            if (at && !entry[key]) {
+                entry[key] = at;
+                reached.push({ status, at });
+            }
+        }
+
+        msg._receipts[receipt.userJid] = entry;
+        return reached;
+    }
+
+    /**
+     * Latest status of a message
+     * @param {Object} msg - Stored message
+     * @returns {string|null}
+     */
+    static currentStatus(msg) {
+        const history = msg._statusHistory || [];
+        if (history.length > 0) return history[history.length - 1].status;
+        return MessageReceipts.statusName(msg.status);
+    }
+
+    /**
+     * Participant receipt counts of a group message
+     * @param {Object} msg - Stored message
+     * @returns {Object} { delivered, read, played }
+     */
+    static countReceipts(msg) {
+        const receipts = Object.values(msg._receipts || {});
+        return {
+            delivered: receipts.filter(r => r.deliveredAt || r.readAt || r.playedAt).length,
+            read: receipts.filter(r => r.readAt || r.playedAt).length,
+            played: receipts.filter(r => r.playedAt).length
+        };
+    }
+
+    /**
+     * Status history and receipts of a message
+     * @param {Object} msg - Stored message
+     * @param {Function} nameOf - jid => contact name
+     * @returns {Object}
+     */
+    static summarize(msg, nameOf = () => null) {
+        const chatId = msg.key.remoteJid;
+        const isGroup = chatId.endsWith('@g.us');
+
+        const receipts = Object.entries(msg._receipts || {}).map(([jid, receipt]) => ({
+            jid,
+            phone: jid.split('@')[0],
+            name: nameOf(jid),
+            deliveredAt: toISO(receipt.deliveredAt),
+            readAt: toISO(receipt.readAt),
+            playedAt: toISO(receipt.playedAt)
+        }));
+
+        return {
+            messageId: msg.key.id,
+            chatId,
+            isGroup,
+            fromMe: !!msg.key.fromMe,
+            status: MessageReceipts.currentStatus(msg),
+            history: (msg._statusHistory || []).map(entry => ({
+                status: entry.status,
+                timestamp: toISO(entry.at)
+            })),
+            ...(isGroup && {
+                receiptCounts: MessageReceipts.countReceipts(msg),
+                receipts
+            })
+        };
+    }
+}
+
+module.exports = MessageReceipts;
@@ -0,0 +1,221 @@
+const MessageFormatter = require('./MessageFormatter');
+
+// Characters of context on each side of the first match in a snippet
+const SNIPPET_CONTEXT = 60;
+const HIGHLIGHT_PRE = '<mark>';
+const HIGHLIGHT_POST = '</mark>';
+
+const WORD_CHAR = /[\p{L}\p{N}]/u;
+
+// ISO 8601 date, optionally with time and offset (2024-05-01, 2024-05-01T08:00:00+07:00)
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}(?:[T ]\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:?\d{2})?)?$/;
+
+const escapeHTML = (text) => text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+
+/**
+ * Message Search Utility
+ * Pencarian teks, caption dan nama file dokumen di message store.
+ *
+ * Query dipecah menjadi kata; sebuah pesan cocok jika setiap kata menjadi awalan
+ * dari salah satu kata di teksnya (tanpa membedakan huruf besar/kecil dan aksen),
+ * sama seperti tokenizer FTS5 `unicode61 remove_diacritics` yang dipakai SqliteBaileysStore.
+ */
+class MessageSearch {
+    /**
+     * Split a query into normalized search terms
+     * @param {string} query
+     * @returns {Array<string>}
+     */
+    static parseTerms(query) {
+        const words = MessageSearch.fold(String(query || '')).text.split(/[^\p{L}\p{N}]+/u);
+        return [...new Set(words.filter(Boolean))];
+    }
+
+    /**
+     * Parse a from / to filter: an ISO date string, or unix time (seconds or ms) as a number
+     * Numeric strings are refused, "2024" could be a year as well as a unix time
+     * @param {string|number} value
+     * @returns {number|null|undefined} Unix seconds, null when empty, undefined when invalid
+     */
+    static parseTime(value) {
+        if (value === undefined || value === null || value === '') return null;
+
+        let time;
+        if (typeof value === 'number') {
+            time = value > 1e12 ? value : value * 1000;
+        } else if (typeof value === 'string' && ISO_DATE.test(value.trim())) {
+            time = Date.parse(value.trim());
+        }
+
+        return Number.isFinite(time) ? Math.floor(time / 1000) : undefined;
+    }
+
+    /**
+     * Lowercase text and strip diacritics, keeping a map back to the original offsets
+     * @param {string} text
+     * @returns {Object} { text, offsets } - offsets[i] = index in the original of folded char i
+     */
+    static fold(text) {
+        let folded = '';
+        const offsets = [];
+
+        for (let i = 0; i < text.length; i++) {
+            const part = text[i].normalize('NFD').replace(/\p{M}/gu, '').toLowerCase();
+            for (let j = 0; j < part.length; j++) offsets.push(i);
+            folded += part;
+        }
+        offsets.push(text.length);
+
+        return { text: folded, offsets };
+    }
+
+    /**
+     * Searchable fields of a message
+     * @param {Object} msg - Stored message
+     * @returns {Array<Object>} [{ field: 'text' | 'caption' | 'filename', value }]
+     */
+    static fieldsOf(msg) {
+        const formatted = MessageFormatter.formatMessage(msg);
+        if (!formatted) return [];
+
+        const fields = [];
+        if (formatted.type === 'text' && typeof formatted.content === 'string') {
+            fields.push({ field: 'text', value: formatted.content });
+        }
+        if (formatted.caption) fields.push({ field: 'caption', value: formatted.caption });
+        if (formatted.filename) fields.push({ field: 'filename', value: formatted.filename });
+        return fields;
+    }
+
+    /**
+     * Values stored in the search index of a message
+     * @param {Object} msg - Stored message
+     * @returns {Object} { text, sender, type }
+     */
+    static indexEntry(msg) {
+        return {
+            text: MessageSearch.fieldsOf(msg).map(f => f.value).join('\n'),
+            sender: MessageSearch.senderOf(msg),
+            type: MessageFormatter.formatMessage(msg)?.type || 'unknown'
+        };
+    }
+
+    /**
+     * Sender JID of a message (null for messages sent by this session)
+     */
+    static senderOf(msg) {
+        if (msg.key.fromMe) return null;
+        return msg.key.participant || msg.key.remoteJid;
+    }
+
+    /**
+     * Positions of the terms in a text, each term only matching at the start of a word
+     * @returns {Array<Object>|null} [{ start, end }] in the original text, null when a term is missing
+     */
+    static findTerms(text, terms) {
+        const folded = MessageSearch.fold(text);
+        const ranges = [];
+
+        for (const term of terms) {
+            let found = false;
+            let index = folded.text.indexOf(term);
+
+            while (index > -1) {
+                if (index === 0 || !WORD_CHAR.test(folded.text[index - 1])) {
+                    ranges.push({
+                        start: folded.offsets[index],
+                        end: folded.offsets[index + term.length]
+                    });
+                    found = true;
+                }
+                index = folded.text.indexOf(term, index + 1);
+            }
+
+            if (!found) return null;
+        }
+
+        return ranges.sort((a, b) => a.start - b.start);
+    }
+
+    /**
+     * Whether a message matches the search terms and filters
+     * @param {Object} msg - Stored message
+     * @param {Array<string>} terms - From parseTerms()
+     * @param {Object} filters - { chatId, senders, fromMe, types, from, to } (from/to: unix seconds)
+     * @param {number} timestamp - Message timestamp (unix seconds)
+     */
+    static matches(msg, terms, filters, timestamp) {
+        if (filters.chatId && msg.key.remoteJid !== filters.chatId) return false;
+        if (filters.fromMe !== undefined && filters.fromMe !== null && !!msg.key.fromMe !== filters.fromMe) return false;
+        if (filters.senders?.length && !filters.senders.includes(MessageSearch.senderOf(msg))) return false;
+        if (filters.from && timestamp < filters.from) return false;
+        if (filters.to && timestamp > filters.to) return false;
+
+        const entry = MessageSearch.indexEntry(msg);
+        if (filters.types?.length && !filters.types.includes(entry.type)) return false;
+
+        return MessageSearch.findTerms(entry.text, terms) !== null;
+    }
+
+    /**
+     * Highlighted snippet of the best matching field
+     * The snippet is HTML-escaped with matches wrapped in <mark>, `highlights` are
+     * { start, end } offsets of the matches in the plain `text` of the snippet.
+     * @param {Object} msg - Stored message
+     * @param {Array<string>} terms
+     * @returns {Object|null} { field, text, snippet, highlights }
+     */
+    static snippet(msg, terms) {
+        const fields = MessageSearch.fieldsOf(msg);
+        let best = null;
+
+        for (const { field, value } of fields) {
+            const ranges = terms.map(term => MessageSearch.findTerms(value, [term]) || []).flat();
+            if (!best || ranges.length > best.ranges.length) {
+                best = { field, value, ranges: ranges.sort((a, b) => a.start - b.start) };
+            }
+        }
+        if (!best) return null;
+
+        const { field, value, ranges } = best;
+        const first = ranges[0]?.start || 0;
+        let start = Math.max(0, first - SNIPPET_CONTEXT);
+        let end = Math.min(value.length, first + SNIPPET_CONTEXT * 2);
+
+        // Don't cut words at the edges
+        while (start > 0 && WORD_CHAR.test(value[start - 1])) start--;
+        while (end < value.length && WORD_CHAR.test(value[end])) end++;
+
+        const prefix = start > 0 ? '…' : '';
+        const suffix = end < value.length ? '…' : '';
+        const text = prefix + value.slice(start, end) + suffix;
+
+        // Merge overlapping matches inside the window
+        const highlights = [];
+        for (const range of ranges) {
+            if (range.start < start || range.end > end) continue;
+            const shifted = { start: range.start - start + prefix.length, end: range.end - start + prefix.length };
+            const last = highlights[highlights.length - 1];
+            if (last && shifted.start <= last.end) {
+                last.end = Math.max(last.end, shifted.end);
+            } else {
+                highlights.push(shifted);
+            }
+        }
+
+        let snippet = '';
+        let position = 0;
+        for (const { start: from, end: to } of highlights) {
+            snippet += escapeHTML(text.slice(position, from)) + HIGHLIGHT_PRE + escapeHTML(text.slice(from, to)) + HIGHLIGHT_POST;
+            position = to;
+        }
+        snippet += escapeHTML(text.slice(position));
+
+        return { field, text, snippet, highlights };
+    }
+}
+
+module.exports = MessageSearch;
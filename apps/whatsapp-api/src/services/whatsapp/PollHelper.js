@@ -0,0 +1,142 @@
+const crypto = require('crypto');
+const { decryptPollVote } = require('@whiskeysockets/baileys');
+
+/**
+ * Poll Helper Utility
+ * Dekripsi vote polling dan rekap hasil per opsi.
+ *
+ * Buffers are dropped when the store is persisted, so the poll secret is kept
+ * as base64 in `_pollSecret` and decrypted votes as option names in `_pollVotes`
+ * on the stored poll message: { [voterJid]: { options: [names], timestamp } }
+ */
+class PollHelper {
+    /**
+     * Get the poll creation content of a message (v1 multi select, v2 announcement, v3 single select)
+     * @param {Object} msg - WAMessage
+     * @returns {Object|null} { name, options, selectableOptionsCount }
+     */
+    static getCreation(msg) {
+        const content = msg?.message;
+        return content?.pollCreationMessage
+            || content?.pollCreationMessageV2
+            || content?.pollCreationMessageV3
+            || null;
+    }
+
+    /**
+     * Keep the poll encryption secret in a form that survives store persistence
+     * @param {Object} pollMsg - Stored poll creation message
+     */
+    static rememberSecret(pollMsg) {
+        const secret = pollMsg?.message?.messageContextInfo?.messageSecret;
+        if (secret && !pollMsg._pollSecret) {
+            pollMsg._pollSecret = Buffer.from(secret).toString('base64');
+        }
+    }
+
+    /**
+     * Decrypt a poll vote into the selected option names
+     * @param {Object} pollMsg - Stored poll creation message
+     * @param {Object} voteMsg - Message containing pollUpdateMessage
+     * @param {Array<string>} creatorJids - Possible JIDs of the poll creator (e.g. phone JID and LID)
+     * @param {Array<string>} voterJids - Possible JIDs of the voter
+     * @returns {Array<string>} Selected option names (empty = vote retracted)
+     */
+    static decryptVote(pollMsg, voteMsg, creatorJids, voterJids) {
+        const secret = pollMsg.message?.messageContextInfo?.messageSecret
+            || (pollMsg._pollSecret && Buffer.from(pollMsg._pollSecret, 'base64'));
+        if (!secret) {
+            throw new Error('Poll secret not available');
+        }
+
+        const { vote } = voteMsg.message.pollUpdateMessage;
+        let decrypted = null;
+
+        // The vote is bound to the JIDs used when it was cast: try each known identity
+        for (const pollCreatorJid of creatorJids.filter(Boolean)) {
+            for (const voterJid of voterJids.filter(Boolean)) {
+                try {
+                    decrypted = decryptPollVote(vote, {
+                        pollEncKey: secret,
+                        pollCreatorJid,
+                        pollMsgId: pollMsg.key.id,
+                        voterJid
+                    });
+                    break;
+                } catch (e) {
+                    // Wrong identity, try the next one
+                }
+            }
+            if (decrypted) break;
+        }
+
+        if (!decrypted) {
+            throw new Error('Failed to decrypt poll vote');
+        }
+
+        // Votes contain SHA-256 hashes of the option names
+        const names = {};
+        for (const option of PollHelper.getCreation(pollMsg)?.options || []) {
+            const hash = crypto.createHash('sha256').update(option.optionName || '').digest('hex');
+            names[hash] = option.optionName;
+        }
+
+        return (decrypted.selectedOptions || [])
+            .map(hash => names[Buffer.from(hash).toString('hex')] || 'Unknown');
+    }
+
+    /**
+     * Save the latest vote of a voter on the stored poll message
+     * @param {Object} pollMsg
+     * @param {string} voterJid
+     * @param {Array<string>} options - Selected option names
+     * @param {number} timestamp - Vote time (ms)
+     */
+    static recordVote(pollMsg, voterJid, options, timestamp = Date.now()) {
+        pollMsg._pollVotes = pollMsg._pollVotes || {};
+        if (options.length > 0) {
+            pollMsg._pollVotes[voterJid] = { options, timestamp };
+        } else {
+            delete pollMsg._pollVotes[voterJid];
+        }
+    }
+
+    /**
+     * Current result of a poll
+     * @param {Object} pollMsg - Stored poll creation message
+     * @returns {Object}
+     */
+    static tally(pollMsg) {
+        const creation = PollHelper.getCreation(pollMsg);
+        const votes = pollMsg._pollVotes || {};
+
+        const options = (creation.options || []).map(option => ({
+            name: option.optionName,
+            votes: 0,
+            voters: []
+        }));
+
+        for (const [voter, vote] of Object.entries(votes)) {
+            for (const name of vote.options) {
+                let option = options.find(o => o.name === name);
+                if (!option) {
+                    option = { name, votes: 0, voters: [] };
+                    options.push(option);
+                }
+                option.votes++;
+                option.voters.push(voter);
+            }
+        }
+
+        return {
+            pollId: pollMsg.key.id,
+            chatId: pollMsg.key.remoteJid,
+            question: creation.name,
+            multiSelect: creation.selectableOptionsCount !== 1,
+            totalVoters: Object.keys(votes).length,
+            options
+        };
+    }
+}
+
+module.exports = PollHelper;
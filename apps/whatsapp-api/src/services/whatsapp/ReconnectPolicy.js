@@ -0,0 +1,193 @@
+const { DisconnectReason } = require('@whiskeysockets/baileys');
+
+/**
+ * Actions that can be taken after a connection is closed
+ * - retry   : reconnect with exponential backoff (counts as an attempt)
+ * - restart : reconnect immediately (WhatsApp asked for a restart, counts as an attempt)
+ * - reset   : drop the stored auth state, then reconnect with backoff (new QR / pairing)
+ * - logout  : drop the stored auth state and stay disconnected
+ * - stop    : stay disconnected and keep the auth state (e.g. banned or replaced)
+ */
+const RECONNECT_ACTIONS = ['retry', 'restart', 'reset', 'logout', 'stop'];
+
+// Default action per DisconnectReason name, anything not listed is retried
+const DEFAULT_REASON_ACTIONS = {
+    loggedOut: 'logout',
+    badSession: 'reset',
+    multideviceMismatch: 'logout',
+    restartRequired: 'restart',
+    connectionReplaced: 'stop',
+    forbidden: 'stop'
+};
+
+const DEFAULT_RECONNECT_OPTIONS = {
+    enabled: true,
+    baseDelay: parseInt(process.env.RECONNECT_BASE_DELAY) || 2_000,
+    maxDelay: parseInt(process.env.RECONNECT_MAX_DELAY) || 300_000,
+    factor: 2,
+    jitter: 0.3,
+    maxAttempts: process.env.RECONNECT_MAX_ATTEMPTS !== undefined
+        ? parseInt(process.env.RECONNECT_MAX_ATTEMPTS) || 0
+        : 10 // 0 = unlimited
+};
+
+/**
+ * Reconnect Policy
+ * Menentukan apakah dan kapan sesi harus reconnect setelah koneksi terputus
+ */
+class ReconnectPolicy {
+    /**
+     * @param {Object} overrides - Per-session overrides of DEFAULT_RECONNECT_OPTIONS
+     *        plus optional `actions` map ({ connectionReplaced: 'retry', ... })
+     */
+    constructor(overrides = {}) {
+        this.overrides = {};
+        this.attempts = 0;
+        this.nextRetryAt = null;
+        this.lastDisconnect = null;
+        this.configure(overrides);
+    }
+
+    /**
+     * Validate policy overrides from the API
+     * @param {Object} options
+     * @returns {string|null} Error message or null when valid
+     */
+    static validate(options) {
+        if (options === null || typeof options !== 'object' || Array.isArray(options)) {
+            return 'reconnect must be an object';
+        }
+
+        if (options.enabled !== undefined && typeof options.enabled !== 'boolean') {
+            return 'reconnect.enabled must be a boolean';
+        }
+
+        for (const field of ['baseDelay', 'maxDelay', 'maxAttempts']) {
+            if (options[field] !== undefined && (!Number.isInteger(options[field]) || options[field] < 0)) {
+                return `reconnect.${field} must be a non-negative integer`;
+            }
+        }
+
+        if (options.factor !== undefined && (typeof options.factor !== 'number' || options.factor < 1)) {
+            return 'reconnect.factor must be a number >= 1';
+        }
+
+        if (options.jitter !== undefined && (typeof options.jitter !== 'number' || options.jitter < 0 || options.jitter > 1)) {
+            return 'reconnect.jitter must be a number between 0 and 1';
+        }
+
+        if (options.actions !== undefined) {
+            if (options.actions === null || typeof options.actions !== 'object' || Array.isArray(options.actions)) {
+                return 'reconnect.actions must be an object';
+            }
+            for (const [reason, action] of Object.entries(options.actions)) {
+                if (typeof DisconnectReason[reason] !== 'number') {
+                    return `Unknown disconnect reason: ${reason}`;
+                }
+                if (!RECONNECT_ACTIONS.includes(action)) {
+                    return `Invalid action for ${reason}. Use one of: ${RECONNECT_ACTIONS.join(', ')}`;
+                }
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Merge new overrides into the policy
+     * @param {Object} overrides
+     */
+    configure(overrides = {}) {
+        const { actions, ...rest } = overrides || {};
+        this.overrides = {
+            ...this.overrides,
+            ...rest,
+            actions: { ...(this.overrides.actions || {}), ...(actions || {}) }
+        };
+        this.options = { ...DEFAULT_RECONNECT_OPTIONS, ...this.overrides };
+        this.actions = { ...DEFAULT_REASON_ACTIONS, ...this.overrides.actions };
+    }
+
+    /**
+     * Get overrides for persisting in session config
+     */
+    getConfig() {
+        return this.overrides;
+    }
+
+    /**
+     * Decide what to do for a closed connection
+     * @param {number} statusCode - lastDisconnect.error.output.statusCode
+     * @returns {Object} { action, reason }
+     */
+    resolve(statusCode) {
+        const reason = DisconnectReason[statusCode] || 'unknown';
+        let action = this.actions[reason] || 'retry';
+
+        // Auto reconnect disabled: only honour logout (auth state is invalid anyway)
+        if (!this.options.enabled && action !== 'logout') {
+            action = 'stop';
+        }
+
+        this.lastDisconnect = {
+            statusCode: statusCode || null,
+            reason,
+            action,
+            at: new Date().toISOString()
+        };
+
+        return { action, reason };
+    }
+
+    /**
+     * Compute the delay before the next attempt and count it
+     * @param {boolean} immediate - Restart right away (no backoff, still counted so a restart loop ends)
+     * @returns {number|null} Delay in ms, or null when max attempts is reached
+     */
+    nextDelay(immediate = false) {
+        const { baseDelay, maxDelay, factor, jitter, maxAttempts } = this.options;
+
+        if (maxAttempts > 0 && this.attempts >= maxAttempts) {
+            this.nextRetryAt = null;
+            return null;
+        }
+
+        const exponential = Math.min(maxDelay, baseDelay * Math.pow(factor, this.attempts));
+        const spread = exponential * jitter;
+        const delay = immediate ? 0 : Math.max(0, Math.round(exponential - spread + Math.random() * spread * 2));
+
+        this.attempts++;
+        this.nextRetryAt = Date.now() + delay;
+        return delay;
+    }
+
+    /**
+     * Reset attempt counter (after a successful connection or manual reconnect)
+     */
+    reset() {
+        this.attempts = 0;
+        this.nextRetryAt = null;
+    }
+
+    /**
+     * Clear the scheduled retry time (retry fired or was cancelled)
+     */
+    clearNextRetry() {
+        this.nextRetryAt = null;
+    }
+
+    /**
+     * Get current reconnect state for getInfo() / webhooks
+     */
+    getState() {
+        return {
+            enabled: this.options.enabled,
+            attempts: this.attempts,
+            maxAttempts: this.options.maxAttempts,
+            nextRetryAt: this.nextRetryAt ? new Date(this.nextRetryAt).toISOString() : null,
+            lastDisconnect: this.lastDisconnect
+        };
+    }
+}
+
+module.exports = ReconnectPolicy;
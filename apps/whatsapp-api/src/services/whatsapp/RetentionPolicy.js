@@ -0,0 +1,215 @@
+const fs = require('fs');
+const path = require('path');
+
+const DAY = 24 * 60 * 60_000;
+
+// Defaults for every session (0 = keep all), per-session overrides are saved with the session config
+const DEFAULT_RETENTION_OPTIONS = {
+    messages: {
+        days: parseFloat(process.env.STORE_RETENTION_DAYS) || 0,
+        maxPerChat: parseInt(process.env.STORE_MAX_MESSAGES_PER_CHAT) || 0
+    },
+    media: {
+        days: parseFloat(process.env.STORE_MEDIA_RETENTION_DAYS) || 0,
+        maxPerChat: parseInt(process.env.STORE_MEDIA_MAX_PER_CHAT) || 0
+    },
+    keepStarred: true,
+    excludeChats: [],
+    excludeLabels: []
+};
+
+/**
+ * Retention Policy
+ * Menentukan pesan dan file media mana yang dihapus dari message store sebuah sesi
+ *
+ * - messages : delete messages older than `days` / beyond the newest `maxPerChat` of a chat
+ * - media    : delete only the saved media file (the message stays) by the same rules
+ * - starred messages (keepStarred) and chats in excludeChats / with a label in excludeLabels are never touched
+ */
+class RetentionPolicy {
+    /**
+     * @param {Object} overrides - Per-session overrides of DEFAULT_RETENTION_OPTIONS
+     */
+    constructor(overrides = {}) {
+        this.overrides = {};
+        this.configure(overrides);
+    }
+
+    /**
+     * Validate policy overrides from the API
+     * @param {Object} options
+     * @returns {string|null} Error message or null when valid
+     */
+    static validate(options) {
+        if (options === null || typeof options !== 'object' || Array.isArray(options)) {
+            return 'retention must be an object';
+        }
+
+        for (const scope of ['messages', 'media']) {
+            const limits = options[scope];
+            if (limits === undefined) continue;
+
+            if (limits === null || typeof limits !== 'object' || Array.isArray(limits)) {
+                return `retention.${scope} must be an object`;
+            }
+            if (limits.days !== undefined && (typeof limits.days !== 'number' || !(limits.days >= 0))) {
+                return `retention.${scope}.days must be a non-negative number`;
+            }
+            if (limits.maxPerChat !== undefined && (!Number.isInteger(limits.maxPerChat) || limits.maxPerChat < 0)) {
+                return `retention.${scope}.maxPerChat must be a non-negative integer`;
+            }
+        }
+
+        if (options.keepStarred !== undefined && typeof options.keepStarred !== 'boolean') {
+            return 'retention.keepStarred must be a boolean';
+        }
+
+        for (const field of ['excludeChats', 'excludeLabels']) {
+            const list = options[field];
+            if (list !== undefined && (!Array.isArray(list) || list.some(item => typeof item !== 'string' || !item))) {
+                return `retention.${field} must be an array of strings`;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Merge new overrides into the policy
+     * @param {Object} overrides
+     */
+    configure(overrides = {}) {
+        const { messages, media, ...rest } = overrides || {};
+        this.overrides = {
+            ...this.overrides,
+            ...rest,
+            messages: { ...(this.overrides.messages || {}), ...(messages || {}) },
+            media: { ...(this.overrides.media || {}), ...(media || {}) }
+        };
+        this.options = {
+            ...DEFAULT_RETENTION_OPTIONS,
+            ...this.overrides,
+            messages: { ...DEFAULT_RETENTION_OPTIONS.messages, ...this.overrides.messages },
+            media: { ...DEFAULT_RETENTION_OPTIONS.media, ...this.overrides.media }
+        };
+    }
+
+    /**
+     * Get overrides for persisting in session config
+     */
+    getConfig() {
+        return this.overrides;
+    }
+
+    /**
+     * Whether a chat is left alone (excludeChats takes JIDs or phone numbers)
+     * @param {Object} chat - Stored chat ({ id, labels })
+     */
+    isExcluded(chat) {
+        const { excludeChats, excludeLabels } = this.options;
+
+        if (excludeChats.some(id => id === chat.id || id === chat.id.split('@')[0])) return true;
+        return (chat.labels || []).some(label => excludeLabels.includes(String(label)));
+    }
+
+    /**
+     * Bounds for pre-selecting candidates: messages older than `before` (unix seconds)
+     * or beyond position `keep` of their chat
+     * @param {number} now - ms
+     * @param {number} capacity - Messages per chat the store can hold (0 = unlimited)
+     * @returns {Object} { before, keep } - 0 when that rule is off
+     */
+    bounds(now = Date.now(), capacity = 0) {
+        const { messages, media } = this.options;
+        const days = [messages.days, media.days].filter(value => value > 0);
+        const limits = [messages.maxPerChat, media.maxPerChat, capacity].filter(value => value > 0);
+
+        return {
+            before: days.length > 0 ? Math.floor((now - Math.min(...days) * DAY) / 1000) : 0,
+            keep: limits.length > 0 ? Math.min(...limits) : 0
+        };
+    }
+
+    /**
+     * Decide what happens to a message
+     * @param {Object} entry - { timestamp (unix seconds), position (0 = newest of the chat), starred, hasMedia }
+     * @param {number} now - ms
+     * @param {number} capacity - Messages per chat the store can hold (0 = unlimited)
+     * @returns {string|null} 'message' (delete message and media), 'media' (delete media file only),
+     *          'protected' (would be deleted but is starred) or null (keep)
+     */
+    evaluate(entry, now = Date.now(), capacity = 0) {
+        const { messages, media, keepStarred } = this.options;
+        const messageLimit = Math.min(...[messages.maxPerChat, capacity].filter(value => value > 0), Infinity);
+
+        const expired = (limits, maxPerChat) =>
+            (limits.days > 0 && entry.timestamp > 0 && entry.timestamp < (now - limits.days * DAY) / 1000)
+            || entry.position >= maxPerChat;
+
+        let action = null;
+        if (expired(messages, messageLimit)) {
+            action = 'message';
+        } else if (entry.hasMedia && expired(media, media.maxPerChat > 0 ? media.maxPerChat : Infinity)) {
+            action = 'media';
+        }
+
+        return action && keepStarred && entry.starred ? 'protected' : action;
+    }
+
+    /**
+     * Report of a retention run
+     * @param {Array<Object>} expired - [{ chatId, id, action, mediaKey, mediaSize }]
+     * @param {Object} details - { dryRun, protected, excludedChats }
+     * @returns {Object}
+     */
+    report(expired, details) {
+        const chats = new Map();
+        const totals = { messages: 0, mediaFiles: 0, mediaBytes: 0 };
+        // Identical files are stored once, count them once
+        const files = new Set();
+
+        for (const { chatId, action, mediaKey, mediaSize } of expired) {
+            if (!chats.has(chatId)) {
+                chats.set(chatId, { chatId, messages: 0, mediaFiles: 0, mediaBytes: 0 });
+            }
+            const chat = chats.get(chatId);
+
+            if (action === 'message') {
+                chat.messages++;
+                totals.messages++;
+            }
+            if (mediaKey && !files.has(mediaKey)) {
+                files.add(mediaKey);
+                const size = mediaSize ?? RetentionPolicy._fileSize(mediaKey);
+                if (size !== null) {
+                    chat.mediaFiles++;
+                    chat.mediaBytes += size;
+                    totals.mediaFiles++;
+                    totals.mediaBytes += size;
+                }
+            }
+        }
+
+        return {
+            dryRun: !!details.dryRun,
+            at: new Date().toISOString(),
+            policy: this.options,
+            ...totals,
+            protectedMessages: details.protected || 0,
+            excludedChats: details.excludedChats || 0,
+            chats: Array.from(chats.values()).sort((a, b) => b.messages - a.messages || b.mediaBytes - a.mediaBytes)
+        };
+    }
+
+    // Files saved before sizes were recorded (absolute paths in the local media folder)
+    static _fileSize(mediaKey) {
+        if (!path.isAbsolute(mediaKey)) return 0;
+        try {
+            return fs.statSync(mediaKey).size;
+        } catch (e) {
+            return null;
+        }
+    }
+}
+
+module.exports = RetentionPolicy;
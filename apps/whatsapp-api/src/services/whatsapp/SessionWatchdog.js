@@ -0,0 +1,253 @@
+const wsManager = require('../websocket/WebSocketManager');
+
+const WATCHDOG_INTERVAL = parseInt(process.env.WATCHDOG_INTERVAL) || 30_000;
+// Max time not connected while in connecting / qr_ready / pairing_ready before a session is unhealthy
+const WATCHDOG_STUCK_TIMEOUT = parseInt(process.env.WATCHDOG_STUCK_TIMEOUT) || 300_000;
+// Max time disconnected / error before a session is unhealthy
+const WATCHDOG_DISCONNECTED_TIMEOUT = parseInt(process.env.WATCHDOG_DISCONNECTED_TIMEOUT) || 120_000;
+// Consecutive failed keepalive pings before a session is unhealthy
+const WATCHDOG_MAX_KEEPALIVE_FAILURES = parseInt(process.env.WATCHDOG_MAX_KEEPALIVE_FAILURES) || 3;
+const WATCHDOG_PING_TIMEOUT = parseInt(process.env.WATCHDOG_PING_TIMEOUT) || 10_000;
+// No inbound message for this long while connected (0 = disabled)
+const WATCHDOG_INBOUND_SILENCE = parseInt(process.env.WATCHDOG_INBOUND_SILENCE) || 0;
+
+const PENDING_STATES = ['connecting', 'qr_ready', 'pairing_ready'];
+const DOWN_STATES = ['disconnected', 'error'];
+// Reconnect actions that leave a session disconnected on purpose
+const STOP_ACTIONS = ['logout', 'stop'];
+
+/**
+ * Session Watchdog
+ * Memantau kesehatan setiap sesi (time-in-state, aktivitas pesan, keepalive)
+ * dan mengirim event session.unhealthy / session.recovered
+ */
+class SessionWatchdog {
+    /**
+     * @param {WhatsAppManager} manager
+     */
+    constructor(manager) {
+        this.manager = manager;
+        this.state = new Map(); // sessionId -> keepalive counters, last issues, unhealthySince
+        this.timer = null;
+        this.running = false;
+    }
+
+    start() {
+        if (this.timer) return;
+        this.timer = setInterval(() => this.check(), WATCHDOG_INTERVAL);
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    _getState(sessionId) {
+        if (!this.state.has(sessionId)) {
+            this.state.set(sessionId, {
+                keepaliveFailures: 0,
+                lastKeepaliveAt: null,
+                lastKeepaliveError: null,
+                issues: [],
+                unhealthySince: null,
+                checkedAt: null
+            });
+        }
+        return this.state.get(sessionId);
+    }
+
+    /**
+     * Run one check over all sessions
+     */
+    async check() {
+        if (this.running) return;
+        this.running = true;
+
+        try {
+            // Forget sessions that were deleted or moved to another worker
+            for (const sessionId of this.state.keys()) {
+                if (!this.manager.sessions.has(sessionId)) {
+                    this.state.delete(sessionId);
+                }
+            }
+
+            for (const session of this.manager.sessions.values()) {
+                await this._ping(session);
+                this._evaluate(session);
+            }
+        } catch (error) {
+            console.error('🩺 Watchdog error:', error.message);
+        } finally {
+            this.running = false;
+        }
+    }
+
+    /**
+     * Send a keepalive ping over the socket (connected sessions only)
+     * @param {WhatsAppSession} session
+     */
+    async _ping(session) {
+        const state = this._getState(session.sessionId);
+
+        if (!session.socket || session.connectionStatus !== 'connected') {
+            state.keepaliveFailures = 0;
+            return;
+        }
+
+        try {
+            await session.socket.query({
+                tag: 'iq',
+                attrs: { to: '@s.whatsapp.net', type: 'get', xmlns: 'w:p' },
+                content: [{ tag: 'ping', attrs: {} }]
+            }, WATCHDOG_PING_TIMEOUT);
+
+            state.keepaliveFailures = 0;
+            state.lastKeepaliveAt = Date.now();
+            state.lastKeepaliveError = null;
+        } catch (error) {
+            state.keepaliveFailures++;
+            state.lastKeepaliveError = error.message;
+            console.log(`🩺 [${session.sessionId}] Keepalive failed (${state.keepaliveFailures}x): ${error.message}`);
+        }
+    }
+
+    /**
+     * Session left disconnected on purpose (logged out, `stop` reconnect action, closed)
+     * @param {WhatsAppSession} session
+     * @returns {boolean}
+     */
+    _isStopped(session) {
+        if (session.closed) return true;
+        const action = session.reconnectPolicy.lastDisconnect?.action;
+        return DOWN_STATES.includes(session.connectionStatus) && STOP_ACTIONS.includes(action);
+    }
+
+    /**
+     * Find current issues of a session
+     * @param {WhatsAppSession} session
+     * @returns {Array} [{ code, message }]
+     */
+    _findIssues(session) {
+        if (this._isStopped(session)) return [];
+
+        const state = this._getState(session.sessionId);
+        const status = session.connectionStatus;
+        const timeInState = Date.now() - session.statusChangedAt;
+        const issues = [];
+
+        // QR codes expire and reconnects cycle through states, so use the time since last connected
+        const notConnectedFor = session.notConnectedSince ? Date.now() - session.notConnectedSince : 0;
+        if (PENDING_STATES.includes(status) && notConnectedFor > WATCHDOG_STUCK_TIMEOUT) {
+            issues.push({
+                code: 'stuck',
+                message: `Session not connected for ${Math.round(notConnectedFor / 1000)}s (currently ${status})`
+            });
+        }
+
+        if (DOWN_STATES.includes(status) && timeInState > WATCHDOG_DISCONNECTED_TIMEOUT) {
+            issues.push({
+                code: 'disconnected',
+                message: `Session has been ${status} for ${Math.round(timeInState / 1000)}s`
+            });
+        }
+
+        if (state.keepaliveFailures >= WATCHDOG_MAX_KEEPALIVE_FAILURES) {
+            issues.push({
+                code: 'keepalive_failed',
+                message: `${state.keepaliveFailures} consecutive keepalive pings failed: ${state.lastKeepaliveError}`
+            });
+        }
+
+        if (WATCHDOG_INBOUND_SILENCE > 0 && status === 'connected') {
+            const lastInbound = Math.max(session.lastInboundAt || 0, session.statusChangedAt);
+            if (Date.now() - lastInbound > WATCHDOG_INBOUND_SILENCE) {
+                issues.push({
+                    code: 'inbound_silence',
+                    message: `No inbound message for ${Math.round((Date.now() - lastInbound) / 1000)}s`
+                });
+            }
+        }
+
+        return issues;
+    }
+
+    /**
+     * Compare issues with the previous check and fire events on transitions
+     * @param {WhatsAppSession} session
+     */
+    _evaluate(session) {
+        const state = this._getState(session.sessionId);
+
+        // Stopped on purpose: neither unhealthy nor recovered
+        if (this._isStopped(session)) {
+            state.issues = [];
+            state.unhealthySince = null;
+            state.checkedAt = Date.now();
+            return;
+        }
+
+        const issues = this._findIssues(session);
+
+        const previousCodes = state.issues.map(i => i.code).sort().join(',');
+        const currentCodes = issues.map(i => i.code).sort().join(',');
+        const wasHealthy = state.issues.length === 0;
+
+        state.issues = issues;
+        state.checkedAt = Date.now();
+
+        if (issues.length > 0 && currentCodes !== previousCodes) {
+            if (wasHealthy) {
+                state.unhealthySince = Date.now();
+            }
+            const report = this.getHealth(session);
+            console.log(`🩺 [${session.sessionId}] Unhealthy: ${issues.map(i => i.code).join(', ')}`);
+            wsManager.emitSessionUnhealthy(session.sessionId, report);
+            session._sendWebhook('session.unhealthy', report);
+        } else if (issues.length === 0 && !wasHealthy) {
+            const unhealthyFor = Date.now() - state.unhealthySince;
+            state.unhealthySince = null;
+            const report = { ...this.getHealth(session), unhealthyFor };
+            console.log(`🩺 [${session.sessionId}] Recovered after ${Math.round(unhealthyFor / 1000)}s`);
+            wsManager.emitSessionRecovered(session.sessionId, report);
+            session._sendWebhook('session.recovered', report);
+        }
+    }
+
+    /**
+     * Health report of a session
+     * @param {WhatsAppSession} session
+     * @returns {Object}
+     */
+    getHealth(session) {
+        const state = this._getState(session.sessionId);
+        const toISO = (time) => time ? new Date(time).toISOString() : null;
+
+        // Sessions not checked yet are evaluated on demand (without ping)
+        const issues = state.checkedAt ? state.issues : this._findIssues(session);
+
+        return {
+            sessionId: session.sessionId,
+            healthy: issues.length === 0,
+            stopped: this._isStopped(session),
+            status: session.connectionStatus,
+            statusSince: toISO(session.statusChangedAt),
+            timeInState: Date.now() - session.statusChangedAt,
+            notConnectedSince: toISO(session.notConnectedSince),
+            lastInboundAt: toISO(session.lastInboundAt),
+            lastOutboundAt: toISO(session.lastOutboundAt),
+            keepalive: {
+                failures: state.keepaliveFailures,
+                lastSuccessAt: toISO(state.lastKeepaliveAt),
+                lastError: state.lastKeepaliveError
+            },
+            reconnect: session.reconnectPolicy.getState(),
+            issues,
+            unhealthySince: toISO(state.unhealthySince),
+            checkedAt: toISO(state.checkedAt)
+        };
+    }
+}
+
+module.exports = SessionWatchdog;
@@ -0,0 +1,815 @@
+const fs = require('fs');
+const path = require('path');
+const BaileysStore = require('./BaileysStore');
+const MessageSearch = require('./MessageSearch');
+
+// One database file per session: {STORE_SQLITE_DIR}/{sessionId}.sqlite
+const STORE_SQLITE_DIR = process.env.STORE_SQLITE_DIR || path.join(process.cwd(), 'data', 'store');
+// How often the retention policy runs (scans the whole database)
+const RETENTION_INTERVAL = 60 * 60_000;
+// Messages per chat kept in memory (latest ones, older ones are read from the database)
+const MEMORY_MESSAGES_PER_CHAT = 100;
+
+const SCHEMA = `
+CREATE TABLE IF NOT EXISTS messages (
+  chat_id TEXT NOT NULL,
+  id TEXT NOT NULL,
+  from_me INTEGER NOT NULL DEFAULT 0,
+  timestamp INTEGER NOT NULL DEFAULT 0,
+  media_path TEXT,
+  data TEXT NOT NULL,
+  PRIMARY KEY (chat_id, id)
+);
+CREATE INDEX IF NOT EXISTS idx_messages_id ON messages (id);
+CREATE INDEX IF NOT EXISTS idx_messages_chat_time ON messages (chat_id, timestamp);
+CREATE INDEX IF NOT EXISTS idx_messages_time ON messages (timestamp);
+CREATE INDEX IF NOT EXISTS idx_messages_media ON messages (media_path) WHERE media_path IS NOT NULL;
+CREATE TABLE IF NOT EXISTS chats (id TEXT PRIMARY KEY, data TEXT NOT NULL);
+CREATE TABLE IF NOT EXISTS contacts (id TEXT PRIMARY KEY, data TEXT NOT NULL);
+CREATE TABLE IF NOT EXISTS group_metadata (id TEXT PRIMARY KEY, data TEXT NOT NULL);
+CREATE TABLE IF NOT EXISTS profile_pictures (id TEXT PRIMARY KEY, url TEXT);
+CREATE TABLE IF NOT EXISTS meta (key TEXT PRIMARY KEY, value TEXT);
+CREATE VIRTUAL TABLE IF NOT EXISTS messages_fts USING fts5 (
+  text, sender UNINDEXED, type UNINDEXED,
+  tokenize = 'unicode61 remove_diacritics 2'
+);
+CREATE TRIGGER IF NOT EXISTS messages_fts_delete AFTER DELETE ON messages BEGIN
+  DELETE FROM messages_fts WHERE rowid = old.rowid;
+END;
+`;
+// Search index rows share the rowid of their message
+const SEARCH_INDEX_BATCH = 500;
+// Messages read per query by iterateMessages()
+const ITERATE_BATCH = 500;
+
+// Tables holding one JSON document per ID, with the in-memory Map they mirror
+const ENTITY_TABLES = {
+  chats: 'chats',
+  contacts: 'contacts',
+  groupMetadata: 'group_metadata'
+};
+
+const messageKey = (chatId, messageId) => `${chatId}\n${messageId}`;
+
+/**
+ * SQLite backed store for Baileys
+ * Same query surface as BaileysStore, but the full message history is kept in
+ * a SQLite database instead of a store.json snapshot of the last 100 messages per chat.
+ *
+ * Chats, contacts, group metadata and profile pictures stay fully in memory; of the
+ * messages only the latest MEMORY_MESSAGES_PER_CHAT per chat are, older ones are read
+ * from the database on demand. Changes are tracked and written incrementally by flush().
+ * Text, captions and document filenames are indexed in an FTS5 table for searchMessages().
+ */
+class SqliteBaileysStore extends BaileysStore {
+  constructor(sessionId, options = {}) {
+    super(sessionId);
+
+    this.file = options.file || SqliteBaileysStore.fileFor(sessionId);
+    this.retentionInterval = RETENTION_INTERVAL;
+    this.untrimmedChats = new Set(); // chats that may hold more messages in memory than the window
+
+    // Pending changes since the last flush
+    this.dirty = {
+      messages: new Map(), // messageKey -> { chatId, id }
+      deletedMessages: new Map(), // messageKey -> { chatId, id }
+      deletedChats: new Set(),
+      chats: new Set(),
+      contacts: new Set(),
+      groupMetadata: new Set(),
+      profilePictures: new Set()
+    };
+
+    this._open();
+  }
+
+  /**
+   * Database file of a session
+   */
+  static fileFor(sessionId) {
+    return path.join(STORE_SQLITE_DIR, `${sessionId}.sqlite`);
+  }
+
+  /**
+   * Whether a session has a database
+   */
+  static exists(sessionId) {
+    return fs.existsSync(SqliteBaileysStore.fileFor(sessionId));
+  }
+
+  /**
+   * Replace the database of a session with one from exportDatabase() (session bundle import)
+   * @param {string} sessionId
+   * @param {Buffer} buffer
+   */
+  static importDatabase(sessionId, buffer) {
+    SqliteBaileysStore.remove(sessionId);
+
+    const file = SqliteBaileysStore.fileFor(sessionId);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, buffer);
+  }
+
+  /**
+   * Delete the database of a session (e.g. before importing a bundle over it)
+   */
+  static remove(sessionId) {
+    const file = SqliteBaileysStore.fileFor(sessionId);
+    for (const suffix of ['', '-wal', '-shm']) {
+      if (fs.existsSync(file + suffix)) {
+        fs.unlinkSync(file + suffix);
+      }
+    }
+  }
+
+  _open() {
+    const Database = require('better-sqlite3');
+
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    this.db = new Database(this.file);
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('synchronous = NORMAL');
+    this.db.exec(SCHEMA);
+
+    this.statements = {
+      upsertMessage: this.db.prepare(`
+        INSERT INTO messages (chat_id, id, from_me, timestamp, media_path, data) VALUES (?, ?, ?, ?, ?, ?)
+        ON CONFLICT (chat_id, id) DO UPDATE SET
+          from_me = excluded.from_me, timestamp = excluded.timestamp,
+          media_path = excluded.media_path, data = excluded.data
+        RETURNING rowid`),
+      deleteMessage: this.db.prepare('DELETE FROM messages WHERE chat_id = ? AND id = ?'),
+      deleteChatMessages: this.db.prepare('DELETE FROM messages WHERE chat_id = ?'),
+      getMessage: this.db.prepare('SELECT data FROM messages WHERE chat_id = ? AND id = ?'),
+      findMessage: this.db.prepare('SELECT chat_id, data FROM messages WHERE id = ? LIMIT 1'),
+      getMessagePosition: this.db.prepare('SELECT timestamp, id FROM messages WHERE chat_id = ? AND id = ?'),
+      findMessagePosition: this.db.prepare('SELECT timestamp, id FROM messages WHERE id = ? LIMIT 1'),
+      latestMessages: this.db.prepare(`
+        SELECT data FROM messages WHERE chat_id = ? AND timestamp > 0
+        ORDER BY timestamp DESC, id DESC LIMIT ?`),
+      messagesBefore: this.db.prepare(`
+        SELECT data FROM messages WHERE chat_id = ? AND timestamp > 0
+          AND (timestamp < ? OR (timestamp = ? AND id < ?))
+        ORDER BY timestamp DESC, id DESC LIMIT ?`),
+      messagesAfter: this.db.prepare(`
+        SELECT timestamp, id, data FROM messages WHERE chat_id = ? AND timestamp > 0
+          AND (timestamp > ? OR (timestamp = ? AND id > ?)) AND timestamp <= ?
+        ORDER BY timestamp, id LIMIT ?`),
+      messageChats: this.db.prepare('SELECT DISTINCT chat_id FROM messages'),
+      chatMessageMedia: this.db.prepare('SELECT id, media_path FROM messages WHERE chat_id = ?'),
+      mediaUsers: this.db.prepare('SELECT chat_id, id FROM messages WHERE media_path = ? AND id != ?'),
+      clearMessageMedia: this.db.prepare('UPDATE messages SET media_path = NULL WHERE chat_id = ? AND id = ?'),
+      countMessages: this.db.prepare('SELECT COUNT(*) AS count FROM messages'),
+      unindexMessage: this.db.prepare('DELETE FROM messages_fts WHERE rowid = ?'),
+      indexMessage: this.db.prepare('INSERT INTO messages_fts (rowid, text, sender, type) VALUES (?, ?, ?, ?)'),
+      unindexedMessages: this.db.prepare('SELECT rowid, data FROM messages WHERE rowid > ? ORDER BY rowid LIMIT ?'),
+      upsertPicture: this.db.prepare(`
+        INSERT INTO profile_pictures (id, url) VALUES (?, ?)
+        ON CONFLICT (id) DO UPDATE SET url = excluded.url`),
+      getMeta: this.db.prepare('SELECT value FROM meta WHERE key = ?'),
+      setMeta: this.db.prepare(`
+        INSERT INTO meta (key, value) VALUES (?, ?)
+        ON CONFLICT (key) DO UPDATE SET value = excluded.value`)
+    };
+
+    for (const [field, table] of Object.entries(ENTITY_TABLES)) {
+      this.statements[field] = {
+        upsert: this.db.prepare(`
+          INSERT INTO ${table} (id, data) VALUES (?, ?)
+          ON CONFLICT (id) DO UPDATE SET data = excluded.data`),
+        delete: this.db.prepare(`DELETE FROM ${table} WHERE id = ?`)
+      };
+    }
+
+    this._buildSearchIndex();
+    this._loadFromDatabase();
+  }
+
+  /**
+   * Index messages stored before the search index existed (runs once per database)
+   */
+  _buildSearchIndex() {
+    if (this.statements.getMeta.get('search_indexed_at')) return;
+
+    const indexBatch = this.db.transaction((rows) => {
+      for (const row of rows) this._indexMessage(row.rowid, JSON.parse(row.data));
+    });
+
+    let lastRowid = 0;
+    let rows;
+    while ((rows = this.statements.unindexedMessages.all(lastRowid, SEARCH_INDEX_BATCH)).length > 0) {
+      indexBatch(rows);
+      lastRowid = rows[rows.length - 1].rowid;
+    }
+
+    this.statements.setMeta.run('search_indexed_at', new Date().toISOString());
+  }
+
+  // (Re)write the search index row of a message
+  _indexMessage(rowid, msg) {
+    this.statements.unindexMessage.run(rowid);
+
+    const entry = MessageSearch.indexEntry(msg);
+    if (entry.text) {
+      this.statements.indexMessage.run(rowid, entry.text, entry.sender || '', entry.type);
+    }
+  }
+
+  /**
+   * Load chats, contacts, groups, profile pictures and the latest messages of every chat
+   */
+  _loadFromDatabase() {
+    for (const [field, table] of Object.entries(ENTITY_TABLES)) {
+      this[field] = new Map(
+        this.db.prepare(`SELECT id, data FROM ${table}`).all().map(row => [row.id, JSON.parse(row.data)])
+      );
+    }
+
+    this.profilePictures = new Map(
+      this.db.prepare('SELECT id, url FROM profile_pictures').all().map(row => [row.id, row.url])
+    );
+
+    this.messages = new Map();
+    for (const { chat_id: chatId } of this.statements.messageChats.all()) {
+      const rows = this.statements.latestMessages.all(chatId, MEMORY_MESSAGES_PER_CHAT);
+      this.messages.set(chatId, new Map(rows.reverse().map(row => {
+        const msg = JSON.parse(row.data);
+        return [msg.key.id, msg];
+      })));
+    }
+
+    this._rebuildOverviewCache();
+  }
+
+  /**
+   * Bind store to Baileys socket events
+   * Messages that are only in the database are loaded before BaileysStore updates them,
+   * every change is marked for the next flush.
+   */
+  bind(ev) {
+    ev.on('messages.upsert', ({ messages }) => {
+      for (const msg of messages) this.loadMessage(msg.key.remoteJid, msg.key.id);
+    });
+    ev.on('messages.update', (updates) => {
+      for (const { key } of updates) this.loadMessage(key.remoteJid, key.id);
+    });
+
+    super.bind(ev);
+
+    const markChats = (items) => items.forEach(item => this.dirty.chats.add(item.id));
+    const markContacts = (items) => items.forEach(item => this.dirty.contacts.add(item.id));
+    const markGroups = (items) => items.forEach(item => this.dirty.groupMetadata.add(item.id));
+    const markMessages = (messages) => messages.forEach(msg => this._markMessage(msg.key.remoteJid, msg.key.id));
+
+    ev.on('chats.set', ({ chats }) => markChats(chats));
+    ev.on('chats.upsert', markChats);
+    ev.on('chats.update', markChats);
+    ev.on('labels.association', ({ association }) => {
+      if (association?.chatId && !association.messageId) this.dirty.chats.add(association.chatId);
+    });
+    ev.on('chats.delete', (ids) => {
+      for (const id of ids) {
+        this.dirty.chats.delete(id);
+        this.dirty.deletedChats.add(id);
+        for (const [keyId, entry] of this.dirty.messages) {
+          if (entry.chatId === id) this.dirty.messages.delete(keyId);
+        }
+      }
+    });
+
+    ev.on('contacts.set', ({ contacts }) => markContacts(contacts));
+    ev.on('contacts.upsert', markContacts);
+    ev.on('contacts.update', markContacts);
+
+    ev.on('messages.set', ({ messages }) => markMessages(messages));
+    ev.on('messages.upsert', ({ messages }) => markMessages(messages));
+    ev.on('messages.update', (updates) => markMessages(updates));
+    ev.on('messages.delete', (item) => {
+      if (!('keys' in item)) return;
+      for (const key of item.keys) {
+        const keyId = messageKey(key.remoteJid, key.id);
+        this.dirty.messages.delete(keyId);
+        this.dirty.deletedMessages.set(keyId, { chatId: key.remoteJid, id: key.id });
+      }
+    });
+
+    ev.on('groups.upsert', markGroups);
+    ev.on('groups.update', markGroups);
+  }
+
+  _markMessage(chatId, messageId) {
+    const keyId = messageKey(chatId, messageId);
+    this.dirty.deletedMessages.delete(keyId);
+    this.dirty.messages.set(keyId, { chatId, id: messageId });
+  }
+
+  /**
+   * Mark a stored message as changed outside of socket events
+   */
+  touchMessage(msg) {
+    if (!msg?.key) return;
+
+    const chatId = msg.key.remoteJid;
+    if (!this.messages.has(chatId)) {
+      this.messages.set(chatId, new Map());
+    }
+    this.messages.get(chatId).set(msg.key.id, msg);
+    this._markMessage(chatId, msg.key.id);
+  }
+
+  setProfilePicture(jid, url) {
+    super.setProfilePicture(jid, url);
+    this.dirty.profilePictures.add(jid);
+  }
+
+  /**
+   * Get messages for a specific chat (newest first, `before` = message ID cursor)
+   */
+  getMessages(chatId, options = {}) {
+    const { limit = 50, before = null } = options;
+    if (!this.db) return super.getMessages(chatId, options);
+
+    this._writeChanges();
+
+    const position = before ? this.statements.getMessagePosition.get(chatId, before) : null;
+    const rows = position
+      ? this.statements.messagesBefore.all(chatId, position.timestamp, position.timestamp, position.id, limit)
+      : this.statements.latestMessages.all(chatId, limit);
+
+    // Prefer the in-memory object, it may hold changes made since it was read
+    const cached = this.messages.get(chatId);
+    return rows.map(row => {
+      const msg = JSON.parse(row.data);
+      return cached?.get(msg.key.id) || msg;
+    });
+  }
+
+  /**
+   * Get a stored message by chat and message ID (indexed lookup for older messages)
+   */
+  loadMessage(chatId, messageId) {
+    const cached = this.messages.get(chatId)?.get(messageId);
+    if (cached || !this.db) return cached || null;
+
+    const row = this.statements.getMessage.get(chatId, messageId);
+    if (!row) return null;
+
+    return this._cacheMessage(chatId, JSON.parse(row.data));
+  }
+
+  /**
+   * Find a stored message by ID in any chat (indexed lookup for older messages)
+   */
+  findMessage(messageId) {
+    const cached = super.findMessage(messageId);
+    if (cached || !this.db) return cached;
+
+    const row = this.statements.findMessage.get(messageId);
+    if (!row) return null;
+
+    return this._cacheMessage(row.chat_id, JSON.parse(row.data));
+  }
+
+  /**
+   * Search text, captions and document filenames with the FTS5 index (newest first)
+   */
+  searchMessages(terms, filters = {}, options = {}) {
+    const { limit = 20, before = null } = options;
+    if (!this.db) return super.searchMessages(terms, filters, options);
+    if (terms.length === 0) return { messages: [], hasMore: false };
+
+    this._writeChanges();
+
+    // Every term as a quoted prefix query: "term"* AND "term"*
+    const conditions = ['messages_fts MATCH ?', 'm.timestamp > 0'];
+    const params = [terms.map(term => `"${term.replace(/"/g, '""')}"*`).join(' AND ')];
+
+    if (filters.chatId) {
+      conditions.push('m.chat_id = ?');
+      params.push(filters.chatId);
+    }
+    if (filters.fromMe !== undefined && filters.fromMe !== null) {
+      conditions.push('m.from_me = ?');
+      params.push(filters.fromMe ? 1 : 0);
+    }
+    if (filters.senders?.length) {
+      conditions.push(`f.sender IN (${filters.senders.map(() => '?').join(', ')})`);
+      params.push(...filters.senders);
+    }
+    if (filters.types?.length) {
+      conditions.push(`f.type IN (${filters.types.map(() => '?').join(', ')})`);
+      params.push(...filters.types);
+    }
+    if (filters.from) {
+      conditions.push('m.timestamp >= ?');
+      params.push(filters.from);
+    }
+    if (filters.to) {
+      conditions.push('m.timestamp <= ?');
+      params.push(filters.to);
+    }
+
+    const position = before
+      ? (filters.chatId
+        ? this.statements.getMessagePosition.get(filters.chatId, before)
+        : this.statements.findMessagePosition.get(before))
+      : null;
+    if (position) {
+      conditions.push('(m.timestamp < ? OR (m.timestamp = ? AND m.id < ?))');
+      params.push(position.timestamp, position.timestamp, position.id);
+    }
+
+    const rows = this.db.prepare(`
+      SELECT m.chat_id, m.data FROM messages_fts f JOIN messages m ON m.rowid = f.rowid
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY m.timestamp DESC, m.id DESC LIMIT ?`
+    ).all(...params, limit + 1);
+
+    const messages = rows.slice(0, limit).map(row => {
+      const msg = JSON.parse(row.data);
+      return this.messages.get(row.chat_id)?.get(msg.key.id) || msg;
+    });
+
+    return { messages, hasMore: rows.length > limit };
+  }
+
+  /**
+   * Iterate the full history of a chat, oldest first
+   * Read in batches so the database is free for other queries between them.
+   */
+  *iterateMessages(chatId, range = {}) {
+    if (!this.db) {
+      yield* super.iterateMessages(chatId, range);
+      return;
+    }
+
+    this._writeChanges();
+
+    const cached = this.messages.get(chatId);
+    // Start just before `from`: the highest ID of the previous second
+    let position = { timestamp: (range.from || 1) - 1, id: '\uffff' };
+
+    while (this.db) {
+      const rows = this.statements.messagesAfter.all(
+        chatId, position.timestamp, position.timestamp, position.id, range.to || Number.MAX_SAFE_INTEGER, ITERATE_BATCH
+      );
+
+      for (const row of rows) {
+        const msg = JSON.parse(row.data);
+        yield cached?.get(msg.key.id) || msg;
+      }
+
+      if (rows.length < ITERATE_BATCH) return;
+      position = rows[rows.length - 1];
+    }
+  }
+
+  /**
+   * Add messages that did not come from the socket and write them right away
+   */
+  importMessages(chatId, messages) {
+    const isNewChat = !this.chats.has(chatId);
+    const added = [];
+
+    for (const msg of messages) {
+      if (!this.loadMessage(chatId, msg.key.id)) added.push(msg);
+    }
+
+    super.importMessages(chatId, added);
+    if (isNewChat) this.dirty.chats.add(chatId);
+    for (const msg of added) {
+      this._markMessage(chatId, msg.key.id);
+    }
+    this.untrimmedChats.add(chatId);
+
+    this.flush();
+    this._updateSingleChatOverview(chatId);
+    return added.length;
+  }
+
+  updateChat(chatId, update) {
+    const chat = super.updateChat(chatId, update);
+    this.dirty.chats.add(chatId);
+    return chat;
+  }
+
+  /**
+   * Delete the full history of a chat and its media files, the chat itself is kept
+   */
+  clearChatMessages(chatId) {
+    if (!this.db) return super.clearChatMessages(chatId);
+
+    this._writeChanges();
+
+    const rows = this.statements.chatMessageMedia.all(chatId);
+    const count = this.statements.deleteChatMessages.run(chatId).changes;
+
+    super.clearChatMessages(chatId);
+    for (const row of rows) {
+      if (row.media_path) this._deleteMediaFile(row.id, row.media_path);
+    }
+
+    return count;
+  }
+
+  deleteChat(chatId) {
+    super.deleteChat(chatId);
+    this.dirty.chats.delete(chatId);
+    this.dirty.deletedChats.add(chatId);
+    this.untrimmedChats.delete(chatId);
+  }
+
+  // Older messages are only in the database (rows about to be deleted don't count)
+  _isMediaShared(key, messageId) {
+    if (super._isMediaShared(key, messageId)) return true;
+    if (!this.db) return false;
+
+    return this.statements.mediaUsers.all(key, messageId)
+      .some(row => !this.dirty.deletedMessages.has(messageKey(row.chat_id, row.id)));
+  }
+
+  // Messages read from the database join the in-memory window until the next trim
+  _cacheMessage(chatId, msg) {
+    if (!this.messages.has(chatId)) {
+      this.messages.set(chatId, new Map());
+    }
+    this.messages.get(chatId).set(msg.key.id, msg);
+    this.untrimmedChats.add(chatId);
+    return msg;
+  }
+
+  /**
+   * Write pending changes and trim the in-memory window
+   * @returns {boolean}
+   */
+  flush() {
+    if (!this.db) return false;
+
+    try {
+      this._writeChanges();
+      this._trimMemory();
+      return true;
+    } catch (error) {
+      console.error(`[${this.sessionId}] Error flushing SQLite store:`, error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Write pending changes in one transaction
+   */
+  _writeChanges() {
+    const { dirty, statements } = this;
+
+    const write = this.db.transaction(() => {
+      for (const chatId of dirty.deletedChats) {
+        statements.chats.delete.run(chatId);
+        statements.deleteChatMessages.run(chatId);
+      }
+
+      for (const { chatId, id } of dirty.deletedMessages.values()) {
+        statements.deleteMessage.run(chatId, id);
+      }
+
+      for (const { chatId, id } of dirty.messages.values()) {
+        const msg = this.messages.get(chatId)?.get(id);
+        if (!msg) continue;
+
+        const { rowid } = statements.upsertMessage.get(
+          chatId,
+          id,
+          msg.key.fromMe ? 1 : 0,
+          this._timestampOf(msg),
+          msg._mediaKey || msg._mediaLocalPath || null,
+          this._toJSON(msg)
+        );
+        this._indexMessage(rowid, msg);
+        this.untrimmedChats.add(chatId);
+      }
+
+      for (const field of Object.keys(ENTITY_TABLES)) {
+        for (const id of dirty[field]) {
+          const value = this[field].get(id);
+          if (value) {
+            statements[field].upsert.run(id, this._toJSON(value));
+          }
+        }
+      }
+
+      for (const jid of dirty.profilePictures) {
+        statements.upsertPicture.run(jid, this.profilePictures.get(jid) || null);
+      }
+    });
+
+    write();
+
+    dirty.messages.clear();
+    dirty.deletedMessages.clear();
+    dirty.deletedChats.clear();
+    dirty.chats.clear();
+    dirty.contacts.clear();
+    dirty.groupMetadata.clear();
+    dirty.profilePictures.clear();
+  }
+
+  /**
+   * Keep only the latest messages of each chat in memory (call after _writeChanges)
+   */
+  _trimMemory() {
+    for (const chatId of this.untrimmedChats) {
+      const chatMessages = this.messages.get(chatId);
+      if (!chatMessages || chatMessages.size <= MEMORY_MESSAGES_PER_CHAT) continue;
+
+      const sorted = Array.from(chatMessages.values())
+        .sort((a, b) => this._timestampOf(b) - this._timestampOf(a));
+      for (const msg of sorted.slice(MEMORY_MESSAGES_PER_CHAT)) {
+        chatMessages.delete(msg.key.id);
+      }
+    }
+    this.untrimmedChats.clear();
+  }
+
+  /**
+   * Apply a retention policy on the full history in the database
+   * @param {RetentionPolicy} policy
+   * @param {Object} options - { dryRun }
+   * @returns {Object} Report (see RetentionPolicy.report)
+   */
+  applyRetention(policy, { dryRun = false } = {}) {
+    if (!this.db) return super.applyRetention(policy, { dryRun });
+
+    // Starred flags and new messages have to be in the database
+    this._writeChanges();
+
+    const now = Date.now();
+    const { before, keep } = policy.bounds(now);
+    const expired = [];
+    let protectedCount = 0;
+    const excluded = new Set();
+
+    if (before || keep) {
+      const conditions = [];
+      const params = [];
+      if (before) {
+        conditions.push('(timestamp > 0 AND timestamp < ?)');
+        params.push(before);
+      }
+      if (keep) {
+        conditions.push('position > ?');
+        params.push(keep);
+      }
+
+      const candidates = this.db.prepare(`
+        SELECT chat_id, id, timestamp, media_path, media_size, starred, position FROM (
+          SELECT chat_id, id, timestamp, media_path, json_extract(data, '$._mediaSize') AS media_size,
+            json_extract(data, '$.starred') AS starred,
+            ROW_NUMBER() OVER (PARTITION BY chat_id ORDER BY timestamp DESC, id DESC) AS position
+          FROM messages
+        ) WHERE ${conditions.join(' OR ')}`).all(...params);
+
+      for (const row of candidates) {
+        if (excluded.has(row.chat_id)) continue;
+        if (policy.isExcluded(this.chats.get(row.chat_id) || { id: row.chat_id })) {
+          excluded.add(row.chat_id);
+          continue;
+        }
+
+        const action = policy.evaluate({
+          timestamp: row.timestamp,
+          position: row.position - 1,
+          starred: !!row.starred,
+          hasMedia: !!row.media_path
+        }, now);
+
+        if (action === 'protected') {
+          protectedCount++;
+        } else if (action) {
+          expired.push({ chatId: row.chat_id, id: row.id, action, mediaKey: row.media_path, mediaSize: row.media_size });
+        }
+      }
+    }
+
+    const report = policy.report(expired, { dryRun, protected: protectedCount, excludedChats: excluded.size });
+    if (!dryRun && expired.length > 0) {
+      const remove = this.db.transaction(() => {
+        for (const { chatId, id, action } of expired) {
+          if (action === 'message') {
+            this.statements.deleteMessage.run(chatId, id);
+          } else {
+            this.statements.clearMessageMedia.run(chatId, id);
+          }
+        }
+      });
+      remove();
+
+      this._removeExpired(expired);
+      this._writeChanges();
+    }
+    return report;
+  }
+
+  /**
+   * Whether the store.json snapshot of the session was already imported
+   */
+  isMigrated() {
+    return !!this.db && this.statements.getMeta.get('migrated_at') !== undefined;
+  }
+
+  /**
+   * One-time import of a store.json snapshot
+   * @param {BaileysStore|null} legacy - Snapshot loaded from the auth state store, null when there is none
+   * @returns {number} Imported messages
+   */
+  importLegacy(legacy) {
+    let imported = 0;
+
+    if (legacy) {
+      for (const field of Object.keys(ENTITY_TABLES)) {
+        for (const [id, value] of legacy[field]) {
+          if (!this[field].has(id)) {
+            this[field].set(id, value);
+            this.dirty[field].add(id);
+          }
+        }
+      }
+
+      for (const [jid, url] of legacy.profilePictures) {
+        this.setProfilePicture(jid, url);
+      }
+
+      for (const [chatId, chatMessages] of legacy.messages) {
+        for (const msg of chatMessages.values()) {
+          if (!msg?.key?.id || this.loadMessage(chatId, msg.key.id)) continue;
+          this._cacheMessage(chatId, msg);
+          this._markMessage(chatId, msg.key.id);
+          imported++;
+        }
+      }
+    }
+
+    this.statements.setMeta.run('migrated_at', new Date().toISOString());
+    this.flush();
+    this._rebuildOverviewCache();
+
+    return imported;
+  }
+
+  /**
+   * Copy of the whole database (serialize() only has the in-memory window)
+   * @returns {Buffer}
+   */
+  exportDatabase() {
+    this._writeChanges();
+    return this.db.serialize();
+  }
+
+  /**
+   * Get store statistics (message count from the database)
+   */
+  getStats() {
+    const stats = super.getStats();
+    if (this.db) {
+      this._writeChanges();
+      stats.messages = this.statements.countMessages.get().count;
+    }
+    return stats;
+  }
+
+  /**
+   * Clear all data and delete the database file
+   */
+  clear() {
+    super.clear();
+    this.close(false);
+    SqliteBaileysStore.remove(this.sessionId);
+  }
+
+  /**
+   * Write pending changes and close the database
+   * @param {boolean} flush - Write pending changes first
+   */
+  close(flush = true) {
+    if (!this.db) return;
+
+    if (flush) this.flush();
+    this.db.close();
+    this.db = null;
+  }
+
+  // Compact JSON without binary data (same rules as the store.json snapshot)
+  _toJSON(value) {
+    return JSON.stringify(value, function (key, item) {
+      // Check the original value, Buffers are already converted by their toJSON()
+      const original = this[key];
+      if (original instanceof Uint8Array || original instanceof ArrayBuffer) {
+        return undefined;
+      }
+      if (typeof item === 'function') {
+        return undefined;
+      }
+      return item;
+    });
+  }
+}
+
+module.exports = SqliteBaileysStore;
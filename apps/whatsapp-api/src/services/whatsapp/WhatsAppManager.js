@@ -1,6 +1,8 @@
-const path = require('path');
-const fs = require('fs');
 const WhatsAppSession = require('./WhatsAppSession');
+const SessionWatchdog = require('./SessionWatchdog');
+const authStateStore = require('../authstate');
+const clusterCoordinator = require('../cluster');
+const messageQueue = require('../queue');
 
 /**
  * WhatsApp Manager Class
@@ -9,36 +11,53 @@ const WhatsAppSession = require('./WhatsAppSession');
 class WhatsAppManager {
     constructor() {
         this.sessions = new Map();
-        this.sessionsFolder = path.join(process.cwd(), 'sessions');
+        this.watchdog = new SessionWatchdog(this);
+        this.watchdog.start();
         this.initExistingSessions();
     }
 
     /**
-     * Load existing sessions on startup
+     * Load existing sessions on startup (from the configured auth state store)
      */
     async initExistingSessions() {
         try {
-            if (!fs.existsSync(this.sessionsFolder)) {
-                fs.mkdirSync(this.sessionsFolder, { recursive: true });
+            // Cluster mode: only restore sessions this worker holds a lease for
+            if (clusterCoordinator.enabled) {
+                await clusterCoordinator.start(this);
                 return;
             }
 
-            const sessionDirs = fs.readdirSync(this.sessionsFolder);
-            for (const sessionId of sessionDirs) {
-                const sessionPath = path.join(this.sessionsFolder, sessionId);
-                if (fs.statSync(sessionPath).isDirectory()) {
-                    console.log(`🔄 Restoring session: ${sessionId}`);
-                    // Session will load its own config from file
-                    const session = new WhatsAppSession(sessionId, {});
-                    this.sessions.set(sessionId, session);
-                    await session.connect();
-                }
+            const sessionIds = await authStateStore.listSessions();
+            for (const sessionId of sessionIds) {
+                if (!this.isValidSessionId(sessionId) || this.sessions.has(sessionId)) continue;
+                await this.restoreSession(sessionId);
             }
         } catch (error) {
             console.error('Error initializing sessions:', error);
         }
     }
 
+    /**
+     * Restore a stored session (credentials already in the auth state store)
+     * @param {string} sessionId
+     */
+    async restoreSession(sessionId) {
+        console.log(`🔄 Restoring session: ${sessionId}`);
+        // Session will load its own config from the store
+        const session = new WhatsAppSession(sessionId, {});
+        this.sessions.set(sessionId, session);
+        const result = await session.connect();
+
+        // e.g. auth state backend unreachable: retry with the reconnect policy
+        if (!result.success) {
+            const delay = session.reconnectPolicy.nextDelay();
+            if (delay !== null) {
+                session._scheduleReconnect(delay);
+            }
+        }
+        return session;
+    }
+
     /**
      * Create a new session or reconnect existing
      * @param {string} sessionId - Session identifier
@@ -49,7 +68,7 @@ class WhatsAppManager {
      */
     async createSession(sessionId, options = {}) {
         // Validate session ID
-        if (!sessionId || !/^[a-zA-Z0-9_-]+$/.test(sessionId)) {
+        if (!this.isValidSessionId(sessionId)) {
             return { 
                 success: false, 
                 message: 'Invalid session ID. Use only letters, numbers, underscore, and dash.' 
@@ -61,7 +80,7 @@ class WhatsAppManager {
             const existingSession = this.sessions.get(sessionId);
             
             // Update config if provided
-            if (options.metadata || options.webhooks) {
+            if (options.metadata || options.webhooks || options.reconnect || options.proxy !== undefined) {
                 existingSession.updateConfig(options);
             }
             
@@ -72,7 +91,8 @@ class WhatsAppManager {
                     data: existingSession.getInfo() 
                 };
             }
-            // Reconnect existing session
+            // Reconnect existing session (manual reconnect starts a fresh backoff)
+            existingSession.reconnectPolicy.reset();
             await existingSession.connect();
             return { 
                 success: true, 
@@ -81,10 +101,20 @@ class WhatsAppManager {
             };
         }
 
+        // Cluster mode: take the lease before creating the session here
+        if (!(await clusterCoordinator.acquire(sessionId))) {
+            return { 
+                success: false, 
+                message: 'Session is owned by another worker' 
+            };
+        }
+
         // Create new session with options
-        const session = new WhatsAppSession(sessionId, options);
-        session._saveConfig(); // Save initial config
+        const session = new WhatsAppSession(sessionId);
         this.sessions.set(sessionId, session);
+        // Stored config (e.g. imported bundle) first, the options of this request on top
+        await session._loadConfig();
+        session.updateConfig(options); // Saves the config
         await session.connect();
 
         return { 
@@ -94,6 +124,51 @@ class WhatsAppManager {
         };
     }
 
+    /**
+     * Link a session using a pairing code instead of scanning a QR
+     * Creates the session if it does not exist yet
+     * @param {string} sessionId - Session identifier
+     * @param {string} phoneNumber - Phone number of the account to link
+     * @param {Object} options - Session options (metadata, webhooks)
+     * @returns {Object}
+     */
+    async requestPairingCode(sessionId, phoneNumber, options = {}) {
+        if (!this.isValidSessionId(sessionId)) {
+            return { 
+                success: false, 
+                message: 'Invalid session ID. Use only letters, numbers, underscore, and dash.' 
+            };
+        }
+
+        let session = this.sessions.get(sessionId);
+        if (!session) {
+            if (!(await clusterCoordinator.acquire(sessionId))) {
+                return { 
+                    success: false, 
+                    message: 'Session is owned by another worker' 
+                };
+            }
+            session = new WhatsAppSession(sessionId);
+            this.sessions.set(sessionId, session);
+            // Stored config (e.g. imported bundle) first, the options of this request on top
+            await session._loadConfig();
+            session.updateConfig(options); // Saves the config
+        } else if (options.metadata || options.webhooks || options.reconnect || options.proxy !== undefined) {
+            session.updateConfig(options);
+        }
+
+        return session.requestPairingCode(phoneNumber);
+    }
+
+    /**
+     * Check session ID format
+     * @param {string} sessionId 
+     * @returns {boolean}
+     */
+    isValidSessionId(sessionId) {
+        return !!sessionId && /^[a-zA-Z0-9_-]+$/.test(sessionId);
+    }
+
     /**
      * Get session by ID
      * @param {string} sessionId 
@@ -103,6 +178,19 @@ class WhatsAppManager {
         return this.sessions.get(sessionId);
     }
 
+    /**
+     * Get health report of a session (watchdog)
+     * @param {string} sessionId 
+     * @returns {Object|null}
+     */
+    getSessionHealth(sessionId) {
+        const session = this.sessions.get(sessionId);
+        if (!session) {
+            return null;
+        }
+        return this.watchdog.getHealth(session);
+    }
+
     /**
      * Get all sessions info
      * @returns {Array}
@@ -128,9 +216,24 @@ class WhatsAppManager {
 
         await session.logout();
         this.sessions.delete(sessionId);
+        messageQueue.clear(sessionId);
+        await clusterCoordinator.release(sessionId);
         return { success: true, message: 'Session deleted successfully' };
     }
 
+    /**
+     * Stop a session on this process without logging out
+     * (credentials stay in the auth state store so another worker can resume it)
+     * @param {string} sessionId 
+     */
+    async closeSession(sessionId) {
+        const session = this.sessions.get(sessionId);
+        if (!session) return;
+
+        await session.close();
+        this.sessions.delete(sessionId);
+    }
+
     /**
      * Get session QR code info
      * @param {string} sessionId 
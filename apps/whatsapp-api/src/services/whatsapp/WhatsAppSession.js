@@ -1,12 +1,54 @@
-const { default: makeWASocket, useMultiFileAuthState, DisconnectReason, fetchLatestBaileysVersion, downloadMediaMessage, getContentType } = require('@whiskeysockets/baileys');
+const { default: makeWASocket, fetchLatestBaileysVersion, downloadMediaMessage, getContentType, getHttpStream, toBuffer, jidNormalizedUser, generateWAMessageFromContent, WAMessageStatus } = require('@whiskeysockets/baileys');
 const pino = require('pino');
 const path = require('path');
-const fs = require('fs');
+const crypto = require('crypto');
 const qrcode = require('qrcode');
 
 const BaileysStore = require('./BaileysStore');
+const SqliteBaileysStore = require('./SqliteBaileysStore');
+const ReconnectPolicy = require('./ReconnectPolicy');
+const RetentionPolicy = require('./RetentionPolicy');
+const ProxyAgent = require('./ProxyAgent');
+const MediaConverter = require('./MediaConverter');
+const PollHelper = require('./PollHelper');
+const MessageReceipts = require('./MessageReceipts');
+const MessageSearch = require('./MessageSearch');
+const ChatExporter = require('./ChatExporter');
+const ChatArchive = require('./ChatArchive');
+const InteractiveMessage = require('./InteractiveMessage');
+const LinkPreview = require('./LinkPreview');
 const MessageFormatter = require('./MessageFormatter');
 const wsManager = require('../websocket/WebSocketManager');
+const messageQueue = require('../queue');
+const authStateStore = require('../authstate');
+const mediaStorage = require('../mediastorage');
+const MediaUrlSigner = require('../mediastorage/MediaUrlSigner');
+
+// Pairing code validity before a fresh one is requested (ms)
+const PAIRING_CODE_TTL = parseInt(process.env.PAIRING_CODE_TTL) || 60_000;
+// How long the pair route waits for WhatsApp to issue a code (ms)
+const PAIRING_CODE_WAIT = 15_000;
+// WhatsApp only allows editing / deleting for everyone within these windows (ms)
+const MESSAGE_EDIT_WINDOW = parseInt(process.env.MESSAGE_EDIT_WINDOW) || 15 * 60_000;
+const MESSAGE_REVOKE_WINDOW = parseInt(process.env.MESSAGE_REVOKE_WINDOW) || 48 * 60 * 60_000;
+// List / template fallback: 'auto' (text when rejected), 'text' (always text), 'none'
+const INTERACTIVE_FALLBACK = process.env.INTERACTIVE_FALLBACK || 'auto';
+// How long selections on a sent list / template (or its numbered text) are recognized
+const INTERACTIVE_MENU_TTL = parseInt(process.env.INTERACTIVE_MENU_TTL) || 24 * 60 * 60_000;
+// Status updates (stories) are visible for 24 hours
+const STATUS_JID = 'status@broadcast';
+const STATUS_LIFETIME = 24 * 60 * 60_000;
+// Message store: 'json' (in-memory, store.json snapshot in the auth state store) or 'sqlite'
+const MESSAGE_STORE = process.env.MESSAGE_STORE || 'json';
+// Media of incoming messages: 'eager' (saved on receipt) or 'lazy' (downloaded on the first request of its URL)
+const MEDIA_DOWNLOAD = process.env.MEDIA_DOWNLOAD || 'eager';
+// Validity of media links in chat exports (seconds)
+const MEDIA_EXPORT_URL_TTL = parseInt(process.env.MEDIA_EXPORT_URL_TTL) || 7 * 24 * 60 * 60;
+// Voice note audio fetched from a URL (converted here, so not left to Baileys): size limit, timeout
+const VOICE_NOTE_MAX_SIZE = (parseInt(process.env.MEDIA_MAX_AUDIO_MB) || 16) * 1024 * 1024;
+const VOICE_NOTE_DOWNLOAD_TIMEOUT = 60_000;
+// Message types with downloadable media
+const MEDIA_MESSAGE_TYPES = ['imageMessage', 'videoMessage', 'audioMessage', 'documentMessage', 'stickerMessage'];
 
 /**
  * WhatsApp Session Class
@@ -17,51 +59,108 @@ class WhatsAppSession {
         this.sessionId = sessionId;
         this.socket = null;
         this.qrCode = null;
-        this.connectionStatus = 'disconnected';
-        this.authFolder = path.join(process.cwd(), 'sessions', sessionId);
-        this.storeFile = path.join(this.authFolder, 'store.json');
-        this.configFile = path.join(this.authFolder, 'config.json');
-        this.mediaFolder = path.join(process.cwd(), 'public', 'media', sessionId);
+        this.connectionStatus = 'disconnected'; // also sets statusChangedAt
+        this.mediaDownloads = new Map(); // messageId -> pending download (MEDIA_DOWNLOAD=lazy)
         this.phoneNumber = null;
         this.name = null;
         this.store = null;
         this.storeInterval = null;
         
+        // Pairing code login (alternative to QR scanning)
+        this.pairingPhoneNumber = null;
+        this.pairingCode = null;
+        this.pairingCodeExpiresAt = null;
+        this.pairingTimer = null;
+        
+        // Reconnect policy (backoff, max attempts, per DisconnectReason handling)
+        this.reconnectPolicy = new ReconnectPolicy(options.reconnect);
+        this.reconnectTimer = null;
+        this.closed = false; // Closed on purpose (e.g. moved to another worker)
+        
+        // Activity tracking for the health watchdog
+        this.lastInboundAt = null;
+        this.lastOutboundAt = null;
+        
+        // Sent lists / templates: messageId -> menu, chat JID -> numbered text menu
+        this.interactiveMenus = new Map();
+        this.textMenus = new Map();
+        
         // Custom metadata and webhook
         this.metadata = options.metadata || {};
         this.webhooks = options.webhooks || []; // Array of { url, events? }
         
-        // Load config if exists
-        this._loadConfig();
+        // Outbound proxy (http://, socks5://), agent is created on connect
+        this.proxy = options.proxy || null;
+        this.proxyAgent = null;
+        
+        // Outbound queue overrides ({ rateLimit, maxAttempts })
+        this.queueConfig = options.queue || {};
+        
+        // Message / media retention, applied by _persistStore()
+        this.retentionPolicy = new RetentionPolicy(options.retention);
+        this.lastRetention = null;
+        
+        // Config is loaded from the auth state store on first connect
+        this.configLoaded = false;
     }
     
     /**
-     * Load session config from file
+     * Connection status; remembers when it last changed (time-in-state for the watchdog)
+     * and since when the session is not connected (QR/reconnect cycles included)
      */
-    _loadConfig() {
+    get connectionStatus() {
+        return this._connectionStatus;
+    }
+
+    set connectionStatus(status) {
+        if (status !== this._connectionStatus) {
+            this._connectionStatus = status;
+            this.statusChangedAt = Date.now();
+            this.notConnectedSince = status === 'connected' ? null : (this.notConnectedSince || Date.now());
+        }
+    }
+
+    /**
+     * Load session config from the auth state store
+     */
+    async _loadConfig() {
         try {
-            if (fs.existsSync(this.configFile)) {
-                const config = JSON.parse(fs.readFileSync(this.configFile, 'utf8'));
+            const config = await authStateStore.readConfig(this.sessionId);
+            if (config) {
                 this.metadata = config.metadata || this.metadata;
                 this.webhooks = config.webhooks || this.webhooks;
+                if (config.proxy !== undefined) {
+                    this.proxy = config.proxy;
+                }
+                if (config.reconnect) {
+                    this.reconnectPolicy.configure(config.reconnect);
+                }
+                if (config.queue) {
+                    this.queueConfig = config.queue;
+                }
+                if (config.retention) {
+                    this.retentionPolicy.configure(config.retention);
+                }
             }
+            this.configLoaded = true;
         } catch (e) {
             console.log(`⚠️ [${this.sessionId}] Could not load config:`, e.message);
         }
     }
     
     /**
-     * Save session config to file
+     * Save session config to the auth state store
      */
-    _saveConfig() {
+    async _saveConfig() {
         try {
-            if (!fs.existsSync(this.authFolder)) {
-                fs.mkdirSync(this.authFolder, { recursive: true });
-            }
-            fs.writeFileSync(this.configFile, JSON.stringify({
+            await authStateStore.writeConfig(this.sessionId, {
                 metadata: this.metadata,
-                webhooks: this.webhooks
-            }, null, 2));
+                webhooks: this.webhooks,
+                proxy: this.proxy,
+                reconnect: this.reconnectPolicy.getConfig(),
+                queue: this.queueConfig,
+                retention: this.retentionPolicy.getConfig()
+            });
         } catch (e) {
             console.log(`⚠️ [${this.sessionId}] Could not save config:`, e.message);
         }
@@ -77,6 +176,19 @@ class WhatsAppSession {
         if (options.webhooks !== undefined) {
             this.webhooks = options.webhooks;
         }
+        if (options.reconnect !== undefined) {
+            this.reconnectPolicy.configure(options.reconnect);
+        }
+        if (options.proxy !== undefined) {
+            // Applied on next connect
+            this.proxy = options.proxy || null;
+        }
+        if (options.queue !== undefined) {
+            this.queueConfig = { ...this.queueConfig, ...options.queue };
+        }
+        if (options.retention !== undefined) {
+            this.retentionPolicy.configure(options.retention);
+        }
         this._saveConfig();
         return this.getInfo();
     }
@@ -155,44 +267,75 @@ class WhatsAppSession {
 
     async connect() {
         try {
-            // Pastikan folder auth ada
-            if (!fs.existsSync(this.authFolder)) {
-                fs.mkdirSync(this.authFolder, { recursive: true });
+            if (!this.configLoaded) {
+                await this._loadConfig();
             }
 
-            // Initialize custom in-memory store with sessionId
-            this.store = new BaileysStore(this.sessionId);
+            // A pending automatic retry is superseded by this connect
+            this._cancelReconnect(false);
+            this.closed = false;
 
-            // Load existing store data if available
-            if (fs.existsSync(this.storeFile)) {
-                try {
-                    this.store.readFromFile(this.storeFile);
-                    console.log(`📂 [${this.sessionId}] Store data loaded from file`);
-                } catch (e) {
-                    console.log(`⚠️ [${this.sessionId}] Could not load store file:`, e.message);
+            // Validate proxy before connecting through it
+            this.proxyAgent = null;
+            if (this.proxy) {
+                const proxyCheck = await ProxyAgent.check(this.proxy);
+                if (!proxyCheck.success) {
+                    console.log(`⚠️ [${this.sessionId}] Proxy ${ProxyAgent.mask(this.proxy)}: ${proxyCheck.message}`);
+                    this.connectionStatus = 'error';
+                    
+                    wsManager.emitConnectionStatus(this.sessionId, 'error', { reason: proxyCheck.message });
+                    this._sendWebhook('connection.update', {
+                        status: 'error',
+                        reason: proxyCheck.message
+                    });
+                    
+                    return { success: false, message: proxyCheck.message };
                 }
+                this.proxyAgent = proxyCheck.agent;
+                console.log(`🌐 [${this.sessionId}] Using proxy ${ProxyAgent.mask(this.proxy)}`);
             }
 
-            // Save store periodically (every 30 seconds) and cleanup old media
-            this.storeInterval = setInterval(() => {
+            // Store of the previous connection (reconnect): write pending changes first
+            if (this.store) {
+                this.store.close();
+            }
+
+            // Initialize message store with sessionId and load existing data
+            if (MESSAGE_STORE === 'sqlite') {
+                this.store = new SqliteBaileysStore(this.sessionId);
+                await this._migrateStore();
+            } else {
+                this.store = new BaileysStore(this.sessionId);
+
                 try {
-                    // Cleanup old media files before saving (keep only last 100 per chat)
-                    this.store.cleanupOldMedia(100);
-                    this.store.writeToFile(this.storeFile);
+                    if (await authStateStore.loadStore(this.sessionId, this.store)) {
+                        console.log(`📂 [${this.sessionId}] Store data loaded (${authStateStore.type})`);
+                    }
                 } catch (e) {
-                    // Silent fail
+                    console.log(`⚠️ [${this.sessionId}] Could not load store data:`, e.message);
                 }
-            }, 30_000);
+            }
+
+            // Save store periodically (every 30 seconds) and cleanup old media
+            if (this.storeInterval) {
+                clearInterval(this.storeInterval);
+            }
+            this.storeInterval = setInterval(() => this._persistStore(), 30_000);
 
-            const { state, saveCreds } = await useMultiFileAuthState(this.authFolder);
-            const { version } = await fetchLatestBaileysVersion();
+            const { state, saveCreds } = await authStateStore.useAuthState(this.sessionId);
+            const { version } = await fetchLatestBaileysVersion(this._mediaRequestOptions());
 
             this.socket = makeWASocket({
                 version,
                 auth: state,
                 logger: pino({ level: 'silent' }),
                 browser: ['Chatery API', 'Chrome', '1.0.0'],
-                syncFullHistory: true
+                syncFullHistory: true,
+                ...(this.proxyAgent && {
+                    agent: this.proxyAgent,
+                    fetchAgent: this.proxyAgent,
+                    options: this._mediaRequestOptions()
+                })
             });
 
             // Bind store to socket events
@@ -209,52 +352,205 @@ class WhatsAppSession {
         }
     }
 
+    /**
+     * One-time import of the store.json snapshot into the SQLite store
+     */
+    async _migrateStore() {
+        if (this.store.isMigrated()) return;
+
+        let legacy = new BaileysStore(this.sessionId);
+        try {
+            if (!await authStateStore.loadStore(this.sessionId, legacy)) {
+                legacy = null;
+            }
+        } catch (e) {
+            console.log(`⚠️ [${this.sessionId}] Could not load store.json for migration:`, e.message);
+            return;
+        }
+
+        const imported = this.store.importLegacy(legacy);
+        if (legacy) {
+            console.log(`📂 [${this.sessionId}] Store migrated to SQLite (${imported} messages)`);
+        }
+    }
+
+    /**
+     * Apply the retention policy and save store snapshot to the auth state store
+     * (the SQLite store writes its pending changes instead)
+     */
+    async _persistStore() {
+        if (!this.store) return;
+        if (MESSAGE_STORE === 'sqlite') {
+            this.store.flush();
+            this._runRetention();
+            return;
+        }
+        try {
+            this._runRetention();
+            await authStateStore.saveStore(this.sessionId, this.store);
+        } catch (e) {
+            // Silent fail
+        }
+    }
+
+    /**
+     * Background retention job, runs every store.retentionInterval
+     */
+    _runRetention() {
+        if (Date.now() - this.store.lastRetentionRun < this.store.retentionInterval) return;
+        this.store.lastRetentionRun = Date.now();
+
+        try {
+            const { chats, policy, ...summary } = this.store.applyRetention(this.retentionPolicy);
+            this.lastRetention = summary;
+        } catch (e) {
+            console.log(`⚠️ [${this.sessionId}] Retention failed:`, e.message);
+        }
+    }
+
+    /**
+     * Report what the retention policy deletes, without deleting anything
+     * @param {Object|null} overrides - Policy changes to preview (not saved)
+     * @returns {Object}
+     */
+    getRetentionReport(overrides = null) {
+        if (!this.store) {
+            return { success: false, message: 'Store not initialized' };
+        }
+
+        let policy = this.retentionPolicy;
+        if (overrides) {
+            policy = new RetentionPolicy(this.retentionPolicy.getConfig());
+            policy.configure(overrides);
+        }
+
+        return {
+            success: true,
+            data: {
+                ...this.store.applyRetention(policy, { dryRun: true }),
+                lastRun: this.lastRetention
+            }
+        };
+    }
+
+    /**
+     * Schedule an automatic reconnect
+     * @param {number} delay - Delay in ms
+     */
+    _scheduleReconnect(delay) {
+        this._cancelReconnect(false);
+        this.reconnectTimer = setTimeout(async () => {
+            this.reconnectTimer = null;
+            this.reconnectPolicy.clearNextRetry();
+            const result = await this.connect();
+            
+            // Socket could not even be created (e.g. network down), back off again
+            if (!result.success) {
+                const nextDelay = this.reconnectPolicy.nextDelay();
+                if (nextDelay !== null) {
+                    this._scheduleReconnect(nextDelay);
+                }
+            }
+        }, delay);
+    }
+
+    /**
+     * Cancel a pending automatic reconnect
+     * @param {boolean} resetAttempts - Also reset the attempt counter
+     */
+    _cancelReconnect(resetAttempts = true) {
+        if (this.reconnectTimer) {
+            clearTimeout(this.reconnectTimer);
+            this.reconnectTimer = null;
+            this.reconnectPolicy.clearNextRetry();
+        }
+        if (resetAttempts) {
+            this.reconnectPolicy.reset();
+        }
+    }
+
     _setupEventListeners(saveCreds) {
         // Connection update
         this.socket.ev.on('connection.update', async (update) => {
             const { connection, lastDisconnect, qr } = update;
 
             if (qr) {
-                this.qrCode = await qrcode.toDataURL(qr);
-                this.connectionStatus = 'qr_ready';
-                console.log(`📱 [${this.sessionId}] QR Code generated! Scan dengan WhatsApp Anda.`);
-                
-                // Emit QR code to WebSocket
-                wsManager.emitQRCode(this.sessionId, this.qrCode);
+                if (this.pairingPhoneNumber) {
+                    // Pairing code mode: request a code instead of showing the QR
+                    await this._refreshPairingCode();
+                } else {
+                    this.qrCode = await qrcode.toDataURL(qr);
+                    this.connectionStatus = 'qr_ready';
+                    console.log(`📱 [${this.sessionId}] QR Code generated! Scan dengan WhatsApp Anda.`);
+                    
+                    // Emit QR code to WebSocket
+                    wsManager.emitQRCode(this.sessionId, this.qrCode);
+                }
             }
 
             if (connection === 'close') {
-                const shouldReconnect = lastDisconnect?.error?.output?.statusCode !== DisconnectReason.loggedOut;
+                if (this.closed) {
+                    // Closed via close(): no reconnect, no logout
+                    this.connectionStatus = 'disconnected';
+                    return;
+                }
+                
+                const statusCode = lastDisconnect?.error?.output?.statusCode;
+                const { action, reason } = this.reconnectPolicy.resolve(statusCode);
                 
-                console.log(`❌ [${this.sessionId}] Connection closed:`, lastDisconnect?.error?.message);
+                console.log(`❌ [${this.sessionId}] Connection closed (${reason}, ${statusCode || '-'}):`, lastDisconnect?.error?.message);
                 this.connectionStatus = 'disconnected';
                 this.qrCode = null;
+                this._clearPairingCode();
                 
-                // Emit connection status to WebSocket
-                wsManager.emitConnectionStatus(this.sessionId, 'disconnected', {
+                if (action === 'logout' || action === 'reset') {
+                    this.pairingPhoneNumber = null;
+                    await this.deleteAuthState();
+                }
+                
+                let delay = null;
+                if (action === 'restart' || action === 'retry' || action === 'reset') {
+                    delay = this.reconnectPolicy.nextDelay(action === 'restart');
+                }
+                const shouldReconnect = delay !== null;
+                
+                const details = {
                     reason: lastDisconnect?.error?.message,
-                    shouldReconnect
-                });
+                    statusCode: statusCode || null,
+                    disconnectReason: reason,
+                    action,
+                    shouldReconnect,
+                    reconnect: this.reconnectPolicy.getState()
+                };
+                
+                // Emit connection status to WebSocket
+                wsManager.emitConnectionStatus(this.sessionId, 'disconnected', details);
                 
                 // Send webhook
                 this._sendWebhook('connection.update', {
                     status: 'disconnected',
-                    reason: lastDisconnect?.error?.message,
-                    shouldReconnect
+                    ...details
                 });
                 
                 if (shouldReconnect) {
-                    console.log(`🔄 [${this.sessionId}] Reconnecting...`);
-                    setTimeout(() => this.connect(), 5000);
-                } else {
+                    const { attempts, maxAttempts } = this.reconnectPolicy.getState();
+                    console.log(`🔄 [${this.sessionId}] Reconnecting in ${Math.round(delay / 1000)}s (attempt ${attempts}/${maxAttempts || '∞'})...`);
+                    this._scheduleReconnect(delay);
+                } else if (action === 'logout') {
                     console.log(`🚪 [${this.sessionId}] Logged out.`);
                     wsManager.emitLoggedOut(this.sessionId);
-                    this.deleteAuthFolder();
+                } else if (action === 'retry' || action === 'reset') {
+                    console.log(`🛑 [${this.sessionId}] Giving up after ${this.reconnectPolicy.attempts} reconnect attempts.`);
+                } else {
+                    console.log(`🛑 [${this.sessionId}] Not reconnecting (${reason}).`);
                 }
             } else if (connection === 'open') {
                 console.log(`✅ [${this.sessionId}] WhatsApp Connected Successfully!`);
                 this.connectionStatus = 'connected';
                 this.qrCode = null;
+                this.pairingPhoneNumber = null;
+                this._clearPairingCode();
+                this.reconnectPolicy.reset();
                 
                 if (this.socket.user) {
                     this.phoneNumber = this.socket.user.id.split(':')[0];
@@ -274,6 +570,9 @@ class WhatsAppSession {
                     phoneNumber: this.phoneNumber,
                     name: this.name
                 });
+                
+                // Continue sending messages queued while disconnected
+                messageQueue.attach(this.sessionId);
             } else if (connection === 'connecting') {
                 console.log(`🔄 [${this.sessionId}] Connecting to WhatsApp...`);
                 this.connectionStatus = 'connecting';
@@ -289,14 +588,36 @@ class WhatsAppSession {
         // Messages upsert (new messages)
         this.socket.ev.on('messages.upsert', async (m) => {
             const message = m.messages[0];
+            
+            // Activity tracking for the health watchdog
+            if (message.key.fromMe) {
+                this.lastOutboundAt = Date.now();
+            } else if (m.type === 'notify') {
+                this.lastInboundAt = Date.now();
+            }
+
+            // Poll secrets and votes
+            for (const msg of m.messages) {
+                this._handlePollMessage(msg);
+            }
+            
             if (!message.key.fromMe && m.type === 'notify') {
                 console.log(`📩 [${this.sessionId}] New message from:`, message.key.remoteJid);
                 
                 // Auto-save media if present
                 await this._autoSaveMedia(message);
                 
+                // Status updates of contacts have their own events (no auto-reply / AI)
+                if (message.key.remoteJid === STATUS_JID) {
+                    this._handleStatusMessage(message);
+                    return;
+                }
+                
+                // Selections on lists / templates (button.reply, list.reply)
+                this._handleInteractiveReply(message);
+                
                 // Emit message to WebSocket
-                const formattedMessage = MessageFormatter.formatMessage(message);
+                const formattedMessage = this._formatMessage(message);
                 wsManager.emitMessage(this.sessionId, formattedMessage);
                 
                 // Send webhook
@@ -315,8 +636,10 @@ class WhatsAppSession {
                             await new Promise(resolve => setTimeout(resolve, replyAction.delay));
                         }
                         
-                        // Send the auto-reply
-                        await this.sendTextMessage(replyAction.chatId, replyAction.message, 1000);
+                        // Send the auto-reply (through the outbound queue)
+                        await messageQueue.send(this.sessionId, 'sendTextMessage', [replyAction.chatId, replyAction.message, 1000], {
+                            source: 'auto-reply'
+                        });
                         
                         // Emit auto-reply event to WebSocket
                         wsManager.emitToSession(this.sessionId, 'auto-reply.triggered', {
@@ -356,8 +679,10 @@ class WhatsAppSession {
                             );
                             
                             if (aiResponse && aiResponse.success) {
-                                // Send AI response
-                                await this.sendTextMessage(chatId, aiResponse.message, 1500);
+                                // Send AI response (through the outbound queue)
+                                await messageQueue.send(this.sessionId, 'sendTextMessage', [chatId, aiResponse.message, 1500], {
+                                    source: 'ai'
+                                });
                                 
                                 console.log(`🤖 [${this.sessionId}] AI responded (${aiResponse.provider})`);
                                 
@@ -377,7 +702,7 @@ class WhatsAppSession {
                 }
             } else if (message.key.fromMe && m.type === 'notify') {
                 // Message sent confirmation
-                const formattedMessage = MessageFormatter.formatMessage(message);
+                const formattedMessage = this._formatMessage(message);
                 wsManager.emitMessageSent(this.sessionId, formattedMessage);
                 
                 // Send webhook
@@ -385,9 +710,39 @@ class WhatsAppSession {
             }
         });
 
-        // Messages update (status: read, delivered, etc)
+        // Messages update (status: server ack, delivered, read, played)
         this.socket.ev.on('messages.update', (updates) => {
-            wsManager.emitMessageStatus(this.sessionId, updates);
+            // Raw Baileys updates (all messages), message.status below is the normalized outbound status
+            wsManager.emitMessageUpdate(this.sessionId, updates);
+
+            for (const { key, update } of updates) {
+                if (!key.fromMe || update.status === undefined || update.status === null) continue;
+
+                const message = this.store?.recordMessageStatus(key, update.status);
+                if (message) {
+                    this._emitMessageStatus(message, MessageReceipts.statusName(update.status));
+                }
+
+                // Error ack: the recipient could not display a list / template
+                if (update.status === WAMessageStatus.ERROR) {
+                    this._fallbackInteractive(key.id, update.messageStubParameters?.[0]);
+                }
+            }
+        });
+
+        // Delivery / read receipts per participant (groups and status updates)
+        this.socket.ev.on('message-receipt.update', (updates) => {
+            for (const { key, receipt } of updates) {
+                if (key.remoteJid === STATUS_JID) {
+                    this._handleStatusReceipt(key, receipt);
+                    continue;
+                }
+
+                const recorded = this.store?.recordReceipt(key, receipt);
+                for (const { status, at } of recorded?.reached || []) {
+                    this._emitMessageStatus(recorded.message, status, at, receipt.userJid);
+                }
+            }
         });
 
         // Message reaction
@@ -460,31 +815,206 @@ class WhatsAppSession {
             phoneNumber: this.phoneNumber,
             name: this.name,
             qrCode: this.qrCode,
+            pairingCode: this.pairingCode,
+            pairingCodeExpiresAt: this.pairingCodeExpiresAt ? new Date(this.pairingCodeExpiresAt).toISOString() : null,
             storeStats: this.store ? this.store.getStats() : null,
+            reconnect: this.reconnectPolicy.getState(),
+            proxy: this.proxy ? ProxyAgent.mask(this.proxy) : null,
             metadata: this.metadata,
             webhooks: this.webhooks
         };
     }
 
+    // ==================== PAIRING CODE ====================
+
+    /**
+     * Link this session with an 8-character pairing code instead of a QR scan
+     * @param {string} phoneNumber - Phone number of the WhatsApp account to link (628xxx)
+     * @returns {Object}
+     */
+    async requestPairingCode(phoneNumber) {
+        try {
+            let phone = String(phoneNumber || '').replace(/\D/g, '');
+            if (phone.startsWith('0')) {
+                phone = '62' + phone.slice(1);
+            }
+
+            if (!/^\d{8,15}$/.test(phone)) {
+                return { success: false, message: 'Invalid phone number. Use international format, e.g. 628123456789' };
+            }
+
+            if (this.connectionStatus === 'connected') {
+                return { success: false, message: 'Session already connected' };
+            }
+
+            if (this.socket?.authState?.creds?.registered) {
+                return { success: false, message: 'Session is already linked to a WhatsApp account' };
+            }
+
+            // A different number invalidates the code issued for the previous one
+            if (this.pairingPhoneNumber !== phone) {
+                this._clearPairingCode();
+            }
+            this.pairingPhoneNumber = phone;
+
+            if (!this.socket) {
+                const result = await this.connect();
+                if (!result.success) return result;
+            } else if (this.connectionStatus === 'qr_ready' || this.connectionStatus === 'pairing_ready') {
+                // Socket is already waiting for a login, request the code right away
+                await this._refreshPairingCode();
+            }
+
+            const ready = await this._waitForPairingCode(PAIRING_CODE_WAIT);
+            if (!ready) {
+                return { 
+                    success: false, 
+                    message: 'Pairing code not available yet. Please wait...',
+                    data: { status: this.connectionStatus }
+                };
+            }
+
+            return {
+                success: true,
+                message: 'Pairing code ready',
+                data: this.getPairingInfo()
+            };
+        } catch (error) {
+            return { success: false, message: error.message };
+        }
+    }
+
+    /**
+     * Get current pairing code state (for countdown display)
+     */
+    getPairingInfo() {
+        const expiresIn = this.pairingCodeExpiresAt 
+            ? Math.max(0, Math.round((this.pairingCodeExpiresAt - Date.now()) / 1000)) 
+            : 0;
+
+        return {
+            sessionId: this.sessionId,
+            status: this.connectionStatus,
+            phoneNumber: this.pairingPhoneNumber,
+            pairingCode: this.pairingCode,
+            expiresAt: this.pairingCodeExpiresAt ? new Date(this.pairingCodeExpiresAt).toISOString() : null,
+            expiresIn
+        };
+    }
+
+    /**
+     * Request a new pairing code from WhatsApp when none is valid,
+     * and schedule the next refresh when it expires
+     * @param {boolean} force - Request a new code even if the current one is still valid
+     */
+    async _refreshPairingCode(force = false) {
+        if (!this.socket || !this.pairingPhoneNumber) return;
+        if (!force && this.pairingCode && this.pairingCodeExpiresAt > Date.now()) return;
+
+        const refreshed = !!this.pairingCode;
+
+        try {
+            const code = await this.socket.requestPairingCode(this.pairingPhoneNumber);
+
+            this.pairingCode = code;
+            this.pairingCodeExpiresAt = Date.now() + PAIRING_CODE_TTL;
+            this.connectionStatus = 'pairing_ready';
+            this.qrCode = null;
+            console.log(`🔑 [${this.sessionId}] Pairing code ${refreshed ? 'refreshed' : 'generated'}: ${code}`);
+
+            // Refresh the code once it expires, as long as we're still not linked
+            if (this.pairingTimer) clearTimeout(this.pairingTimer);
+            this.pairingTimer = setTimeout(() => {
+                this.pairingTimer = null;
+                if (this.connectionStatus === 'pairing_ready') {
+                    this._refreshPairingCode(true);
+                }
+            }, PAIRING_CODE_TTL);
+
+            const info = this.getPairingInfo();
+            wsManager.emitPairingCode(this.sessionId, code, {
+                phoneNumber: info.phoneNumber,
+                expiresAt: info.expiresAt,
+                expiresIn: info.expiresIn,
+                refreshed
+            });
+        } catch (error) {
+            console.error(`[${this.sessionId}] Pairing code error:`, error.message);
+        }
+    }
+
+    /**
+     * Wait until a pairing code is issued
+     * @param {number} timeout - Max wait in milliseconds
+     * @returns {boolean} - true if a code is available
+     */
+    async _waitForPairingCode(timeout) {
+        const deadline = Date.now() + timeout;
+        while (Date.now() < deadline) {
+            if (this.pairingCode) return true;
+            if (!this.pairingPhoneNumber || this.connectionStatus === 'connected') return false;
+            await new Promise(resolve => setTimeout(resolve, 500));
+        }
+        return !!this.pairingCode;
+    }
+
+    _clearPairingCode() {
+        if (this.pairingTimer) {
+            clearTimeout(this.pairingTimer);
+            this.pairingTimer = null;
+        }
+        this.pairingCode = null;
+        this.pairingCodeExpiresAt = null;
+    }
+
+    /**
+     * Close the connection without logging out (auth state is kept)
+     * Used when the session is handed over to another worker
+     */
+    async close() {
+        this.closed = true;
+        if (this.storeInterval) {
+            clearInterval(this.storeInterval);
+            this.storeInterval = null;
+        }
+        this._cancelReconnect();
+        this._clearPairingCode();
+        
+        await this._persistStore();
+        this.store?.close();
+        
+        if (this.socket) {
+            this.socket.end(undefined);
+            this.socket = null;
+        }
+        this.connectionStatus = 'disconnected';
+        this.qrCode = null;
+        console.log(`⏏️ [${this.sessionId}] Session closed (auth state kept)`);
+    }
+
     async logout() {
         try {
             if (this.storeInterval) {
                 clearInterval(this.storeInterval);
             }
             
+            this._cancelReconnect();
+            this._clearPairingCode();
+            this.pairingPhoneNumber = null;
+            
             // Clear store and delete all media files
             if (this.store) {
                 this.store.clear();
             }
             
-            // Delete media folder for this session
-            this.deleteMediaFolder();
+            // Delete media files of this session
+            await this.deleteMediaFolder();
             
             if (this.socket) {
                 await this.socket.logout();
                 this.socket = null;
             }
-            this.deleteAuthFolder();
+            await this.deleteAuthState();
             this.connectionStatus = 'disconnected';
             this.qrCode = null;
             this.phoneNumber = null;
@@ -495,25 +1025,21 @@ class WhatsAppSession {
         }
     }
 
-    deleteAuthFolder() {
+    async deleteAuthState() {
         try {
-            if (fs.existsSync(this.authFolder)) {
-                fs.rmSync(this.authFolder, { recursive: true, force: true });
-                console.log(`🗑️ [${this.sessionId}] Auth folder deleted`);
-            }
+            await authStateStore.removeSession(this.sessionId);
+            console.log(`🗑️ [${this.sessionId}] Auth state deleted (${authStateStore.type})`);
         } catch (error) {
-            console.error(`[${this.sessionId}] Error deleting auth folder:`, error);
+            console.error(`[${this.sessionId}] Error deleting auth state:`, error);
         }
     }
 
-    deleteMediaFolder() {
+    async deleteMediaFolder() {
         try {
-            if (fs.existsSync(this.mediaFolder)) {
-                fs.rmSync(this.mediaFolder, { recursive: true, force: true });
-                console.log(`🗑️ [${this.sessionId}] Media folder deleted`);
-            }
+            await mediaStorage.removePrefix(`${this.sessionId}/`);
+            console.log(`🗑️ [${this.sessionId}] Media deleted (${mediaStorage.type})`);
         } catch (error) {
-            console.error(`[${this.sessionId}] Error deleting media folder:`, error);
+            console.error(`[${this.sessionId}] Error deleting media:`, error);
         }
     }
 
@@ -585,16 +1111,24 @@ class WhatsAppSession {
      * Helper: Send typing indicator and wait
      * @param {string} jid - Formatted JID
      * @param {number} typingTime - Time in milliseconds to show typing
+     * @param {string} presence - 'composing' | 'recording'
      */
-    async _simulateTyping(jid, typingTime = 0) {
+    async _simulateTyping(jid, typingTime = 0, presence = 'composing') {
         if (typingTime > 0) {
-            await this.socket.sendPresenceUpdate('composing', jid);
+            await this.socket.sendPresenceUpdate(presence, jid);
             await new Promise(resolve => setTimeout(resolve, typingTime));
             await this.socket.sendPresenceUpdate('paused', jid);
         }
     }
 
-    async sendTextMessage(chatId, message, typingTime = 0) {
+    /**
+     * Send text message
+     * @param {string} chatId - Chat ID
+     * @param {string} message - Text
+     * @param {number} typingTime - Typing simulation (ms)
+     * @param {Object} options - { quotedMessageId, mentions, linkPreview (attach OpenGraph preview of the first URL) }
+     */
+    async sendTextMessage(chatId, message, typingTime = 0, options = {}) {
         try {
             if (!this.socket || this.connectionStatus !== 'connected') {
                 return { success: false, message: 'Session not connected' };
@@ -602,10 +1136,22 @@ class WhatsAppSession {
 
             const jid = this.formatChatId(chatId);
             
+            // Fetch the link preview while typing
+            const preview = options.linkPreview
+                ? LinkPreview.forText(message, this._mediaRequestOptions())
+                : null;
+            
             // Simulate typing if typingTime > 0
             await this._simulateTyping(jid, typingTime);
             
-            const result = await this.socket.sendMessage(jid, { text: message });
+            const [content, sendOptions] = this._applyReplyOptions(jid, {
+                text: message
+            }, options, 'text');
+            if (preview) {
+                // null = no preview (page without OpenGraph data or too slow)
+                content.linkPreview = await preview;
+            }
+            const result = await this.socket.sendMessage(jid, content, sendOptions);
             
             return { 
                 success: true, 
@@ -613,6 +1159,7 @@ class WhatsAppSession {
                 data: {
                     messageId: result.key.id,
                     chatId: jid,
+                    ...(options.linkPreview && { linkPreview: !!content.linkPreview }),
                     timestamp: new Date().toISOString()
                 }
             };
@@ -621,7 +1168,63 @@ class WhatsAppSession {
         }
     }
 
-    async sendImage(chatId, imageUrl, caption = '', typingTime = 0) {
+    /**
+     * Helper: Apply reply (quote) and mentions to a message
+     * @param {string} jid - Target JID
+     * @param {Object} content - Baileys message content
+     * @param {Object} options
+     * @param {string} options.quotedMessageId - ID of a stored message in the same chat to reply to
+     * @param {Array<string>} options.mentions - Phone numbers to mention
+     * @param {string} textField - Content field holding the text ('text' | 'caption'), null when there is none
+     * @returns {Array} [content, sendOptions] for socket.sendMessage
+     */
+    _applyReplyOptions(jid, content, options = {}, textField = null) {
+        const sendOptions = {};
+
+        if (options.quotedMessageId) {
+            const quoted = this.store?.loadMessage(jid, options.quotedMessageId);
+            if (!quoted) {
+                throw new Error(`Quoted message ${options.quotedMessageId} not found in chat ${jid}`);
+            }
+            sendOptions.quoted = quoted;
+        }
+
+        if (Array.isArray(options.mentions) && options.mentions.length > 0) {
+            content.mentions = options.mentions.map(m => this.formatChatId(String(m)));
+
+            // WhatsApp only highlights a mention when @number is part of the text
+            if (textField) {
+                let text = content[textField] || '';
+                for (const mentionJid of content.mentions) {
+                    const tag = `@${mentionJid.split('@')[0]}`;
+                    if (!text.includes(tag)) {
+                        text = text ? `${text} ${tag}` : tag;
+                    }
+                }
+                content[textField] = text;
+            }
+        }
+
+        return [content, sendOptions];
+    }
+
+    /**
+     * Helper: Baileys media content from a URL or an uploaded buffer
+     * @param {string|Buffer} media
+     */
+    _mediaSource(media) {
+        return Buffer.isBuffer(media) ? media : { url: media };
+    }
+
+    /**
+     * Send image
+     * @param {string} chatId - Chat ID
+     * @param {string|Buffer} image - URL or buffer of the image
+     * @param {string} caption - Caption
+     * @param {number} typingTime - Typing simulation (ms)
+     * @param {Object} options - { quotedMessageId, mentions }
+     */
+    async sendImage(chatId, image, caption = '', typingTime = 0, options = {}) {
         try {
             if (!this.socket || this.connectionStatus !== 'connected') {
                 return { success: false, message: 'Session not connected' };
@@ -632,10 +1235,11 @@ class WhatsAppSession {
             // Simulate typing if typingTime > 0
             await this._simulateTyping(jid, typingTime);
             
-            const result = await this.socket.sendMessage(jid, {
-                image: { url: imageUrl },
+            const [content, sendOptions] = this._applyReplyOptions(jid, {
+                image: this._mediaSource(image),
                 caption: caption
-            });
+            }, options, 'caption');
+            const result = await this.socket.sendMessage(jid, content, sendOptions);
 
             return {
                 success: true,
@@ -651,7 +1255,16 @@ class WhatsAppSession {
         }
     }
 
-    async sendDocument(chatId, documentUrl, filename, mimetype = 'application/pdf', typingTime = 0) {
+    /**
+     * Send document
+     * @param {string} chatId - Chat ID
+     * @param {string|Buffer} document - URL or buffer of the file
+     * @param {string} filename - Filename shown in the chat
+     * @param {string} mimetype - MIME type
+     * @param {number} typingTime - Typing simulation (ms)
+     * @param {Object} options - { quotedMessageId, mentions }
+     */
+    async sendDocument(chatId, document, filename, mimetype = 'application/pdf', typingTime = 0, options = {}) {
         try {
             if (!this.socket || this.connectionStatus !== 'connected') {
                 return { success: false, message: 'Session not connected' };
@@ -662,11 +1275,12 @@ class WhatsAppSession {
             // Simulate typing if typingTime > 0
             await this._simulateTyping(jid, typingTime);
             
-            const result = await this.socket.sendMessage(jid, {
-                document: { url: documentUrl },
+            const [content, sendOptions] = this._applyReplyOptions(jid, {
+                document: this._mediaSource(document),
                 fileName: filename,
                 mimetype: mimetype
-            });
+            }, options);
+            const result = await this.socket.sendMessage(jid, content, sendOptions);
 
             return {
                 success: true,
@@ -682,7 +1296,16 @@ class WhatsAppSession {
         }
     }
 
-    async sendLocation(chatId, latitude, longitude, name = '', typingTime = 0) {
+    /**
+     * Send video
+     * @param {string} chatId - Chat ID
+     * @param {string|Buffer} video - URL or buffer of an MP4 video
+     * @param {string} caption - Caption
+     * @param {boolean} gifPlayback - Play as looping GIF (no sound)
+     * @param {number} typingTime - Typing simulation (ms)
+     * @param {Object} options - { quotedMessageId, mentions }
+     */
+    async sendVideo(chatId, video, caption = '', gifPlayback = false, typingTime = 0, options = {}) {
         try {
             if (!this.socket || this.connectionStatus !== 'connected') {
                 return { success: false, message: 'Session not connected' };
@@ -693,17 +1316,16 @@ class WhatsAppSession {
             // Simulate typing if typingTime > 0
             await this._simulateTyping(jid, typingTime);
             
-            const result = await this.socket.sendMessage(jid, {
-                location: {
-                    degreesLatitude: latitude,
-                    degreesLongitude: longitude,
-                    name: name
-                }
-            });
+            const [content, sendOptions] = this._applyReplyOptions(jid, {
+                video: this._mediaSource(video),
+                caption: caption,
+                gifPlayback: !!gifPlayback
+            }, options, 'caption');
+            const result = await this.socket.sendMessage(jid, content, sendOptions);
 
             return {
                 success: true,
-                message: 'Location sent successfully',
+                message: 'Video sent successfully',
                 data: {
                     messageId: result.key.id,
                     chatId: jid,
@@ -715,11 +1337,139 @@ class WhatsAppSession {
         }
     }
 
-    async sendContact(chatId, contactName, contactPhone, typingTime = 0) {
-        try {
-            if (!this.socket || this.connectionStatus !== 'connected') {
-                return { success: false, message: 'Session not connected' };
-            }
+    /**
+     * Send audio file (shown as audio player, not as voice note)
+     * @param {string} chatId - Chat ID
+     * @param {string|Buffer} audio - URL or buffer of the audio file
+     * @param {string} mimetype - Audio mimetype
+     * @param {boolean} ptt - Send as voice note instead (converted to Opus/OGG)
+     * @param {number} typingTime - Recording simulation (ms)
+     * @param {Object} options - { quotedMessageId, mentions }
+     */
+    async sendAudio(chatId, audio, mimetype = 'audio/mpeg', ptt = false, typingTime = 0, options = {}) {
+        if (ptt) {
+            return this.sendVoiceNote(chatId, audio, typingTime, options);
+        }
+
+        try {
+            if (!this.socket || this.connectionStatus !== 'connected') {
+                return { success: false, message: 'Session not connected' };
+            }
+
+            const jid = this.formatChatId(chatId);
+            
+            // Simulate recording if typingTime > 0
+            await this._simulateTyping(jid, typingTime, 'recording');
+            
+            const [content, sendOptions] = this._applyReplyOptions(jid, {
+                audio: this._mediaSource(audio),
+                mimetype: mimetype,
+                ptt: false
+            }, options);
+            const result = await this.socket.sendMessage(jid, content, sendOptions);
+
+            return {
+                success: true,
+                message: 'Audio sent successfully',
+                data: {
+                    messageId: result.key.id,
+                    chatId: jid,
+                    timestamp: new Date().toISOString()
+                }
+            };
+        } catch (error) {
+            return { success: false, message: error.message };
+        }
+    }
+
+    /**
+     * Send voice note (PTT)
+     * Audio is converted to Opus/OGG with ffmpeg, otherwise WhatsApp shows it as a plain audio file
+     * @param {string} chatId - Chat ID
+     * @param {string|Buffer} audio - URL or buffer of the audio (any format ffmpeg can read)
+     * @param {number} typingTime - Recording simulation (ms)
+     * @param {Object} options - { quotedMessageId, mentions }
+     */
+    async sendVoiceNote(chatId, audio, typingTime = 0, options = {}) {
+        try {
+            if (!this.socket || this.connectionStatus !== 'connected') {
+                return { success: false, message: 'Session not connected' };
+            }
+
+            const jid = this.formatChatId(chatId);
+
+            const source = Buffer.isBuffer(audio)
+                ? audio
+                : await toBuffer(await getHttpStream(audio, {
+                    ...this._mediaRequestOptions(),
+                    timeout: VOICE_NOTE_DOWNLOAD_TIMEOUT,
+                    maxContentLength: VOICE_NOTE_MAX_SIZE
+                }));
+            const voice = await MediaConverter.toOpus(source);
+            
+            // Simulate recording if typingTime > 0
+            await this._simulateTyping(jid, typingTime, 'recording');
+            
+            const [content, sendOptions] = this._applyReplyOptions(jid, {
+                audio: voice,
+                mimetype: 'audio/ogg; codecs=opus',
+                ptt: true
+            }, options);
+            const result = await this.socket.sendMessage(jid, content, sendOptions);
+
+            return {
+                success: true,
+                message: 'Voice note sent successfully',
+                data: {
+                    messageId: result.key.id,
+                    chatId: jid,
+                    timestamp: new Date().toISOString()
+                }
+            };
+        } catch (error) {
+            return { success: false, message: error.message };
+        }
+    }
+
+    async sendLocation(chatId, latitude, longitude, name = '', typingTime = 0, options = {}) {
+        try {
+            if (!this.socket || this.connectionStatus !== 'connected') {
+                return { success: false, message: 'Session not connected' };
+            }
+
+            const jid = this.formatChatId(chatId);
+            
+            // Simulate typing if typingTime > 0
+            await this._simulateTyping(jid, typingTime);
+            
+            const [content, sendOptions] = this._applyReplyOptions(jid, {
+                location: {
+                    degreesLatitude: latitude,
+                    degreesLongitude: longitude,
+                    name: name
+                }
+            }, options);
+            const result = await this.socket.sendMessage(jid, content, sendOptions);
+
+            return {
+                success: true,
+                message: 'Location sent successfully',
+                data: {
+                    messageId: result.key.id,
+                    chatId: jid,
+                    timestamp: new Date().toISOString()
+                }
+            };
+        } catch (error) {
+            return { success: false, message: error.message };
+        }
+    }
+
+    async sendContact(chatId, contactName, contactPhone, typingTime = 0, options = {}) {
+        try {
+            if (!this.socket || this.connectionStatus !== 'connected') {
+                return { success: false, message: 'Session not connected' };
+            }
 
             const jid = this.formatChatId(chatId);
             
@@ -728,19 +1478,521 @@ class WhatsAppSession {
             
             const vcard = `BEGIN:VCARD\nVERSION:3.0\nFN:${contactName}\nTEL;type=CELL;type=VOICE;waid=${contactPhone}:+${contactPhone}\nEND:VCARD`;
             
-            const result = await this.socket.sendMessage(jid, {
+            const [content, sendOptions] = this._applyReplyOptions(jid, {
                 contacts: {
                     displayName: contactName,
                     contacts: [{ vcard }]
                 }
+            }, options);
+            const result = await this.socket.sendMessage(jid, content, sendOptions);
+
+            return {
+                success: true,
+                message: 'Contact sent successfully',
+                data: {
+                    messageId: result.key.id,
+                    chatId: jid,
+                    timestamp: new Date().toISOString()
+                }
+            };
+        } catch (error) {
+            return { success: false, message: error.message };
+        }
+    }
+
+    async sendButton(chatId, text, footer, buttons, typingTime = 0, options = {}) {
+        try {
+            if (!this.socket || this.connectionStatus !== 'connected') {
+                return { success: false, message: 'Session not connected' };
+            }
+
+            const jid = this.formatChatId(chatId);
+            
+            // Simulate typing if typingTime > 0
+            await this._simulateTyping(jid, typingTime);
+            
+            const [content, sendOptions] = this._applyReplyOptions(jid, {
+                text: text,
+                footer: footer,
+                buttons: buttons.map((btn, idx) => ({
+                    buttonId: `btn_${idx}`,
+                    buttonText: { displayText: btn },
+                    type: 1
+                })),
+                headerType: 1
+            }, options, 'text');
+            const result = await this.socket.sendMessage(jid, content, sendOptions);
+
+            return {
+                success: true,
+                message: 'Button message sent successfully',
+                data: {
+                    messageId: result.key.id,
+                    chatId: jid,
+                    timestamp: new Date().toISOString()
+                }
+            };
+        } catch (error) {
+            return { success: false, message: error.message };
+        }
+    }
+
+    /**
+     * Send list message (sections with selectable rows)
+     * @param {string} chatId - Chat ID
+     * @param {Object} list - { text, title, footer, buttonText, sections } (sections normalized by InteractiveMessage)
+     * @param {number} typingTime - Typing simulation (ms)
+     * @param {Object} options - { quotedMessageId, mentions, fallback: 'auto' | 'text' | 'none' }
+     */
+    async sendList(chatId, list, typingTime = 0, options = {}) {
+        return this._sendInteractive(chatId, 'list', list, typingTime, options);
+    }
+
+    /**
+     * Send template message with quick reply, URL and call buttons
+     * @param {string} chatId - Chat ID
+     * @param {Object} template - { text, title, footer, buttons } (buttons normalized by InteractiveMessage)
+     * @param {number} typingTime - Typing simulation (ms)
+     * @param {Object} options - { quotedMessageId, mentions, fallback: 'auto' | 'text' | 'none' }
+     */
+    async sendTemplate(chatId, template, typingTime = 0, options = {}) {
+        return this._sendInteractive(chatId, 'template', template, typingTime, options);
+    }
+
+    /**
+     * Send a list / template, degrading to numbered text when it is rejected
+     * @param {string} chatId
+     * @param {string} kind - 'list' | 'template'
+     * @param {Object} payload
+     * @param {number} typingTime
+     * @param {Object} options
+     */
+    async _sendInteractive(chatId, kind, payload, typingTime, options) {
+        const label = kind === 'list' ? 'List' : 'Template';
+
+        try {
+            if (!this.socket || this.connectionStatus !== 'connected') {
+                return { success: false, message: 'Session not connected' };
+            }
+
+            const jid = this.formatChatId(chatId);
+            const fallback = options.fallback || INTERACTIVE_FALLBACK;
+            
+            // Simulate typing if typingTime > 0
+            await this._simulateTyping(jid, typingTime);
+            
+            const [content, sendOptions] = this._applyReplyOptions(jid, { text: payload.text }, options, 'text');
+            const menu = { ...payload, text: content.text };
+
+            let messageId;
+            let usedFallback = false;
+
+            if (fallback === 'text') {
+                messageId = await this._sendTextMenu(jid, kind, menu, content.mentions, sendOptions);
+                usedFallback = true;
+            } else {
+                try {
+                    messageId = await this._relayInteractive(jid, kind, menu, content.mentions, sendOptions);
+                } catch (error) {
+                    if (fallback === 'none') throw error;
+                    console.log(`📋 [${this.sessionId}] ${label} message rejected (${error.message}), sending as text`);
+                    messageId = await this._sendTextMenu(jid, kind, menu, content.mentions, sendOptions);
+                    usedFallback = true;
+                }
+
+                if (!usedFallback) {
+                    this._pruneMenus();
+                    this.interactiveMenus.set(messageId, {
+                        jid, kind, menu,
+                        mentions: content.mentions,
+                        quoted: sendOptions.quoted,
+                        fallback,
+                        fallbackMessageId: null,
+                        sentAt: Date.now()
+                    });
+                }
+            }
+
+            return {
+                success: true,
+                message: usedFallback ? `${label} message sent as text` : `${label} message sent successfully`,
+                data: {
+                    messageId,
+                    chatId: jid,
+                    fallback: usedFallback,
+                    timestamp: new Date().toISOString()
+                }
+            };
+        } catch (error) {
+            return { success: false, message: error.message };
+        }
+    }
+
+    /**
+     * Helper: Relay a list / template as native flow message
+     * @returns {Promise<string>} Message ID
+     */
+    async _relayInteractive(jid, kind, menu, mentions, sendOptions) {
+        const contextInfo = mentions?.length ? { mentionedJid: mentions } : undefined;
+        const content = kind === 'list'
+            ? InteractiveMessage.buildList(menu, contextInfo)
+            : InteractiveMessage.buildTemplate(menu, contextInfo);
+
+        const msg = generateWAMessageFromContent(jid, content, {
+            userJid: this.socket.user.id,
+            quoted: sendOptions.quoted
+        });
+
+        await this.socket.relayMessage(jid, msg.message, {
+            messageId: msg.key.id,
+            additionalNodes: InteractiveMessage.additionalNodes()
+        });
+
+        // sendMessage stores own messages, relayMessage does not
+        await this.socket.upsertMessage(msg, 'append');
+
+        return msg.key.id;
+    }
+
+    /**
+     * Helper: Send a list / template as numbered text and remember it for numbered replies
+     * @returns {Promise<string>} Message ID
+     */
+    async _sendTextMenu(jid, kind, menu, mentions, sendOptions) {
+        const result = await this.socket.sendMessage(jid, {
+            text: InteractiveMessage.toText(kind, menu),
+            mentions
+        }, sendOptions);
+
+        const choices = InteractiveMessage.getChoices(kind, menu);
+        if (choices.length > 0) {
+            this._pruneMenus();
+            this.textMenus.set(jid, { kind, messageId: result.key.id, choices, sentAt: Date.now() });
+        }
+
+        return result.key.id;
+    }
+
+    /**
+     * Resend a list / template as text after the recipient rejected it (error ack)
+     * @param {string} messageId
+     * @param {string} reason - Error code from the ack
+     */
+    async _fallbackInteractive(messageId, reason) {
+        const sent = this.interactiveMenus.get(messageId);
+        if (!sent || sent.fallback !== 'auto' || sent.fallbackMessageId || !this.socket) return;
+
+        sent.fallbackMessageId = 'pending';
+        try {
+            const fallbackMessageId = await this._sendTextMenu(sent.jid, sent.kind, sent.menu, sent.mentions, { quoted: sent.quoted });
+            sent.fallbackMessageId = fallbackMessageId;
+
+            console.log(`📋 [${this.sessionId}] ${messageId} rejected by recipient (${reason || 'error'}), resent as text`);
+            wsManager.emitToSession(this.sessionId, 'interactive.fallback', {
+                messageId,
+                fallbackMessageId,
+                chatId: sent.jid,
+                reason: reason || null
             });
+        } catch (error) {
+            sent.fallbackMessageId = null;
+            console.error(`[${this.sessionId}] Interactive fallback error:`, error.message);
+        }
+    }
+
+    /**
+     * Helper: Forget lists / templates older than INTERACTIVE_MENU_TTL
+     */
+    _pruneMenus() {
+        const expired = (menu) => Date.now() - menu.sentAt > INTERACTIVE_MENU_TTL;
+        for (const [id, menu] of this.interactiveMenus) {
+            if (expired(menu)) this.interactiveMenus.delete(id);
+        }
+        for (const [jid, menu] of this.textMenus) {
+            if (expired(menu)) this.textMenus.delete(jid);
+        }
+    }
+
+    /**
+     * Parse selections on lists / templates into message._selection (see MessageFormatter)
+     * @param {Object} message - Incoming WAMessage
+     */
+    _handleInteractiveReply(message) {
+        if (!message?.message) return;
+
+        const jid = message.key.remoteJid;
+        let selection = InteractiveMessage.parseResponse(message.message);
+
+        if (selection) {
+            // Native flow responses don't say whether they come from a list
+            const sent = this.interactiveMenus.get(selection.messageId);
+            if (sent) {
+                selection.type = sent.kind === 'list' ? 'list.reply' : 'button.reply';
+            }
+        } else {
+            this._pruneMenus();
+            const text = message.message.conversation || message.message.extendedTextMessage?.text;
+            selection = InteractiveMessage.parseNumberedReply(text, this.textMenus.get(jid));
+        }
+
+        if (selection) {
+            message._selection = selection;
+            console.log(`📋 [${this.sessionId}] ${selection.type} from ${jid}: ${selection.id}`);
+        }
+    }
+
+    /**
+     * Send poll
+     * @param {string} chatId - Chat ID
+     * @param {string} question - Poll question
+     * @param {Array<string>} pollOptions - Answer options (2-12, unique)
+     * @param {boolean} multiSelect - Allow voting for more than one option
+     * @param {number} typingTime - Typing simulation (ms)
+     * @param {Object} options - { quotedMessageId, mentions }
+     */
+    async sendPoll(chatId, question, pollOptions, multiSelect = false, typingTime = 0, options = {}) {
+        try {
+            if (!this.socket || this.connectionStatus !== 'connected') {
+                return { success: false, message: 'Session not connected' };
+            }
+
+            const jid = this.formatChatId(chatId);
+            
+            // Simulate typing if typingTime > 0
+            await this._simulateTyping(jid, typingTime);
+            
+            const [content, sendOptions] = this._applyReplyOptions(jid, {
+                poll: {
+                    name: question,
+                    values: pollOptions,
+                    selectableCount: multiSelect ? 0 : 1
+                }
+            }, options);
+            const result = await this.socket.sendMessage(jid, content, sendOptions);
+
+            return {
+                success: true,
+                message: 'Poll sent successfully',
+                data: {
+                    messageId: result.key.id,
+                    chatId: jid,
+                    timestamp: new Date().toISOString()
+                }
+            };
+        } catch (error) {
+            return { success: false, message: error.message };
+        }
+    }
+
+    /**
+     * Forward a stored message to one or more chats
+     * @param {string} messageId - ID of the message in the store
+     * @param {Array<string>} targets - Chat IDs to forward to
+     * @param {string} fromChatId - Chat of the original message (optional, searched in all chats otherwise)
+     * @param {number} typingTime - Typing simulation per target (ms)
+     */
+    async forwardMessage(messageId, targets, fromChatId = null, typingTime = 0) {
+        try {
+            if (!this.socket || this.connectionStatus !== 'connected') {
+                return { success: false, message: 'Session not connected' };
+            }
+
+            const original = this._findStoredMessage(messageId, fromChatId);
+
+            if (!original?.message) {
+                return { success: false, message: `Message ${messageId} not found in store` };
+            }
+
+            const content = await this._forwardContent(original);
+            const results = [];
+
+            for (const target of targets) {
+                const jid = this.formatChatId(target);
+                try {
+                    await this._simulateTyping(jid, typingTime);
+                    const result = await this.socket.sendMessage(jid, content);
+                    results.push({ chatId: jid, success: true, messageId: result.key.id });
+                } catch (error) {
+                    results.push({ chatId: jid, success: false, error: error.message });
+                }
+            }
+
+            const forwarded = results.filter(r => r.success).length;
+
+            return {
+                success: forwarded > 0,
+                message: `Message forwarded to ${forwarded}/${targets.length} chats`,
+                data: {
+                    messageId,
+                    fromChatId: original.key.remoteJid,
+                    results,
+                    timestamp: new Date().toISOString()
+                }
+            };
+        } catch (error) {
+            return { success: false, message: error.message };
+        }
+    }
+
+    /**
+     * Helper: Message content to forward a stored message
+     * @param {Object} original - Stored WAMessage
+     */
+    async _forwardContent(original) {
+        const type = getContentType(original.message);
+        const media = original.message[type];
+        const mediaKind = {
+            imageMessage: 'image',
+            videoMessage: 'video',
+            audioMessage: 'audio',
+            documentMessage: 'document',
+            stickerMessage: 'sticker'
+        }[type];
+
+        // Buffers (mediaKey) are not persisted with the store, so media restored after
+        // a restart can't be forwarded as-is: upload the stored copy again
+        if (mediaKind && !media?.mediaKey) {
+            const mediaKey = original._mediaKey || original._mediaLocalPath;
+            if (!mediaKey || !(await mediaStorage.exists(mediaKey))) {
+                throw new Error('Media of this message is no longer available for forwarding');
+            }
+
+            return {
+                [mediaKind]: await mediaStorage.read(mediaKey),
+                mimetype: media.mimetype,
+                ...(media.caption && { caption: media.caption }),
+                ...(media.fileName && { fileName: media.fileName }),
+                ...(mediaKind === 'audio' && { ptt: !!media.ptt })
+            };
+        }
+
+        return { forward: original };
+    }
+
+    // ==================== MESSAGE ACTIONS ====================
+
+    /**
+     * Helper: Find a stored message by ID
+     * @param {string} messageId - Message ID
+     * @param {string} chatId - Chat of the message (optional, searched in all chats otherwise)
+     * @returns {Object|null} Stored WAMessage
+     */
+    _findStoredMessage(messageId, chatId = null) {
+        if (!this.store) return null;
+        return chatId
+            ? this.store.loadMessage(this.formatChatId(chatId), messageId)
+            : this.store.findMessage(messageId);
+    }
+
+    /**
+     * Helper: Find one of our own messages that is still inside the given time window
+     * @param {string} messageId - Message ID
+     * @param {string} chatId - Chat of the message (optional)
+     * @param {number} window - Max message age (ms)
+     * @param {string} action - Action name for error messages
+     * @returns {Object} { message } or { error }
+     */
+    _findOwnMessage(messageId, chatId, window, action) {
+        const message = this._findStoredMessage(messageId, chatId);
+        if (!message) {
+            return { error: `Message ${messageId} not found in store` };
+        }
+        if (!message.key.fromMe) {
+            return { error: `Cannot ${action} message ${messageId}: it was not sent by this account` };
+        }
+
+        const timestamp = typeof message.messageTimestamp === 'object'
+            ? (message.messageTimestamp.low || 0)
+            : Number(message.messageTimestamp || 0);
+        const age = Date.now() - timestamp * 1000;
+        if (timestamp && age > window) {
+            return {
+                error: `Cannot ${action} message ${messageId}: it is ${Math.floor(age / 60_000)} minutes old (limit ${Math.floor(window / 60_000)} minutes)`
+            };
+        }
+
+        return { message };
+    }
+
+    /**
+     * React to a message with an emoji
+     * @param {string} messageId - ID of the stored message
+     * @param {string} emoji - Reaction emoji ('' removes the reaction)
+     * @param {string} chatId - Chat of the message (optional)
+     */
+    async reactToMessage(messageId, emoji, chatId = null) {
+        try {
+            if (!this.socket || this.connectionStatus !== 'connected') {
+                return { success: false, message: 'Session not connected' };
+            }
+
+            const original = this._findStoredMessage(messageId, chatId);
+            if (!original) {
+                return { success: false, message: `Message ${messageId} not found in store` };
+            }
+
+            const jid = original.key.remoteJid;
+            const result = await this.socket.sendMessage(jid, {
+                react: { text: emoji, key: original.key }
+            });
+
+            return {
+                success: true,
+                message: emoji ? 'Reaction sent successfully' : 'Reaction removed successfully',
+                data: {
+                    messageId: result.key.id,
+                    reactedTo: messageId,
+                    chatId: jid,
+                    emoji: emoji || null,
+                    timestamp: new Date().toISOString()
+                }
+            };
+        } catch (error) {
+            return { success: false, message: error.message };
+        }
+    }
+
+    /**
+     * Remove our reaction from a message
+     * @param {string} messageId - ID of the stored message
+     * @param {string} chatId - Chat of the message (optional)
+     */
+    async removeReaction(messageId, chatId = null) {
+        return this.reactToMessage(messageId, '', chatId);
+    }
+
+    /**
+     * Edit a text message sent by this account
+     * @param {string} messageId - ID of the stored message
+     * @param {string} text - New text
+     * @param {string} chatId - Chat of the message (optional)
+     */
+    async editMessage(messageId, text, chatId = null) {
+        try {
+            if (!this.socket || this.connectionStatus !== 'connected') {
+                return { success: false, message: 'Session not connected' };
+            }
+
+            const { message: original, error } = this._findOwnMessage(messageId, chatId, MESSAGE_EDIT_WINDOW, 'edit');
+            if (error) {
+                return { success: false, message: error };
+            }
+
+            const content = original.message || {};
+            if (content.conversation === undefined && !content.extendedTextMessage) {
+                return { success: false, message: `Cannot edit message ${messageId}: only text messages can be edited` };
+            }
+
+            const jid = original.key.remoteJid;
+            await this.socket.sendMessage(jid, { text, edit: original.key });
 
             return {
                 success: true,
-                message: 'Contact sent successfully',
+                message: 'Message edited successfully',
                 data: {
-                    messageId: result.key.id,
+                    messageId,
                     chatId: jid,
+                    text,
                     timestamp: new Date().toISOString()
                 }
             };
@@ -749,33 +2001,30 @@ class WhatsAppSession {
         }
     }
 
-    async sendButton(chatId, text, footer, buttons, typingTime = 0) {
+    /**
+     * Delete a message sent by this account for everyone
+     * @param {string} messageId - ID of the stored message
+     * @param {string} chatId - Chat of the message (optional)
+     */
+    async revokeMessage(messageId, chatId = null) {
         try {
             if (!this.socket || this.connectionStatus !== 'connected') {
                 return { success: false, message: 'Session not connected' };
             }
 
-            const jid = this.formatChatId(chatId);
-            
-            // Simulate typing if typingTime > 0
-            await this._simulateTyping(jid, typingTime);
-            
-            const result = await this.socket.sendMessage(jid, {
-                text: text,
-                footer: footer,
-                buttons: buttons.map((btn, idx) => ({
-                    buttonId: `btn_${idx}`,
-                    buttonText: { displayText: btn },
-                    type: 1
-                })),
-                headerType: 1
-            });
+            const { message: original, error } = this._findOwnMessage(messageId, chatId, MESSAGE_REVOKE_WINDOW, 'delete');
+            if (error) {
+                return { success: false, message: error };
+            }
+
+            const jid = original.key.remoteJid;
+            await this.socket.sendMessage(jid, { delete: original.key });
 
             return {
                 success: true,
-                message: 'Button message sent successfully',
+                message: 'Message deleted for everyone',
                 data: {
-                    messageId: result.key.id,
+                    messageId,
                     chatId: jid,
                     timestamp: new Date().toISOString()
                 }
@@ -785,6 +2034,373 @@ class WhatsAppSession {
         }
     }
 
+    /**
+     * Current vote tally of a poll
+     * @param {string} pollId - Message ID of the poll
+     * @param {string} chatId - Chat of the poll (optional)
+     */
+    getPollResults(pollId, chatId = null) {
+        const poll = this._findStoredMessage(pollId, chatId);
+        if (!poll || !PollHelper.getCreation(poll)) {
+            return { success: false, message: `Poll ${pollId} not found in store` };
+        }
+
+        return {
+            success: true,
+            data: PollHelper.tally(poll)
+        };
+    }
+
+    /**
+     * Keep poll secrets and count incoming poll votes
+     * @param {Object} message - Upserted WAMessage
+     */
+    _handlePollMessage(message) {
+        if (!this.store || !message?.message) return;
+
+        if (PollHelper.getCreation(message)) {
+            PollHelper.rememberSecret(this.store.loadMessage(message.key.remoteJid, message.key.id) || message);
+            return;
+        }
+
+        const update = message.message.pollUpdateMessage;
+        if (!update) return;
+
+        const pollId = update.pollCreationMessageKey?.id;
+        const poll = this.store.loadMessage(message.key.remoteJid, pollId);
+        if (!poll || !PollHelper.getCreation(poll)) {
+            console.log(`📊 [${this.sessionId}] Vote for unknown poll ${pollId}, skipped`);
+            return;
+        }
+
+        // Votes are encrypted for the identities (phone JID or LID) of creator and voter
+        const me = this.socket?.user || {};
+        const myJids = [me.id && jidNormalizedUser(me.id), me.lid && jidNormalizedUser(me.lid)];
+        const authorJids = (key) => key.fromMe
+            ? myJids
+            : [key.participant || key.remoteJid, key.participantAlt || key.remoteJidAlt];
+
+        try {
+            const selectedOptions = PollHelper.decryptVote(poll, message, authorJids(poll.key), authorJids(message.key));
+            const voter = authorJids(message.key)[0];
+            PollHelper.recordVote(poll, voter, selectedOptions);
+            this.store.touchMessage(poll);
+
+            const vote = {
+                pollId,
+                chatId: poll.key.remoteJid,
+                voter,
+                voterName: message.pushName || null,
+                selectedOptions,
+                results: PollHelper.tally(poll)
+            };
+
+            console.log(`📊 [${this.sessionId}] Poll vote from ${voter}: ${selectedOptions.join(', ') || '(retracted)'}`);
+            wsManager.emitPollVote(this.sessionId, vote);
+            this._sendWebhook('poll.vote', vote);
+        } catch (error) {
+            console.log(`📊 [${this.sessionId}] Poll vote error: ${error.message}`);
+        }
+    }
+
+    // ==================== DELIVERY RECEIPTS ====================
+
+    /**
+     * Status history of a sent message (server ack, delivered, read, played),
+     * with per-participant receipts for group messages
+     * @param {string} messageId - Message ID
+     * @param {string} chatId - Chat of the message (optional)
+     */
+    getMessageStatus(messageId, chatId = null) {
+        const message = this._findStoredMessage(messageId, chatId);
+        if (!message || !message.key.fromMe) {
+            return { success: false, message: `Sent message ${messageId} not found in store` };
+        }
+
+        return {
+            success: true,
+            data: MessageReceipts.summarize(message, (jid) => this._contactName(jid))
+        };
+    }
+
+    /**
+     * Emit a normalized message.status event (WebSocket + webhook)
+     * @param {Object} message - Stored outbound message
+     * @param {string} status - 'error' | 'pending' | 'sent' | 'delivered' | 'read' | 'played'
+     * @param {number} at - Time of the status (ms)
+     * @param {string} participant - Group participant the receipt is from (null for the whole message)
+     */
+    _emitMessageStatus(message, status, at = Date.now(), participant = null) {
+        const chatId = message.key.remoteJid;
+        const isGroup = chatId.endsWith('@g.us');
+
+        const payload = {
+            messageId: message.key.id,
+            chatId,
+            isGroup,
+            participant,
+            status,
+            timestamp: new Date(at).toISOString(),
+            ...(isGroup && { receiptCounts: MessageReceipts.countReceipts(message) })
+        };
+
+        wsManager.emitMessageStatus(this.sessionId, payload);
+        this._sendWebhook('message.status', payload);
+    }
+
+    // ==================== STATUS ====================
+
+    /**
+     * Post text status
+     * @param {string} text - Status text
+     * @param {Object} options - { backgroundColor ('#RRGGBB' or '#AARRGGBB'), font (0-9), audience }
+     */
+    async postTextStatus(text, options = {}) {
+        return this._postStatus({ text }, {
+            backgroundColor: options.backgroundColor,
+            font: options.font
+        }, options.audience, 'Text');
+    }
+
+    /**
+     * Post image status
+     * @param {string|Buffer} image - URL or buffer of the image
+     * @param {string} caption - Caption
+     * @param {Array<string>|string} audience - See _resolveStatusAudience
+     */
+    async postImageStatus(image, caption = '', audience = null) {
+        return this._postStatus({ image: this._mediaSource(image), caption }, {}, audience, 'Image');
+    }
+
+    /**
+     * Post video status
+     * @param {string|Buffer} video - URL or buffer of the video
+     * @param {string} caption - Caption
+     * @param {Array<string>|string} audience - See _resolveStatusAudience
+     */
+    async postVideoStatus(video, caption = '', audience = null) {
+        return this._postStatus({ video: this._mediaSource(video), caption }, {}, audience, 'Video');
+    }
+
+    /**
+     * Helper: Post a status update to the audience
+     */
+    async _postStatus(content, sendOptions, audience, label) {
+        try {
+            if (!this.socket || this.connectionStatus !== 'connected') {
+                return { success: false, message: 'Session not connected' };
+            }
+
+            const statusJidList = await this._resolveStatusAudience(audience);
+            if (statusJidList.length === 0) {
+                return { success: false, message: 'Status audience is empty' };
+            }
+
+            // Include our own number so the status shows up on our other devices
+            const me = this.socket.user?.id && jidNormalizedUser(this.socket.user.id);
+            if (me && !statusJidList.includes(me)) {
+                statusJidList.push(me);
+            }
+
+            const result = await this.socket.sendMessage(STATUS_JID, content, { ...sendOptions, statusJidList });
+            const postedAt = Date.now();
+
+            return {
+                success: true,
+                message: `${label} status posted successfully`,
+                data: {
+                    statusId: result.key.id,
+                    audienceSize: statusJidList.length,
+                    timestamp: new Date(postedAt).toISOString(),
+                    expiresAt: new Date(postedAt + STATUS_LIFETIME).toISOString()
+                }
+            };
+        } catch (error) {
+            return { success: false, message: error.message };
+        }
+    }
+
+    /**
+     * Helper: Recipients of a status update
+     * @param {Array<string>|string} audience - 'contacts' (default, all saved contacts) or
+     *   array of phone numbers / JIDs; group IDs are expanded to their participants
+     * @returns {Promise<Array<string>>} Unique user JIDs
+     */
+    async _resolveStatusAudience(audience) {
+        const jids = new Set();
+
+        if (!audience || audience === 'contacts') {
+            for (const id of this.store?.contacts.keys() || []) {
+                if (id.endsWith('@s.whatsapp.net')) jids.add(id);
+            }
+            return Array.from(jids);
+        }
+
+        for (const entry of Array.isArray(audience) ? audience : [audience]) {
+            const id = String(entry);
+            if (this.isGroupId(id)) {
+                const metadata = await this.socket.groupMetadata(id);
+                for (const participant of metadata.participants) {
+                    jids.add(participant.jid || participant.id);
+                }
+            } else {
+                jids.add(this.formatChatId(id));
+            }
+        }
+
+        return Array.from(jids);
+    }
+
+    /**
+     * Status updates posted by this session in the last 24 hours, with viewers
+     */
+    getMyStatuses() {
+        const statuses = this.store?.getMessages(STATUS_JID, { limit: 1000 }) || [];
+        const data = statuses
+            .filter(msg => msg.key.fromMe && !msg.message?.protocolMessage)
+            .map(msg => this._formatMyStatus(msg))
+            .filter(status => new Date(status.expiresAt).getTime() > Date.now());
+
+        return {
+            success: true,
+            data: {
+                total: data.length,
+                statuses: data
+            }
+        };
+    }
+
+    /**
+     * Viewers of a status update posted by this session
+     * @param {string} statusId - Message ID of the status
+     */
+    getStatusViewers(statusId) {
+        const status = this.store?.loadMessage(STATUS_JID, statusId);
+        if (!status || !status.key.fromMe) {
+            return { success: false, message: `Status ${statusId} not found` };
+        }
+
+        return {
+            success: true,
+            data: this._formatMyStatus(status)
+        };
+    }
+
+    /**
+     * Helper: Status update with audience receipts
+     * @param {Object} msg - Stored status message
+     */
+    _formatMyStatus(msg) {
+        const formatted = this._formatMessage(msg);
+        const postedAt = (formatted.timestamp || 0) * 1000;
+        const toISO = (time) => time ? new Date(time).toISOString() : null;
+
+        const viewers = Object.entries(msg._statusViewers || {})
+            .filter(([, receipt]) => receipt.viewedAt)
+            .sort(([, a], [, b]) => b.viewedAt - a.viewedAt)
+            .map(([jid, receipt]) => ({
+                jid,
+                phone: jid.split('@')[0],
+                name: this._contactName(jid),
+                viewedAt: toISO(receipt.viewedAt)
+            }));
+
+        return {
+            statusId: msg.key.id,
+            type: formatted.type,
+            content: formatted.content,
+            caption: formatted.caption,
+            mediaUrl: formatted.mediaUrl,
+            timestamp: toISO(postedAt),
+            expiresAt: toISO(postedAt + STATUS_LIFETIME),
+            deliveredCount: Object.values(msg._statusViewers || {}).filter(r => r.deliveredAt || r.viewedAt).length,
+            viewCount: viewers.length,
+            viewers
+        };
+    }
+
+    /**
+     * Helper: Display name of a contact from the store
+     * @param {string} jid
+     */
+    _contactName(jid) {
+        const contact = this.store?.contacts.get(jid);
+        return contact?.name || contact?.notify || contact?.verifiedName || null;
+    }
+
+    /**
+     * Emit status updates posted (or deleted) by contacts
+     * @param {Object} message - Incoming WAMessage from status@broadcast
+     */
+    _handleStatusMessage(message) {
+        const poster = message.key.participant || null;
+        const protocol = message.message?.protocolMessage;
+
+        if (protocol) {
+            // REVOKE = status deleted by the poster
+            if (protocol.type === 0) {
+                const deleted = { statusId: protocol.key?.id, sender: poster };
+                console.log(`📢 [${this.sessionId}] Status deleted by ${poster}`);
+                wsManager.emitStatusDeleted(this.sessionId, deleted);
+                this._sendWebhook('status.deleted', deleted);
+            }
+            return;
+        }
+
+        const formatted = this._formatMessage(message);
+        if (!formatted) return;
+
+        const status = {
+            ...formatted,
+            statusId: formatted.id,
+            expiresAt: new Date((formatted.timestamp || 0) * 1000 + STATUS_LIFETIME).toISOString()
+        };
+
+        console.log(`📢 [${this.sessionId}] Status (${status.type}) from ${poster}`);
+        wsManager.emitStatusReceived(this.sessionId, status);
+        this._sendWebhook('status.received', status);
+    }
+
+    /**
+     * Record delivery / view receipts of our status updates
+     * @param {Object} key - Key of the status message
+     * @param {Object} receipt - { userJid, receiptTimestamp?, readTimestamp? }
+     */
+    _handleStatusReceipt(key, receipt) {
+        const status = this.store?.loadMessage(STATUS_JID, key.id);
+        if (!status || !status.key.fromMe || !receipt?.userJid) return;
+
+        const viewer = receipt.userJid;
+        status._statusViewers = status._statusViewers || {};
+        const entry = status._statusViewers[viewer] || { deliveredAt: null, viewedAt: null };
+
+        if (receipt.receiptTimestamp && !entry.deliveredAt) {
+            entry.deliveredAt = receipt.receiptTimestamp * 1000;
+        }
+
+        const firstView = receipt.readTimestamp && !entry.viewedAt;
+        if (firstView) {
+            entry.viewedAt = receipt.readTimestamp * 1000;
+        }
+        status._statusViewers[viewer] = entry;
+        this.store.touchMessage(status);
+
+        if (firstView) {
+            const view = {
+                statusId: key.id,
+                viewer,
+                viewerPhone: viewer.split('@')[0],
+                viewerName: this._contactName(viewer),
+                viewedAt: new Date(entry.viewedAt).toISOString(),
+                viewCount: Object.values(status._statusViewers).filter(r => r.viewedAt).length
+            };
+
+            console.log(`👁️ [${this.sessionId}] Status ${key.id} viewed by ${viewer}`);
+            wsManager.emitStatusViewed(this.sessionId, view);
+            this._sendWebhook('status.viewed', view);
+        }
+    }
+
     // ==================== CONTACT & PROFILE ====================
 
     async isRegistered(phone) {
@@ -993,7 +2609,12 @@ class WhatsAppSession {
                 participantsCount: null,
                 lastMessage: chat.lastMessage?.preview || null,
                 lastMessageTimestamp: chat.lastMessage?.timestamp || chat.conversationTimestamp || 0,
-                unreadCount: chat.unreadCount || 0
+                unreadCount: chat.unreadCount || 0,
+                markedUnread: chat.markedUnread,
+                archived: chat.archived,
+                pinned: chat.pinned,
+                muted: chat.muted,
+                mutedUntil: chat.mutedUntil
             }));
 
             return {
@@ -1060,11 +2681,142 @@ class WhatsAppSession {
             return {
                 success: true,
                 data: {
-                    total: total,
-                    limit: limit,
-                    offset: offset,
-                    hasMore: offset + limit < total,
-                    contacts: formattedContacts
+                    total: total,
+                    limit: limit,
+                    offset: offset,
+                    hasMore: offset + limit < total,
+                    contacts: formattedContacts
+                }
+            };
+        } catch (error) {
+            return { success: false, message: error.message };
+        }
+    }
+
+    async getChatMessages(chatId, limit = 50, cursor = null) {
+        try {
+            if (!this.socket || this.connectionStatus !== 'connected') {
+                return { success: false, message: 'Session not connected' };
+            }
+
+            const jid = this.formatChatId(chatId);
+            const isGroup = this.isGroupId(jid);
+            
+            let messages = [];
+            
+            // Try to fetch from server first (if fetchMessageHistory is available)
+            if (typeof this.socket.fetchMessageHistory === 'function') {
+                try {
+                    const cursorMsg = cursor ? { 
+                        before: { 
+                            id: cursor, 
+                            fromMe: false,
+                            remoteJid: jid 
+                        } 
+                    } : undefined;
+
+                    const result = await this.socket.fetchMessageHistory(limit, cursorMsg, jid);
+                    if (Array.isArray(result)) {
+                        messages = result;
+                    }
+                } catch (fetchError) {
+                    // Silent fail, will use store as fallback
+                }
+            }
+
+            // Fallback: Try to get messages from store
+            if (messages.length === 0 && this.store) {
+                try {
+                    const storeMessages = this.store.getMessages(jid, { limit, before: cursor });
+                    if (storeMessages && storeMessages.length > 0) {
+                        messages = storeMessages;
+                    }
+                } catch (storeError) {
+                    console.log(`[${this.sessionId}] Store messages error:`, storeError.message);
+                }
+            }
+
+            const formattedMessages = messages
+                .filter(msg => msg && msg.key) // Filter invalid messages
+                .map(msg => this._formatMessage(msg))
+                .filter(msg => msg !== null);
+
+            return {
+                success: true,
+                data: {
+                    chatId: jid,
+                    isGroup: isGroup,
+                    total: formattedMessages.length,
+                    limit: limit,
+                    cursor: formattedMessages.length > 0 
+                        ? formattedMessages[formattedMessages.length - 1].id 
+                        : null,
+                    hasMore: formattedMessages.length === limit,
+                    messages: formattedMessages
+                }
+            };
+        } catch (error) {
+            return { success: false, message: error.message };
+        }
+    }
+
+    /**
+     * Search text, captions and document filenames in the message store
+     * @param {string} query - Words to find (each one as a word prefix)
+     * @param {Object} options - { chatId, sender, fromMe, type, from, to, limit, cursor }
+     * sender/type: one value or an array, from/to: ISO date or unix time,
+     * cursor: `cursor` of the previous page (a message ID, as in getChatMessages)
+     */
+    async searchMessages(query, options = {}) {
+        try {
+            if (!this.store) {
+                return { success: false, message: 'Message store not available' };
+            }
+
+            const terms = MessageSearch.parseTerms(query);
+            if (terms.length === 0) {
+                return { success: false, message: 'Query must contain at least one letter or number' };
+            }
+
+            const limit = Math.min(Math.max(parseInt(options.limit) || 20, 1), 100);
+            const toList = (value) => (Array.isArray(value) ? value : [value]).filter(Boolean);
+
+            const filters = {
+                chatId: options.chatId ? this.formatChatId(options.chatId) : null,
+                senders: toList(options.sender).map(sender => this.formatJid(String(sender))),
+                fromMe: typeof options.fromMe === 'boolean' ? options.fromMe : null,
+                types: toList(options.type),
+                from: MessageSearch.parseTime(options.from),
+                to: MessageSearch.parseTime(options.to)
+            };
+
+            if (filters.from === undefined || filters.to === undefined) {
+                return { success: false, message: 'Invalid date in from/to (use an ISO date like 2024-05-01, or unix time as a number)' };
+            }
+
+            const { messages, hasMore } = this.store.searchMessages(terms, filters, {
+                limit,
+                before: options.cursor || null
+            });
+
+            const results = messages
+                .map(msg => {
+                    const formatted = this._formatMessage(msg);
+                    if (!formatted) return null;
+                    return { ...formatted, match: MessageSearch.snippet(msg, terms) };
+                })
+                .filter(Boolean);
+
+            return {
+                success: true,
+                data: {
+                    query,
+                    terms,
+                    total: results.length,
+                    limit,
+                    cursor: results.length > 0 ? results[results.length - 1].id : null,
+                    hasMore,
+                    messages: results
                 }
             };
         } catch (error) {
@@ -1072,66 +2824,188 @@ class WhatsAppSession {
         }
     }
 
-    async getChatMessages(chatId, limit = 50, cursor = null) {
+    /**
+     * Export the history of a chat from the message store
+     * @param {string} chatId
+     * @param {Object} options - { format, from, to, timeZone, baseUrl }
+     * format: json | csv | html | txt, from/to: ISO date or unix time,
+     * timeZone: IANA zone for the dates in html/txt, baseUrl: prefix for media links
+     * @returns {Object} data: { filename, contentType, stream } - stream is an async iterable of strings
+     */
+    exportChat(chatId, options = {}) {
         try {
-            if (!this.socket || this.connectionStatus !== 'connected') {
-                return { success: false, message: 'Session not connected' };
+            if (!this.store) {
+                return { success: false, message: 'Message store not available' };
+            }
+
+            const format = (options.format || 'json').toLowerCase();
+            const formatInfo = ChatExporter.formatInfo(format);
+            if (!formatInfo) {
+                return { success: false, message: `Invalid format. Use: ${ChatExporter.formats.join(', ')}` };
+            }
+
+            const from = MessageSearch.parseTime(options.from);
+            const to = MessageSearch.parseTime(options.to);
+            if (from === undefined || to === undefined) {
+                return { success: false, message: 'Invalid date in from/to (use an ISO date like 2024-05-01, or unix time as a number)' };
+            }
+
+            if (options.timeZone) {
+                try {
+                    new Intl.DateTimeFormat('en', { timeZone: options.timeZone });
+                } catch (e) {
+                    return { success: false, message: `Invalid timeZone: ${options.timeZone}` };
+                }
             }
 
             const jid = this.formatChatId(chatId);
             const isGroup = this.isGroupId(jid);
-            
-            let messages = [];
-            
-            // Try to fetch from server first (if fetchMessageHistory is available)
-            if (typeof this.socket.fetchMessageHistory === 'function') {
-                try {
-                    const cursorMsg = cursor ? { 
-                        before: { 
-                            id: cursor, 
-                            fromMe: false,
-                            remoteJid: jid 
-                        } 
-                    } : undefined;
+            const chatName = (isGroup ? this.store.groupMetadata.get(jid)?.subject : this._contactName(jid))
+                || this.store.chats.get(jid)?.name
+                || jid.split('@')[0];
+
+            const senderName = (msg) => {
+                if (msg.key.fromMe) return this.name || 'You';
+                const sender = msg.key.participant || msg.key.remoteJid;
+                return this._contactName(sender) || msg.pushName || sender.split('@')[0];
+            };
 
-                    const result = await this.socket.fetchMessageHistory(limit, cursorMsg, jid);
-                    if (Array.isArray(result)) {
-                        messages = result;
-                    }
-                } catch (fetchError) {
-                    // Silent fail, will use store as fallback
+            const stream = ChatExporter.export(this.store.iterateMessages(jid, { from, to }), format, {
+                chatId: jid,
+                chatName,
+                isGroup,
+                from,
+                to,
+                baseUrl: options.baseUrl || null,
+                timeZone: options.timeZone || null,
+                senderName,
+                mediaUrl: (msg) => this._mediaUrl(msg, MEDIA_EXPORT_URL_TTL)
+            });
+
+            const date = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+            return {
+                success: true,
+                data: {
+                    filename: `chat-${jid.split('@')[0]}-${date}.${formatInfo.extension}`,
+                    contentType: formatInfo.contentType,
+                    stream
                 }
+            };
+        } catch (error) {
+            return { success: false, message: error.message };
+        }
+    }
+
+    /**
+     * Import a chat exported by the WhatsApp app ("Export chat" .zip or .txt) into the message store
+     * Imported messages get deterministic IDs, so importing the same archive again adds nothing.
+     * @param {string} chatId - Chat the archive belongs to
+     * @param {Buffer} archive - Uploaded file
+     * @param {Object} options - { filename, senders, me, dateOrder, timeZone }
+     * senders: { "Name in export": phone/JID }, me: name(s) of this account in the export,
+     * dateOrder: DMY | MDY | YMD (detected when omitted), timeZone: IANA zone of the exporting phone
+     */
+    async importChat(chatId, archive, options = {}) {
+        try {
+            if (!this.store) {
+                return { success: false, message: 'Message store not available' };
             }
 
-            // Fallback: Try to get messages from store
-            if (messages.length === 0 && this.store) {
+            if (options.dateOrder && !['DMY', 'MDY', 'YMD'].includes(options.dateOrder)) {
+                return { success: false, message: 'Invalid dateOrder. Use: DMY, MDY, YMD' };
+            }
+            if (options.timeZone) {
                 try {
-                    const storeMessages = this.store.getMessages(jid, { limit, before: cursor });
-                    if (storeMessages && storeMessages.length > 0) {
-                        messages = storeMessages;
+                    new Intl.DateTimeFormat('en', { timeZone: options.timeZone });
+                } catch (e) {
+                    return { success: false, message: `Invalid timeZone: ${options.timeZone}` };
+                }
+            }
+
+            const { text, media } = ChatArchive.read(archive, options.filename);
+            const { entries, skipped, dateOrder } = ChatArchive.parse(text, {
+                dateOrder: options.dateOrder,
+                mediaNames: new Set(media.keys())
+            });
+
+            const jid = this.formatChatId(chatId);
+            const messageEntries = entries.filter(entry => entry.sender);
+            if (messageEntries.length === 0) {
+                return { success: false, message: 'No messages found in the chat export' };
+            }
+
+            const senders = this._mapArchiveSenders(jid, messageEntries, options);
+            const importedAt = Date.now();
+            const seen = new Map();
+            const messages = [];
+            let mediaSaved = 0;
+
+            for (const entry of messageEntries) {
+                const timestamp = ChatArchive.toUnixTime(entry.date, options.timeZone);
+                const sender = senders[entry.sender];
+                const fromMe = sender === 'me';
+
+                // Same sender, minute and text more than once: number them to keep the IDs apart
+                const signature = `${jid}\n${timestamp}\n${entry.sender}\n${entry.attachment || ''}\n${entry.text}`;
+                const occurrence = (seen.get(signature) || 0) + 1;
+                seen.set(signature, occurrence);
+                const id = 'IMPORT' + crypto.createHash('sha1').update(`${signature}\n${occurrence}`).digest('hex').slice(0, 26).toUpperCase();
+
+                const msg = {
+                    key: {
+                        remoteJid: jid,
+                        id,
+                        fromMe,
+                        ...(this.isGroupId(jid) && !fromMe && sender && { participant: sender })
+                    },
+                    messageTimestamp: timestamp,
+                    pushName: fromMe ? this.name : entry.sender,
+                    message: null,
+                    _imported: { source: 'whatsapp-export', sender: entry.sender, importedAt }
+                };
+
+                if (entry.attachment) {
+                    // Inflated here, one file at a time, and dropped once stored
+                    const buffer = media.get(entry.attachment).read();
+                    msg.message = this._archiveMediaContent(entry.attachment, buffer, entry.text);
+                    if (!this.store.loadMessage(jid, id)) {
+                        await this._saveArchiveMedia(msg, entry.attachment, buffer);
+                        mediaSaved++;
                     }
-                } catch (storeError) {
-                    console.log(`[${this.sessionId}] Store messages error:`, storeError.message);
+                } else {
+                    msg.message = { conversation: entry.text };
                 }
+
+                messages.push(msg);
             }
 
-            const formattedMessages = messages
-                .filter(msg => msg && msg.key) // Filter invalid messages
-                .map(msg => MessageFormatter.formatMessage(msg))
-                .filter(msg => msg !== null);
+            const imported = this.store.importMessages(jid, messages);
+            // Loop instead of Math.min(...): spreading a big archive overflows the call stack
+            let first = Infinity;
+            let last = -Infinity;
+            for (const msg of messages) {
+                first = Math.min(first, msg.messageTimestamp);
+                last = Math.max(last, msg.messageTimestamp);
+            }
+
+            console.log(`📥 [${this.sessionId}] Imported ${imported} messages into ${jid}`);
 
             return {
                 success: true,
                 data: {
                     chatId: jid,
-                    isGroup: isGroup,
-                    total: formattedMessages.length,
-                    limit: limit,
-                    cursor: formattedMessages.length > 0 
-                        ? formattedMessages[formattedMessages.length - 1].id 
-                        : null,
-                    hasMore: formattedMessages.length === limit,
-                    messages: formattedMessages
+                    messages: messageEntries.length,
+                    imported,
+                    duplicates: messageEntries.length - imported,
+                    systemMessages: entries.length - messageEntries.length,
+                    skipped,
+                    mediaSaved,
+                    mediaOmitted: messageEntries.filter(entry => entry.mediaOmitted).length,
+                    dateOrder,
+                    from: new Date(first * 1000).toISOString(),
+                    to: new Date(last * 1000).toISOString(),
+                    senders,
+                    unmappedSenders: Object.keys(senders).filter(name => senders[name] === null)
                 }
             };
         } catch (error) {
@@ -1139,6 +3013,89 @@ class WhatsAppSession {
         }
     }
 
+    /**
+     * Map the sender names of an exported chat to JIDs ('me' for this account, null when unknown)
+     * Order: `senders` option, `me` option, names that are phone numbers, contacts in the store,
+     * the session name; in a personal chat the one remaining name is the chat partner.
+     */
+    _mapArchiveSenders(jid, entries, options) {
+        const names = [...new Set(entries.map(entry => entry.sender))];
+        const meNames = (Array.isArray(options.me) ? options.me : [options.me]).filter(Boolean);
+        const explicit = options.senders || {};
+        const mapping = {};
+
+        const contactsByName = new Map();
+        for (const contact of this.store.contacts.values()) {
+            if (!contact.id?.endsWith('@s.whatsapp.net')) continue;
+            for (const name of [contact.name, contact.notify, contact.verifiedName]) {
+                if (name) contactsByName.set(name.toLowerCase(), contact.id);
+            }
+        }
+
+        for (const name of names) {
+            if (explicit[name]) {
+                mapping[name] = explicit[name] === 'me' ? 'me' : this.formatJid(String(explicit[name]));
+            } else if (meNames.includes(name)) {
+                mapping[name] = 'me';
+            } else if (/^\+?[\d\s\-().]{7,}$/.test(name)) {
+                mapping[name] = this.formatJid(name.replace(/\D/g, ''));
+            } else if (contactsByName.has(name.toLowerCase())) {
+                mapping[name] = contactsByName.get(name.toLowerCase());
+            } else if (meNames.length === 0 && this.name && name === this.name) {
+                mapping[name] = 'me';
+            } else {
+                mapping[name] = null;
+            }
+        }
+
+        if (!this.isGroupId(jid)) {
+            const unmapped = names.filter(name => mapping[name] === null);
+            const hasMe = names.some(name => mapping[name] === 'me');
+            const hasPartner = names.some(name => mapping[name] === jid);
+
+            if (unmapped.length === 1 && hasMe && !hasPartner) {
+                mapping[unmapped[0]] = jid;
+            } else if (unmapped.length === 1 && hasPartner && !hasMe) {
+                mapping[unmapped[0]] = 'me';
+            }
+        }
+
+        return mapping;
+    }
+
+    /**
+     * Message content for a file attached to an exported chat
+     */
+    _archiveMediaContent(filename, buffer, caption) {
+        const { type, mimetype } = ChatArchive.mediaTypeOf(filename);
+        const common = { mimetype, fileLength: buffer.length };
+
+        switch (type) {
+            case 'image':
+                return { imageMessage: { ...common, ...(caption && { caption }) } };
+            case 'video':
+                return { videoMessage: { ...common, ...(caption && { caption }) } };
+            case 'audio':
+            case 'ptt':
+                return { audioMessage: { ...common, ptt: type === 'ptt' } };
+            case 'sticker':
+                return { stickerMessage: common };
+            case 'contact':
+                return { contactMessage: { displayName: path.parse(filename).name, vcard: buffer.toString('utf8') } };
+            default:
+                return { documentMessage: { ...common, fileName: filename, ...(caption && { caption }) } };
+        }
+    }
+
+    /**
+     * Save a file of an exported chat in the media storage, like auto-saved media
+     */
+    async _saveArchiveMedia(msg, filename, buffer) {
+        const { mimetype } = ChatArchive.mediaTypeOf(filename);
+        Object.assign(msg, await this._storeMedia(msg.key.id, buffer, mimetype, path.basename(filename)));
+        this.store.registerMediaFile(msg.key.id, msg._mediaKey);
+    }
+
     async getChatInfo(chatId) {
         try {
             if (!this.socket || this.connectionStatus !== 'connected') {
@@ -1239,6 +3196,7 @@ class WhatsAppSession {
                     { markRead: true, lastMessages: [] },
                     jid
                 );
+                this._applyChatUpdate(jid, { unreadCount: 0 });
             }
 
             console.log(`✅ [${this.sessionId}] Chat marked as read: ${jid}`);
@@ -1257,75 +3215,337 @@ class WhatsAppSession {
         }
     }
 
+    // ==================== CHAT STATE ====================
+
+    /**
+     * Archive or unarchive a chat
+     * @param {string} chatId
+     * @param {boolean} archive - false to unarchive
+     */
+    async archiveChat(chatId, archive = true) {
+        return this._modifyChat(chatId, archive ? 'Chat archived' : 'Chat unarchived', async (jid) => {
+            await this.socket.chatModify({ archive, lastMessages: this._lastMessagesOf(jid) }, jid);
+            return { archived: archive };
+        });
+    }
+
+    /**
+     * Pin or unpin a chat
+     * @param {string} chatId
+     * @param {boolean} pin - false to unpin
+     */
+    async pinChat(chatId, pin = true) {
+        return this._modifyChat(chatId, pin ? 'Chat pinned' : 'Chat unpinned', async (jid) => {
+            await this.socket.chatModify({ pin }, jid);
+            // The store keeps the pin time like WhatsApp does, null when unpinned
+            return { pinned: pin ? Math.floor(Date.now() / 1000) : null };
+        });
+    }
+
+    /**
+     * Mute a chat for a duration, or unmute it
+     * @param {string} chatId
+     * @param {number|string|null} duration - Seconds, 'forever', or null to unmute
+     */
+    async muteChat(chatId, duration) {
+        let muteEndTime = null;
+        if (duration === 'forever') {
+            muteEndTime = -1;
+        } else if (duration !== null && duration !== undefined) {
+            const seconds = Number(duration);
+            if (!Number.isFinite(seconds) || seconds <= 0) {
+                return { success: false, message: 'duration must be a number of seconds, "forever", or null to unmute' };
+            }
+            muteEndTime = Date.now() + Math.round(seconds * 1000);
+        }
+
+        return this._modifyChat(chatId, muteEndTime ? 'Chat muted' : 'Chat unmuted', async (jid) => {
+            await this.socket.chatModify({ mute: muteEndTime }, jid);
+            return { muteEndTime };
+        });
+    }
+
+    /**
+     * Mark a chat as unread
+     * @param {string} chatId
+     */
+    async markChatUnread(chatId) {
+        return this._modifyChat(chatId, 'Chat marked as unread', async (jid) => {
+            await this.socket.chatModify({ markRead: false, lastMessages: this._lastMessagesOf(jid) }, jid);
+            // -1 = marked as unread without unread messages
+            return { unreadCount: -1 };
+        });
+    }
+
+    /**
+     * Clear all messages of a chat (the chat itself is kept)
+     * Stored messages and their saved media files are deleted as well
+     * @param {string} chatId
+     */
+    async clearChat(chatId) {
+        return this._modifyChat(chatId, 'Chat cleared', async (jid) => {
+            await this.socket.chatModify({ clear: true, lastMessages: this._lastMessagesOf(jid) }, jid);
+            const deletedMessages = this.store ? this.store.clearChatMessages(jid) : 0;
+            return { unreadCount: 0, deletedMessages };
+        });
+    }
+
+    /**
+     * Delete a chat, including its stored messages and saved media files
+     * @param {string} chatId
+     */
+    async deleteChat(chatId) {
+        try {
+            if (!this.socket || this.connectionStatus !== 'connected') {
+                return { success: false, message: 'Session not connected' };
+            }
+
+            const jid = this.formatChatId(chatId);
+            await this.socket.chatModify({ delete: true, lastMessages: this._lastMessagesOf(jid) }, jid);
+
+            let deletedMessages = 0;
+            if (this.store) {
+                deletedMessages = this.store.clearChatMessages(jid);
+                this.store.deleteChat(jid);
+            }
+            wsManager.emitChatDelete(this.sessionId, [jid]);
+
+            console.log(`🗑️ [${this.sessionId}] Chat deleted: ${jid}`);
+
+            return {
+                success: true,
+                message: 'Chat deleted',
+                data: { chatId: jid, deletedMessages }
+            };
+        } catch (error) {
+            console.error(`[${this.sessionId}] Delete chat error:`, error.message);
+            return { success: false, message: error.message };
+        }
+    }
+
+    /**
+     * Run a chat modification and apply the returned chat fields to the store
+     * @param {string} chatId
+     * @param {string} message - Success message
+     * @param {Function} modify - async (jid) => update
+     */
+    async _modifyChat(chatId, message, modify) {
+        try {
+            if (!this.socket || this.connectionStatus !== 'connected') {
+                return { success: false, message: 'Session not connected' };
+            }
+
+            const jid = this.formatChatId(chatId);
+            const { deletedMessages, ...update } = await modify(jid);
+            this._applyChatUpdate(jid, update);
+
+            console.log(`✅ [${this.sessionId}] ${message}: ${jid}`);
+
+            return {
+                success: true,
+                message,
+                data: {
+                    chatId: jid,
+                    ...(this.store && this.store.getChatState(jid)),
+                    ...(deletedMessages !== undefined && { deletedMessages })
+                }
+            };
+        } catch (error) {
+            console.error(`[${this.sessionId}] Chat modify error:`, error.message);
+            return { success: false, message: error.message };
+        }
+    }
+
+    /**
+     * Update a chat in the store right away (WhatsApp confirms through app state sync later)
+     * and emit it as chat.update
+     */
+    _applyChatUpdate(jid, update) {
+        if (this.store) {
+            this.store.updateChat(jid, update);
+        }
+        wsManager.emitChatUpdate(this.sessionId, [{ id: jid, ...update }]);
+    }
+
+    // Latest stored message of a chat, required by WhatsApp for archive, mark unread, clear and delete
+    _lastMessagesOf(jid) {
+        const [latest] = this.store ? this.store.getMessages(jid, { limit: 1 }) : [];
+        return latest ? [{ key: latest.key, messageTimestamp: latest.messageTimestamp }] : [];
+    }
+
     // ==================== MEDIA DOWNLOAD ====================
 
     /**
      * Auto-save media when message received
+     * MEDIA_DOWNLOAD=lazy: nothing is downloaded, the media key is kept for the first request of its URL
      */
     async _autoSaveMedia(message) {
         try {
             if (!message.message) return null;
 
             const contentType = getContentType(message.message);
-            const mediaTypes = ['imageMessage', 'audioMessage', 'documentMessage', 'stickerMessage']; // 'videoMessage' can be added if needed
-            
-            if (!contentType || !mediaTypes.includes(contentType)) return null;
-
             const mediaContent = message.message[contentType];
-            if (!mediaContent) return null;
+            if (!MEDIA_MESSAGE_TYPES.includes(contentType) || !mediaContent) return null;
+
+            const stored = this.store?.loadMessage(message.key.remoteJid, message.key.id);
+
+            if (MEDIA_DOWNLOAD === 'lazy') {
+                // Buffers are not persisted with the store, keep the key to decrypt the media later
+                if (stored && mediaContent.mediaKey) {
+                    stored._mediaCipherKey = Buffer.from(mediaContent.mediaKey).toString('base64');
+                    this.store.touchMessage(stored);
+                }
+                return null;
+            }
+
+            const mediaTypes = ['imageMessage', 'audioMessage', 'documentMessage', 'stickerMessage']; // 'videoMessage' can be added if needed
+            if (!mediaTypes.includes(contentType)) return null;
 
-            // Download media
+            // Download media (through the session proxy if configured)
             const buffer = await downloadMediaMessage(
                 message,
                 'buffer',
-                {},
+                { options: this._mediaRequestOptions() },
                 { logger: console, reuploadRequest: this.socket?.updateMediaMessage }
             );
 
-            // Create media folder structure: public/media/{sessionId}/{chatId}/
-            const chatId = message.key.remoteJid.replace('@s.whatsapp.net', '').replace('@g.us', '');
-            const mediaDir = path.join(this.mediaFolder, chatId);
-            
-            if (!fs.existsSync(mediaDir)) {
-                fs.mkdirSync(mediaDir, { recursive: true });
+            const media = await this._storeMedia(
+                message.key.id,
+                buffer,
+                mediaContent.mimetype || 'application/octet-stream',
+                mediaContent.fileName
+            );
+
+            // The received message is formatted for webhooks, the stored one is persisted
+            Object.assign(message, media);
+            if (stored) {
+                Object.assign(stored, media);
+                this.store.registerMediaFile(message.key.id, media._mediaKey);
+                this.store.touchMessage(stored);
             }
 
-            // Generate filename
-            const mimetype = mediaContent.mimetype || this._getMimetype(contentType);
-            const ext = this._getExtFromMimetype(mimetype);
-            const filename = mediaContent.fileName || `${message.key.id}.${ext}`;
-            const filePath = path.join(mediaDir, filename);
+            return media._mediaKey;
+        } catch (error) {
+            console.error(`[${this.sessionId}] Auto-save media error:`, error.message);
+            return null;
+        }
+    }
 
-            // Save file
-            fs.writeFileSync(filePath, buffer);
+    /**
+     * Save a media file in the media storage (identical files are stored once per session)
+     * @param {string} messageId
+     * @param {Buffer} buffer
+     * @param {string} mimetype
+     * @param {string} filename - Original filename (optional)
+     * @returns {Object} Fields for the stored message: { _mediaKey, _mediaName, _mediaSize }
+     */
+    async _storeMedia(messageId, buffer, mimetype, filename = null) {
+        const ext = path.extname(filename || '').slice(1).toLowerCase().replace(/[^a-z0-9]/g, '')
+            || this._getExtFromMimetype(mimetype);
+        const hash = crypto.createHash('sha256').update(buffer).digest('hex');
+        const key = `${this.sessionId}/${hash}.${ext}`;
 
-            // Register media file in store for cleanup tracking
-            if (this.store) {
-                this.store.registerMediaFile(message.key.id, filePath);
-            }
+        const created = await mediaStorage.put(key, buffer, mimetype);
+        console.log(`💾 [${this.sessionId}] Media saved: ${key}${created ? '' : ' (already stored)'}`);
 
-            // Store media path in message for later reference
-            const relativePath = `/media/${this.sessionId}/${chatId}/${filename}`;
-            
-            console.log(`💾 [${this.sessionId}] Media saved: ${relativePath}`);
+        return { _mediaKey: key, _mediaName: filename || `${messageId}.${ext}`, _mediaSize: buffer.length };
+    }
 
-            // Update message in store with media path
-            if (this.store) {
-                const chatMessages = this.store.messages.get(message.key.remoteJid);
-                if (chatMessages && chatMessages.has(message.key.id)) {
-                    const msg = chatMessages.get(message.key.id);
-                    if (msg) {
-                        msg._mediaPath = relativePath;
-                        msg._mediaLocalPath = filePath;
-                    }
-                }
-            }
+    /**
+     * Format a message for API responses, webhooks and events (with a signed media URL)
+     */
+    _formatMessage(msg) {
+        return MessageFormatter.formatMessage(msg, { mediaUrl: (message) => this._mediaUrl(message) });
+    }
 
-            return relativePath;
-        } catch (error) {
-            console.error(`[${this.sessionId}] Auto-save media error:`, error.message);
-            return null;
+    /**
+     * Signed URL for the media of a message, null when there is nothing to serve
+     * @param {Object} msg - Stored message
+     * @param {number} ttl - Validity (seconds)
+     */
+    _mediaUrl(msg, ttl = MediaUrlSigner.ttl) {
+        if (!msg._mediaKey && !msg._mediaLocalPath && !this._canDownloadMedia(msg)) return null;
+        return MediaUrlSigner.sign(this.sessionId, msg.key.id, ttl);
+    }
+
+    // MEDIA_DOWNLOAD=lazy: media not downloaded yet (and not removed by the retention policy)
+    _canDownloadMedia(msg) {
+        if (MEDIA_DOWNLOAD !== 'lazy' || msg._mediaExpired || !msg.message) return false;
+
+        const contentType = getContentType(msg.message);
+        const content = msg.message[contentType];
+        return MEDIA_MESSAGE_TYPES.includes(contentType)
+            && !!(content?.directPath || content?.url)
+            && !!(content.mediaKey || msg._mediaCipherKey);
+    }
+
+    /**
+     * Open the media of a stored message (GET /media/:sessionId/:messageId)
+     * MEDIA_DOWNLOAD=lazy: downloaded from WhatsApp and stored on the first request
+     * @param {string} messageId
+     * @returns {Object|null} { stream, size, mimetype, filename } - null when the message has no media
+     */
+    async openMedia(messageId) {
+        const msg = this._findStoredMessage(messageId);
+        if (!msg?.message) return null;
+
+        if (!msg._mediaKey && !msg._mediaLocalPath) {
+            if (!this._canDownloadMedia(msg)) return null;
+            await this._downloadStoredMedia(msg);
+        }
+
+        const mediaKey = msg._mediaKey || msg._mediaLocalPath;
+        const file = await mediaStorage.createReadStream(mediaKey);
+        if (!file) return null;
+
+        const content = msg.message[getContentType(msg.message)] || {};
+        return {
+            stream: file.stream,
+            size: file.size,
+            mimetype: content.mimetype || file.contentType || 'application/octet-stream',
+            filename: msg._mediaName || content.fileName || path.basename(mediaKey)
+        };
+    }
+
+    /**
+     * Download the media of a stored message into the media storage
+     * Requests arriving during the download wait for the same one
+     */
+    _downloadStoredMedia(msg) {
+        const messageId = msg.key.id;
+
+        if (!this.mediaDownloads.has(messageId)) {
+            const download = (async () => {
+                const contentType = getContentType(msg.message);
+                const content = msg.message[contentType];
+                const message = content.mediaKey ? msg : {
+                    ...msg,
+                    message: { [contentType]: { ...content, mediaKey: Buffer.from(msg._mediaCipherKey, 'base64') } }
+                };
+
+                const buffer = await downloadMediaMessage(
+                    message,
+                    'buffer',
+                    { options: this._mediaRequestOptions() },
+                    { logger: console, reuploadRequest: this.socket?.updateMediaMessage }
+                );
+
+                Object.assign(msg, await this._storeMedia(messageId, buffer, content.mimetype || 'application/octet-stream', content.fileName));
+                this.store.registerMediaFile(messageId, msg._mediaKey);
+                this.store.touchMessage(msg);
+            })().finally(() => this.mediaDownloads.delete(messageId));
+
+            this.mediaDownloads.set(messageId, download);
         }
+
+        return this.mediaDownloads.get(messageId);
+    }
+
+    /**
+     * Axios options for HTTP requests made for this session (proxy aware)
+     */
+    _mediaRequestOptions() {
+        return this.proxyAgent ? ProxyAgent.requestOptions(this.proxyAgent) : {};
     }
 
     _getExtFromMimetype(mimetype) {
@@ -1841,21 +4061,21 @@ class WhatsAppSession {
     /**
      * Update group profile picture
      * @param {string} groupId - Group JID
-     * @param {string} imageUrl - Image URL
+     * @param {string|Buffer} image - Image URL or buffer
      * @returns {Object}
      */
-    async groupUpdateProfilePicture(groupId, imageUrl) {
+    async groupUpdateProfilePicture(groupId, image) {
         try {
             if (!this.socket || this.connectionStatus !== 'connected') {
                 return { success: false, message: 'Session not connected' };
             }
 
-            if (!groupId || !imageUrl) {
-                return { success: false, message: 'Group ID and image URL are required' };
+            if (!groupId || !image) {
+                return { success: false, message: 'Group ID and image are required' };
             }
 
             const gid = this.formatJid(groupId, true);
-            await this.socket.updateProfilePicture(gid, { url: imageUrl });
+            await this.socket.updateProfilePicture(gid, this._mediaSource(image));
 
             return {
                 success: true,
@@ -3,7 +3,9 @@
  * 
  * Struktur file:
  * - BaileysStore.js     : Custom in-memory store untuk Baileys v7
+ * - SqliteBaileysStore.js : Store dengan riwayat lengkap di SQLite (MESSAGE_STORE=sqlite)
  * - MessageFormatter.js : Utility untuk format pesan
+ * - ReconnectPolicy.js  : Backoff dan aturan reconnect per DisconnectReason
  * - WhatsAppSession.js  : Class untuk mengelola satu sesi WhatsApp
  * - WhatsAppManager.js  : Singleton untuk mengelola semua sesi
  * - index.js            : Entry point (file ini)
@@ -0,0 +1,157 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const AdmZip = require('adm-zip');
+
+process.env.CHAT_IMPORT_MAX_UNCOMPRESSED_MB = '1';
+
+const ChatArchive = require('../src/services/whatsapp/ChatArchive');
+
+const MB = 1024 * 1024;
+
+const createZip = (files) => {
+    const zip = new AdmZip();
+    for (const [name, content] of Object.entries(files)) {
+        zip.addFile(name, Buffer.isBuffer(content) ? content : Buffer.from(content));
+    }
+    return zip.toBuffer();
+};
+
+// Overwrite the uncompressed size of every entry, like a crafted archive would
+const fakeSizes = (buffer, size) => {
+    const patched = Buffer.from(buffer);
+    for (let i = 0; i < patched.length - 4; i++) {
+        const signature = patched.readUInt32LE(i);
+        if (signature === 0x04034b50) patched.writeUInt32LE(size, i + 22);
+        if (signature === 0x02014b50) patched.writeUInt32LE(size, i + 24);
+    }
+    return patched;
+};
+
+test('parses Android exports with day-first dates', () => {
+    const { entries, skipped, dateOrder } = ChatArchive.parse([
+        '15/01/2026, 08:00 - Messages and calls are end-to-end encrypted.',
+        '15/01/2026, 08:01 - John: Hello',
+        '16/01/2026, 21:30 - Jane: Line one',
+        'line two'
+    ].join('\n'));
+
+    assert.equal(dateOrder, 'DMY');
+    assert.equal(skipped, 0);
+    assert.deepEqual(entries.map(({ sender, text }) => [sender, text]), [
+        [null, 'Messages and calls are end-to-end encrypted.'],
+        ['John', 'Hello'],
+        ['Jane', 'Line one\nline two']
+    ]);
+    assert.deepEqual(entries[2].date, { year: 2026, month: 1, day: 16, hour: 21, minute: 30, second: 0 });
+});
+
+test('parses US exports with month-first dates and AM/PM', () => {
+    const { entries, dateOrder } = ChatArchive.parse([
+        '1/15/26, 12:05 AM - John: Midnight',
+        '1/15/26, 12:10 PM - John: Noon',
+        '1/16/26, 8:00 PM - Jane: Evening'
+    ].join('\n'));
+
+    assert.equal(dateOrder, 'MDY');
+    assert.deepEqual(entries.map(({ date }) => [date.month, date.day, date.hour, date.minute]), [
+        [1, 15, 0, 5],
+        [1, 15, 12, 10],
+        [1, 16, 20, 0]
+    ]);
+});
+
+test('parses iOS, German and Indonesian line formats', () => {
+    const ios = ChatArchive.parse('\u200E[15/01/2026, 08:00:42] John: Hello').entries[0];
+    assert.deepEqual(ios.date, { year: 2026, month: 1, day: 15, hour: 8, minute: 0, second: 42 });
+    assert.equal(ios.sender, 'John');
+
+    const german = ChatArchive.parse('15.01.26, 08:00 - Hans: Hallo').entries[0];
+    assert.deepEqual(german.date, { year: 2026, month: 1, day: 15, hour: 8, minute: 0, second: 0 });
+    assert.equal(german.text, 'Hallo');
+
+    const indonesian = ChatArchive.parse('15/01/26 19.15 - Budi: Halo').entries[0];
+    assert.deepEqual(indonesian.date, { year: 2026, month: 1, day: 15, hour: 19, minute: 15, second: 0 });
+    assert.equal(indonesian.sender, 'Budi');
+});
+
+test('date order comes from all dates of the chat or the option', () => {
+    assert.equal(ChatArchive.detectDateOrder([[2026, 1, 15]]), 'YMD');
+    assert.equal(ChatArchive.detectDateOrder([[1, 2, 26], [13, 2, 26]]), 'DMY');
+    assert.equal(ChatArchive.detectDateOrder([[1, 2, 26], [2, 13, 26]]), 'MDY');
+    // Ambiguous
+    assert.equal(ChatArchive.detectDateOrder([[1, 2, 26]]), 'DMY');
+
+    const { entries, dateOrder } = ChatArchive.parse('01/02/26, 08:00 - John: Hi', { dateOrder: 'MDY' });
+    assert.equal(dateOrder, 'MDY');
+    assert.equal(entries[0].date.month, 1);
+    assert.throws(() => ChatArchive.parse('01/02/26, 08:00 - John: Hi', { dateOrder: 'DDD' }), /Invalid dateOrder/);
+});
+
+test('skips lines with impossible dates', () => {
+    const { entries, skipped } = ChatArchive.parse([
+        '15/01/2026, 08:00 - John: Hello',
+        '15/13/2026, 08:00 - John: Bad month'
+    ].join('\n'));
+
+    assert.equal(entries.length, 1);
+    assert.equal(skipped, 1);
+});
+
+test('attachments must be in the archive, omitted media stays text', () => {
+    const { entries } = ChatArchive.parse([
+        '15/01/2026, 08:00 - John: IMG-20260115-WA0001.jpg (file attached)',
+        'Caption',
+        '15/01/2026, 08:01 - John: IMG-20260115-WA0002.jpg (file attached)',
+        '15/01/2026, 08:02 - John: <Media tidak disertakan>',
+        '[15/01/2026, 08:03:00] Jane: <attached: 00000012-PHOTO-2026-01-15.jpg>'
+    ].join('\n'), { mediaNames: new Set(['IMG-20260115-WA0001.jpg', '00000012-PHOTO-2026-01-15.jpg']) });
+
+    assert.equal(entries[0].attachment, 'IMG-20260115-WA0001.jpg');
+    assert.equal(entries[0].text, 'Caption');
+    assert.equal(entries[1].attachment, null);
+    assert.equal(entries[1].text, 'IMG-20260115-WA0002.jpg (file attached)');
+    assert.equal(entries[2].mediaOmitted, true);
+    assert.equal(entries[3].attachment, '00000012-PHOTO-2026-01-15.jpg');
+});
+
+test('media type of attached files', () => {
+    assert.deepEqual(ChatArchive.mediaTypeOf('STK-20260115-WA0001.webp'), { type: 'sticker', mimetype: 'image/webp' });
+    assert.deepEqual(ChatArchive.mediaTypeOf('IMG-20260115-WA0001.webp'), { type: 'image', mimetype: 'image/webp' });
+    assert.equal(ChatArchive.mediaTypeOf('PTT-20260115-WA0001.opus').type, 'ptt');
+    assert.deepEqual(ChatArchive.mediaTypeOf('notes.xyz'), { type: 'document', mimetype: 'application/octet-stream' });
+});
+
+test('converts local dates in a time zone to unix time', () => {
+    const date = { year: 2026, month: 1, day: 15, hour: 8, minute: 0, second: 0 };
+    assert.equal(ChatArchive.toUnixTime(date, 'Asia/Jakarta'), Date.UTC(2026, 0, 15, 1) / 1000);
+    assert.equal(ChatArchive.toUnixTime(date, 'UTC'), Date.UTC(2026, 0, 15, 8) / 1000);
+    // Daylight saving time in New York (UTC-4)
+    assert.equal(ChatArchive.toUnixTime({ ...date, month: 7 }, 'America/New_York'), Date.UTC(2026, 6, 15, 12) / 1000);
+});
+
+test('reads the chat and media of a zip archive', () => {
+    const archive = ChatArchive.read(createZip({
+        'WhatsApp Chat with John.txt': '\uFEFF15/01/2026, 08:00 - John: Hello',
+        'IMG-20260115-WA0001.jpg': Buffer.from([0xff, 0xd8, 0xff])
+    }), 'chat.zip');
+
+    assert.equal(archive.text, '15/01/2026, 08:00 - John: Hello');
+    assert.deepEqual([...archive.media.keys()], ['IMG-20260115-WA0001.jpg']);
+    const image = archive.media.get('IMG-20260115-WA0001.jpg');
+    assert.equal(image.size, 3);
+    assert.deepEqual(image.read(), Buffer.from([0xff, 0xd8, 0xff]));
+});
+
+test('reads plain text exports and rejects other files', () => {
+    assert.equal(ChatArchive.read(Buffer.from('15/01/2026, 08:00 - John: Hi'), '_chat.txt').text, '15/01/2026, 08:00 - John: Hi');
+    assert.throws(() => ChatArchive.read(Buffer.from('data'), 'photo.jpg'), /Export chat/);
+    assert.throws(() => ChatArchive.read(createZip({ 'a.txt': 'a', 'b.txt': 'b' }), 'chat.zip'), /not found/);
+});
+
+test('rejects archives larger than the limit, also when the headers lie', () => {
+    const large = createZip({ '_chat.txt': 'Hi', 'VID-1.mp4': Buffer.alloc(2 * MB) });
+    assert.throws(() => ChatArchive.read(large, 'chat.zip'), /larger than 1 MB/);
+
+    const { media } = ChatArchive.read(fakeSizes(large, 10), 'chat.zip');
+    assert.throws(() => media.get('VID-1.mp4').read(), /larger than 1 MB/);
+});
@@ -0,0 +1,119 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const ChatExporter = require('../src/services/whatsapp/ChatExporter');
+
+const CHAT = '628123@s.whatsapp.net';
+// 15/01/2026 08:00 in Jakarta (UTC+7)
+const TIME = Date.UTC(2026, 0, 15, 1) / 1000;
+
+const MESSAGES = [
+    {
+        key: { remoteJid: CHAT, id: 'M1', fromMe: false },
+        messageTimestamp: TIME,
+        message: { conversation: 'Hello <b>"there"</b>' }
+    },
+    {
+        key: { remoteJid: CHAT, id: 'M2', fromMe: true },
+        messageTimestamp: TIME + 60,
+        message: { imageMessage: { caption: 'Photo', mimetype: 'image/jpeg' } },
+        _mediaName: 'IMG-1.jpg'
+    },
+    {
+        key: { remoteJid: CHAT, id: 'M3', fromMe: false },
+        messageTimestamp: TIME + 120,
+        message: { documentMessage: { fileName: 'report.pdf', mimetype: 'application/pdf' } }
+    },
+    {
+        key: { remoteJid: CHAT, id: 'M4', fromMe: false },
+        messageTimestamp: TIME + 180,
+        message: { reactionMessage: { text: '👍', key: { id: 'M1' } } }
+    },
+    {
+        key: { remoteJid: CHAT, id: 'M5', fromMe: true },
+        messageTimestamp: TIME + 240,
+        message: { conversation: '=SUM(A1:A2), "quoted"' }
+    },
+    {
+        key: { remoteJid: CHAT, id: 'M6', fromMe: false },
+        messageTimestamp: TIME + 300,
+        message: { locationMessage: { degreesLatitude: -6.175, degreesLongitude: 106.827, name: 'Monas' } }
+    }
+];
+
+const CONTEXT = {
+    chatId: CHAT,
+    chatName: 'Budi <Sales>',
+    isGroup: false,
+    from: null,
+    to: null,
+    baseUrl: 'https://api.example.com/',
+    timeZone: 'Asia/Jakarta',
+    senderName: (msg) => (msg.key.fromMe ? 'Me' : 'Budi'),
+    // Only the photo is saved
+    mediaUrl: (msg) => (msg.key.id === 'M2' ? '/media/s1/M2?expires=1&signature=x' : null)
+};
+
+const exportChat = async (format, context = CONTEXT) => {
+    let output = '';
+    for await (const chunk of ChatExporter.export(MESSAGES, format, context)) {
+        output += chunk;
+    }
+    return output;
+};
+
+test('formats and their file types', async () => {
+    assert.deepEqual(ChatExporter.formats, ['json', 'csv', 'html', 'txt']);
+    assert.deepEqual(ChatExporter.formatInfo('csv'), { extension: 'csv', contentType: 'text/csv; charset=utf-8' });
+    assert.equal(ChatExporter.formatInfo('pdf'), null);
+    await assert.rejects(exportChat('pdf'), /Unknown export format "pdf"/);
+});
+
+test('txt follows the WhatsApp app export in the chat time zone', async () => {
+    assert.equal(await exportChat('txt'), [
+        '15/01/2026, 08:00 - Budi: Hello <b>"there"</b>',
+        '15/01/2026, 08:01 - Me: IMG-1.jpg (file attached)',
+        'Photo',
+        '15/01/2026, 08:02 - Budi: <Media omitted>',
+        '15/01/2026, 08:04 - Me: =SUM(A1:A2), "quoted"',
+        '15/01/2026, 08:05 - Budi: Monas',
+        'https://maps.google.com/?q=-6.175,106.827',
+        ''
+    ].join('\n'));
+});
+
+test('json is one valid document with every message', async () => {
+    const output = JSON.parse(await exportChat('json'));
+
+    assert.equal(output.chatId, CHAT);
+    assert.equal(output.chatName, 'Budi <Sales>');
+    assert.equal(output.total, 6);
+    assert.deepEqual(output.messages.map(msg => msg.id), ['M1', 'M2', 'M3', 'M4', 'M5', 'M6']);
+    assert.equal(output.messages[0].datetime, '2026-01-15T01:00:00.000Z');
+    assert.equal(output.messages[1].mediaUrl, 'https://api.example.com/media/s1/M2?expires=1&signature=x');
+    assert.equal(output.messages[0].senderName, 'Budi');
+
+    let empty = '';
+    for await (const chunk of ChatExporter.export([], 'json', CONTEXT)) empty += chunk;
+    assert.deepEqual(JSON.parse(empty).messages, []);
+});
+
+test('csv quotes cells and neutralizes formulas', async () => {
+    const lines = (await exportChat('csv')).split('\r\n');
+
+    assert.equal(lines[0], '\uFEFFid,timestamp,fromMe,sender,senderName,type,text,caption,filename,mimetype,mediaUrl,quotedMessageId');
+    assert.equal(lines[1], 'M1,2026-01-15T01:00:00.000Z,false,628123@s.whatsapp.net,Budi,text,"Hello <b>""there""</b>",,,,,');
+    assert.ok(lines[5].includes(`,"'=SUM(A1:A2), ""quoted""",`), lines[5]);
+    assert.equal(lines.length, 8);
+});
+
+test('html escapes content and links saved media', async () => {
+    const html = await exportChat('html');
+
+    assert.ok(html.includes('<title>Chat with Budi &lt;Sales&gt;</title>'));
+    assert.ok(html.includes('Hello &lt;b&gt;&quot;there&quot;&lt;/b&gt;'));
+    assert.ok(html.includes('<img src="https://api.example.com/media/s1/M2?expires=1&amp;signature=x" alt="image">'));
+    assert.ok(html.includes('📎 report.pdf (not saved)'));
+    assert.ok(!html.includes('👍'));
+    assert.ok(html.includes('<footer><p>5 messages</p></footer>'));
+});
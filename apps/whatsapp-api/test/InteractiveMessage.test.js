@@ -0,0 +1,167 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const InteractiveMessage = require('../src/services/whatsapp/InteractiveMessage');
+
+const LIST = {
+    text: 'Pick a menu',
+    title: 'Menu',
+    footer: 'Open 08-22',
+    buttonText: 'View menu',
+    sections: [
+        { title: 'Food', rows: [{ id: 'food_1', title: 'Nasi goreng', description: 'Spicy' }, { title: 'Soto' }] },
+        { rows: [{ title: 'Es teh' }] }
+    ]
+};
+
+const BUTTONS = [
+    { text: 'Yes', id: 'yes' },
+    { type: 'url', text: 'Website', url: 'https://example.com' },
+    { type: 'call', text: 'Call us', phoneNumber: '+62 812-3456' }
+];
+
+test('normalizes list sections and generates row IDs', () => {
+    const { sections } = InteractiveMessage.normalizeSections(LIST.sections);
+
+    assert.deepEqual(sections, [
+        {
+            title: 'Food',
+            rows: [
+                { id: 'food_1', title: 'Nasi goreng', description: 'Spicy' },
+                { id: 'row_2', title: 'Soto', description: '' }
+            ]
+        },
+        { title: '', rows: [{ id: 'row_3', title: 'Es teh', description: '' }] }
+    ]);
+});
+
+test('rejects invalid list sections', () => {
+    const rows = (count) => Array.from({ length: count }, (_, i) => ({ title: `Row ${i}` }));
+
+    assert.equal(InteractiveMessage.normalizeSections([]).error, 'sections must be a non-empty array');
+    assert.equal(InteractiveMessage.normalizeSections([{ rows: [] }]).error, 'Every section must have a non-empty rows array');
+    assert.equal(InteractiveMessage.normalizeSections([{ rows: [{ title: ' ' }] }]).error, 'Every row must have a title');
+    assert.equal(InteractiveMessage.normalizeSections([{ rows: rows(11) }]).error, 'A list can have at most 10 rows in total');
+    assert.equal(InteractiveMessage.normalizeSections(Array.from({ length: 11 }, () => ({ rows: rows(1) }))).error,
+        'A list can have at most 10 sections');
+    assert.equal(InteractiveMessage.normalizeSections([{ rows: [{ id: 'a', title: 'A' }, { id: 'a', title: 'B' }] }]).error,
+        'Row IDs must be unique');
+});
+
+test('normalizes template buttons', () => {
+    const { buttons } = InteractiveMessage.normalizeButtons([...BUTTONS.slice(1), { text: 'No' }]);
+
+    assert.deepEqual(buttons, [
+        { type: 'url', text: 'Website', url: 'https://example.com' },
+        { type: 'call', text: 'Call us', phoneNumber: '+628123456' },
+        { type: 'reply', text: 'No', id: 'btn_2' }
+    ]);
+});
+
+test('rejects invalid template buttons', () => {
+    assert.equal(InteractiveMessage.normalizeButtons([]).error, 'buttons must be a non-empty array');
+    assert.equal(InteractiveMessage.normalizeButtons([...BUTTONS, { text: 'More' }]).error, 'A template can have at most 3 buttons');
+    assert.match(InteractiveMessage.normalizeButtons([{ type: 'copy', text: 'Copy' }]).error, /^Invalid button type: copy/);
+    assert.equal(InteractiveMessage.normalizeButtons([{ type: 'reply' }]).error, 'Every button must have a text');
+    assert.equal(InteractiveMessage.normalizeButtons([{ type: 'url', text: 'Site', url: 'javascript:alert(1)' }]).error,
+        'Button "Site" needs an http(s) url');
+    assert.equal(InteractiveMessage.normalizeButtons([{ type: 'call', text: 'Call', phoneNumber: 'n/a' }]).error,
+        'Button "Call" needs a phoneNumber');
+    assert.equal(InteractiveMessage.normalizeButtons([{ text: 'A', id: 'x' }, { text: 'B', id: 'x' }]).error,
+        'Button IDs must be unique');
+});
+
+test('builds native flow list and template messages', () => {
+    const { sections } = InteractiveMessage.normalizeSections(LIST.sections);
+    const list = InteractiveMessage.buildList({ ...LIST, sections }, { stanzaId: 'Q1' }).viewOnceMessage.message.interactiveMessage;
+
+    assert.deepEqual(list.header, { title: 'Menu', hasMediaAttachment: false });
+    assert.deepEqual(list.body, { text: 'Pick a menu' });
+    assert.deepEqual(list.contextInfo, { stanzaId: 'Q1' });
+    const [select] = list.nativeFlowMessage.buttons;
+    assert.equal(select.name, 'single_select');
+    assert.equal(JSON.parse(select.buttonParamsJson).sections[0].rows[1].id, 'row_2');
+
+    const { buttons } = InteractiveMessage.normalizeButtons(BUTTONS);
+    const template = InteractiveMessage.buildTemplate({ text: 'Continue?', buttons }).viewOnceMessage.message.interactiveMessage;
+    assert.equal(template.header, undefined);
+    assert.deepEqual(template.nativeFlowMessage.buttons.map(b => [b.name, JSON.parse(b.buttonParamsJson)]), [
+        ['quick_reply', { display_text: 'Yes', id: 'yes' }],
+        ['cta_url', { display_text: 'Website', url: 'https://example.com', merchant_url: 'https://example.com' }],
+        ['cta_call', { display_text: 'Call us', phone_number: '+628123456' }]
+    ]);
+});
+
+test('renders numbered text fallbacks', () => {
+    const { sections } = InteractiveMessage.normalizeSections(LIST.sections);
+    assert.equal(InteractiveMessage.toText('list', { ...LIST, sections }), [
+        '*Menu*',
+        'Pick a menu',
+        '',
+        '*Food*',
+        '1. Nasi goreng - Spicy',
+        '2. Soto',
+        '',
+        '3. Es teh',
+        '',
+        '_Open 08-22_',
+        '',
+        '_Reply with the number of your choice_'
+    ].join('\n'));
+
+    const { buttons } = InteractiveMessage.normalizeButtons(BUTTONS.slice(1));
+    // No reply buttons, nothing to answer with a number
+    assert.equal(InteractiveMessage.toText('template', { text: 'Contact', buttons }), [
+        'Contact',
+        '',
+        '🔗 Website: https://example.com',
+        '📞 Call us: +628123456'
+    ].join('\n'));
+});
+
+test('numbered replies select the choice of the fallback menu', () => {
+    const { sections } = InteractiveMessage.normalizeSections(LIST.sections);
+    const menu = { kind: 'list', messageId: 'MENU1', choices: InteractiveMessage.getChoices('list', { sections }) };
+
+    assert.deepEqual(InteractiveMessage.parseNumberedReply(' 1) ', menu), {
+        type: 'list.reply',
+        id: 'food_1',
+        title: 'Nasi goreng',
+        description: 'Spicy',
+        messageId: 'MENU1',
+        fallback: true
+    });
+    assert.equal(InteractiveMessage.parseNumberedReply('3.', menu).id, 'row_3');
+    assert.equal(InteractiveMessage.parseNumberedReply('4', menu), null);
+    assert.equal(InteractiveMessage.parseNumberedReply('1 please', menu), null);
+    assert.equal(InteractiveMessage.parseNumberedReply('1', null), null);
+
+    const { buttons } = InteractiveMessage.normalizeButtons(BUTTONS);
+    assert.deepEqual(InteractiveMessage.getChoices('template', { buttons }), [{ id: 'yes', title: 'Yes', description: null }]);
+});
+
+test('parses selections of every response format', () => {
+    assert.deepEqual(InteractiveMessage.parseResponse({
+        interactiveResponseMessage: {
+            body: { text: 'Soto' },
+            nativeFlowResponseMessage: { name: 'single_select', paramsJson: '{"id":"row_2"}' },
+            contextInfo: { stanzaId: 'LIST1' }
+        }
+    }), { type: 'list.reply', id: 'row_2', title: 'Soto', description: null, messageId: 'LIST1' });
+
+    assert.deepEqual(InteractiveMessage.parseResponse({
+        templateButtonReplyMessage: { selectedId: 'yes', selectedDisplayText: 'Yes', contextInfo: { stanzaId: 'T1' } }
+    }), { type: 'button.reply', id: 'yes', title: 'Yes', description: null, messageId: 'T1' });
+
+    assert.equal(InteractiveMessage.parseResponse({
+        listResponseMessage: { title: 'Soto', singleSelectReply: { selectedRowId: 'row_2' } }
+    }).id, 'row_2');
+    assert.equal(InteractiveMessage.parseResponse({ buttonsResponseMessage: { selectedButtonId: 'yes' } }).type, 'button.reply');
+
+    // Broken params keep the response
+    assert.equal(InteractiveMessage.parseResponse({
+        interactiveResponseMessage: { nativeFlowResponseMessage: { name: 'quick_reply', paramsJson: '{' } }
+    }).id, null);
+    assert.equal(InteractiveMessage.parseResponse({ conversation: '1' }), null);
+    assert.equal(InteractiveMessage.parseResponse(null), null);
+});
@@ -0,0 +1,89 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+
+delete process.env.LINK_PREVIEW_ALLOW_PRIVATE;
+
+const LinkPreview = require('../src/services/whatsapp/LinkPreview');
+
+test('extracts the first URL without trailing punctuation', () => {
+    assert.equal(LinkPreview.extractUrl('See https://example.com/a?b=1, and http://other.test'), 'https://example.com/a?b=1');
+    assert.equal(LinkPreview.extractUrl('(https://example.com/page).'), 'https://example.com/page');
+    assert.equal(LinkPreview.extractUrl('no link here'), null);
+    assert.equal(LinkPreview.extractUrl(undefined), null);
+});
+
+test('parses OpenGraph tags before Twitter cards and HTML tags', () => {
+    const meta = LinkPreview.parseMeta(`
+        <title>HTML title</title>
+        <meta name="twitter:title" content="Twitter title">
+        <meta content='Caf&#233; &amp; bar &#x1F600;' property="og:title">
+        <meta name="description" content="Plain
+            description">
+        <meta property="og:image" content="/cover.jpg">
+        <meta property="og:image" content="/second.jpg">
+    `);
+
+    assert.deepEqual(meta, {
+        title: 'Café & bar 😀',
+        description: 'Plain description',
+        image: '/cover.jpg',
+        url: null
+    });
+    assert.equal(LinkPreview.parseMeta('<title>Only &quot;title&quot;</title>').title, 'Only "title"');
+    assert.equal(LinkPreview.parseMeta('<p>nothing</p>').title, null);
+});
+
+test('refuses private, loopback and link-local targets', async () => {
+    for (const url of [
+        'http://127.0.0.1/',
+        'http://10.1.2.3/',
+        'http://172.16.0.1/',
+        'http://192.168.1.1/',
+        'http://169.254.169.254/latest/meta-data',
+        'http://100.64.0.1/',
+        'http://0.0.0.0/',
+        'http://[::1]/',
+        'http://[::ffff:127.0.0.1]/',
+        'http://[fd00::1]/',
+        'http://[fe80::1]/',
+        'http://localhost:8080/'
+    ]) {
+        await assert.rejects(LinkPreview._checkTarget(url), /private address refused/, url);
+    }
+    await assert.rejects(LinkPreview._checkTarget('ftp://example.com/file'), /Unsupported link preview URL/);
+});
+
+test('allows public addresses', async () => {
+    for (const url of ['http://8.8.8.8/', 'https://1.1.1.1/', 'http://[2606:4700:4700::1111]/']) {
+        await assert.doesNotReject(LinkPreview._checkTarget(url), url);
+    }
+});
+
+test('redirects to private IP addresses are refused', () => {
+    const { beforeRedirect, httpAgent, httpsAgent } = LinkPreview._requestOptions({});
+
+    assert.ok(httpAgent && httpsAgent);
+    assert.throws(() => beforeRedirect({ hostname: '127.0.0.1' }), /private address refused/);
+    assert.throws(() => beforeRedirect({ hostname: '[::1]' }), /private address refused/);
+    assert.doesNotThrow(() => beforeRedirect({ hostname: '8.8.8.8' }));
+    // Host names are checked by the agents on connect
+    assert.doesNotThrow(() => beforeRedirect({ hostname: 'example.com' }));
+});
+
+test('sends no preview for pages on this machine', async () => {
+    let requests = 0;
+    const server = http.createServer((req, res) => {
+        requests++;
+        res.end('<meta property="og:title" content="Internal">');
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    try {
+        const preview = await LinkPreview.forText(`Look http://127.0.0.1:${server.address().port}/admin`);
+        assert.equal(preview, null);
+        assert.equal(requests, 0);
+    } finally {
+        server.close();
+    }
+});
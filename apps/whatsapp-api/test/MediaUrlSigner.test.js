@@ -0,0 +1,47 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.MEDIA_URL_SECRET = 'test-secret';
+process.env.MEDIA_URL_TTL = '60';
+
+const MediaUrlSigner = require('../src/services/mediastorage/MediaUrlSigner');
+
+const parse = (url) => {
+    const { pathname, searchParams } = new URL(url, 'http://localhost');
+    const [, , sessionId, messageId] = pathname.split('/').map(decodeURIComponent);
+    return { sessionId, messageId, expires: searchParams.get('expires'), signature: searchParams.get('signature') };
+};
+
+test('signed URLs verify until they expire', () => {
+    const url = MediaUrlSigner.sign('session 1', 'MSG/1');
+    assert.match(url, /^\/media\/session%201\/MSG%2F1\?expires=\d+&signature=[\w-]+$/);
+
+    const { sessionId, messageId, expires, signature } = parse(url);
+    assert.equal(sessionId, 'session 1');
+    assert.equal(messageId, 'MSG/1');
+    const ttl = Number(expires) - Math.floor(Date.now() / 1000);
+    assert.ok(ttl >= 59 && ttl <= 60, `ttl ${ttl}`);
+    assert.equal(MediaUrlSigner.verify(sessionId, messageId, expires, signature), true);
+});
+
+test('rejects a signature of another message, session or expiry', () => {
+    const { sessionId, messageId, expires, signature } = parse(MediaUrlSigner.sign('s1', 'MSG1'));
+
+    assert.equal(MediaUrlSigner.verify(sessionId, 'MSG2', expires, signature), false);
+    assert.equal(MediaUrlSigner.verify('s2', messageId, expires, signature), false);
+    assert.equal(MediaUrlSigner.verify(sessionId, messageId, String(Number(expires) + 1), signature), false);
+    const tampered = signature.slice(0, -1) + (signature.endsWith('A') ? 'B' : 'A');
+    assert.equal(MediaUrlSigner.verify(sessionId, messageId, expires, tampered), false);
+});
+
+test('rejects expired URLs and malformed input', () => {
+    const expired = parse(MediaUrlSigner.sign('s1', 'MSG1', -1));
+    assert.equal(MediaUrlSigner.verify(expired.sessionId, expired.messageId, expired.expires, expired.signature), false);
+
+    const { expires, signature } = parse(MediaUrlSigner.sign('s1', 'MSG1'));
+    assert.equal(MediaUrlSigner.verify('s1', 'MSG1', undefined, signature), false);
+    assert.equal(MediaUrlSigner.verify('s1', 'MSG1', 'soon', signature), false);
+    assert.equal(MediaUrlSigner.verify('s1', 'MSG1', expires, undefined), false);
+    assert.equal(MediaUrlSigner.verify('s1', 'MSG1', expires, ['a', 'b']), false);
+    assert.equal(MediaUrlSigner.verify('s1', 'MSG1', expires, 'short'), false);
+});
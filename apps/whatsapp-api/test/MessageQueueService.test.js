@@ -0,0 +1,202 @@
+const { test, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The queue keeps its files under data/queue of the working directory
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'queue-test-'));
+process.chdir(workDir);
+process.env.QUEUE_RETRY_DELAY = '10';
+process.env.QUEUE_RETRY_MAX_DELAY = '20';
+delete process.env.QUEUE_RATE_LIMIT;
+delete process.env.QUEUE_RESEND_INTERRUPTED;
+
+// Keep the retry logs out of the test output
+mock.method(console, 'log', () => {});
+mock.method(console, 'error', () => {});
+
+const wsManager = require('../src/services/websocket');
+const messageQueue = require('../src/services/queue');
+
+const events = [];
+wsManager.io = { to: () => ({ emit: (event, data) => events.push({ event, data }) }) };
+
+const sessions = new Map();
+messageQueue.setWhatsAppManager({ getSession: (sessionId) => sessions.get(sessionId) });
+
+const addSession = (sessionId, sendTextMessage, queueConfig = {}) => {
+    sessions.set(sessionId, {
+        connectionStatus: 'connected',
+        queueConfig,
+        sendTextMessage,
+        _sendWebhook: () => {}
+    });
+};
+
+after(() => {
+    clearTimeout(messageQueue.saveTimer);
+    fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+test('retries transient errors until the message is sent', async () => {
+    let calls = 0;
+    addSession('retry', async () => {
+        calls++;
+        if (calls === 1) throw new Error('Connection Closed');
+        if (calls === 2) return { success: false, message: 'Timed Out' };
+        return { success: true, data: { messageId: 'MSG1' } };
+    });
+
+    const result = await messageQueue.send('retry', 'sendTextMessage', ['628123', 'hi']);
+
+    assert.equal(result.success, true);
+    assert.equal(result.data.messageId, 'MSG1');
+    const job = messageQueue.getJob(result.data.jobId).data;
+    assert.equal(job.status, 'sent');
+    assert.equal(job.attempts, 3);
+    assert.equal(job.messageId, 'MSG1');
+    assert.equal(job.lastError, null);
+});
+
+test('fails right away on errors that are not transient', async () => {
+    let calls = 0;
+    addSession('permanent', async () => {
+        calls++;
+        return { success: false, message: 'Number is not on WhatsApp' };
+    });
+
+    const result = await messageQueue.send('permanent', 'sendTextMessage', ['628123', 'hi']);
+
+    assert.equal(result.success, false);
+    assert.equal(result.message, 'Number is not on WhatsApp');
+    assert.equal(calls, 1);
+    assert.equal(messageQueue.getJob(result.data.jobId).data.status, 'failed');
+});
+
+test('gives up after maxAttempts of the session', async () => {
+    let calls = 0;
+    addSession('exhausted', async () => {
+        calls++;
+        return { success: false, message: 'rate-overlimit' };
+    }, { maxAttempts: 2 });
+
+    const result = await messageQueue.send('exhausted', 'sendTextMessage', ['628123', 'hi']);
+
+    assert.equal(result.success, false);
+    assert.equal(calls, 2);
+    const job = messageQueue.getJob(result.data.jobId).data;
+    assert.equal(job.status, 'failed');
+    assert.equal(job.attempts, 2);
+    assert.ok(events.some(({ event, data }) => event === 'message.failed' && data.job.jobId === job.jobId));
+});
+
+test('retry delay grows exponentially up to QUEUE_RETRY_MAX_DELAY', () => {
+    for (let i = 0; i < 20; i++) {
+        const first = messageQueue._retryDelay(1);
+        assert.ok(first >= 8 && first <= 12, `first delay ${first}`);
+        const capped = messageQueue._retryDelay(10);
+        assert.ok(capped >= 16 && capped <= 24, `capped delay ${capped}`);
+    }
+});
+
+test('rate limit is off by default', () => {
+    addSession('unlimited', async () => ({ success: true, data: {} }));
+    const now = Date.now();
+    messageQueue.sendTimes.set('unlimited', Array.from({ length: 100 }, (_, i) => now - i));
+
+    assert.equal(messageQueue.getConfig('unlimited').rateLimit, 0);
+    assert.equal(messageQueue._rateLimitedUntil('unlimited'), null);
+});
+
+test('rate limit waits until the oldest send of the window is a minute old', () => {
+    addSession('limited', async () => ({ success: true, data: {} }), { rateLimit: 2 });
+    const now = Date.now();
+
+    messageQueue.sendTimes.set('limited', [now - 70_000, now - 30_000]);
+    assert.equal(messageQueue._rateLimitedUntil('limited'), null);
+    // Sends older than the window are dropped
+    assert.deepEqual(messageQueue.sendTimes.get('limited'), [now - 30_000]);
+
+    messageQueue.sendTimes.set('limited', [now - 40_000, now - 30_000, now - 10_000]);
+    assert.equal(messageQueue._rateLimitedUntil('limited'), now - 30_000 + 60_000);
+});
+
+test('jobs interrupted while sending fail after a restart instead of being sent again', () => {
+    const now = new Date().toISOString();
+    const job = (id, status) => ({
+        id,
+        sessionId: 'restarted',
+        method: 'sendTextMessage',
+        type: 'text',
+        chatId: '628123',
+        source: 'api',
+        args: ['628123', 'hi'],
+        status,
+        attempts: status === 'sending' ? 1 : 0,
+        maxAttempts: 5,
+        nextAttemptAt: now,
+        lastError: null,
+        messageId: null,
+        result: null,
+        createdAt: now,
+        updatedAt: now
+    });
+
+    fs.mkdirSync(path.join(workDir, 'data', 'queue'), { recursive: true });
+    fs.writeFileSync(path.join(workDir, 'data', 'queue', 'restarted.json'), JSON.stringify({
+        jobs: [job('job-sending', 'sending'), job('job-queued', 'queued')]
+    }));
+
+    messageQueue._loadSession('restarted');
+
+    const interrupted = messageQueue.getJob('job-sending').data;
+    assert.equal(interrupted.status, 'failed');
+    assert.match(interrupted.lastError, /Interrupted while sending/);
+    assert.ok(interrupted.failedAt);
+    assert.equal(messageQueue.getJob('job-queued').data.status, 'queued');
+});
+
+test('the queue file says sending during the send and sent right after', async () => {
+    const file = path.join(workDir, 'data', 'queue', 'persisted.json');
+    const statusOnDisk = () => JSON.parse(fs.readFileSync(file, 'utf8')).jobs[0].status;
+    let duringSend = null;
+    addSession('persisted', async () => {
+        duringSend = statusOnDisk();
+        return { success: true, data: { messageId: 'MSG3' } };
+    });
+
+    const result = await messageQueue.send('persisted', 'sendTextMessage', ['628123', 'hi']);
+
+    assert.equal(result.success, true);
+    assert.equal(duringSend, 'sending');
+    // Written without waiting for the save delay
+    assert.equal(statusOnDisk(), 'sent');
+});
+
+test('a write that fails halfway keeps the previous queue file', async () => {
+    const file = path.join(workDir, 'data', 'queue', 'atomic.json');
+    addSession('atomic', async () => ({ success: true, data: { messageId: 'MSG4' } }));
+    await messageQueue.send('atomic', 'sendTextMessage', ['628123', 'first']);
+    const before = fs.readFileSync(file, 'utf8');
+
+    // Disk full after a few bytes
+    const writeFileSync = fs.writeFileSync;
+    const write = mock.method(fs, 'writeFileSync', (target, data) => {
+        writeFileSync(target, String(data).slice(0, 10));
+        throw new Error('ENOSPC: no space left on device');
+    });
+    messageQueue.enqueue('atomic', 'sendTextMessage', ['628123', 'second'], 'api');
+    messageQueue._saveJobs(['atomic']);
+    write.mock.restore();
+
+    assert.equal(fs.readFileSync(file, 'utf8'), before);
+    assert.equal(JSON.parse(before).jobs.length, 1);
+});
+
+test('isPending only matches jobs that are not finished', () => {
+    assert.equal(messageQueue.isPending({ jobId: 'a', status: 'queued' }), true);
+    assert.equal(messageQueue.isPending({ jobId: 'a', status: 'sending' }), true);
+    assert.equal(messageQueue.isPending({ jobId: 'a', status: 'sent' }), false);
+    assert.equal(messageQueue.isPending({ messageId: 'a' }), false);
+});
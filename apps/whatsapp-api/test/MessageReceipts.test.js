@@ -0,0 +1,97 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const MessageReceipts = require('../src/services/whatsapp/MessageReceipts');
+
+// WAMessageStatus
+const ERROR = 0;
+const SERVER_ACK = 2;
+const DELIVERY_ACK = 3;
+const READ = 4;
+const PLAYED = 5;
+
+const createMessage = (remoteJid = '628123@s.whatsapp.net') => ({
+    key: { remoteJid, id: 'MSG1', fromMe: true }
+});
+
+test('statuses only move forward', () => {
+    const msg = createMessage();
+
+    assert.equal(MessageReceipts.recordStatus(msg, SERVER_ACK, 1000), true);
+    assert.equal(MessageReceipts.recordStatus(msg, READ, 3000), true);
+    // Late delivery ack after the read receipt
+    assert.equal(MessageReceipts.recordStatus(msg, DELIVERY_ACK, 4000), false);
+    assert.equal(MessageReceipts.recordStatus(msg, READ, 5000), false);
+    assert.equal(MessageReceipts.recordStatus(msg, PLAYED, 6000), true);
+
+    assert.deepEqual(msg._statusHistory, [
+        { status: 'sent', at: 1000 },
+        { status: 'read', at: 3000 },
+        { status: 'played', at: 6000 }
+    ]);
+    assert.equal(MessageReceipts.currentStatus(msg), 'played');
+});
+
+test('errors are always kept and unknown statuses ignored', () => {
+    const msg = createMessage();
+
+    MessageReceipts.recordStatus(msg, DELIVERY_ACK, 1000);
+    assert.equal(MessageReceipts.recordStatus(msg, ERROR, 2000), true);
+    assert.equal(MessageReceipts.recordStatus(msg, ERROR, 3000), true);
+    assert.equal(MessageReceipts.recordStatus(msg, 9, 4000), false);
+
+    assert.equal(MessageReceipts.currentStatus(msg), 'error');
+    assert.equal(msg._statusHistory.length, 3);
+});
+
+test('current status falls back to the status of the message', () => {
+    assert.equal(MessageReceipts.currentStatus({ ...createMessage(), status: DELIVERY_ACK }), 'delivered');
+    assert.equal(MessageReceipts.currentStatus(createMessage()), null);
+});
+
+test('group receipts keep the first time of each status per participant', () => {
+    const msg = createMessage('12036@g.us');
+
+    assert.deepEqual(MessageReceipts.recordReceipt(msg, { userJid: 'a@s.whatsapp.net', receiptTimestamp: 10 }), [
+        { status: 'delivered', at: 10000 }
+    ]);
+    assert.deepEqual(MessageReceipts.recordReceipt(msg, { userJid: 'a@s.whatsapp.net', receiptTimestamp: 11, readTimestamp: 20 }), [
+        { status: 'read', at: 20000 }
+    ]);
+    // Read without a delivery receipt still counts as delivered
+    MessageReceipts.recordReceipt(msg, { userJid: 'b@s.whatsapp.net', readTimestamp: 30, playedTimestamp: 40 });
+    MessageReceipts.recordReceipt(msg, { userJid: 'c@s.whatsapp.net', receiptTimestamp: 50 });
+    assert.deepEqual(MessageReceipts.recordReceipt(msg, {}), []);
+
+    assert.deepEqual(msg._receipts['a@s.whatsapp.net'], { deliveredAt: 10000, readAt: 20000, playedAt: null });
+    assert.deepEqual(MessageReceipts.countReceipts(msg), { delivered: 3, read: 2, played: 1 });
+});
+
+test('summary lists receipts of group messages only', () => {
+    const direct = createMessage();
+    MessageReceipts.recordStatus(direct, SERVER_ACK, 1000);
+    const directSummary = MessageReceipts.summarize(direct);
+    assert.deepEqual(directSummary, {
+        messageId: 'MSG1',
+        chatId: '628123@s.whatsapp.net',
+        isGroup: false,
+        fromMe: true,
+        status: 'sent',
+        history: [{ status: 'sent', timestamp: new Date(1000).toISOString() }]
+    });
+
+    const group = createMessage('12036@g.us');
+    MessageReceipts.recordStatus(group, SERVER_ACK, 1000);
+    MessageReceipts.recordReceipt(group, { userJid: '628456@s.whatsapp.net', receiptTimestamp: 10 });
+    const groupSummary = MessageReceipts.summarize(group, (jid) => (jid === '628456@s.whatsapp.net' ? 'Budi' : null));
+    assert.equal(groupSummary.isGroup, true);
+    assert.deepEqual(groupSummary.receiptCounts, { delivered: 1, read: 0, played: 0 });
+    assert.deepEqual(groupSummary.receipts, [{
+        jid: '628456@s.whatsapp.net',
+        phone: '628456',
+        name: 'Budi',
+        deliveredAt: new Date(10000).toISOString(),
+        readAt: null,
+        playedAt: null
+    }]);
+});
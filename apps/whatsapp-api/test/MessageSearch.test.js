@@ -0,0 +1,145 @@
+const { test, after } = require('node:test');
+const EventEmitter = require('events');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'search-test-'));
+process.env.STORE_SQLITE_DIR = workDir;
+process.env.MEDIA_DIR = path.join(workDir, 'media');
+
+const MessageSearch = require('../src/services/whatsapp/MessageSearch');
+const BaileysStore = require('../src/services/whatsapp/BaileysStore');
+const SqliteBaileysStore = require('../src/services/whatsapp/SqliteBaileysStore');
+
+after(() => {
+    fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+const CHAT = '628123@s.whatsapp.net';
+const GROUP = '12036@g.us';
+
+const textMessage = (id, text, { chatId = CHAT, fromMe = false, participant, timestamp = 1000 } = {}) => ({
+    key: { remoteJid: chatId, id, fromMe, ...(participant && { participant }) },
+    messageTimestamp: timestamp,
+    message: { conversation: text }
+});
+
+const documentMessage = (id, fileName, timestamp = 1000) => ({
+    key: { remoteJid: CHAT, id, fromMe: true },
+    messageTimestamp: timestamp,
+    message: { documentMessage: { fileName, mimetype: 'application/pdf' } }
+});
+
+const MESSAGES = [
+    textMessage('M1', 'Rapat besok jam sembilan', { timestamp: 1000 }),
+    textMessage('M2', 'Café au lait, s\'il vous plaît', { timestamp: 2000, fromMe: true }),
+    textMessage('M3', 'Rapat dibatalkan', { chatId: GROUP, participant: '628456@s.whatsapp.net', timestamp: 3000 }),
+    documentMessage('M4', 'laporan-rapat.pdf', 4000),
+    textMessage('M5', 'Terapat bukan kata', { timestamp: 5000 })
+];
+
+test('query terms are folded, split and deduplicated', () => {
+    assert.deepEqual(MessageSearch.parseTerms('  Café, CAFE au-lait! '), ['cafe', 'au', 'lait']);
+    assert.deepEqual(MessageSearch.parseTerms(''), []);
+    assert.deepEqual(MessageSearch.parseTerms(null), []);
+});
+
+test('from / to accept ISO dates and unix time numbers, not numeric strings', () => {
+    assert.equal(MessageSearch.parseTime('2024-05-01'), Date.UTC(2024, 4, 1) / 1000);
+    assert.equal(MessageSearch.parseTime('2024-05-01T08:00:00+07:00'), Date.UTC(2024, 4, 1, 1) / 1000);
+    assert.equal(MessageSearch.parseTime(1714521600), 1714521600);
+    assert.equal(MessageSearch.parseTime(1714521600123), 1714521600);
+    assert.equal(MessageSearch.parseTime(''), null);
+    assert.equal(MessageSearch.parseTime(undefined), null);
+
+    for (const value of ['2024', '1714521600', '05/01/2024', 'yesterday', '2024-13-01', true]) {
+        assert.equal(MessageSearch.parseTime(value), undefined, String(value));
+    }
+});
+
+test('terms match at the start of words, ignoring case and diacritics', () => {
+    assert.deepEqual(MessageSearch.findTerms('Café au lait', ['cafe']), [{ start: 0, end: 4 }]);
+    assert.deepEqual(MessageSearch.findTerms('Rapat, rapat!', ['rap']), [{ start: 0, end: 3 }, { start: 7, end: 10 }]);
+    // Inside a word
+    assert.equal(MessageSearch.findTerms('Terapat', ['rapat']), null);
+    // Every term is needed
+    assert.equal(MessageSearch.findTerms('Rapat besok', ['rapat', 'lusa']), null);
+});
+
+test('filters of a search', () => {
+    const [m1, m2, m3, m4] = MESSAGES;
+    const terms = MessageSearch.parseTerms('rapat');
+
+    assert.equal(MessageSearch.matches(m1, terms, {}, 1000), true);
+    assert.equal(MessageSearch.matches(m1, terms, { chatId: GROUP }, 1000), false);
+    assert.equal(MessageSearch.matches(m1, terms, { fromMe: true }, 1000), false);
+    assert.equal(MessageSearch.matches(m3, terms, { senders: ['628456@s.whatsapp.net'] }, 3000), true);
+    assert.equal(MessageSearch.matches(m1, terms, { from: 2000 }, 1000), false);
+    assert.equal(MessageSearch.matches(m4, terms, { to: 3000 }, 4000), false);
+    assert.equal(MessageSearch.matches(m4, terms, { types: ['document'] }, 4000), true);
+    assert.equal(MessageSearch.matches(m2, MessageSearch.parseTerms('cafe'), {}, 2000), true);
+});
+
+test('snippets are escaped and highlight the matches', () => {
+    const msg = textMessage('S1', '<b>Rapat</b> & rapat lagi');
+    const result = MessageSearch.snippet(msg, ['rapat']);
+
+    assert.equal(result.field, 'text');
+    assert.equal(result.text, '<b>Rapat</b> & rapat lagi');
+    assert.equal(result.snippet, '&lt;b&gt;<mark>Rapat</mark>&lt;/b&gt; &amp; <mark>rapat</mark> lagi');
+    assert.deepEqual(result.highlights, [{ start: 3, end: 8 }, { start: 15, end: 20 }]);
+});
+
+test('snippets of long texts are cut at word boundaries', () => {
+    const text = `${'awal '.repeat(30)}rapat ${'akhir '.repeat(40)}`.trim();
+    const { text: cut, highlights } = MessageSearch.snippet(textMessage('S2', text), ['rapat']);
+
+    assert.ok(cut.startsWith('…awal'));
+    assert.ok(cut.endsWith('akhir…'));
+    assert.equal(cut.slice(highlights[0].start, highlights[0].end), 'rapat');
+});
+
+test('snippets of documents come from the filename', () => {
+    const result = MessageSearch.snippet(MESSAGES[3], ['laporan', 'rapat']);
+    assert.equal(result.field, 'filename');
+    assert.equal(result.snippet, '<mark>laporan</mark>-<mark>rapat</mark>.pdf');
+});
+
+const searchIds = (store, query, filters = {}, options = {}) => {
+    const result = store.searchMessages(MessageSearch.parseTerms(query), filters, options);
+    return { ids: result.messages.map(msg => msg.key.id), hasMore: result.hasMore };
+};
+
+// Both stores have to return the same results
+const storeCases = [
+    ['in-memory store', () => new BaileysStore('memory')],
+    ['SQLite store', () => new SqliteBaileysStore('sqlite')]
+];
+
+for (const [name, createStore] of storeCases) {
+    test(`${name} searches newest first with filters and paging`, () => {
+        const store = createStore();
+        const ev = new EventEmitter();
+        store.bind(ev);
+        ev.emit('messages.upsert', { messages: MESSAGES, type: 'notify' });
+
+        try {
+            assert.deepEqual(searchIds(store, 'rapat'), { ids: ['M4', 'M3', 'M1'], hasMore: false });
+            assert.deepEqual(searchIds(store, 'RAP'), { ids: ['M4', 'M3', 'M1'], hasMore: false });
+            assert.deepEqual(searchIds(store, 'cafe lait'), { ids: ['M2'], hasMore: false });
+            assert.deepEqual(searchIds(store, 'laporan rapat'), { ids: ['M4'], hasMore: false });
+            assert.deepEqual(searchIds(store, 'rapat', { chatId: CHAT }), { ids: ['M4', 'M1'], hasMore: false });
+            assert.deepEqual(searchIds(store, 'rapat', { fromMe: false }), { ids: ['M3', 'M1'], hasMore: false });
+            assert.deepEqual(searchIds(store, 'rapat', { senders: ['628456@s.whatsapp.net'] }), { ids: ['M3'], hasMore: false });
+            assert.deepEqual(searchIds(store, 'rapat', { types: ['document'] }), { ids: ['M4'], hasMore: false });
+            assert.deepEqual(searchIds(store, 'rapat', { from: 2000, to: 3500 }), { ids: ['M3'], hasMore: false });
+
+            assert.deepEqual(searchIds(store, 'rapat', {}, { limit: 2 }), { ids: ['M4', 'M3'], hasMore: true });
+            assert.deepEqual(searchIds(store, 'rapat', {}, { limit: 2, before: 'M3' }), { ids: ['M1'], hasMore: false });
+        } finally {
+            store.close?.();
+        }
+    });
+}
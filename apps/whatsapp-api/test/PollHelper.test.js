@@ -0,0 +1,105 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { proto } = require('@whiskeysockets/baileys');
+
+const PollHelper = require('../src/services/whatsapp/PollHelper');
+
+const CREATOR = '628111@s.whatsapp.net';
+const CREATOR_LID = '1234@lid';
+const VOTER = '628222@s.whatsapp.net';
+const SECRET = crypto.randomBytes(32);
+
+const createPoll = (version = 'pollCreationMessageV3', selectableOptionsCount = 1) => ({
+    key: { remoteJid: '12036@g.us', id: 'POLL1', fromMe: true },
+    message: {
+        messageContextInfo: { messageSecret: SECRET },
+        [version]: {
+            name: 'Lunch?',
+            options: [{ optionName: 'Nasi goreng' }, { optionName: 'Soto' }],
+            selectableOptionsCount
+        }
+    }
+});
+
+// Encrypt a vote the way WhatsApp does, the inverse of decryptPollVote
+const encryptVote = (options, { pollMsgId = 'POLL1', pollCreatorJid = CREATOR, voterJid = VOTER } = {}) => {
+    const sign = Buffer.concat([
+        Buffer.from(pollMsgId),
+        Buffer.from(pollCreatorJid),
+        Buffer.from(voterJid),
+        Buffer.from('Poll Vote'),
+        new Uint8Array([1])
+    ]);
+    const key0 = crypto.createHmac('sha256', new Uint8Array(32)).update(SECRET).digest();
+    const encKey = crypto.createHmac('sha256', key0).update(sign).digest();
+
+    const payload = proto.Message.PollVoteMessage.encode({
+        selectedOptions: options.map(name => crypto.createHash('sha256').update(name).digest())
+    }).finish();
+
+    const encIv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', encKey, encIv);
+    cipher.setAAD(Buffer.from(`${pollMsgId}\u0000${voterJid}`));
+    const encPayload = Buffer.concat([cipher.update(payload), cipher.final(), cipher.getAuthTag()]);
+
+    return { message: { pollUpdateMessage: { vote: { encPayload, encIv } } } };
+};
+
+test('finds the poll creation content of every poll version', () => {
+    for (const version of ['pollCreationMessage', 'pollCreationMessageV2', 'pollCreationMessageV3']) {
+        assert.equal(PollHelper.getCreation(createPoll(version)).name, 'Lunch?');
+    }
+    assert.equal(PollHelper.getCreation({ message: { conversation: 'hi' } }), null);
+    assert.equal(PollHelper.getCreation(null), null);
+});
+
+test('decrypts votes into option names', () => {
+    const poll = createPoll();
+    assert.deepEqual(PollHelper.decryptVote(poll, encryptVote(['Soto']), [CREATOR], [VOTER]), ['Soto']);
+    // Retracted vote
+    assert.deepEqual(PollHelper.decryptVote(poll, encryptVote([]), [CREATOR], [VOTER]), []);
+});
+
+test('tries every known identity of creator and voter', () => {
+    const vote = encryptVote(['Nasi goreng'], { pollCreatorJid: CREATOR_LID });
+    assert.deepEqual(PollHelper.decryptVote(createPoll(), vote, [CREATOR, null, CREATOR_LID], [VOTER]), ['Nasi goreng']);
+
+    assert.throws(() => PollHelper.decryptVote(createPoll(), vote, [CREATOR], [VOTER]), /Failed to decrypt poll vote/);
+});
+
+test('uses the remembered secret once the buffer is gone', () => {
+    const poll = createPoll();
+    PollHelper.rememberSecret(poll);
+    // Buffers don't survive the JSON store
+    const stored = JSON.parse(JSON.stringify({ ...poll, message: { pollCreationMessageV3: poll.message.pollCreationMessageV3 } }));
+
+    assert.deepEqual(PollHelper.decryptVote(stored, encryptVote(['Soto']), [CREATOR], [VOTER]), ['Soto']);
+
+    delete stored._pollSecret;
+    assert.throws(() => PollHelper.decryptVote(stored, encryptVote(['Soto']), [CREATOR], [VOTER]), /Poll secret not available/);
+});
+
+test('tallies the latest vote of each voter', () => {
+    const poll = createPoll('pollCreationMessage', 0);
+    PollHelper.recordVote(poll, 'a@s.whatsapp.net', ['Soto'], 1000);
+    PollHelper.recordVote(poll, 'b@s.whatsapp.net', ['Soto', 'Nasi goreng'], 2000);
+    PollHelper.recordVote(poll, 'c@s.whatsapp.net', ['Soto'], 3000);
+    // Changed vote, then retracted vote
+    PollHelper.recordVote(poll, 'a@s.whatsapp.net', ['Unknown'], 4000);
+    PollHelper.recordVote(poll, 'c@s.whatsapp.net', [], 5000);
+
+    assert.deepEqual(PollHelper.tally(poll), {
+        pollId: 'POLL1',
+        chatId: '12036@g.us',
+        question: 'Lunch?',
+        multiSelect: true,
+        totalVoters: 2,
+        options: [
+            { name: 'Nasi goreng', votes: 1, voters: ['b@s.whatsapp.net'] },
+            { name: 'Soto', votes: 1, voters: ['b@s.whatsapp.net'] },
+            { name: 'Unknown', votes: 1, voters: ['a@s.whatsapp.net'] }
+        ]
+    });
+    assert.equal(PollHelper.tally(createPoll()).multiSelect, false);
+});
@@ -0,0 +1,95 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { DisconnectReason } = require('@whiskeysockets/baileys');
+
+for (const name of ['RECONNECT_BASE_DELAY', 'RECONNECT_MAX_DELAY', 'RECONNECT_MAX_ATTEMPTS']) {
+    delete process.env[name];
+}
+
+const ReconnectPolicy = require('../src/services/whatsapp/ReconnectPolicy');
+
+test('validates overrides from the API', () => {
+    assert.equal(ReconnectPolicy.validate({}), null);
+    assert.equal(ReconnectPolicy.validate({
+        enabled: false,
+        baseDelay: 1000,
+        maxDelay: 60000,
+        maxAttempts: 0,
+        factor: 1.5,
+        jitter: 0,
+        actions: { connectionReplaced: 'retry' }
+    }), null);
+
+    assert.equal(ReconnectPolicy.validate(null), 'reconnect must be an object');
+    assert.equal(ReconnectPolicy.validate({ enabled: 'yes' }), 'reconnect.enabled must be a boolean');
+    assert.equal(ReconnectPolicy.validate({ baseDelay: -1 }), 'reconnect.baseDelay must be a non-negative integer');
+    assert.equal(ReconnectPolicy.validate({ maxAttempts: 1.5 }), 'reconnect.maxAttempts must be a non-negative integer');
+    assert.equal(ReconnectPolicy.validate({ factor: 0.5 }), 'reconnect.factor must be a number >= 1');
+    assert.equal(ReconnectPolicy.validate({ jitter: 2 }), 'reconnect.jitter must be a number between 0 and 1');
+    assert.equal(ReconnectPolicy.validate({ actions: [] }), 'reconnect.actions must be an object');
+    assert.equal(ReconnectPolicy.validate({ actions: { noSuchReason: 'retry' } }), 'Unknown disconnect reason: noSuchReason');
+    assert.match(ReconnectPolicy.validate({ actions: { loggedOut: 'explode' } }), /^Invalid action for loggedOut/);
+});
+
+test('resolves disconnect reasons to actions', () => {
+    const policy = new ReconnectPolicy();
+
+    assert.deepEqual(policy.resolve(DisconnectReason.loggedOut), { action: 'logout', reason: 'loggedOut' });
+    assert.deepEqual(policy.resolve(DisconnectReason.restartRequired), { action: 'restart', reason: 'restartRequired' });
+    assert.deepEqual(policy.resolve(DisconnectReason.badSession), { action: 'reset', reason: 'badSession' });
+    assert.deepEqual(policy.resolve(DisconnectReason.connectionReplaced), { action: 'stop', reason: 'connectionReplaced' });
+    assert.deepEqual(policy.resolve(DisconnectReason.connectionClosed), { action: 'retry', reason: 'connectionClosed' });
+    assert.deepEqual(policy.resolve(undefined), { action: 'retry', reason: 'unknown' });
+
+    assert.equal(policy.getState().lastDisconnect.reason, 'unknown');
+    assert.equal(policy.getState().lastDisconnect.statusCode, null);
+});
+
+test('per-session actions override the defaults and are merged', () => {
+    const policy = new ReconnectPolicy({ actions: { connectionReplaced: 'retry' } });
+    policy.configure({ actions: { forbidden: 'logout' } });
+
+    assert.equal(policy.resolve(DisconnectReason.connectionReplaced).action, 'retry');
+    assert.equal(policy.resolve(DisconnectReason.forbidden).action, 'logout');
+    assert.deepEqual(policy.getConfig().actions, { connectionReplaced: 'retry', forbidden: 'logout' });
+});
+
+test('with reconnect disabled only logout is kept', () => {
+    const policy = new ReconnectPolicy({ enabled: false });
+
+    assert.equal(policy.resolve(DisconnectReason.connectionClosed).action, 'stop');
+    assert.equal(policy.resolve(DisconnectReason.restartRequired).action, 'stop');
+    assert.equal(policy.resolve(DisconnectReason.loggedOut).action, 'logout');
+});
+
+test('delays grow exponentially up to maxDelay', () => {
+    const policy = new ReconnectPolicy({ baseDelay: 1000, maxDelay: 5000, factor: 2, jitter: 0, maxAttempts: 0 });
+
+    assert.deepEqual([1, 2, 3, 4, 5].map(() => policy.nextDelay()), [1000, 2000, 4000, 5000, 5000]);
+    assert.equal(policy.attempts, 5);
+    assert.ok(policy.getState().nextRetryAt);
+
+    policy.reset();
+    assert.equal(policy.nextDelay(), 1000);
+});
+
+test('jitter spreads the delay around the exponential value', () => {
+    const policy = new ReconnectPolicy({ baseDelay: 1000, jitter: 0.3, maxAttempts: 0 });
+
+    for (let i = 0; i < 20; i++) {
+        policy.reset();
+        const delay = policy.nextDelay();
+        assert.ok(delay >= 700 && delay <= 1300, `delay ${delay}`);
+    }
+});
+
+test('immediate restarts are counted against maxAttempts', () => {
+    const policy = new ReconnectPolicy({ baseDelay: 1000, jitter: 0, maxAttempts: 3 });
+
+    assert.equal(policy.nextDelay(true), 0);
+    assert.equal(policy.nextDelay(true), 0);
+    assert.equal(policy.nextDelay(), 4000);
+    assert.equal(policy.nextDelay(true), null);
+    assert.equal(policy.nextDelay(), null);
+    assert.equal(policy.getState().nextRetryAt, null);
+});
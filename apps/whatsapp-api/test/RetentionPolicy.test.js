@@ -0,0 +1,119 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+for (const name of ['STORE_RETENTION_DAYS', 'STORE_MAX_MESSAGES_PER_CHAT', 'STORE_MEDIA_RETENTION_DAYS', 'STORE_MEDIA_MAX_PER_CHAT']) {
+    delete process.env[name];
+}
+
+const RetentionPolicy = require('../src/services/whatsapp/RetentionPolicy');
+
+const DAY = 24 * 60 * 60_000;
+const NOW = Date.UTC(2026, 0, 31);
+const daysAgo = (days) => Math.floor((NOW - days * DAY) / 1000);
+
+const entry = (overrides = {}) => ({ timestamp: daysAgo(1), position: 0, starred: false, hasMedia: false, ...overrides });
+
+test('validates overrides from the API', () => {
+    assert.equal(RetentionPolicy.validate({}), null);
+    assert.equal(RetentionPolicy.validate({
+        messages: { days: 30, maxPerChat: 1000 },
+        media: { days: 0.5 },
+        keepStarred: false,
+        excludeChats: ['628123'],
+        excludeLabels: ['1']
+    }), null);
+
+    assert.equal(RetentionPolicy.validate(null), 'retention must be an object');
+    assert.equal(RetentionPolicy.validate([]), 'retention must be an object');
+    assert.equal(RetentionPolicy.validate({ media: 30 }), 'retention.media must be an object');
+    assert.equal(RetentionPolicy.validate({ messages: { days: -1 } }), 'retention.messages.days must be a non-negative number');
+    assert.equal(RetentionPolicy.validate({ messages: { days: NaN } }), 'retention.messages.days must be a non-negative number');
+    assert.equal(RetentionPolicy.validate({ media: { maxPerChat: 1.5 } }), 'retention.media.maxPerChat must be a non-negative integer');
+    assert.equal(RetentionPolicy.validate({ keepStarred: 'yes' }), 'retention.keepStarred must be a boolean');
+    assert.equal(RetentionPolicy.validate({ excludeChats: [''] }), 'retention.excludeChats must be an array of strings');
+});
+
+test('keeps everything by default', () => {
+    const policy = new RetentionPolicy();
+
+    assert.equal(policy.evaluate(entry({ timestamp: daysAgo(3650), position: 100_000, hasMedia: true }), NOW), null);
+    assert.deepEqual(policy.bounds(NOW), { before: 0, keep: 0 });
+});
+
+test('deletes messages older than days or beyond maxPerChat', () => {
+    const policy = new RetentionPolicy({ messages: { days: 30, maxPerChat: 100 } });
+
+    assert.equal(policy.evaluate(entry({ timestamp: daysAgo(29) }), NOW), null);
+    assert.equal(policy.evaluate(entry({ timestamp: daysAgo(31) }), NOW), 'message');
+    assert.equal(policy.evaluate(entry({ position: 99 }), NOW), null);
+    assert.equal(policy.evaluate(entry({ position: 100 }), NOW), 'message');
+    // Messages without a timestamp only expire by position
+    assert.equal(policy.evaluate(entry({ timestamp: 0 }), NOW), null);
+});
+
+test('media rules delete only the file of media messages', () => {
+    const policy = new RetentionPolicy({ messages: { days: 365 }, media: { days: 7, maxPerChat: 10 } });
+
+    assert.equal(policy.evaluate(entry({ timestamp: daysAgo(8), hasMedia: true }), NOW), 'media');
+    assert.equal(policy.evaluate(entry({ position: 10, hasMedia: true }), NOW), 'media');
+    assert.equal(policy.evaluate(entry({ timestamp: daysAgo(8) }), NOW), null);
+    assert.equal(policy.evaluate(entry({ timestamp: daysAgo(400), hasMedia: true }), NOW), 'message');
+});
+
+test('starred messages are protected unless keepStarred is off', () => {
+    const policy = new RetentionPolicy({ messages: { days: 30 } });
+    const starred = entry({ timestamp: daysAgo(31), starred: true });
+
+    assert.equal(policy.evaluate(starred, NOW), 'protected');
+    assert.equal(policy.evaluate({ ...starred, timestamp: daysAgo(1) }, NOW), null);
+
+    policy.configure({ keepStarred: false });
+    assert.equal(policy.evaluate(starred, NOW), 'message');
+    // Earlier overrides are kept
+    assert.deepEqual(policy.getConfig().messages, { days: 30 });
+});
+
+test('the capacity of the store limits the messages per chat', () => {
+    const policy = new RetentionPolicy({ messages: { maxPerChat: 500 } });
+
+    assert.equal(policy.evaluate(entry({ position: 100 }), NOW, 100), 'message');
+    assert.equal(policy.evaluate(entry({ position: 100 }), NOW, 0), null);
+    assert.deepEqual(policy.bounds(NOW, 100), { before: 0, keep: 100 });
+});
+
+test('bounds use the shortest age and smallest limit of all rules', () => {
+    const policy = new RetentionPolicy({ messages: { days: 30, maxPerChat: 1000 }, media: { days: 7, maxPerChat: 50 } });
+    assert.deepEqual(policy.bounds(NOW), { before: daysAgo(7), keep: 50 });
+});
+
+test('excluded chats by JID, phone number or label', () => {
+    const policy = new RetentionPolicy({ excludeChats: ['628123', '12036@g.us'], excludeLabels: ['5'] });
+
+    assert.equal(policy.isExcluded({ id: '628123@s.whatsapp.net' }), true);
+    assert.equal(policy.isExcluded({ id: '12036@g.us' }), true);
+    assert.equal(policy.isExcluded({ id: '628456@s.whatsapp.net', labels: [5] }), true);
+    assert.equal(policy.isExcluded({ id: '628456@s.whatsapp.net', labels: ['1'] }), false);
+});
+
+test('report counts files shared by several messages once', () => {
+    const policy = new RetentionPolicy();
+    const report = policy.report([
+        { chatId: 'a', id: '1', action: 'message', mediaKey: 's1/abc.jpg', mediaSize: 100 },
+        { chatId: 'b', id: '2', action: 'message', mediaKey: 's1/abc.jpg', mediaSize: 100 },
+        { chatId: 'b', id: '3', action: 'media', mediaKey: 's1/def.mp4', mediaSize: 500 },
+        { chatId: 'b', id: '4', action: 'message', mediaKey: null },
+        // Local file that no longer exists
+        { chatId: 'a', id: '5', action: 'media', mediaKey: '/nonexistent/old.jpg' }
+    ], { dryRun: true, protected: 2 });
+
+    assert.equal(report.dryRun, true);
+    assert.equal(report.messages, 3);
+    assert.equal(report.mediaFiles, 2);
+    assert.equal(report.mediaBytes, 600);
+    assert.equal(report.protectedMessages, 2);
+    assert.equal(report.excludedChats, 0);
+    assert.deepEqual(report.chats, [
+        { chatId: 'b', messages: 2, mediaFiles: 1, mediaBytes: 500 },
+        { chatId: 'a', messages: 1, mediaFiles: 1, mediaBytes: 100 }
+    ]);
+});
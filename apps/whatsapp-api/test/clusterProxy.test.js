@@ -0,0 +1,112 @@
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const express = require('express');
+
+const clusterCoordinator = require('../src/services/cluster');
+const clusterProxy = require('../src/middleware/clusterProxy');
+
+let ownerServer;
+let workerServer;
+let workerUrl;
+
+// Worker w2 owns the session "remote", every other session is handled locally
+const listen = (server) => new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}`));
+});
+
+before(async () => {
+    ownerServer = http.createServer((req, res) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => {
+            res.setHeader('Content-Type', 'application/json');
+            res.end(JSON.stringify({
+                handledBy: 'w2',
+                contentType: req.headers['content-type'],
+                body: Buffer.concat(chunks).toString('utf8')
+            }));
+        });
+    });
+    const ownerUrl = await listen(ownerServer);
+
+    Object.assign(clusterCoordinator, { enabled: true, routing: 'proxy', workerId: 'w1' });
+    mock.method(clusterCoordinator, 'getOwner', async (sessionId) => (
+        sessionId === 'remote' ? { workerId: 'w2', url: ownerUrl, local: false } : null
+    ));
+
+    const app = express();
+    app.use(express.json());
+    app.use('/api/whatsapp', clusterProxy, (req, res) => res.json({ handledBy: 'w1' }));
+    workerServer = http.createServer(app);
+    workerUrl = await listen(workerServer);
+});
+
+after(() => {
+    ownerServer.close();
+    workerServer.close();
+});
+
+const uploadForm = (fields = {}) => {
+    const form = new FormData();
+    Object.entries(fields).forEach(([key, value]) => form.append(key, value));
+    form.append('file', new Blob(['image bytes'], { type: 'image/png' }), 'photo.png');
+    return form;
+};
+
+test('routes JSON requests by body.sessionId', async () => {
+    const res = await fetch(`${workerUrl}/api/whatsapp/chats/send-text`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ sessionId: 'remote', chatId: '628123', message: 'hi' })
+    });
+    const body = await res.json();
+
+    assert.equal(res.headers.get('x-chatery-worker'), 'w2');
+    assert.equal(body.handledBy, 'w2');
+    assert.deepEqual(JSON.parse(body.body), { sessionId: 'remote', chatId: '628123', message: 'hi' });
+});
+
+test('proxies multipart uploads with the sessionId in the query string, body untouched', async () => {
+    const res = await fetch(`${workerUrl}/api/whatsapp/chats/send-image?sessionId=remote`, {
+        method: 'POST',
+        body: uploadForm({ sessionId: 'remote', chatId: '628123' })
+    });
+    const body = await res.json();
+
+    assert.equal(body.handledBy, 'w2');
+    assert.match(body.contentType, /^multipart\/form-data; boundary=/);
+    assert.match(body.body, /image bytes/);
+    assert.match(body.body, /name="chatId"\r\n\r\n628123/);
+});
+
+test('proxies multipart uploads with the X-Session-Id header', async () => {
+    const res = await fetch(`${workerUrl}/api/whatsapp/groups/picture`, {
+        method: 'POST',
+        headers: { 'X-Session-Id': 'remote' },
+        body: uploadForm({ groupId: '120363@g.us' })
+    });
+
+    assert.equal((await res.json()).handledBy, 'w2');
+});
+
+test('refuses multipart requests without the sessionId in the query string or header', async () => {
+    const res = await fetch(`${workerUrl}/api/whatsapp/chats/import`, {
+        method: 'POST',
+        body: uploadForm({ sessionId: 'remote', chatId: '628123' })
+    });
+    const body = await res.json();
+
+    assert.equal(res.status, 400);
+    assert.equal(body.success, false);
+    assert.match(body.message, /X-Session-Id/);
+});
+
+test('handles sessions without an owner locally', async () => {
+    const res = await fetch(`${workerUrl}/api/whatsapp/chats/send-image?sessionId=local`, {
+        method: 'POST',
+        body: uploadForm({ sessionId: 'local', chatId: '628123' })
+    });
+
+    assert.equal((await res.json()).handledBy, 'w1');
+});
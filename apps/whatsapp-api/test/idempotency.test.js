@@ -0,0 +1,154 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The queue (used for replays of queued sends) reads data/queue of the working directory
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'idempotency-test-'));
+process.chdir(workDir);
+process.env.IDEMPOTENCY_STORE = 'memory';
+
+const idempotency = require('../src/middleware/idempotency');
+const messageQueue = require('../src/services/queue');
+
+after(() => {
+    clearTimeout(messageQueue.saveTimer);
+    fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+const createRequest = (key, body = { sessionId: 's1', chatId: '628123', message: 'hi' }) => ({
+    body,
+    path: '/chats/send-text',
+    get: (name) => (name === 'Idempotency-Key' ? key : undefined)
+});
+
+const createResponse = () => {
+    const res = {
+        statusCode: 200,
+        headers: {},
+        body: undefined,
+        status(code) {
+            res.statusCode = code;
+            return res;
+        },
+        set(name, value) {
+            res.headers[name] = value;
+            return res;
+        },
+        json(body) {
+            res.body = body;
+            return res;
+        },
+        on() {}
+    };
+    return res;
+};
+
+/**
+ * Run the middleware, `handler` plays the route when the request gets through
+ * @returns {Object} { res, handled }
+ */
+const run = async (req, handler = () => {}) => {
+    const res = createResponse();
+    let handled = false;
+    await idempotency(req, res, () => {
+        handled = true;
+        handler(res);
+    });
+    return { res, handled };
+};
+
+test('requests without a key pass through', async () => {
+    const { handled } = await run(createRequest(undefined));
+    assert.equal(handled, true);
+});
+
+test('replays the first successful response', async () => {
+    const first = await run(createRequest('replay-1'), (res) => {
+        res.status(200).json({ success: true, data: { messageId: 'MSG1' } });
+    });
+    assert.equal(first.handled, true);
+
+    const second = await run(createRequest('replay-1'), () => assert.fail('sent twice'));
+    assert.equal(second.handled, false);
+    assert.equal(second.res.statusCode, 200);
+    assert.equal(second.res.headers['Idempotent-Replayed'], 'true');
+    assert.deepEqual(second.res.body, { success: true, data: { messageId: 'MSG1' } });
+});
+
+test('answers 409 while the first request is running and 422 for another body', async () => {
+    const first = await run(createRequest('busy-1'));
+    assert.equal(first.handled, true);
+
+    const running = await run(createRequest('busy-1'));
+    assert.equal(running.handled, false);
+    assert.equal(running.res.statusCode, 409);
+
+    const otherBody = await run(createRequest('busy-1', { sessionId: 's1', chatId: '628123', message: 'other' }));
+    assert.equal(otherBody.handled, false);
+    assert.equal(otherBody.res.statusCode, 422);
+});
+
+test('frees the key of failed requests, also when they answer 200 with success false', async () => {
+    await run(createRequest('failed-1'), (res) => res.status(400).json({ success: false, message: 'Invalid' }));
+    assert.equal((await run(createRequest('failed-1'), (res) => res.status(200).json({ success: false }))).handled, true);
+
+    const retry = await run(createRequest('failed-1'), (res) => res.status(200).json({ success: true }));
+    assert.equal(retry.handled, true);
+});
+
+test('replays a queued send with the current job status instead of the stored body', async () => {
+    // No session manager: the job stays queued
+    const job = messageQueue.enqueue('s1', 'sendTextMessage', ['628123', 'queued'], 'api');
+    const req = () => createRequest('queued-1', { sessionId: 's1', chatId: '628123', message: 'queued' });
+
+    await run(req(), (res) => res.status(202).json({
+        success: true,
+        message: 'Message is still queued, check the job status later',
+        data: messageQueue.getJob(job.id).data
+    }));
+
+    const stillQueued = await run(req(), () => assert.fail('sent twice'));
+    assert.equal(stillQueued.res.statusCode, 202);
+    assert.equal(stillQueued.res.body.data.jobId, job.id);
+    assert.equal(stillQueued.res.body.data.status, 'queued');
+
+    Object.assign(job, { status: 'sent', messageId: 'MSG2', result: { messageId: 'MSG2', chatId: '628123' } });
+    const sent = await run(req(), () => assert.fail('sent twice'));
+    assert.equal(sent.res.statusCode, 200);
+    assert.deepEqual(sent.res.body.data, { messageId: 'MSG2', chatId: '628123', jobId: job.id });
+
+    // A failed job frees the key, the retry is sent
+    job.status = 'failed';
+    const retry = await run(req());
+    assert.equal(retry.handled, true);
+});
+
+test('stores the final response of a queued send, replays it after the job is pruned', async () => {
+    const job = messageQueue.enqueue('s1', 'sendTextMessage', ['628123', 'pruned'], 'api');
+    const req = () => createRequest('queued-2', { sessionId: 's1', chatId: '628123', message: 'pruned' });
+
+    await run(req(), (res) => res.status(202).json({ success: true, data: messageQueue.getJob(job.id).data }));
+
+    Object.assign(job, { status: 'sent', messageId: 'MSG3', result: { messageId: 'MSG3', chatId: '628123' } });
+    messageQueue._finish(job, { success: true, data: { ...job.result, jobId: job.id } });
+    await new Promise(resolve => setImmediate(resolve));
+    messageQueue.jobs.delete(job.id);
+
+    const replay = await run(req(), () => assert.fail('sent twice'));
+    assert.equal(replay.res.statusCode, 200);
+    assert.deepEqual(replay.res.body.data, { messageId: 'MSG3', chatId: '628123', jobId: job.id });
+});
+
+test('keeps the key of a queued send whose job can not be found', async () => {
+    const first = { success: true, message: 'Message queued', data: { jobId: 'job-elsewhere', status: 'queued' } };
+    const req = () => createRequest('queued-3', { sessionId: 's1', chatId: '628123', message: 'elsewhere' });
+
+    await run(req(), (res) => res.status(202).json(first));
+
+    const replay = await run(req(), () => assert.fail('sent twice'));
+    assert.equal(replay.handled, false);
+    assert.equal(replay.res.statusCode, 202);
+    assert.deepEqual(replay.res.body, first);
+});